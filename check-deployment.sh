@@ -302,11 +302,22 @@ fi
 
 print_header "CONNECTIVITY TESTS"
 
-# Check backend on localhost
-if timeout 5 curl -s http://localhost:5000/ >/dev/null 2>&1; then
-    check_pass "Backend responds on localhost:5000"
+# Check backend on localhost (liveness)
+if timeout 5 curl -sf http://localhost:5000/healthz >/dev/null 2>&1; then
+    check_pass "Backend responds on localhost:5000/healthz"
 else
-    check_warn "Backend not responding on localhost:5000"
+    check_warn "Backend not responding on localhost:5000/healthz"
+fi
+
+# Check backend readiness (database connected, configuration valid)
+READYZ=$(timeout 5 curl -s -w "\n%{http_code}" http://localhost:5000/readyz 2>/dev/null)
+READYZ_CODE=$(echo "$READYZ" | tail -n 1)
+if [ "$READYZ_CODE" = "200" ]; then
+    check_pass "Backend ready (localhost:5000/readyz)"
+elif [ "$READYZ_CODE" = "503" ]; then
+    check_fail "Backend not ready: $(echo "$READYZ" | head -n 1)"
+else
+    check_warn "Readiness probe unavailable on localhost:5000/readyz"
 fi
 
 # Check domain
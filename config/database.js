@@ -8,9 +8,7 @@
  * Implements connection pooling and error handling
  * Provides connection status monitoring
  *
- * Environment Variables:
- * - MONGODB_URI: Full MongoDB connection string
- * - NODE_ENV: 'development', 'production', or 'test'
+ * Settings: config.database.uri (MONGODB_URI) and config.env (NODE_ENV)
  *
  * @example
  * const db = require('./config/database');
@@ -18,6 +16,8 @@
  */
 
 const mongoose = require('mongoose');
+const config = require('./index');
+const { maskSecret } = require('./env');
 
 /**
  * MongoDB connection options configuration
@@ -28,8 +28,8 @@ const mongoose = require('mongoose');
  */
 const mongooseOptions = {
   // Connection pool size for managing concurrent connections
-  maxPoolSize: process.env.NODE_ENV === 'production' ? 10 : 5,
-  minPoolSize: process.env.NODE_ENV === 'production' ? 2 : 1,
+  maxPoolSize: config.isProduction ? 10 : 5,
+  minPoolSize: config.isProduction ? 2 : 1,
 
   // Timeout settings (in milliseconds)
   serverSelectionTimeoutMS: 5000,
@@ -68,8 +68,7 @@ const mongooseOptions = {
  * console.log('Database connected');
  */
 const connect = async () => {
-  const mongoUri =
-    process.env.MONGODB_URI || 'mongodb://localhost:27017/sdarmitalia';
+  const mongoUri = config.database.uri;
 
   try {
     // Attempt database connection
@@ -82,19 +81,17 @@ const connect = async () => {
       `✓ MongoDB Connected Successfully\n` +
         `  Database: ${dbName}\n` +
         `  Host: ${host}\n` +
-        `  Environment: ${process.env.NODE_ENV || 'development'}`,
+        `  Environment: ${config.env}`,
     );
 
     return mongoose.connection;
   } catch (error) {
     console.error('✗ MongoDB Connection Failed');
     console.error(`  Error: ${error.message}`);
-    console.error(
-      `  URI: ${mongoUri.replace(/mongodb\+srv:\/\/[^:]+:[^@]+/, 'mongodb+srv://***:***')}`,
-    );
+    console.error(`  URI: ${maskSecret(mongoUri)}`);
 
     // In production, throw error; in development, allow continued operation
-    if (process.env.NODE_ENV === 'production') {
+    if (config.isProduction) {
       throw new Error(`Database connection failed: ${error.message}`);
     }
 
@@ -176,12 +173,12 @@ const getStatus = () => {
  *
  * @example
  * // Reset database for testing
- * if (process.env.NODE_ENV === 'development') {
+ * if (config.isDevelopment) {
  *   await database.dropDatabase();
  * }
  */
 const dropDatabase = async () => {
-  if (process.env.NODE_ENV === 'production') {
+  if (config.isProduction) {
     throw new Error('Cannot drop database in production environment');
   }
 
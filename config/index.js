@@ -0,0 +1,41 @@
+/**
+ * @file index.js
+ * @description Typed application configuration, validated at boot
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Loads config.env, validates it against config/envSchema.js and exports a
+ * frozen, typed object. Requiring this module with a missing or malformed
+ * variable throws a ConfigError listing every problem: server.js prints the
+ * report and exits before accepting requests
+ *
+ * Application code reads configuration only from here, never from process.env
+ *
+ * Shape:
+ * - env, isDevelopment, isProduction, isTest, port, backendUrl, gitCommit
+ * - database: { uri }
+ * - jwt: { secret, expiresIn, refreshSecret, refreshExpiresIn }
+ * - stripe: { secretKey, publicKey, webhookSecret, successUrl, cancelUrl,
+ *   registrationSuccessUrl, registrationCancelUrl }
+ * - beneficiary: { name, iban, bic, email, phone }
+ * - security: { paymentRateLimit, corsOrigins }
+ * - events: { waitlistOfferHours, registrationCutoffHours, reminderHours,
+ *   schedulerEnabled, schedulerIntervalSeconds, ticketSecret, privacyNoticeVersion,
+ *   timeZone, calendarName, pageUrl }
+ *
+ * Optional variables that are not set (and have no default) are null
+ *
+ * @example
+ * const config = require('../config');
+ * if (config.isProduction) { ... }
+ * new Stripe(config.stripe.secretKey);
+ */
+
+const path = require('path');
+const dotenv = require('dotenv');
+const { loadConfig } = require('./env');
+
+// Variables already set in the environment (PM2, shell) win over config.env
+dotenv.config({ path: path.join(__dirname, '..', 'config.env') });
+
+module.exports = loadConfig(process.env);
@@ -0,0 +1,152 @@
+/**
+ * @file permissions.js
+ * @description Role and permission matrix for staff accounts
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Each user has exactly one role; each role grants a fixed set of permissions
+ * Routes check permissions (never roles) through `restrictTo(...permissions)`,
+ * so moving a power from one role to another only requires editing ROLES below
+ *
+ * @example
+ * const { PERMISSIONS } = require('../config/permissions');
+ * router.post('/', protect, restrictTo(PERMISSIONS.NEWS_MANAGE), createNews);
+ */
+
+/**
+ * @constant PERMISSIONS
+ * @description Every permission known to the application
+ */
+const PERMISSIONS = {
+  NEWS_MANAGE: 'news:manage',
+  ARTICLES_MANAGE: 'articles:manage',
+  LIBRI_MANAGE: 'libri:manage',
+  DOCUMENTI_MANAGE: 'documenti:manage',
+  EVENTS_MANAGE: 'events:manage',
+  PROJECT_PHASES_MANAGE: 'projectPhases:manage',
+  CONTACTS_MANAGE: 'contacts:manage',
+  REGISTRATIONS_MANAGE: 'registrations:manage',
+  MEMBERS_MANAGE: 'members:manage',
+  DONATIONS_LOGS_READ: 'donations:logs:read',
+  DONATIONS_BENEFICIARY_READ: 'donations:beneficiary:read',
+  USERS_MANAGE: 'users:manage',
+  PERMISSIONS_READ: 'permissions:read',
+  AUDIT_READ: 'audit:read',
+  SYSTEM_STATUS_READ: 'system:status:read',
+};
+
+/**
+ * @constant PERMISSION_DESCRIPTIONS
+ * @description Human-readable description of each permission (admin UI)
+ */
+const PERMISSION_DESCRIPTIONS = {
+  [PERMISSIONS.NEWS_MANAGE]: 'Creare, modificare ed eliminare notizie',
+  [PERMISSIONS.ARTICLES_MANAGE]: 'Creare, modificare ed eliminare articoli',
+  [PERMISSIONS.LIBRI_MANAGE]: 'Gestire i libri della biblioteca',
+  [PERMISSIONS.DOCUMENTI_MANAGE]:
+    'Gestire documenti, lezionari e settimane di preghiera',
+  [PERMISSIONS.EVENTS_MANAGE]: 'Creare, modificare ed eliminare eventi',
+  [PERMISSIONS.PROJECT_PHASES_MANAGE]: 'Aggiornare le fasi del progetto',
+  [PERMISSIONS.CONTACTS_MANAGE]: 'Leggere e gestire i messaggi di contatto',
+  [PERMISSIONS.REGISTRATIONS_MANAGE]: 'Gestire le iscrizioni alle conferenze',
+  [PERMISSIONS.MEMBERS_MANAGE]: "Gestire l'anagrafe dei membri di chiesa",
+  [PERMISSIONS.DONATIONS_LOGS_READ]: 'Consultare i log delle transazioni',
+  [PERMISSIONS.DONATIONS_BENEFICIARY_READ]:
+    'Vedere i dati bancari completi del beneficiario (IBAN)',
+  [PERMISSIONS.USERS_MANAGE]: 'Creare e gestire gli account dello staff',
+  [PERMISSIONS.PERMISSIONS_READ]: 'Consultare la matrice dei permessi',
+  [PERMISSIONS.AUDIT_READ]: 'Consultare lo storico delle modifiche (audit log)',
+  [PERMISSIONS.SYSTEM_STATUS_READ]:
+    'Consultare lo stato del server (database, Stripe, memoria)',
+};
+
+/**
+ * @constant ROLES
+ * @description Roles with description and granted permissions
+ * The admin role always receives every permission
+ */
+const ROLES = {
+  editor: {
+    description: 'Redazione: notizie, articoli, biblioteca, documenti, eventi',
+    permissions: [
+      PERMISSIONS.NEWS_MANAGE,
+      PERMISSIONS.ARTICLES_MANAGE,
+      PERMISSIONS.LIBRI_MANAGE,
+      PERMISSIONS.DOCUMENTI_MANAGE,
+      PERMISSIONS.EVENTS_MANAGE,
+      PERMISSIONS.PROJECT_PHASES_MANAGE,
+    ],
+  },
+  treasurer: {
+    description: 'Tesoreria: log delle transazioni e dati bancari',
+    permissions: [
+      PERMISSIONS.DONATIONS_LOGS_READ,
+      PERMISSIONS.DONATIONS_BENEFICIARY_READ,
+    ],
+  },
+  secretary: {
+    description:
+      'Segreteria: messaggi di contatto, iscrizioni alle conferenze e anagrafe dei membri',
+    permissions: [
+      PERMISSIONS.CONTACTS_MANAGE,
+      PERMISSIONS.REGISTRATIONS_MANAGE,
+      PERMISSIONS.MEMBERS_MANAGE,
+    ],
+  },
+  admin: {
+    description: 'Amministratore: tutti i permessi',
+    permissions: Object.values(PERMISSIONS),
+  },
+};
+
+/**
+ * @constant ROLE_NAMES
+ * @description List of valid role names (used as schema enum)
+ */
+const ROLE_NAMES = Object.keys(ROLES);
+
+/**
+ * Returns the permissions granted to a role
+ *
+ * @function getRolePermissions
+ * @param {string} role - Role name
+ * @returns {Array<string>} Permissions (empty for unknown roles)
+ *
+ * @example
+ * getRolePermissions('treasurer'); // ['donations:logs:read', ...]
+ */
+const getRolePermissions = (role) =>
+  ROLES[role] ? ROLES[role].permissions : [];
+
+/**
+ * Checks whether a role grants a permission
+ *
+ * @function roleHasPermission
+ * @param {string} role - Role name
+ * @param {string} permission - Permission to check
+ * @returns {boolean} True if granted
+ */
+const roleHasPermission = (role, permission) =>
+  getRolePermissions(role).includes(permission);
+
+/**
+ * Lists the roles that grant at least one of the given permissions
+ *
+ * @function rolesWithAnyPermission
+ * @param {Array<string>} permissions - Permissions to look for
+ * @returns {Array<string>} Role names
+ */
+const rolesWithAnyPermission = (permissions) =>
+  ROLE_NAMES.filter((role) =>
+    permissions.some((permission) => roleHasPermission(role, permission)),
+  );
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_DESCRIPTIONS,
+  ROLES,
+  ROLE_NAMES,
+  getRolePermissions,
+  roleHasPermission,
+  rolesWithAnyPermission,
+};
@@ -8,12 +8,7 @@
  * Provides helper functions for common payment operations
  * Handles Stripe webhook validation and event processing
  *
- * Environment Variables:
- * - STRIPE_SECRET_KEY: Secret API key from Stripe Dashboard (never expose publicly)
- * - STRIPE_PUBLIC_KEY: Publishable API key (safe to expose on frontend)
- * - STRIPE_WEBHOOK_SECRET: Secret for validating webhook signatures
- * - STRIPE_SUCCESS_URL: Redirect URL after successful payment
- * - STRIPE_CANCEL_URL: Redirect URL if payment is cancelled
+ * Settings come from config.stripe (STRIPE_* variables, see config/envSchema.js)
  *
  * @example
  * const stripe = require('./config/stripe');
@@ -21,6 +16,7 @@
  */
 
 const Stripe = require('stripe');
+const config = require('./index');
 
 /**
  * Validates that Stripe API key is configured
@@ -33,7 +29,7 @@ const Stripe = require('stripe');
  * @private
  */
 const validateStripeKey = () => {
-  if (!process.env.STRIPE_SECRET_KEY) {
+  if (!config.stripe.secretKey) {
     throw new Error(
       'STRIPE_SECRET_KEY is not configured. ' +
         'Please set it in your environment variables.',
@@ -45,7 +41,7 @@ const validateStripeKey = () => {
 let stripe = null;
 try {
   validateStripeKey();
-  stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
+  stripe = new Stripe(config.stripe.secretKey, {
     apiVersion: '2024-04-10', // Use specific API version for consistency
   });
   console.log('✓ Stripe API initialized successfully');
@@ -56,7 +52,7 @@ try {
 
 /**
  * Creates a Stripe Checkout Session for payment
- * Used for one-time donations and payments
+ * Used for one-time donations and payments (e.g. paid event registrations)
  *
  * @async
  * @function createCheckoutSession
@@ -69,6 +65,10 @@ try {
  * @param {string} [options.successUrl] - URL to redirect after successful payment
  * @param {string} [options.cancelUrl] - URL to redirect if payment is cancelled
  * @param {Object} [options.metadata] - Custom data to attach to session
+ * @param {Array<Object>} [options.lineItems] - [{ description, amount }] (cents);
+ *   replaces the single `amount` line
+ * @param {Date} [options.expiresAt] - Session expiry (30 minutes to 24 hours from now)
+ * @param {string} [options.clientReferenceId] - Own reference shown in the dashboard
  *
  * @returns {Promise<Object>} Stripe session object with checkout URL
  * @throws {Error} If Stripe is not configured or API call fails
@@ -107,19 +107,36 @@ const createCheckoutSession = async (options) => {
       mode: 'payment',
 
       // Line items for checkout
-      line_items: [
-        {
-          price_data: {
-            currency: options.currency || 'eur',
-            product_data: {
-              name: options.description || 'Donation',
-              description: options.name ? `Donor: ${options.name}` : undefined,
+      line_items: options.lineItems
+        ? options.lineItems.map((item) => ({
+            price_data: {
+              currency: options.currency || 'eur',
+              product_data: { name: item.description },
+              unit_amount: Math.round(item.amount),
             },
-            unit_amount: Math.round(options.amount), // Ensure amount is integer
-          },
-          quantity: 1,
-        },
-      ],
+            quantity: 1,
+          }))
+        : [
+            {
+              price_data: {
+                currency: options.currency || 'eur',
+                product_data: {
+                  name: options.description || 'Donation',
+                  description: options.name
+                    ? `Donor: ${options.name}`
+                    : undefined,
+                },
+                unit_amount: Math.round(options.amount), // Ensure amount is integer
+              },
+              quantity: 1,
+            },
+          ],
+
+      // Unpaid sessions expire (checkout.session.expired webhook)
+      expires_at: options.expiresAt
+        ? Math.floor(new Date(options.expiresAt).getTime() / 1000)
+        : undefined,
+      client_reference_id: options.clientReferenceId,
 
       // Customer email (optional but recommended for better user experience)
       customer_email: options.email,
@@ -127,12 +144,12 @@ const createCheckoutSession = async (options) => {
       // Redirect URLs after payment
       success_url:
         options.successUrl ||
-        process.env.STRIPE_SUCCESS_URL ||
-        `${process.env.BACKEND_URL}/donazioni/success?session_id={CHECKOUT_SESSION_ID}`,
+        config.stripe.successUrl ||
+        `${config.backendUrl}/donazioni/success?session_id={CHECKOUT_SESSION_ID}`,
       cancel_url:
         options.cancelUrl ||
-        process.env.STRIPE_CANCEL_URL ||
-        `${process.env.BACKEND_URL}/donazioni/cancel`,
+        config.stripe.cancelUrl ||
+        `${config.backendUrl}/donazioni/cancel`,
 
       // Metadata for tracking in database
       metadata: {
@@ -197,6 +214,34 @@ const getSession = async (sessionId) => {
   }
 };
 
+/**
+ * Expires an open Checkout Session, so that it can no longer be paid
+ * Used when the order behind the session is cancelled before payment
+ *
+ * @async
+ * @function expireCheckoutSession
+ * @param {string} sessionId - Stripe checkout session ID
+ * @returns {Promise<Object>} Expired session object
+ * @throws {Error} If the session is not open any more (already paid or
+ *   expired) or the API call fails
+ *
+ * @example
+ * await stripe.expireCheckoutSession('cs_test_1234567890');
+ */
+const expireCheckoutSession = async (sessionId) => {
+  if (!stripe) {
+    throw new Error('Stripe is not configured');
+  }
+
+  try {
+    const session = await stripe.checkout.sessions.expire(sessionId);
+    return session;
+  } catch (error) {
+    console.error('Error expiring session:', error.message);
+    throw new Error(`Failed to expire session: ${error.message}`);
+  }
+};
+
 /**
  * Retrieves payment intent details
  * Used to get detailed payment information
@@ -266,7 +311,7 @@ const getPaymentIntent = async (paymentIntentId) => {
  * });
  */
 const validateWebhookSignature = (payload, signature) => {
-  if (!process.env.STRIPE_WEBHOOK_SECRET) {
+  if (!config.stripe.webhookSecret) {
     throw new Error(
       'STRIPE_WEBHOOK_SECRET is not configured. ' +
         'Cannot validate webhook signatures.',
@@ -277,7 +322,7 @@ const validateWebhookSignature = (payload, signature) => {
     const event = stripe.webhooks.constructEvent(
       payload,
       signature,
-      process.env.STRIPE_WEBHOOK_SECRET,
+      config.stripe.webhookSecret,
     );
     return event;
   } catch (error) {
@@ -364,6 +409,7 @@ module.exports = {
   // Payment operations
   createCheckoutSession,
   getSession,
+  expireCheckoutSession,
   getPaymentIntent,
   createRefund,
 
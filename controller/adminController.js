@@ -0,0 +1,126 @@
+/**
+ * @file adminController.js
+ * @description Controller per le funzioni di amministrazione
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Espone la matrice "chi può fare cosa":
+ * - ruoli e permessi (da config/permissions.js)
+ * - permessi richiesti da ogni route (letti dallo stack di Express)
+ * - utenti attivi per ruolo
+ */
+
+const User = require('../models/userModel');
+const AppError = require('../utils/errorClass');
+const catchAsync = require('../middleware/catchAsync');
+const {
+  ROLES,
+  PERMISSION_DESCRIPTIONS,
+  rolesWithAnyPermission,
+} = require('../config/permissions');
+const { protect } = require('../middleware/authMiddleware');
+
+/**
+ * Ricostruisce il path di mount di un router dalla sua regexp
+ * Express 4 non conserva il path originale di app.use()
+ *
+ * @private
+ * @param {Object} layer - Layer dello stack di Express
+ * @returns {string} Path di mount (es. '/api/v1/news')
+ */
+const getMountPath = (layer) => {
+  if (!layer.regexp || layer.regexp.fast_slash) return '';
+
+  const match = layer.regexp.source.match(/^\^(.*?)\\\/\?\(\?=\\\/\|\$\)$/);
+  return match ? match[1].replace(/\\(.)/g, '$1') : '';
+};
+
+/**
+ * Elenca tutte le route con i permessi richiesti
+ * (escluse le route catch-all '*')
+ *
+ * @private
+ * @param {Array} stack - Stack di un'app o di un router Express
+ * @param {string} [prefix=''] - Path accumulato dei router padre
+ * @returns {Array<Object>} { method, path, authenticated, permissions, roles }
+ */
+const collectRoutes = (stack, prefix = '') => {
+  const routes = [];
+
+  stack.forEach((layer) => {
+    // Il fallback 404 (app.all('*')) non è una route dell'API
+    if (layer.route?.path === '*') return;
+
+    if (layer.route) {
+      const { route } = layer;
+      const methods = Object.keys(route.methods).filter((m) => m !== '_all');
+
+      methods.forEach((method) => {
+        const handlers = route.stack
+          .filter((l) => l.method === method)
+          .map((l) => l.handle);
+        const permissions = handlers.flatMap((h) => h.permissions || []);
+        const authenticated =
+          handlers.includes(protect) || permissions.length > 0;
+
+        routes.push({
+          method: method.toUpperCase(),
+          path:
+            route.path === '/' && prefix ? prefix : `${prefix}${route.path}`,
+          authenticated,
+          permissions,
+          roles: authenticated
+            ? permissions.length > 0
+              ? rolesWithAnyPermission(permissions)
+              : Object.keys(ROLES)
+            : [],
+        });
+      });
+    } else if (layer.name === 'router' && layer.handle.stack) {
+      routes.push(
+        ...collectRoutes(layer.handle.stack, `${prefix}${getMountPath(layer)}`),
+      );
+    }
+  });
+
+  return routes;
+};
+
+/**
+ * Matrice dei permessi: ruoli, permessi, route e utenti
+ * @async
+ * @function getPermissionMatrix
+ *
+ * @example
+ * GET /api/v1/admin/permissions
+ * GET /api/v1/admin/permissions?protectedOnly=true
+ */
+exports.getPermissionMatrix = catchAsync(async (req, res, next) => {
+  let routes = collectRoutes(req.app._router.stack);
+  if (req.query.protectedOnly === true) {
+    routes = routes.filter((r) => r.authenticated);
+  }
+
+  const users = await User.find({ active: true })
+    .select('name email role')
+    .sort({ role: 1, name: 1 });
+
+  const usersByRole = Object.keys(ROLES).reduce((acc, role) => {
+    acc[role] = users
+      .filter((u) => u.role === role)
+      .map((u) => ({ id: u._id, name: u.name, email: u.email }));
+    return acc;
+  }, {});
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      roles: ROLES,
+      permissions: PERMISSION_DESCRIPTIONS,
+      routes,
+      usersByRole,
+    },
+  });
+});
+
+module.exports = exports;
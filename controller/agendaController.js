@@ -0,0 +1,398 @@
+/**
+ * @file agendaController.js
+ * @description Controller per il programma degli eventi (sessioni e relatori)
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Il programma è la lista `sessions` dell'evento: consultazione per giorno e
+ * per relatore, export PDF e iCalendar, modifica da parte degli organizzatori
+ * Giorni e orari sono quelli del fuso degli eventi (EVENT_TIMEZONE)
+ *
+ * Ogni modifica controlla che le sessioni nella stessa sala non si
+ * sovrappongano e incrementa la revisione (sequence) dell'evento, così i
+ * calendari che hanno importato le sessioni ricevono gli aggiornamenti
+ */
+
+const mongoose = require('mongoose');
+const Eventi = require('./../models/eventiModel');
+const Speaker = require('./../models/speakerModel');
+const AppError = require('./../utils/errorClass');
+const catchAsync = require('./../middleware/catchAsync');
+const config = require('./../config');
+const { calendarUid, toICS, sendICS } = require('./../utils/ical');
+const {
+  localDay,
+  speakerName,
+  groupSessionsByDay,
+  groupSessionsBySpeaker,
+  renderAgendaPDF,
+} = require('./../utils/agenda');
+
+/**
+ * Campi pubblici dei relatori mostrati nel programma
+ * @constant
+ */
+const SPEAKER_FIELDS = 'nome cognome titolo organizzazione photo';
+
+/**
+ * Recupera un evento per ID o risponde 404
+ *
+ * @private
+ * @param {string} id
+ * @param {boolean} [withSpeakers=false] - Popola i relatori delle sessioni
+ * @returns {Promise<Object>}
+ * @throws {AppError} 404
+ */
+const findEvent = async (id, withSpeakers = false) => {
+  const query = Eventi.findById(id);
+  if (withSpeakers) query.populate('sessions.speakers', SPEAKER_FIELDS);
+
+  const event = await query;
+  if (!event) throw new AppError('Evento non trovato', 404);
+  return event;
+};
+
+/**
+ * Orario locale di una data (HH:MM) per i messaggi di errore
+ *
+ * @private
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatTime = (date) =>
+  new Intl.DateTimeFormat('it-IT', {
+    timeZone: config.events.timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+  }).format(date);
+
+/**
+ * Descrive una sovrapposizione per la risposta 409
+ *
+ * @private
+ * @param {Array<Object>} pair - [sessione, sessione]
+ * @returns {string}
+ */
+const describeOverlap = ([a, b]) => {
+  const when = (s) =>
+    `"${s.title}" (${localDay(s.start, config.events.timeZone)} ` +
+    `${formatTime(s.start)}-${formatTime(s.end)})`;
+  return `${a.room}: ${when(a)} e ${when(b)}`;
+};
+
+/**
+ * Salva il programma di un evento
+ * Controlla sovrapposizioni, campi e relatori, poi scrive le sessioni solo se
+ * l'evento non è cambiato dalla lettura (stessa revisione)
+ *
+ * @private
+ * @param {Object} event - Evento letto dal database
+ * @param {Array<Object>} sessions - Sessioni complete (oggetti semplici)
+ * @returns {Promise<Object>} Evento aggiornato, con i relatori popolati
+ * @throws {AppError} 400 RECURRING_EVENT | UNKNOWN_SPEAKERS,
+ *   409 SESSION_OVERLAP | AGENDA_CHANGED
+ * @throws {mongoose.Error.ValidationError} Campi delle sessioni non validi
+ */
+const saveAgenda = async (event, sessions) => {
+  if (event.isRecurring()) {
+    throw new AppError(
+      'Una serie ricorrente non ha un programma: modificare la singola occorrenza',
+      400,
+      'RECURRING_EVENT',
+    );
+  }
+
+  // Il documento di appoggio converte date e id come al salvataggio
+  const draft = new Eventi({ sessions });
+  const overlaps = Eventi.findSessionOverlaps(draft.sessions);
+  if (overlaps.length > 0) {
+    throw new AppError(
+      'Sessioni sovrapposte nella stessa sala',
+      409,
+      'SESSION_OVERLAP',
+      { sessions: overlaps.map(describeOverlap).join('; ') },
+    );
+  }
+
+  const invalid = draft.validateSync(['sessions']);
+  if (invalid) throw invalid;
+
+  const speakerIds = [
+    ...new Set(draft.sessions.flatMap((s) => s.speakers.map(String))),
+  ];
+  const found = await Speaker.find({ _id: { $in: speakerIds } }).distinct(
+    '_id',
+  );
+  const unknown = speakerIds.filter(
+    (id) => !found.some((foundId) => foundId.equals(id)),
+  );
+  if (unknown.length > 0) {
+    throw new AppError('Relatori non trovati', 400, 'UNKNOWN_SPEAKERS', {
+      speakers: unknown.join(', '),
+    });
+  }
+
+  // Gli eventi creati prima delle revisioni non hanno il campo sequence
+  const revision = event.sequence || { $in: [0, null] };
+  const updated = await Eventi.findOneAndUpdate(
+    { _id: event._id, sequence: revision },
+    {
+      $set: { sessions: draft.toObject().sessions, updatedAt: Date.now() },
+      $inc: { sequence: 1 },
+    },
+    { new: true },
+  ).populate('sessions.speakers', SPEAKER_FIELDS);
+
+  if (!updated) {
+    throw new AppError(
+      'Il programma è stato modificato nel frattempo: riprovare',
+      409,
+      'AGENDA_CHANGED',
+    );
+  }
+  return updated;
+};
+
+/**
+ * Sessioni dell'evento filtrate per relatore, sala e giorno
+ *
+ * @private
+ * @param {Array<Object>} sessions - Con i relatori popolati
+ * @param {Object} filters - { speaker, room, day }
+ * @returns {Array<Object>}
+ */
+const filterSessions = (sessions, { speaker, room, day }) =>
+  sessions.filter(
+    (s) =>
+      (!speaker || s.speakers.some((sp) => String(sp._id) === speaker)) &&
+      (!room || (s.room || '').toLowerCase() === room.trim().toLowerCase()) &&
+      (!day || localDay(s.start, config.events.timeZone) === day),
+  );
+
+/**
+ * Sessione come voce di calendario
+ * Le sessioni prendono la revisione dell'evento: ogni modifica del programma
+ * la incrementa
+ *
+ * @private
+ * @param {Object} event
+ * @param {Object} session - Con i relatori popolati
+ * @returns {Object} Voce per toICS
+ */
+const toSessionEntry = (event, session) => ({
+  uid: calendarUid(`session-${session._id}`),
+  start: session.start,
+  end: session.end,
+  summary: session.title,
+  description: [
+    session.speakers.map(speakerName).join(', '),
+    session.description,
+  ]
+    .filter(Boolean)
+    .join('\n\n'),
+  location: [session.room, event.location].filter(Boolean).join(', '),
+  status: event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+  sequence: event.sequence,
+  categories: [event.title],
+  updatedAt: event.updatedAt,
+});
+
+/**
+ * Programma di un evento, per giorno (JSON), stampabile (PDF) o da importare
+ * nel calendario (iCalendar, una voce per sessione)
+ * Filtri opzionali: relatore, sala, giorno (YYYY-MM-DD)
+ * @async
+ * @function getEventAgenda
+ *
+ * @example
+ * GET /api/v1/events/507f1f77bcf86cd799439011/agenda?day=2026-08-01
+ * Response: { status: 'success', results: 4, data: { days: [{ day, sessions }] } }
+ * GET /api/v1/events/507f1f77bcf86cd799439011/agenda?format=pdf
+ */
+const getEventAgenda = catchAsync(async (req, res, next) => {
+  const { format = 'json', ...filters } = req.query;
+  const event = await findEvent(req.params.id, true);
+  const sessions = filterSessions(event.sessions, filters);
+  const days = groupSessionsByDay(sessions, config.events.timeZone);
+
+  if (format === 'pdf') {
+    const pdf = await renderAgendaPDF({
+      event,
+      days,
+      timeZone: config.events.timeZone,
+    });
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="programma-${event._id}.pdf"`,
+    });
+    return res.status(200).send(pdf);
+  }
+
+  if (format === 'ics') {
+    const ics = toICS({
+      name: `${event.title} - Programma`,
+      entries: sessions.map((session) => toSessionEntry(event, session)),
+    });
+    return sendICS(res, `programma-${event._id}.ics`, ics);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: sessions.length,
+    data: {
+      days,
+    },
+  });
+});
+
+/**
+ * Programma di un evento per relatore (in ordine di cognome), con la scheda
+ * di ogni relatore e le sue sessioni in ordine di orario
+ * @async
+ * @function getAgendaBySpeaker
+ *
+ * @example
+ * GET /api/v1/events/507f1f77bcf86cd799439011/agenda/speakers
+ * Response: { status: 'success', results: 2, data: { speakers: [{ speaker, sessions }] } }
+ */
+const getAgendaBySpeaker = catchAsync(async (req, res, next) => {
+  const event = await Eventi.findById(req.params.id).populate(
+    'sessions.speakers',
+    `${SPEAKER_FIELDS} bio`,
+  );
+  if (!event) {
+    return next(new AppError('Evento non trovato', 404));
+  }
+
+  const speakers = groupSessionsBySpeaker(event.sessions);
+
+  res.status(200).json({
+    status: 'success',
+    results: speakers.length,
+    data: {
+      speakers,
+    },
+  });
+});
+
+/**
+ * Sostituisce l'intero programma di un evento (organizzatori)
+ * Le sessioni inviate con il loro _id lo mantengono, così le voci già
+ * importate nei calendari vengono aggiornate e non duplicate
+ * @async
+ * @function setEventAgenda
+ *
+ * @example
+ * PUT /api/v1/events/507f1f77bcf86cd799439011/agenda
+ * { sessions: [{ title, start, end, room, speakers: [speakerId] }] }
+ */
+const setEventAgenda = catchAsync(async (req, res, next) => {
+  const event = await findEvent(req.params.id);
+  const updated = await saveAgenda(event, req.body.sessions);
+
+  res.status(200).json({
+    status: 'success',
+    results: updated.sessions.length,
+    data: {
+      days: groupSessionsByDay(updated.sessions, config.events.timeZone),
+    },
+  });
+});
+
+/**
+ * Aggiunge una sessione al programma (organizzatori)
+ * @async
+ * @function addSession
+ *
+ * @example
+ * POST /api/v1/events/507f1f77bcf86cd799439011/sessions
+ * { title: 'Culto di apertura', kind: 'worship', start, end, room: 'Aula magna' }
+ */
+const addSession = catchAsync(async (req, res, next) => {
+  const { _id, ...fields } = req.body;
+  const event = await findEvent(req.params.id);
+  const sessionId = new mongoose.Types.ObjectId();
+
+  const updated = await saveAgenda(event, [
+    ...event.sessions.map((s) => s.toObject()),
+    { ...fields, _id: sessionId },
+  ]);
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      session: updated.sessions.id(sessionId),
+    },
+  });
+});
+
+/**
+ * Modifica una sessione del programma (organizzatori)
+ * @async
+ * @function updateSession
+ *
+ * @example
+ * PATCH /api/v1/events/507f1f77bcf86cd799439011/sessions/507f1f77bcf86cd799439012
+ * { room: 'Sala B' }
+ */
+const updateSession = catchAsync(async (req, res, next) => {
+  const { _id, ...fields } = req.body;
+  const event = await findEvent(req.params.id);
+  const { sessionId } = req.params;
+
+  if (!event.sessions.id(sessionId)) {
+    return next(new AppError('Sessione non trovata', 404));
+  }
+
+  const updated = await saveAgenda(
+    event,
+    event.sessions.map((s) =>
+      s._id.equals(sessionId) ? { ...s.toObject(), ...fields } : s.toObject(),
+    ),
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      session: updated.sessions.id(sessionId),
+    },
+  });
+});
+
+/**
+ * Toglie una sessione dal programma (organizzatori)
+ * @async
+ * @function deleteSession
+ *
+ * @example
+ * DELETE /api/v1/events/507f1f77bcf86cd799439011/sessions/507f1f77bcf86cd799439012
+ */
+const deleteSession = catchAsync(async (req, res, next) => {
+  const event = await findEvent(req.params.id);
+  const { sessionId } = req.params;
+
+  if (!event.sessions.id(sessionId)) {
+    return next(new AppError('Sessione non trovata', 404));
+  }
+
+  await saveAgenda(
+    event,
+    event.sessions
+      .filter((s) => !s._id.equals(sessionId))
+      .map((s) => s.toObject()),
+  );
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
+
+module.exports = {
+  getEventAgenda,
+  getAgendaBySpeaker,
+  setEventAgenda,
+  addSession,
+  updateSession,
+  deleteSession,
+};
@@ -10,6 +10,8 @@
 
 const Article = require('./../models/articlesModel');
 const APIFeatures = require('./../utils/apiFeatures');
+const AppError = require('./../utils/errorClass');
+const catchAsync = require('./../middleware/catchAsync');
 
 /**
  * Recupera tutti gli articoli con filtri, ordinamento e paginazione
@@ -19,30 +21,24 @@ const APIFeatures = require('./../utils/apiFeatures');
  * @param {Object} res - Express response
  * @returns {Object} JSON con lista di articoli
  */
-const getAllArticles = async (req, res) => {
-  try {
-    const features = new APIFeatures(Article.find(), req.query)
-      .filter()
-      .sort()
-      .limitFields()
-      .paginate();
-
-    const articles = await features.query;
-
-    res.status(200).json({
-      status: 'success',
-      results: articles.length,
-      data: {
-        articles,
-      },
-    });
-  } catch (error) {
-    res.status(404).json({
-      status: 'fail',
-      message: error.message,
-    });
-  }
-};
+const getAllArticles = catchAsync(async (req, res, next) => {
+  const features = new APIFeatures(Article.find(), req.query)
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const { docs: articles, pagination } = await features.execute();
+
+  res.status(200).json({
+    status: 'success',
+    results: articles.length,
+    ...pagination,
+    data: {
+      articles,
+    },
+  });
+});
 
 /**
  * Recupera un singolo articolo per ID
@@ -53,37 +49,27 @@ const getAllArticles = async (req, res) => {
  * @param {Object} res - Express response
  * @returns {Object} JSON con i dati dell'articolo
  */
-const getArticle = async (req, res) => {
-  try {
-    // 📈 Incrementa automaticamente le views quando un articolo viene visualizzato
-    const article = await Article.findByIdAndUpdate(
-      req.params.id,
-      { $inc: { views: 1 } },
-      { new: true, runValidators: false }
-    );
-
-    if (!article) {
-      return res.status(404).json({
-        status: 'fail',
-        message: 'Article not found',
-      });
-    }
+const getArticle = catchAsync(async (req, res, next) => {
+  // 📈 Incrementa automaticamente le views quando un articolo viene visualizzato
+  const article = await Article.findByIdAndUpdate(
+    req.params.id,
+    { $inc: { views: 1 } },
+    { new: true, runValidators: false }
+  );
+
+  if (!article) {
+    return next(new AppError('Article not found', 404));
+  }
 
-    console.log(`📄 Article "${article.title}" viewed. Total views: ${article.views}`);
+  console.log(`📄 Article "${article.title}" viewed. Total views: ${article.views}`);
 
-    res.status(200).json({
-      status: 'success',
-      data: {
-        article,
-      },
-    });
-  } catch (error) {
-    res.status(404).json({
-      status: 'fail',
-      message: error.message,
-    });
-  }
-};
+  res.status(200).json({
+    status: 'success',
+    data: {
+      article,
+    },
+  });
+});
 
 /**
  * Crea un nuovo articolo
@@ -93,22 +79,15 @@ const getArticle = async (req, res) => {
  * @param {Object} res - Express response
  * @returns {Object} JSON con articolo creato
  */
-const createArticle = async (req, res) => {
-  try {
-    const article = await Article.create(req.body);
-    res.status(201).json({
-      status: 'success',
-      data: {
-        article,
-      },
-    });
-  } catch (error) {
-    res.status(400).json({
-      status: 'fail',
-      message: error.message,
-    });
-  }
-};
+const createArticle = catchAsync(async (req, res, next) => {
+  const article = await Article.create(req.body);
+  res.status(201).json({
+    status: 'success',
+    data: {
+      article,
+    },
+  });
+});
 
 /**
  * Aggiorna un articolo
@@ -118,33 +97,23 @@ const createArticle = async (req, res) => {
  * @param {Object} res - Express response
  * @returns {Object} JSON con articolo aggiornato
  */
-const updateArticle = async (req, res) => {
-  try {
-    const article = await Article.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
-    });
-
-    if (!article) {
-      return res.status(404).json({
-        status: 'fail',
-        message: 'Article not found',
-      });
-    }
-
-    res.status(200).json({
-      status: 'success',
-      data: {
-        article,
-      },
-    });
-  } catch (error) {
-    res.status(404).json({
-      status: 'fail',
-      message: error.message,
-    });
+const updateArticle = catchAsync(async (req, res, next) => {
+  const article = await Article.findByIdAndUpdate(req.params.id, req.body, {
+    new: true,
+    runValidators: true,
+  });
+
+  if (!article) {
+    return next(new AppError('Article not found', 404));
   }
-};
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      article,
+    },
+  });
+});
 
 /**
  * Elimina un articolo
@@ -154,28 +123,18 @@ const updateArticle = async (req, res) => {
  * @param {Object} res - Express response
  * @returns {void}
  */
-const deleteArticle = async (req, res) => {
-  try {
-    const article = await Article.findByIdAndDelete(req.params.id);
+const deleteArticle = catchAsync(async (req, res, next) => {
+  const article = await Article.findByIdAndDelete(req.params.id);
 
-    if (!article) {
-      return res.status(404).json({
-        status: 'fail',
-        message: 'Article not found',
-      });
-    }
-
-    res.status(204).json({
-      status: 'success',
-      data: null,
-    });
-  } catch (error) {
-    res.status(404).json({
-      status: 'fail',
-      message: error.message,
-    });
+  if (!article) {
+    return next(new AppError('Article not found', 404));
   }
-};
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
 
 /**
  * Incrementa il conteggio delle visualizzazioni per un articolo
@@ -184,41 +143,30 @@ const deleteArticle = async (req, res) => {
  * @param {string} req.params.id - Article ID
  * @returns {Object} Updated article document with incremented views
  */
-const incrementArticleViews = async (req, res) => {
-  try {
-    const articleId = req.params.id;
-    console.log(`📈 Incrementing views for article: ${articleId}`);
-
-    const article = await Article.findByIdAndUpdate(
-      articleId,
-      { $inc: { views: 1 } },
-      { new: true, runValidators: false }
-    );
-
-    if (!article) {
-      return res.status(404).json({
-        status: 'fail',
-        message: 'Article not found',
-      });
-    }
+const incrementArticleViews = catchAsync(async (req, res, next) => {
+  const articleId = req.params.id;
+  console.log(`📈 Incrementing views for article: ${articleId}`);
+
+  const article = await Article.findByIdAndUpdate(
+    articleId,
+    { $inc: { views: 1 } },
+    { new: true, runValidators: false }
+  );
+
+  if (!article) {
+    return next(new AppError('Article not found', 404));
+  }
 
-    console.log(`✅ Views incremented. Total views: ${article.views}`);
+  console.log(`✅ Views incremented. Total views: ${article.views}`);
 
-    res.status(200).json({
-      status: 'success',
-      data: {
-        articleId: article._id,
-        views: article.views,
-      },
-    });
-  } catch (error) {
-    console.error('Error incrementing views:', error);
-    res.status(500).json({
-      status: 'fail',
-      message: 'Error updating views: ' + error.message,
-    });
-  }
-};
+  res.status(200).json({
+    status: 'success',
+    data: {
+      articleId: article._id,
+      views: article.views,
+    },
+  });
+});
 
 /**
  * Ottiene le statistiche complete delle visualizzazioni degli articoli
@@ -226,71 +174,63 @@ const incrementArticleViews = async (req, res) => {
  * @param {Object} req - Express request object
  * @returns {Object} Statistiche: totale views, media views, articolo più visto, etc.
  */
-const getViewsStatistics = async (req, res) => {
-  try {
-    console.log('📊 Fetching article views statistics');
-
-    const stats = await Article.aggregate([
-      {
-        $group: {
-          _id: null,
-          totalViews: { $sum: '$views' },
-          averageViews: { $avg: '$views' },
-          maxViews: { $max: '$views' },
-          minViews: { $min: '$views' },
-          totalArticles: { $sum: 1 },
-        },
+const getViewsStatistics = catchAsync(async (req, res, next) => {
+  console.log('📊 Fetching article views statistics');
+
+  const stats = await Article.aggregate([
+    {
+      $group: {
+        _id: null,
+        totalViews: { $sum: '$views' },
+        averageViews: { $avg: '$views' },
+        maxViews: { $max: '$views' },
+        minViews: { $min: '$views' },
+        totalArticles: { $sum: 1 },
       },
-    ]);
-
-    // Ottieni gli articoli più visti (top 10)
-    const topArticles = await Article.find()
-      .select('_id title views category publishedAt')
-      .sort({ views: -1 })
-      .limit(10);
-
-    // Ottieni statistiche per categoria
-    const categoryStats = await Article.aggregate([
-      {
-        $group: {
-          _id: '$category',
-          totalViews: { $sum: '$views' },
-          averageViews: { $avg: '$views' },
-          count: { $sum: 1 },
-        },
+    },
+  ]);
+
+  // Ottieni gli articoli più visti (top 10)
+  const topArticles = await Article.find()
+    .select('_id title views category publishedAt')
+    .sort({ views: -1 })
+    .limit(10);
+
+  // Ottieni statistiche per categoria
+  const categoryStats = await Article.aggregate([
+    {
+      $group: {
+        _id: '$category',
+        totalViews: { $sum: '$views' },
+        averageViews: { $avg: '$views' },
+        count: { $sum: 1 },
       },
-      { $sort: { totalViews: -1 } },
-    ]);
-
-    const result = {
-      status: 'success',
-      data: {
-        overview: stats[0] || {
-          totalViews: 0,
-          averageViews: 0,
-          maxViews: 0,
-          minViews: 0,
-          totalArticles: 0,
-        },
-        topArticles,
-        categoryStats,
-        timestamp: new Date(),
+    },
+    { $sort: { totalViews: -1 } },
+  ]);
+
+  const result = {
+    status: 'success',
+    data: {
+      overview: stats[0] || {
+        totalViews: 0,
+        averageViews: 0,
+        maxViews: 0,
+        minViews: 0,
+        totalArticles: 0,
       },
-    };
-
-    console.log(
-      `✅ Statistics retrieved. Total views: ${result.data.overview.totalViews}`
-    );
-
-    res.status(200).json(result);
-  } catch (error) {
-    console.error('Error fetching statistics:', error);
-    res.status(500).json({
-      status: 'fail',
-      message: 'Error fetching statistics: ' + error.message,
-    });
-  }
-};
+      topArticles,
+      categoryStats,
+      timestamp: new Date(),
+    },
+  };
+
+  console.log(
+    `✅ Statistics retrieved. Total views: ${result.data.overview.totalViews}`
+  );
+
+  res.status(200).json(result);
+});
 
 module.exports = {
   getAllArticles,
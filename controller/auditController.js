@@ -0,0 +1,123 @@
+/**
+ * @file auditController.js
+ * @description Controller per la consultazione dell'audit log
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Le voci sono scritte da utils/auditPlugin.js: qui sono solo in lettura
+ *
+ * Filtri supportati:
+ * - entityType: nome del modello (Libro, Documento, News, Donazione, ProjectPhase, Contact)
+ * - entityId: ID del documento modificato
+ * - action: create, update, delete
+ * - actor: ID utente oppure email dell'utente
+ * - actorType: user, anonymous, system
+ * - from / to: intervallo di date (ISO 8601)
+ */
+
+const mongoose = require('mongoose');
+const AuditLog = require('../models/auditLogModel');
+const AppError = require('../utils/errorClass');
+const catchAsync = require('../middleware/catchAsync');
+
+/**
+ * Numero massimo di voci per pagina
+ * @constant
+ */
+const MAX_LIMIT = 100;
+
+/**
+ * Costruisce il filtro MongoDB dalla query string
+ * La query è già validata dalla route (validation/auditSchemas.js)
+ *
+ * @private
+ * @param {Object} query - req.query
+ * @returns {Object} Filtro MongoDB
+ */
+const buildFilter = (query) => {
+  const filter = {};
+
+  if (query.entityType) filter.entityType = String(query.entityType);
+  if (query.action) filter.action = String(query.action);
+  if (query.actorType) filter.actorType = String(query.actorType);
+
+  if (query.entityId) filter.entityId = query.entityId;
+
+  if (query.actor) {
+    const actor = String(query.actor);
+    if (mongoose.Types.ObjectId.isValid(actor)) {
+      filter['actor.id'] = actor;
+    } else {
+      filter['actor.email'] = actor.toLowerCase();
+    }
+  }
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+
+    if (query.from) filter.createdAt.$gte = new Date(query.from);
+    if (query.to) filter.createdAt.$lte = new Date(query.to);
+  }
+
+  return filter;
+};
+
+/**
+ * Recupera le voci dell'audit log (più recenti per prime)
+ * @async
+ * @function getAuditLogs
+ *
+ * @example
+ * GET /api/v1/audit?entityType=Libro&entityId=...
+ * GET /api/v1/audit?actor=mario@example.com&from=2025-01-01&to=2025-01-31
+ * GET /api/v1/audit?action=delete&page=2&limit=50
+ */
+exports.getAuditLogs = catchAsync(async (req, res, next) => {
+  const filter = buildFilter(req.query);
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || 20, 1),
+    MAX_LIMIT,
+  );
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    AuditLog.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: entries.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    data: {
+      entries,
+    },
+  });
+});
+
+/**
+ * Recupera una singola voce dell'audit log
+ * @async
+ * @function getAuditLog
+ */
+exports.getAuditLog = catchAsync(async (req, res, next) => {
+  const entry = await AuditLog.findById(req.params.id);
+
+  if (!entry) {
+    return next(new AppError('Voce di audit non trovata', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      entry,
+    },
+  });
+});
+
+module.exports = exports;
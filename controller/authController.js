@@ -0,0 +1,177 @@
+/**
+ * @file authController.js
+ * @description Authentication controller (login, token refresh, logout)
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Issues short-lived JWT access tokens and rotating refresh tokens
+ * Every refresh consumes the presented token and returns a new pair
+ * Presenting an already rotated refresh token revokes all sessions of the user
+ */
+
+const User = require('../models/userModel');
+const {
+  signAccessToken,
+  signRefreshToken,
+  verifyRefreshToken,
+} = require('../utils/tokens');
+const AppError = require('../utils/errorClass');
+const catchAsync = require('../middleware/catchAsync');
+
+/**
+ * Issues a new access/refresh token pair and sends it to the client
+ * The refresh token is registered on the user before saving
+ *
+ * @private
+ * @param {Object} user - User document loaded with `+refreshTokens`
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} res - Express response
+ */
+const sendTokens = async (user, statusCode, res) => {
+  const accessToken = signAccessToken(user);
+  const refresh = signRefreshToken(user);
+
+  user.addRefreshToken(refresh.jti, refresh.expiresAt);
+  await user.save({ validateBeforeSave: false });
+
+  res.status(statusCode).json({
+    status: 'success',
+    accessToken,
+    refreshToken: refresh.token,
+    refreshTokenExpiresAt: refresh.expiresAt,
+    data: {
+      user,
+    },
+  });
+};
+
+/**
+ * Login with email and password
+ *
+ * POST /api/v1/auth/login
+ *
+ * @param {Object} req - Express request
+ * @param {string} req.body.email - Account email
+ * @param {string} req.body.password - Account password
+ * @param {Object} res - Express response
+ * @returns {Object} Access token, refresh token and user profile
+ */
+exports.login = catchAsync(async (req, res, next) => {
+  const { email, password } = req.body;
+
+  const user = await User.findOne({
+    email: String(email).toLowerCase().trim(),
+  }).select('+password +refreshTokens');
+
+  if (
+    !user ||
+    !user.active ||
+    !(await user.correctPassword(String(password)))
+  ) {
+    return next(
+      new AppError('Email o password non corretti', 401, 'INVALID_CREDENTIALS'),
+    );
+  }
+
+  user.lastLoginAt = Date.now();
+  await sendTokens(user, 200, res);
+});
+
+/**
+ * Exchange a refresh token for a new token pair (rotation)
+ *
+ * POST /api/v1/auth/refresh
+ *
+ * @param {Object} req - Express request
+ * @param {string} req.body.refreshToken - Refresh token from login or a previous refresh
+ * @param {Object} res - Express response
+ * @returns {Object} New access token and new refresh token
+ */
+exports.refresh = catchAsync(async (req, res, next) => {
+  // Invalid or expired tokens: 401 TOKEN_INVALID / TOKEN_EXPIRED from the
+  // global error handler
+  const decoded = verifyRefreshToken(req.body.refreshToken);
+  const user = await User.findById(decoded.id).select('+refreshTokens');
+
+  if (!user || !user.active) {
+    return next(
+      new AppError(
+        "L'utente associato a questo token non esiste più.",
+        401,
+        'USER_INACTIVE',
+      ),
+    );
+  }
+
+  if (!user.hasRefreshToken(decoded.jti)) {
+    // A valid signature but an unknown jti means the token was already
+    // rotated or revoked: treat it as stolen and end every session
+    user.revokeAllRefreshTokens();
+    await user.save({ validateBeforeSave: false });
+
+    return next(
+      new AppError(
+        'Refresh token non più valido. Effettua di nuovo il login.',
+        401,
+        'TOKEN_REUSED',
+      ),
+    );
+  }
+
+  user.revokeRefreshToken(decoded.jti);
+  await sendTokens(user, 200, res);
+});
+
+/**
+ * Logout: revokes the given refresh token
+ * The access token simply expires on its own
+ *
+ * POST /api/v1/auth/logout
+ *
+ * @param {Object} req - Express request
+ * @param {string} req.body.refreshToken - Refresh token to revoke
+ * @param {Object} res - Express response
+ * @returns {void}
+ */
+exports.logout = catchAsync(async (req, res, next) => {
+  const { refreshToken } = req.body;
+
+  if (refreshToken) {
+    // An expired token is still worth removing from the user document;
+    // a forged one is answered 401 TOKEN_INVALID by the global error handler
+    const decoded = verifyRefreshToken(refreshToken, {
+      ignoreExpiration: true,
+    });
+    const user = await User.findById(decoded.id).select('+refreshTokens');
+
+    if (user) {
+      user.revokeRefreshToken(decoded.jti);
+      await user.save({ validateBeforeSave: false });
+    }
+  }
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
+
+/**
+ * Returns the profile of the authenticated user
+ *
+ * GET /api/v1/auth/me
+ *
+ * @param {Object} req - Express request (req.user set by protect)
+ * @param {Object} res - Express response
+ * @returns {Object} User profile
+ */
+exports.getMe = (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user: req.user,
+    },
+  });
+};
+
+module.exports = exports;
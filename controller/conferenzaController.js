@@ -1,121 +1,1446 @@
+const mongoose = require('mongoose');
 const Conferenza = require('../models/conferenzaModel');
+const Eventi = require('../models/eventiModel');
+const Member = require('../models/memberModel');
 const APIFeatures = require('../utils/apiFeatures');
+const AppError = require('../utils/errorClass');
+const catchAsync = require('../middleware/catchAsync');
+const config = require('../config');
+const { toCSV, sendCSV } = require('../utils/csv');
+const { toXLSX, sendXLSX } = require('../utils/xlsx');
+const { ROLE_LABELS, renderBadgesPDF, renderAttendeeSheetPDF } = require('../utils/badges');
+const { signTicketToken, verifyTicketToken } = require('../utils/tokens');
+const { CONTENT_TYPES, renderQR, renderTicketPDF } = require('../utils/tickets');
+const { PERMISSIONS } = require('../config/permissions');
+const stripeConfig = require('../config/stripe');
 
-const getAllRegistrations = async (req, res) => {
-    try {
-        // Execute the query
-        const features = new APIFeatures(Conferenza.find(), req.query)
-                            .filter()
-                            .sort()
-                            .limitFields()
-                            .paginate();
-        const registrazioni = await features.query;
-
-        // Send the response
-        res.status(200).json({
-            status: 'success',
-            results: registrazioni.length,
-            data: {
-                registrazioni,
-            },
-        });
-    } catch (error) {
-        res.status(404).json({
-            status: 'fail',
-            message: error.message,
-        });
+/**
+ * Carica l'evento di un'iscrizione e verifica che accetti iscrizioni
+ * (stato aperto, evento non finito, scadenza delle iscrizioni non passata)
+ * @returns {Promise<Object>} Documento Event
+ * @throws {AppError} 404 se l'evento non esiste, 409 se è chiuso
+ */
+const findOpenEvent = async (eventId) => {
+    const event = await Eventi.findById(eventId);
+
+    if (!event) {
+        throw new AppError('Evento non trovato', 404);
+    }
+
+    if (!event.isRegistrationOpen(config.events.registrationCutoffHours)) {
+        throw new AppError('Le iscrizioni a questo evento sono chiuse', 409, 'EVENT_CLOSED');
     }
+
+    return event;
 };
-const getRegistration = async (req, res) => {
-    try {
-        const registrazione = await Conferenza.findById(req.params.id);
-        res.status(200).json({
-            status: 'success',
-            data: {
-                registrazione: registrazione,
-            },
-        });
-    } catch (error) {
-        res.status(404).json({
-            status: 'fail',
-            message: error,
-        });
+
+/**
+ * Passa il posto di un'iscrizione al primo della lista d'attesa
+ * (o lo libera se la coda è vuota)
+ * @returns {Promise<Object|null>} Iscrizione promossa
+ */
+const passPlaceOn = (registrazione) =>
+    Conferenza.promoteNext(registrazione.event, config.events.waitlistOfferHours);
+
+/**
+ * Campi del modulo che il client può impostare
+ * (stato, coda, codice personale, pagamento e consensi sono gestiti solo dal server;
+ * il ruolo lo assegnano gli organizzatori con updateRegistration)
+ */
+const pickRegistrationFields = (body) => {
+    const {
+        status, confirmedAt, cancelledAt, waitlistPosition,
+        offeredAt, offerExpiresAt, accessTokenHash, alloggio,
+        checkedInAt, checkedInBy, fasciaEta, gruppo, capogruppo,
+        pagamento, ruolo, consensi, member,
+        ...fields
+    } = body;
+    return fields;
+};
+
+/**
+ * Registra i consensi GDPR inviati con il modulo, con la versione corrente
+ * dell'informativa e l'ora dell'accettazione
+ * La privacy è obbligatoria; per i minorenni serve anche il consenso del
+ * genitore o tutore, con il suo nome
+ * @throws {AppError} 400 CONSENT_REQUIRED / GUARDIAN_CONSENT_REQUIRED
+ */
+const buildConsents = (consensi, registrazione) => {
+    if (!consensi || consensi.privacy !== true) {
+        throw new AppError(
+            "Per iscriversi è necessario accettare l'informativa sulla privacy",
+            400,
+            'CONSENT_REQUIRED'
+        );
+    }
+
+    const minor = registrazione.isMinor();
+    if (minor && !(consensi.tutore && consensi.tutore.accepted === true)) {
+        throw new AppError(
+            `Per ${registrazione.nome} ${registrazione.cognome} (minorenne) serve il consenso di un genitore o tutore`,
+            400,
+            'GUARDIAN_CONSENT_REQUIRED'
+        );
+    }
+
+    const stamp = { version: config.events.privacyNoticeVersion, at: new Date() };
+    return {
+        privacy: { accepted: true, ...stamp },
+        foto: { accepted: consensi.foto === true, ...stamp },
+        tutore: minor ? { nome: consensi.tutore.nome, accepted: true, ...stamp } : undefined,
+    };
+};
+
+/**
+ * Rifiuta l'iscrizione se la stessa persona è già iscritta all'evento
+ * (vedi Conferenza.findDuplicate)
+ * @throws {AppError} 409 DUPLICATE_REGISTRATION
+ */
+const checkDuplicate = async (registrazione) => {
+    if (await Conferenza.findDuplicate(registrazione)) {
+        throw new AppError(
+            `${registrazione.nome} ${registrazione.cognome} risulta già iscritto/a a questo evento`,
+            409,
+            'DUPLICATE_REGISTRATION'
+        );
+    }
+};
+
+/**
+ * Controlla il tipo di camera richiesto negli eventi con inventario alloggi:
+ * tipoAlloggio deve essere un codice dell'inventario (o 'nessuno') e i
+ * dormitori richiedono il sesso (M/F) per l'assegnazione della camera
+ * Negli eventi senza inventario tipoAlloggio resta testo libero
+ * @throws {AppError} 400 INVALID_ACCOMMODATION
+ */
+const checkRequestedAccommodation = (event, registrazione) => {
+    if (event.accommodations.length === 0) return;
+    if (registrazione.tipoAlloggio === Conferenza.NO_ACCOMMODATION) return;
+
+    const type = registrazione.getRequestedAccommodation(event);
+    if (!type) {
+        const codes = [...event.accommodations.map((a) => a.code), Conferenza.NO_ACCOMMODATION];
+        throw new AppError(
+            'Tipo di alloggio non disponibile per questo evento',
+            400,
+            'INVALID_ACCOMMODATION',
+            { tipoAlloggio: `Valori ammessi: ${codes.join(', ')}` }
+        );
+    }
+
+    if (type.kind === 'dormitory' && !Conferenza.normalizeGender(registrazione.sesso)) {
+        throw new AppError(
+            'Per il dormitorio è necessario indicare il sesso (M/F)',
+            400,
+            'INVALID_ACCOMMODATION',
+            { sesso: 'Valori ammessi: M, F' }
+        );
     }
 };
-const getMember = async (req, res) => {
+
+/**
+ * Calcola il pagamento di iscrizioni che hanno appena preso il posto
+ * Negli eventi a pagamento, con un importo maggiore di zero, restano pending
+ * finché il webhook Stripe non conferma il pagamento
+ * @returns {boolean} true se serve il pagamento
+ */
+const preparePayment = (event, members) => {
+    if (!event.requiresPayment()) return false;
+
+    members.forEach((member) => member.buildPayment(event));
+    const total = members.reduce((sum, member) => sum + member.pagamento.amount, 0);
+    if (total === 0) {
+        members.forEach((member) => { member.pagamento = undefined; });
+        return false;
+    }
+    return true;
+};
+
+/**
+ * Apre il checkout Stripe per iscrizioni pending (una persona o un gruppo:
+ * una sola sessione) e salva sessione e scadenza su ogni iscrizione
+ * Se la sessione scade senza pagamento il webhook libera i posti
+ * @returns {Promise<Object>} { url, expiresAt, amount } (importo in centesimi)
+ */
+const startCheckout = async (event, members) => {
+    const lead = members[0];
+    const expiresAt = new Date(Date.now() + event.pricing.paymentMinutes * 60 * 1000);
+
+    const session = await stripeConfig.createCheckoutSession({
+        email: lead.email,
+        name: `${lead.nome} ${lead.cognome}`,
+        lineItems: members.flatMap((member) => member.pagamento.items),
+        expiresAt,
+        clientReferenceId: (lead.gruppo || lead._id).toString(),
+        successUrl: config.stripe.registrationSuccessUrl || undefined,
+        cancelUrl: config.stripe.registrationCancelUrl || undefined,
+        metadata: {
+            type: 'registration',
+            event: event._id.toString(),
+            registration: lead._id.toString(),
+        },
+    });
+
+    const checkout = { sessionId: session.id, checkoutUrl: session.url, expiresAt };
+    await Conferenza.updateMany(
+        { _id: { $in: members.map((member) => member._id) } },
+        {
+            'pagamento.sessionId': session.id,
+            'pagamento.checkoutUrl': session.url,
+            'pagamento.expiresAt': expiresAt,
+        }
+    );
+    members.forEach((member) => Object.assign(member.pagamento, checkout));
+
+    return {
+        url: session.url,
+        expiresAt,
+        amount: members.reduce((sum, member) => sum + member.pagamento.amount, 0),
+    };
+};
+
+/**
+ * Errore restituito quando il checkout non si può aprire (posti già restituiti)
+ */
+const paymentUnavailable = (err) => {
+    console.error('❌ Checkout iscrizione non creato:', err.message);
+    return new AppError(
+        'Il pagamento online non è disponibile, riprova più tardi',
+        502,
+        'PAYMENT_UNAVAILABLE'
+    );
+};
+
+/**
+ * Toglie i letti assegnati a iscrizioni non salvate o annullate sul momento
+ */
+const releaseGroupBeds = (event, members) => Promise.all(members
+    .filter((member) => member.alloggio)
+    .map((member) => event.releaseBed(member.alloggio.code, member.alloggio.room)));
+
+/**
+ * Annulla una prenotazione appena fatta (checkout non creato): elimina le
+ * iscrizioni e restituisce letti e posti
+ */
+const undoReservation = async (event, members) => {
+    await Conferenza.deleteMany({ _id: { $in: members.map((member) => member._id) } });
+    await releaseGroupBeds(event, members);
+    await event.unregisterAttendee(members.length);
+};
+
+/**
+ * Chiude il checkout Stripe delle iscrizioni pending appena annullate (o
+ * eliminate), così non si può più pagare. Una sessione di gruppo resta aperta
+ * finché altri membri la devono pagare (la quota dell'annullato verrà
+ * rimborsata). Se Stripe non chiude la sessione (già pagata o non
+ * raggiungibile) l'annullamento resta: il pagamento di un'iscrizione annullata
+ * passa a refund_pending in completeCheckout e il webhook lo rimborsa
+ */
+const closeCheckouts = async (cancelled) => {
+    const sessionIds = new Set(cancelled
+        .filter((r) => r.status === 'pending' && r.pagamento && r.pagamento.sessionId)
+        .map((r) => r.pagamento.sessionId));
+
+    for (const sessionId of sessionIds) {
+        if (await Conferenza.exists({ 'pagamento.sessionId': sessionId, status: 'pending' })) continue;
+        try {
+            await stripeConfig.expireCheckoutSession(sessionId);
+        } catch (err) {
+            console.warn(`⚠ Checkout ${sessionId} non chiuso:`, err.message);
+        }
+    }
+};
+
+/**
+ * Scade le offerte non confermate in tempo per un evento
+ */
+const releaseExpiredOffers = (eventId) =>
+    Conferenza.releaseExpiredOffers(eventId, config.events.waitlistOfferHours);
+
+const getAllRegistrations = catchAsync(async (req, res, next) => {
+    // Execute the query
+    const features = new APIFeatures(Conferenza.find(), req.query)
+                        .filter()
+                        .sort()
+                        .limitFields()
+                        .paginate();
+    const { docs: registrazioni, pagination } = await features.execute();
+
+    // Send the response
+    res.status(200).json({
+        status: 'success',
+        results: registrazioni.length,
+        ...pagination,
+        data: {
+            registrazioni,
+        },
+    });
+});
+const getRegistration = catchAsync(async (req, res, next) => {
+    const registrazione = await Conferenza.findById(req.params.id);
+
+    if (!registrazione) {
+        return next(new AppError('Registrazione non trovata', 404));
+    }
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            registrazione: registrazione,
+        },
+    });
+});
+/**
+ * Iscrive una persona a un evento
+ * Il posto viene riservato prima di salvare l'iscrizione: controllo della
+ * capienza e incremento sono un'unica operazione atomica (registerAttendee),
+ * e il posto viene restituito se il salvataggio fallisce
+ * Se l'evento è pieno l'iscrizione entra in lista d'attesa
+ * Negli eventi con inventario alloggi un'iscrizione confermata riceve subito
+ * il letto del tipo richiesto: se quel tipo è esaurito l'iscrizione viene
+ * rifiutata (409 ACCOMMODATION_FULL) e il posto restituito
+ * Negli eventi a pagamento posto e letto restano tenuti (pending) finché il
+ * checkout Stripe è aperto: la risposta contiene `checkout.url`
+ * Servono i consensi GDPR (consensi.privacy, e consensi.tutore per i minorenni);
+ * una seconda iscrizione della stessa persona allo stesso evento viene
+ * rifiutata (409 DUPLICATE_REGISTRATION). Il modulo può inviare l'header
+ * Idempotency-Key: un invio ripetuto riceve la stessa risposta
+ *
+ * La risposta contiene il codice personale (`token`), mostrato una sola volta:
+ * serve all'iscritto per confermare il posto se viene promosso dalla coda e
+ * per scaricare il biglietto; un'iscrizione confermata riceve anche il
+ * biglietto d'ingresso (`ticket`, contenuto del QR code)
+ */
+const createRegistration = catchAsync(async (req, res, next) => {
+    const event = await findOpenEvent(req.body.event);
+    await releaseExpiredOffers(event._id);
+
+    const fields = pickRegistrationFields(req.body);
+    const registrazione = new Conferenza(fields);
+    registrazione.fasciaEta = Conferenza.ageBand(registrazione.dataNascita, event.date);
+    registrazione.consensi = buildConsents(req.body.consensi, registrazione);
+    checkRequestedAccommodation(event, registrazione);
+    await checkDuplicate(registrazione);
+
+    const reserved = await event.registerAttendee();
+    const token = registrazione.createAccessToken();
+
+    let checkout = null;
+
+    if (reserved) {
+        if (registrazione.getRequestedAccommodation(event)
+            && !(await registrazione.assignAccommodation(event))) {
+            await event.unregisterAttendee();
+            return next(new AppError(
+                'Non ci sono più letti disponibili per il tipo di alloggio scelto',
+                409,
+                'ACCOMMODATION_FULL'
+            ));
+        }
+
+        const paid = preparePayment(event, [registrazione]);
+        registrazione.status = paid ? 'pending' : 'confirmed';
+        if (!paid) registrazione.confirmedAt = Date.now();
+
+        try {
+            await registrazione.save();
+        } catch (err) {
+            if (registrazione.alloggio) {
+                await event.releaseBed(registrazione.alloggio.code, registrazione.alloggio.room);
+            }
+            await event.unregisterAttendee();
+            throw err;
+        }
+
+        if (paid) {
+            try {
+                checkout = await startCheckout(event, [registrazione]);
+            } catch (err) {
+                await undoReservation(event, [registrazione]);
+                return next(paymentUnavailable(err));
+            }
+        }
+    } else {
+        registrazione.status = 'waitlisted';
+        registrazione.waitlistPosition = await event.nextWaitlistPosition();
+        await registrazione.save();
+    }
+
+    registrazione.accessTokenHash = undefined;
+
+    res.status(201).json({
+        status: 'success',
+        message: {
+            confirmed: 'Iscrizione confermata',
+            pending: "Posto riservato: completa il pagamento per confermare l'iscrizione",
+            waitlisted: "L'evento è al completo: sei in lista d'attesa",
+        }[registrazione.status],
+        data: {
+            registrazione: registrazione,
+            token,
+            ticket: registrazione.status === 'confirmed' ? signTicketToken(registrazione) : null,
+            checkout,
+            waitlist: reserved ? null : { position: await registrazione.getWaitlistRank() },
+        },
+    });
+});
+/**
+ * Conferma le offerte ancora valide degli altri membri di un gruppo
+ * (il gruppo conferma con un solo codice, quello del capogruppo)
+ * @returns {Promise<Array<Object>>} Membri confermati
+ */
+const confirmGroupOffers = async (gruppo) => {
+    const filter = { gruppo, status: 'offered', offerExpiresAt: { $gte: new Date() } };
+    const pending = await Conferenza.find(filter).select('_id');
+    if (pending.length === 0) return [];
+
+    await Conferenza.updateMany(
+        { ...filter, _id: { $in: pending.map((r) => r._id) } },
+        { status: 'confirmed', confirmedAt: Date.now() }
+    );
+    return Conferenza.find({ _id: { $in: pending.map((r) => r._id) }, status: 'confirmed' });
+};
+
+/**
+ * Risposta della conferma: iscrizione, biglietto e, per un gruppo, gli altri
+ * membri confermati con i loro biglietti
+ */
+const sendConfirmation = (res, registrazione, members) => {
+    res.status(200).json({
+        status: 'success',
+        data: {
+            registrazione,
+            ticket: signTicketToken(registrazione),
+            gruppo: registrazione.gruppo
+                ? members.map((member) => ({ registrazione: member, ticket: signTicketToken(member) }))
+                : null,
+        },
+    });
+};
+
+/**
+ * Negli eventi a pagamento la conferma di un posto offerto apre il checkout:
+ * le offerte ancora valide (tutto il gruppo) passano a pending
+ * @returns {Promise<Object|null>} { registrazioni, checkout }, o null se non
+ *   c'è niente da pagare (si conferma come negli eventi gratuiti)
+ */
+const payOffer = async (event, registrazione) => {
+    const filter = { status: 'offered', offerExpiresAt: { $gte: new Date() } };
+    const members = await Conferenza.find(registrazione.gruppo
+        ? { ...filter, gruppo: registrazione.gruppo }
+        : { ...filter, _id: registrazione._id });
+
+    if (members.length === 0 || !preparePayment(event, members)) return null;
+
+    const pending = [];
+    for (const member of members) {
+        const updated = await Conferenza.findOneAndUpdate(
+            { ...filter, _id: member._id },
+            { status: 'pending', pagamento: member.pagamento },
+            { new: true }
+        );
+        if (updated) pending.push(updated);
+    }
+    if (pending.length === 0) return null;
+
     try {
-        const registrazione = await Conferenza.findById(req.params.nome);
-        res.status(200).json({
-            status: 'success',
-            data: {
-                registrazione: registrazione,
+        return { registrazioni: pending, checkout: await startCheckout(event, pending) };
+    } catch (err) {
+        // Il posto resta offerto: si può riprovare finché l'offerta è valida
+        await Conferenza.updateMany(
+            { _id: { $in: pending.map((member) => member._id) }, status: 'pending' },
+            { status: 'offered', $unset: { pagamento: 1 } }
+        );
+        throw paymentUnavailable(err);
+    }
+};
+
+/**
+ * Conferma il posto offerto a un'iscrizione promossa dalla lista d'attesa
+ * Pubblica: richiede il codice personale ricevuto all'iscrizione
+ * Oltre la scadenza l'offerta decade e il posto passa al successivo
+ * Per un gruppo la conferma di un membro conferma tutto il gruppo
+ * Negli eventi a pagamento la conferma apre il checkout Stripe (il posto
+ * diventa confermato al pagamento, via webhook)
+ */
+const confirmRegistration = catchAsync(async (req, res, next) => {
+    const registrazione = await Conferenza.findById(req.params.id).select('+accessTokenHash');
+
+    if (!registrazione || !registrazione.checkAccessToken(req.body.token)) {
+        return next(new AppError('Registrazione non trovata', 404));
+    }
+
+    await releaseExpiredOffers(registrazione.event);
+
+    const event = await Eventi.findById(registrazione.event);
+    if (event && event.requiresPayment()) {
+        const payment = await payOffer(event, registrazione);
+        if (payment) {
+            return res.status(200).json({
+                status: 'success',
+                message: 'Completa il pagamento per confermare il posto',
+                data: payment,
+            });
+        }
+    }
+
+    const confirmed = await Conferenza.findOneAndUpdate(
+        { _id: registrazione._id, status: 'offered', offerExpiresAt: { $gte: new Date() } },
+        { status: 'confirmed', confirmedAt: Date.now() },
+        { new: true }
+    );
+
+    if (!confirmed) {
+        const current = await Conferenza.findById(registrazione._id);
+        if (current.status === 'pending' && current.pagamento && current.pagamento.expiresAt > new Date()) {
+            return res.status(200).json({
+                status: 'success',
+                message: 'Completa il pagamento per confermare il posto',
+                data: {
+                    registrazioni: [current],
+                    checkout: {
+                        url: current.pagamento.checkoutUrl,
+                        expiresAt: current.pagamento.expiresAt,
+                        amount: current.pagamento.amount,
+                    },
+                },
+            });
+        }
+        if (current.status === 'confirmed' && current.gruppo) {
+            const pending = await confirmGroupOffers(current.gruppo);
+            if (pending.length > 0) return sendConfirmation(res, current, pending);
+        }
+        if (current.status === 'confirmed') {
+            return next(new AppError('Il posto è già confermato', 409, 'ALREADY_CONFIRMED'));
+        }
+        if (current.status === 'expired') {
+            return next(new AppError('Il tempo per confermare il posto è scaduto', 410, 'OFFER_EXPIRED'));
+        }
+        return next(new AppError('Nessun posto da confermare per questa iscrizione', 409, 'NO_PENDING_OFFER'));
+    }
+
+    const others = confirmed.gruppo ? await confirmGroupOffers(confirmed.gruppo) : [];
+    sendConfirmation(res, confirmed, others);
+});
+// Evento e stato non si cambiano da qui: sposterebbero posti senza aggiornare i contatori
+// (per annullare c'è PATCH /:id/cancel, per la coda PATCH /events/:id/waitlist)
+// Negli eventi con inventario alloggi la camera si cambia con POST /:id/accommodation
+const updateRegistration = catchAsync(async (req, res, next) => {
+    const updates = pickRegistrationFields(req.body);
+    delete updates.event;
+    if (req.body.ruolo !== undefined) updates.ruolo = req.body.ruolo;
+
+    if (updates.tipoAlloggio !== undefined) {
+        const current = await Conferenza.findById(req.params.id).populate('event', 'accommodations');
+        if (current && current.event && current.event.accommodations.length > 0) {
+            return next(new AppError(
+                "Per cambiare alloggio usare POST /api/v1/registration/:id/accommodation",
+                400,
+                'USE_ACCOMMODATION_ENDPOINT'
+            ));
+        }
+    }
+    if (updates.dataNascita !== undefined) {
+        const current = await Conferenza.findById(req.params.id).populate('event', 'date');
+        if (current && current.event) {
+            updates.fasciaEta = Conferenza.ageBand(updates.dataNascita, current.event.date);
+        }
+    }
+
+    const registration = await Conferenza
+        .findByIdAndUpdate(req.params.id, updates, {
+            new: true,
+            runValidators: true,
+        });
+
+    if (!registration) {
+        return next(new AppError('Registrazione non trovata', 404));
+    }
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            registration: registration,
+        },
+    });
+});
+/**
+ * Annulla un'iscrizione (confermata, in attesa di pagamento, offerta o in coda)
+ * Il posto di un'iscrizione che lo occupa passa automaticamente al
+ * primo della lista d'attesa, con la finestra di conferma; il letto assegnato
+ * viene liberato prima, così il promosso può prenderlo
+ * Il passaggio a cancelled è condizionale sullo stato precedente, quindi un
+ * doppio annullamento non libera due posti. Un'iscrizione in attesa di
+ * pagamento chiude anche il suo checkout Stripe
+ */
+const cancelRegistration = catchAsync(async (req, res, next) => {
+    const previous = await Conferenza.findOneAndUpdate(
+        { _id: req.params.id, status: { $in: ['confirmed', 'pending', 'offered', 'waitlisted'] } },
+        { status: 'cancelled', cancelledAt: Date.now() }
+    );
+
+    if (!previous) {
+        const exists = await Conferenza.exists({ _id: req.params.id });
+        return next(exists
+            ? new AppError('Registrazione già annullata o scaduta', 409, 'ALREADY_CANCELLED')
+            : new AppError('Registrazione non trovata', 404));
+    }
+
+    await closeCheckouts([previous]);
+    await previous.releaseAccommodation();
+    const promoted = Conferenza.HOLDING_STATUSES.includes(previous.status)
+        ? await passPlaceOn(previous)
+        : null;
+    const registrazione = await Conferenza.findById(previous._id);
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            registrazione,
+            promoted,
+        },
+    });
+});
+const deleteRegistration = catchAsync(async (req, res, next) => {
+    const registrazione = await Conferenza.findByIdAndDelete(req.params.id);
+
+    if (!registrazione) {
+        return next(new AppError('Registrazione non trovata', 404));
+    }
+
+    await closeCheckouts([registrazione]);
+    await registrazione.releaseAccommodation();
+    if (Conferenza.HOLDING_STATUSES.includes(registrazione.status)) {
+        await passPlaceOn(registrazione);
+    }
+
+    res.status(204).json({
+        status: 'success',
+        data: null,
+    });
+});
+
+/**
+ * Elenco degli iscritti a un evento (organizzatori)
+ * GET /api/v1/events/:id/registrations?status=confirmed&sort=cognome
+ */
+const getEventRegistrations = catchAsync(async (req, res, next) => {
+    const event = await Eventi.findById(req.params.id);
+
+    if (!event) {
+        return next(new AppError('Evento non trovato', 404));
+    }
+
+    const features = new APIFeatures(Conferenza.find({ event: event._id }), req.query)
+                        .filter()
+                        .sort()
+                        .limitFields()
+                        .paginate();
+    const { docs: registrazioni, pagination } = await features.execute();
+
+    res.status(200).json({
+        status: 'success',
+        results: registrazioni.length,
+        ...pagination,
+        data: {
+            event: {
+                _id: event._id,
+                title: event.title,
+                date: event.date,
+                capacity: event.capacity,
+                registrations: event.registrations,
+                remaining: event.getRemainingCapacity(),
             },
+            registrazioni,
+        },
+    });
+});
+
+/**
+ * Lista d'attesa di un evento (organizzatori): offerte in corso e coda in ordine
+ * GET /api/v1/events/:id/waitlist
+ */
+const getEventWaitlist = catchAsync(async (req, res, next) => {
+    const event = await Eventi.findById(req.params.id);
+
+    if (!event) {
+        return next(new AppError('Evento non trovato', 404));
+    }
+
+    await releaseExpiredOffers(event._id);
+
+    const [offered, waitlisted] = await Promise.all([
+        Conferenza.find({ event: event._id, status: 'offered' }).sort({ offerExpiresAt: 1 }),
+        Conferenza.find({ event: event._id, status: 'waitlisted' }).sort({ waitlistPosition: 1 }),
+    ]);
+
+    res.status(200).json({
+        status: 'success',
+        results: waitlisted.length,
+        data: {
+            offered,
+            waitlist: waitlisted.map((registrazione, index) => ({
+                position: index + 1,
+                registrazione,
+            })),
+        },
+    });
+});
+
+/**
+ * Riordina la lista d'attesa (organizzatori)
+ * Le iscrizioni indicate in `order` vanno in testa nell'ordine dato,
+ * le altre restano in coda nel loro ordine attuale
+ * PATCH /api/v1/events/:id/waitlist  { order: [registrationId, ...] }
+ */
+const reorderEventWaitlist = catchAsync(async (req, res, next) => {
+    const event = await Eventi.findById(req.params.id);
+
+    if (!event) {
+        return next(new AppError('Evento non trovato', 404));
+    }
+
+    const waitlisted = await Conferenza.find({ event: event._id, status: 'waitlisted' })
+        .sort({ waitlistPosition: 1 });
+    const byId = new Map(waitlisted.map((r) => [r._id.toString(), r]));
+
+    const order = [...new Set(req.body.order)];
+    const unknown = order.filter((id) => !byId.has(id));
+    if (unknown.length > 0) {
+        return next(new AppError(
+            "Alcune iscrizioni non sono in lista d'attesa per questo evento",
+            400,
+            'NOT_IN_WAITLIST',
+            { order: unknown.join(', ') }
+        ));
+    }
+
+    const rest = waitlisted.filter((r) => !order.includes(r._id.toString()));
+    const queue = [...order.map((id) => byId.get(id)), ...rest];
+
+    // Solo le iscrizioni ancora in coda: una promozione concorrente non viene toccata
+    if (queue.length > 0) {
+        await Conferenza.bulkWrite(queue.map((r, index) => ({
+            updateOne: {
+                filter: { _id: r._id, status: 'waitlisted' },
+                update: { waitlistPosition: index + 1 },
+            },
+        })));
+    }
+
+    res.status(200).json({
+        status: 'success',
+        results: queue.length,
+        data: {
+            waitlist: queue.map((r, index) => ({
+                position: index + 1,
+                registrazione: r._id,
+            })),
+        },
+    });
+});
+
+/**
+ * Assegna (o cambia) il letto di un'iscrizione (organizzatori)
+ * Senza `code` si usa il tipo già richiesto; `room` chiede una camera precisa.
+ * Il nuovo letto viene preso prima di liberare il vecchio, quindi se non c'è
+ * posto l'iscrizione resta dov'era
+ * POST /api/v1/registration/:id/accommodation  { code?, room? }
+ */
+const assignRegistrationAccommodation = catchAsync(async (req, res, next) => {
+    const registrazione = await Conferenza.findById(req.params.id);
+
+    if (!registrazione) {
+        return next(new AppError('Registrazione non trovata', 404));
+    }
+    if (!Conferenza.HOLDING_STATUSES.includes(registrazione.status)) {
+        return next(new AppError(
+            "Solo un'iscrizione confermata o offerta può avere un alloggio",
+            409,
+            'NOT_HOLDING_PLACE'
+        ));
+    }
+
+    const event = await Eventi.findById(registrazione.event);
+    if (!event) {
+        return next(new AppError('Evento non trovato', 404));
+    }
+    if (event.accommodations.length === 0) {
+        return next(new AppError(
+            'Questo evento non ha un inventario alloggi',
+            409,
+            'NO_ACCOMMODATION_INVENTORY'
+        ));
+    }
+
+    const previous = registrazione.alloggio ? registrazione.alloggio.toObject() : null;
+    const { code = registrazione.tipoAlloggio, room } = req.body;
+
+    registrazione.tipoAlloggio = code;
+    checkRequestedAccommodation(event, registrazione);
+
+    if (code === Conferenza.NO_ACCOMMODATION) {
+        await registrazione.releaseAccommodation();
+        await registrazione.save();
+        return res.status(200).json({
+            status: 'success',
+            data: { registrazione },
         });
-    } catch (error) {
-        res.status(404).json({
-            status: 'fail',
-            message: error,
+    }
+
+    const bed = room
+        ? await event.claimBed(code, {
+            gender: Conferenza.normalizeGender(registrazione.sesso),
+            preferredRooms: [room],
+        })
+        : null;
+
+    if (room && (!bed || bed.room !== room)) {
+        if (bed) await event.releaseBed(bed.code, bed.room);
+        return next(new AppError('La camera richiesta non è disponibile', 409, 'ROOM_UNAVAILABLE'));
+    }
+
+    if (bed) {
+        const nights = event.getNights();
+        registrazione.alloggio = {
+            code: bed.code,
+            room: bed.room,
+            nights,
+            pricePerNight: bed.pricePerNight,
+            total: nights * bed.pricePerNight,
+            assignedAt: new Date(),
+        };
+    } else if (!(await registrazione.assignAccommodation(event))) {
+        return next(new AppError(
+            'Non ci sono più letti disponibili per il tipo di alloggio scelto',
+            409,
+            'ACCOMMODATION_FULL'
+        ));
+    }
+
+    if (previous) {
+        await event.releaseBed(previous.code, previous.room);
+    }
+    await registrazione.save();
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            registrazione,
+        },
+    });
+});
+
+/**
+ * Colonne dell'export CSV della rooming list
+ */
+const ROOMING_LIST_COLUMNS = [
+    { header: 'Alloggio', value: 'type' },
+    { header: 'Camera', value: 'room' },
+    { header: 'Genere camera', value: 'gender' },
+    { header: 'Cognome', value: (row) => row.guest.cognome },
+    { header: 'Nome', value: (row) => row.guest.nome },
+    { header: 'Sesso', value: (row) => row.guest.sesso },
+    { header: 'Famiglia', value: (row) => row.guest.famiglia },
+    { header: 'Email', value: (row) => row.guest.email },
+    { header: 'Telefono', value: (row) => row.guest.telefono },
+    { header: 'Stato', value: (row) => row.guest.status },
+    { header: 'Notti', value: (row) => row.guest.alloggio && row.guest.alloggio.nights },
+    { header: 'Totale', value: (row) => row.guest.alloggio && row.guest.alloggio.total },
+];
+
+/**
+ * Rooming list di un evento (organizzatori): camere per tipo di alloggio con
+ * gli ospiti assegnati, più le iscrizioni che hanno chiesto un letto e non
+ * l'hanno ancora ricevuto (`unassigned`)
+ * GET /api/v1/events/:id/rooming-list
+ * GET /api/v1/events/:id/rooming-list?format=csv  (export)
+ */
+const getRoomingList = catchAsync(async (req, res, next) => {
+    const event = await Eventi.findById(req.params.id);
+
+    if (!event) {
+        return next(new AppError('Evento non trovato', 404));
+    }
+
+    const codes = event.accommodations.map((a) => a.code);
+    const registrazioni = await Conferenza.find({
+        event: event._id,
+        status: { $in: Conferenza.HOLDING_STATUSES },
+        tipoAlloggio: { $in: codes },
+    }).sort({ cognome: 1, nome: 1 });
+
+    const guestsOf = (code, number) => registrazioni.filter((r) =>
+        r.alloggio && r.alloggio.code === code && r.alloggio.room === number);
+
+    const accommodations = event.accommodations.map((type) => ({
+        code: type.code,
+        name: type.name,
+        kind: type.kind,
+        bedsPerRoom: type.bedsPerRoom,
+        rooms: type.rooms.map((room) => ({
+            number: room.number,
+            gender: room.gender,
+            occupied: room.occupied,
+            free: type.bedsPerRoom - room.occupied,
+            guests: guestsOf(type.code, room.number),
+        })),
+    }));
+    const unassigned = registrazioni.filter((r) => !r.alloggio);
+
+    if (req.query.format === 'csv') {
+        const rows = [];
+        accommodations.forEach((type) => type.rooms.forEach((room) => room.guests.forEach((guest) => {
+            rows.push({ type: type.name, room: room.number, gender: room.gender, guest });
+        })));
+        unassigned.forEach((guest) => {
+            rows.push({ type: guest.tipoAlloggio, room: null, gender: null, guest });
         });
+        return sendCSV(res, `rooming-list-${event._id}.csv`, toCSV(ROOMING_LIST_COLUMNS, rows));
     }
-};
-const createRegistration = async (req, res) => {
-    try {
-        const registrazione = await Conferenza.create(req.body);
-        res.status(201).json({
-            status: 'success',
-            data: {
-                registrazione: registrazione,
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            event: {
+                _id: event._id,
+                title: event.title,
+                date: event.date,
+                endDate: event.endDate,
+                nights: event.getNights(),
             },
+            accommodations,
+            unassigned,
+        },
+    });
+});
+
+/**
+ * Collega un'iscrizione a un membro dell'anagrafe (o scollega con member: null)
+ * Per trovare il membro: GET /api/v1/members/lookup?registration=:id
+ * PATCH /api/v1/registration/:id/member
+ */
+const linkRegistrationMember = catchAsync(async (req, res, next) => {
+    const memberId = req.body.member || null;
+
+    if (memberId && !(await Member.exists({ _id: memberId }))) {
+        return next(new AppError('Membro non trovato', 404));
+    }
+
+    const registration = await Conferenza.findByIdAndUpdate(
+        req.params.id,
+        memberId ? { member: memberId } : { $unset: { member: 1 } },
+        { new: true }
+    ).populate('member', 'nome cognome congregazione indirizzo.citta');
+
+    if (!registration) {
+        return next(new AppError('Registrazione non trovata', 404));
+    }
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            registration,
+        },
+    });
+});
+
+/**
+ * Colonne disponibili per l'export delle iscrizioni (?columns=cognome,nome,...)
+ */
+const EXPORT_COLUMNS = {
+    cognome: { header: 'Cognome', value: 'cognome' },
+    nome: { header: 'Nome', value: 'nome' },
+    email: { header: 'Email', value: 'email' },
+    telefono: { header: 'Telefono', value: 'telefono' },
+    dataNascita: { header: 'Data di nascita', value: 'dataNascita' },
+    luogoNascita: { header: 'Luogo di nascita', value: 'luogoNascita' },
+    sesso: { header: 'Sesso', value: 'sesso' },
+    fasciaEta: { header: 'Fascia età', value: 'fasciaEta' },
+    chiesa: { header: 'Chiesa', value: 'chiesa' },
+    citta: { header: 'Città', value: 'citta' },
+    ruolo: { header: 'Ruolo', value: (r) => ROLE_LABELS[r.ruolo] || r.ruolo },
+    evento: { header: 'Evento', value: (r) => r.event && r.event.title },
+    status: { header: 'Stato', value: 'status' },
+    tipoAlloggio: { header: 'Alloggio richiesto', value: 'tipoAlloggio' },
+    camera: { header: 'Camera', value: (r) => r.alloggio && `${r.alloggio.code} ${r.alloggio.room}` },
+    famiglia: { header: 'Famiglia', value: 'famiglia' },
+    capogruppo: { header: 'Capogruppo', value: (r) => (r.gruppo ? (r.capogruppo ? 'sì' : 'no') : null) },
+    pagamento: { header: 'Pagamento', value: (r) => r.pagamento && r.pagamento.status },
+    importo: { header: 'Importo (EUR)', value: (r) => r.pagamento && r.pagamento.amount / 100 },
+    consensoFoto: { header: 'Consenso foto', value: (r) => (r.consensi ? (r.consensi.foto && r.consensi.foto.accepted ? 'sì' : 'no') : null) },
+    tutore: { header: 'Genitore/tutore', value: (r) => r.consensi && r.consensi.tutore && r.consensi.tutore.nome },
+    checkedInAt: { header: 'Check-in', value: 'checkedInAt' },
+    messaggio: { header: 'Messaggio', value: 'messaggio' },
+    createdAt: { header: 'Data iscrizione', value: 'createdAt' },
+};
+
+const DEFAULT_EXPORT_COLUMNS = [
+    'cognome', 'nome', 'email', 'telefono', 'chiesa', 'citta',
+    'ruolo', 'status', 'tipoAlloggio', 'createdAt',
+];
+
+/**
+ * Export delle iscrizioni (organizzatori), in ordine alfabetico
+ * Filtri: event, status (separati da virgola, default confirmed)
+ * Formati:
+ * - csv / xlsx: colonne scelte con ?columns= (vedi EXPORT_COLUMNS)
+ * - badges: PDF di badge (nome, chiesa o città, ruolo) su fogli A4 di etichette
+ * - sheet: PDF dell'elenco iscritti con colonna per la firma
+ * GET /api/v1/registration/export?event=...&status=confirmed,pending&format=xlsx
+ */
+const exportRegistrations = catchAsync(async (req, res, next) => {
+    const { format = 'csv' } = req.query;
+    const keys = req.query.columns ? req.query.columns.split(',') : DEFAULT_EXPORT_COLUMNS;
+    const unknown = keys.filter((key) => !EXPORT_COLUMNS[key]);
+
+    if (unknown.length > 0) {
+        return next(new AppError(
+            `Colonne non valide: ${unknown.join(', ')} (disponibili: ${Object.keys(EXPORT_COLUMNS).join(', ')})`,
+            400,
+            'INVALID_COLUMNS'
+        ));
+    }
+
+    let event = null;
+    const filter = { status: { $in: (req.query.status || 'confirmed').split(',') } };
+    if (req.query.event) {
+        event = await Eventi.findById(req.query.event);
+        if (!event) {
+            return next(new AppError('Evento non trovato', 404));
+        }
+        filter.event = event._id;
+    }
+
+    const registrazioni = await Conferenza.find(filter)
+        .populate('event', 'title')
+        .collation({ locale: 'it' })
+        .sort({ cognome: 1, nome: 1 })
+        .lean();
+
+    const suffix = event ? event._id : 'tutti';
+
+    if (format === 'badges' || format === 'sheet') {
+        const render = format === 'badges' ? renderBadgesPDF : renderAttendeeSheetPDF;
+        const filename = `${format === 'badges' ? 'badge' : 'elenco-iscritti'}-${suffix}.pdf`;
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="${filename}"`,
+        });
+        return res.status(200).send(await render({ registrazioni, event }));
+    }
+
+    const columns = keys.map((key) => EXPORT_COLUMNS[key]);
+
+    if (format === 'xlsx') {
+        return sendXLSX(res, `iscritti-${suffix}.xlsx`, await toXLSX(columns, registrazioni, 'Iscritti'));
+    }
+
+    sendCSV(res, `iscritti-${suffix}.csv`, toCSV(columns, registrazioni));
+});
+
+/**
+ * Campi comuni a tutto il gruppo (contatto del capogruppo)
+ */
+const GROUP_SHARED_FIELDS = ['email', 'telefono', 'tipoAlloggio', 'messaggio', 'famiglia'];
+
+/**
+ * Iscrizione di gruppo (famiglia) in un solo invio
+ * Il capogruppo è il primo partecipante e dà il contatto (email, telefono,
+ * alloggio, messaggio) a tutti; ogni partecipante ha i propri dati anagrafici
+ * Il gruppo è un'unità: entra per intero (posti riservati con una sola
+ * operazione atomica) o va per intero in lista d'attesa, dorme nelle stesse
+ * camere, riceve un solo codice personale e paga con un unico checkout
+ * POST /api/v1/registration/group
+ */
+const createGroupRegistration = catchAsync(async (req, res, next) => {
+    const event = await findOpenEvent(req.body.event);
+    await releaseExpiredOffers(event._id);
+
+    const gruppo = new mongoose.Types.ObjectId();
+    const shared = GROUP_SHARED_FIELDS.reduce((acc, field) => {
+        if (req.body[field] !== undefined) acc[field] = req.body[field];
+        return acc;
+    }, {});
+    if (!shared.famiglia) shared.famiglia = gruppo.toString();
+
+    const members = req.body.partecipanti.map((partecipante, index) => {
+        const member = new Conferenza({
+            ...pickRegistrationFields(partecipante),
+            ...shared,
+            event: event._id,
+            gruppo,
+            capogruppo: index === 0,
         });
-    } catch (error) {
-        res.status(400).json({
-            status: 'fail',
-            message: error.message,
+        member.fasciaEta = Conferenza.ageBand(member.dataNascita, event.date);
+        member.consensi = buildConsents(req.body.consensi, member);
+        checkRequestedAccommodation(event, member);
+        return member;
+    });
+
+    // La stessa persona due volte nello stesso invio
+    const people = members.map((m) =>
+        `${m.nome} ${m.cognome} ${m.dataNascita.toISOString()}`.toLowerCase());
+    const repeated = members.find((m, index) => people.indexOf(people[index]) !== index);
+    if (repeated) {
+        return next(new AppError(
+            `${repeated.nome} ${repeated.cognome} compare più volte tra i partecipanti`,
+            400,
+            'DUPLICATE_PARTICIPANT'
+        ));
+    }
+    for (const member of members) {
+        await checkDuplicate(member);
+    }
+
+    // Un solo codice personale per tutto il gruppo
+    const token = members[0].createAccessToken();
+    members.forEach((member) => { member.accessTokenHash = members[0].accessTokenHash; });
+
+    const reserved = await event.registerAttendee(members.length);
+    let paid = false;
+
+    if (reserved) {
+        for (const member of members) {
+            const groupRooms = members
+                .filter((other) => other.alloggio && other.alloggio.code === member.tipoAlloggio)
+                .map((other) => other.alloggio.room);
+            if (member.getRequestedAccommodation(event)
+                && !(await member.assignAccommodation(event, groupRooms))) {
+                await releaseGroupBeds(event, members);
+                await event.unregisterAttendee(members.length);
+                return next(new AppError(
+                    'Non ci sono abbastanza letti disponibili per tutto il gruppo',
+                    409,
+                    'ACCOMMODATION_FULL'
+                ));
+            }
+        }
+
+        paid = preparePayment(event, members);
+        members.forEach((member) => {
+            member.status = paid ? 'pending' : 'confirmed';
+            if (!paid) member.confirmedAt = Date.now();
         });
+    } else {
+        for (const member of members) {
+            member.status = 'waitlisted';
+            member.waitlistPosition = await event.nextWaitlistPosition();
+        }
     }
-};
-const updateRegistration = async (req, res) => {
+
     try {
-        const registration = await Conferenza
-            .findByIdAndUpdate(req.params.id, req.body, {
-                new: true,
-                runValidators: true,
-            });
-        res.status(200).json({
+        await Conferenza.insertMany(members);
+    } catch (err) {
+        await Conferenza.deleteMany({ gruppo });
+        if (reserved) {
+            await releaseGroupBeds(event, members);
+            await event.unregisterAttendee(members.length);
+        }
+        throw err;
+    }
+
+    let checkout = null;
+    if (paid) {
+        try {
+            checkout = await startCheckout(event, members);
+        } catch (err) {
+            await undoReservation(event, members);
+            return next(paymentUnavailable(err));
+        }
+    }
+
+    members.forEach((member) => { member.accessTokenHash = undefined; });
+
+    res.status(201).json({
+        status: 'success',
+        message: {
+            confirmed: 'Iscrizione di gruppo confermata',
+            pending: "Posti riservati: completa il pagamento per confermare l'iscrizione del gruppo",
+            waitlisted: "L'evento non ha posti per tutto il gruppo: siete in lista d'attesa",
+        }[members[0].status],
+        data: {
+            gruppo,
+            registrazioni: members,
+            token,
+            checkout,
+            tickets: reserved && !paid
+                ? members.map((member) => ({ registrazione: member._id, ticket: signTicketToken(member) }))
+                : null,
+            waitlist: reserved ? null : { position: await members[0].getWaitlistRank() },
+        },
+    });
+});
+
+/**
+ * Riepilogo di un gruppo (organizzatori): membri, fasce d'età, alloggi e pagamento
+ * GET /api/v1/registration/group/:id
+ */
+const getGroup = catchAsync(async (req, res, next) => {
+    const members = await Conferenza.find({ gruppo: req.params.id }).sort({ capogruppo: -1, createdAt: 1 });
+
+    if (members.length === 0) {
+        return next(new AppError('Gruppo non trovato', 404));
+    }
+
+    const active = members.filter((member) => !['cancelled', 'expired'].includes(member.status));
+    const ageBands = active.reduce((acc, member) => {
+        acc[member.fasciaEta] = (acc[member.fasciaEta] || 0) + 1;
+        return acc;
+    }, {});
+
+    res.status(200).json({
+        status: 'success',
+        results: members.length,
+        data: {
+            gruppo: req.params.id,
+            summary: {
+                participants: active.length,
+                ageBands,
+                accommodationTotal: active.reduce(
+                    (sum, member) => sum + (member.alloggio ? member.alloggio.total : 0), 0),
+                // Centesimi, come su Stripe
+                paymentAmount: active.reduce(
+                    (sum, member) => sum + (member.pagamento ? member.pagamento.amount : 0), 0),
+                paymentStatus: members[0].pagamento ? members[0].pagamento.status : null,
+            },
+            registrazioni: members,
+        },
+    });
+});
+
+/**
+ * Annulla tutto il gruppo (organizzatori)
+ * Ogni membro è annullato con la stessa regola di PATCH /:id/cancel: letti
+ * liberati, posti passati alla lista d'attesa e checkout Stripe chiuso
+ * PATCH /api/v1/registration/group/:id/cancel
+ */
+const cancelGroup = catchAsync(async (req, res, next) => {
+    const members = await Conferenza.find({
+        gruppo: req.params.id,
+        status: { $in: ['confirmed', 'pending', 'offered', 'waitlisted'] },
+    });
+
+    if (members.length === 0) {
+        const exists = await Conferenza.exists({ gruppo: req.params.id });
+        return next(exists
+            ? new AppError('Gruppo già annullato', 409, 'ALREADY_CANCELLED')
+            : new AppError('Gruppo non trovato', 404));
+    }
+
+    // Prima tutti annullati (la coda non ripromuove membri dello stesso gruppo)
+    const cancelled = [];
+    for (const member of members) {
+        const previous = await Conferenza.findOneAndUpdate(
+            { _id: member._id, status: member.status },
+            { status: 'cancelled', cancelledAt: Date.now() }
+        );
+        if (previous) cancelled.push(previous);
+    }
+    await closeCheckouts(cancelled);
+
+    const promoted = [];
+    for (const previous of cancelled) {
+        await previous.releaseAccommodation();
+        if (Conferenza.HOLDING_STATUSES.includes(previous.status)) {
+            const nextInLine = await passPlaceOn(previous);
+            if (nextInLine) promoted.push(nextInLine);
+        }
+    }
+
+    res.status(200).json({
+        status: 'success',
+        results: cancelled.length,
+        data: {
+            cancelled: cancelled.map((r) => r._id),
+            promoted,
+        },
+    });
+});
+
+/**
+ * Biglietto d'ingresso di un'iscrizione confermata
+ * Pubblico con il codice personale (`code`); gli organizzatori autenticati
+ * possono scaricarlo senza codice (ristampa al desk)
+ * GET /api/v1/registration/:id/ticket?code=...&format=json|png|svg|pdf
+ */
+const getTicket = catchAsync(async (req, res, next) => {
+    const registrazione = await Conferenza.findById(req.params.id).select('+accessTokenHash');
+    const isOrganizer = !!req.user && [PERMISSIONS.EVENTS_MANAGE, PERMISSIONS.REGISTRATIONS_MANAGE]
+        .some((permission) => req.user.hasPermission(permission));
+
+    if (!registrazione || (!isOrganizer && !registrazione.checkAccessToken(req.query.code))) {
+        return next(new AppError('Registrazione non trovata', 404));
+    }
+    if (registrazione.status !== 'confirmed') {
+        return next(new AppError(
+            'Il biglietto è disponibile solo per le iscrizioni confermate',
+            409,
+            'TICKET_NOT_AVAILABLE'
+        ));
+    }
+
+    const token = signTicketToken(registrazione);
+    const format = req.query.format || 'json';
+
+    if (format === 'json') {
+        registrazione.accessTokenHash = undefined;
+        return res.status(200).json({
             status: 'success',
             data: {
-                registration: registration,
+                registrazione,
+                ticket: token,
             },
         });
     }
-    catch (error) {
-        res.status(404).json({
-            status: 'fail',
-            message: error,
-        });
+
+    let body;
+    if (format === 'pdf') {
+        const event = await Eventi.findById(registrazione.event);
+        if (!event) {
+            return next(new AppError('Evento non trovato', 404));
+        }
+        body = await renderTicketPDF({ registrazione, event, token });
+        res.set('Content-Disposition', `attachment; filename="biglietto-${registrazione._id}.pdf"`);
+    } else {
+        body = await renderQR(token, format);
     }
-    
+
+    res.set('Content-Type', CONTENT_TYPES[format]);
+    res.status(200).send(body);
+});
+
+/**
+ * Conteggio degli ingressi di un evento
+ * @returns {Promise<Object>} { confirmed, checkedIn, remaining }
+ */
+const countCheckIns = async (eventId) => {
+    const [confirmed, checkedIn] = await Promise.all([
+        Conferenza.countDocuments({ event: eventId, status: 'confirmed' }),
+        Conferenza.countDocuments({ event: eventId, status: 'confirmed', checkedInAt: { $ne: null } }),
+    ]);
+    return { confirmed, checkedIn, remaining: confirmed - checkedIn };
 };
-const deleteRegistration = async (req, res) => {
+
+/**
+ * Check-in all'ingresso con il biglietto QR (organizzatori)
+ * La firma del biglietto basta a riconoscerlo, senza dati dal client; un
+ * biglietto già usato viene rifiutato (la registrazione dell'ingresso è
+ * condizionale, quindi due scansioni simultanee non passano entrambe)
+ * `scannedAt` è l'ora della scansione per i lettori rimasti offline che
+ * inviano gli ingressi in ritardo (mai nel futuro)
+ * POST /api/v1/events/:id/checkin  { ticket, scannedAt? }
+ */
+const checkIn = catchAsync(async (req, res, next) => {
+    let ticket;
     try {
-        await Conferenza.findByIdAndDelete(req.params.id);
-        res.status(204).json({
-            status: 'success',
-            data: null,
-        });
-    } catch (error) {
-        res.status(404).json({
-            status: 'fail',
-            message: error,
-        });
+        ticket = verifyTicketToken(req.body.ticket);
+    } catch (err) {
+        return next(new AppError('Biglietto non valido', 400, 'INVALID_TICKET'));
     }
-};
+
+    if (ticket.event !== req.params.id) {
+        return next(new AppError('Il biglietto è di un altro evento', 409, 'WRONG_EVENT'));
+    }
+
+    const now = Date.now();
+    const scannedAt = req.body.scannedAt ? new Date(req.body.scannedAt).getTime() : now;
+
+    const registrazione = await Conferenza.findOneAndUpdate(
+        { _id: ticket.id, event: ticket.event, status: 'confirmed', checkedInAt: null },
+        { checkedInAt: new Date(Math.min(scannedAt, now)), checkedInBy: req.user._id },
+        { new: true }
+    );
+
+    if (!registrazione) {
+        const current = await Conferenza.findById(ticket.id);
+        if (!current) {
+            return next(new AppError('Registrazione non trovata', 404));
+        }
+        if (current.checkedInAt) {
+            return next(new AppError(
+                `Biglietto già utilizzato: ${current.nome} ${current.cognome}`,
+                409,
+                'ALREADY_CHECKED_IN',
+                { checkedInAt: current.checkedInAt.toISOString() }
+            ));
+        }
+        return next(new AppError(
+            `Iscrizione non confermata (${current.status})`,
+            409,
+            'REGISTRATION_NOT_CONFIRMED'
+        ));
+    }
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            registrazione: {
+                _id: registrazione._id,
+                nome: registrazione.nome,
+                cognome: registrazione.cognome,
+                sesso: registrazione.sesso,
+                alloggio: registrazione.alloggio,
+                checkedInAt: registrazione.checkedInAt,
+            },
+            stats: await countCheckIns(registrazione.event),
+        },
+    });
+});
+
+/**
+ * Ingressi in tempo reale di un evento (organizzatori): conteggi e ultimi check-in
+ * GET /api/v1/events/:id/checkin
+ */
+const getCheckInStats = catchAsync(async (req, res, next) => {
+    const event = await Eventi.findById(req.params.id);
+
+    if (!event) {
+        return next(new AppError('Evento non trovato', 404));
+    }
+
+    const [stats, latest] = await Promise.all([
+        countCheckIns(event._id),
+        Conferenza.find({ event: event._id, checkedInAt: { $ne: null } })
+            .sort({ checkedInAt: -1 })
+            .limit(10)
+            .select('nome cognome checkedInAt'),
+    ]);
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            event: {
+                _id: event._id,
+                title: event.title,
+                date: event.date,
+            },
+            stats,
+            latest,
+            updatedAt: new Date(),
+        },
+    });
+});
 
 module.exports = {
     getAllRegistrations,
     getRegistration,
     createRegistration,
+    confirmRegistration,
     updateRegistration,
+    cancelRegistration,
     deleteRegistration,
-    getMember,
+    createGroupRegistration,
+    getGroup,
+    cancelGroup,
+    getEventRegistrations,
+    getEventWaitlist,
+    reorderEventWaitlist,
+    assignRegistrationAccommodation,
+    getRoomingList,
+    exportRegistrations,
+    getTicket,
+    checkIn,
+    getCheckInStats,
+    linkRegistrationMember,
 };
\ No newline at end of file
@@ -1,100 +1,85 @@
 const Contact = require('../models/contactModel');
 const APIFeatures = require('../utils/apiFeatures');
+const AppError = require('../utils/errorClass');
+const catchAsync = require('../middleware/catchAsync');
 
-const getAllContacts = async (req, res) => {
-    try {
-        // Execute the query
-        const features = new APIFeatures(Contact.find(), req.query)
-                            .filter()
-                            .sort()
-                            .limitFields()
-                            .paginate();
-        const contacts = await features.query;
+const getAllContacts = catchAsync(async (req, res, next) => {
+    // Execute the query
+    const features = new APIFeatures(Contact.find(), req.query)
+                        .filter()
+                        .sort()
+                        .limitFields()
+                        .paginate();
+    const { docs: contacts, pagination } = await features.execute();
 
-        // Send the response
-        res.status(200).json({
-            status: 'success',
-            results: contacts.length,
-            data: {
-                contacts: contacts,
-            },
-        });
-    } catch (error) {
-        res.status(404).json({
-            status: 'fail',
-            message: error.message,
-        });
-    }
-};
-const getContact = async (req, res) => {
-    try {
-        const contact = await Contact.findById(req.params.id);
-        res.status(200).json({
-            status: 'success',
-            data: {
-                contact,
-            },
-        });
-    } catch (error) {
-        res.status(404).json({
-            status: 'fail',
-            message: error,
-        });
-    }
-};
-const createContact = async (req, res) => {
-    try {
-        console.log(req.body);
-        const contact = await Contact.create(req.body);
-        res.status(201).json({
-            status: 'success',
-            data: {
-                contact: contact,
-            },
-        });
-    } catch (error) {
-        res.status(400).json({
-            status: 'fail',
-            message: error.message,
-        });
+    // Send the response
+    res.status(200).json({
+        status: 'success',
+        results: contacts.length,
+        ...pagination,
+        data: {
+            contacts: contacts,
+        },
+    });
+});
+const getContact = catchAsync(async (req, res, next) => {
+    const contact = await Contact.findById(req.params.id);
+
+    if (!contact) {
+        return next(new AppError('Contact not found', 404));
     }
-};
-const updateContact = async (req, res) => {
-    try {
-        const contact = await Contact
-            .findByIdAndUpdate(req.params.id, req.body, {
-                new: true,
-                runValidators: true,
-            });
-        res.status(200).json({
-            status: 'success',
-            data: {
-                contact,
-            },
-        });
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            contact,
+        },
+    });
+});
+// The same message sent twice (double click, resubmitted form) is stored once
+const createContact = catchAsync(async (req, res, next) => {
+    if (await Contact.findRecentDuplicate(req.body)) {
+        return next(new AppError('This message has already been received', 409, 'DUPLICATE_CONTACT'));
     }
-    catch (error) {
-        res.status(404).json({
-            status: 'fail',
-            message: error,
+
+    const contact = await Contact.create(req.body);
+    res.status(201).json({
+        status: 'success',
+        data: {
+            contact: contact,
+        },
+    });
+});
+const updateContact = catchAsync(async (req, res, next) => {
+    const contact = await Contact
+        .findByIdAndUpdate(req.params.id, req.body, {
+            new: true,
+            runValidators: true,
         });
+
+    if (!contact) {
+        return next(new AppError('Contact not found', 404));
     }
-    
-};
-const deleteContact = async (req, res) => {
-    try {
-        await Contact.findByIdAndDelete(req.params.id);
-        res.status(204).json({
-            status: 'success',
-            data: null,
-        });
-    } catch (error) {
-        res.status(404).json({
-            status: 'fail',
-            message: error,
-        });
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            contact,
+        },
+    });
+});
+const deleteContact = catchAsync(async (req, res, next) => {
+    const contact = await Contact.findByIdAndDelete(req.params.id);
+
+    if (!contact) {
+        return next(new AppError('Contact not found', 404));
     }
-};
+
+    res.status(204).json({
+        status: 'success',
+        data: null,
+    });
+});
 
 module.exports = {
     getAllContacts,
@@ -102,4 +87,4 @@ module.exports = {
     createContact,
     updateContact,
     deleteContact,
-};
\ No newline at end of file
+};
@@ -11,6 +11,8 @@
 
 const Documento = require('./../models/documentiModel');
 const APIFeatures = require('./../utils/apiFeatures');
+const AppError = require('./../utils/errorClass');
+const catchAsync = require('./../middleware/catchAsync');
 
 /**
  * Recupera tutti i documenti con filtri, ordinamento e paginazione
@@ -23,30 +25,24 @@ const APIFeatures = require('./../utils/apiFeatures');
  * @example
  * GET /api/v1/documenti?tipo=lezionario&anno=2026&limit=10
  */
-const getAllDocumenti = async (req, res) => {
-  try {
-    const features = new APIFeatures(Documento.find(), req.query)
-      .filter()
-      .sort()
-      .limitFields()
-      .paginate();
-
-    const documenti = await features.query;
-
-    res.status(200).json({
-      status: 'success',
-      results: documenti.length,
-      data: {
-        documenti,
-      },
-    });
-  } catch (error) {
-    res.status(404).json({
-      status: 'fail',
-      message: error.message,
-    });
-  }
-};
+const getAllDocumenti = catchAsync(async (req, res, next) => {
+  const features = new APIFeatures(Documento.find(), req.query)
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const { docs: documenti, pagination } = await features.execute();
+
+  res.status(200).json({
+    status: 'success',
+    results: documenti.length,
+    ...pagination,
+    data: {
+      documenti,
+    },
+  });
+});
 
 /**
  * Recupera un singolo documento per ID
@@ -57,39 +53,29 @@ const getAllDocumenti = async (req, res) => {
  * @param {Object} res - Express response
  * @returns {Object} JSON con i dati del documento
  */
-const getDocumento = async (req, res) => {
-  try {
-    // 📈 Incrementa automaticamente le views quando un documento viene visualizzato
-    const documento = await Documento.findByIdAndUpdate(
-      req.params.id,
-      { $inc: { views: 1 } },
-      { new: true, runValidators: false }
-    );
-
-    if (!documento) {
-      return res.status(404).json({
-        status: 'fail',
-        message: 'Documento non trovato',
-      });
-    }
+const getDocumento = catchAsync(async (req, res, next) => {
+  // 📈 Incrementa automaticamente le views quando un documento viene visualizzato
+  const documento = await Documento.findByIdAndUpdate(
+    req.params.id,
+    { $inc: { views: 1 } },
+    { new: true, runValidators: false }
+  );
+
+  if (!documento) {
+    return next(new AppError('Documento non trovato', 404));
+  }
 
-    console.log(
-      `📄 Documento "${documento.titolo}" visualizzato. Total views: ${documento.views}`
-    );
+  console.log(
+    `📄 Documento "${documento.titolo}" visualizzato. Total views: ${documento.views}`
+  );
 
-    res.status(200).json({
-      status: 'success',
-      data: {
-        documento,
-      },
-    });
-  } catch (error) {
-    res.status(404).json({
-      status: 'fail',
-      message: error.message,
-    });
-  }
-};
+  res.status(200).json({
+    status: 'success',
+    data: {
+      documento,
+    },
+  });
+});
 
 /**
  * Recupera lezionari per anno e trimestre
@@ -102,36 +88,22 @@ const getDocumento = async (req, res) => {
  * @example
  * GET /api/v1/documenti/lezionari?anno=2026&trimestre=1
  */
-const getLezionari = async (req, res) => {
-  try {
-    const { anno, trimestre } = req.query;
-
-    if (!anno) {
-      return res.status(400).json({
-        status: 'fail',
-        message: 'Anno è obbligatorio',
-      });
-    }
-
-    const lezionari = await Documento.getLezionari(
-      parseInt(anno),
-      trimestre ? parseInt(trimestre) : null
-    );
-
-    res.status(200).json({
-      status: 'success',
-      results: lezionari.length,
-      data: {
-        lezionari,
-      },
-    });
-  } catch (error) {
-    res.status(404).json({
-      status: 'fail',
-      message: error.message,
-    });
-  }
-};
+const getLezionari = catchAsync(async (req, res, next) => {
+  const { anno, trimestre } = req.query;
+
+  const lezionari = await Documento.getLezionari(
+    parseInt(anno),
+    trimestre ? parseInt(trimestre) : null
+  );
+
+  res.status(200).json({
+    status: 'success',
+    results: lezionari.length,
+    data: {
+      lezionari,
+    },
+  });
+});
 
 /**
  * Recupera settimane di preghiera per anno
@@ -144,33 +116,19 @@ const getLezionari = async (req, res) => {
  * @example
  * GET /api/v1/documenti/settimane-preghiera?anno=2025
  */
-const getSettimanePreghiera = async (req, res) => {
-  try {
-    const { anno } = req.query;
-
-    if (!anno) {
-      return res.status(400).json({
-        status: 'fail',
-        message: 'Anno è obbligatorio',
-      });
-    }
+const getSettimanePreghiera = catchAsync(async (req, res, next) => {
+  const { anno } = req.query;
 
-    const settimane = await Documento.getSettimanePreghiera(parseInt(anno));
+  const settimane = await Documento.getSettimanePreghiera(parseInt(anno));
 
-    res.status(200).json({
-      status: 'success',
-      results: settimane.length,
-      data: {
-        settimane,
-      },
-    });
-  } catch (error) {
-    res.status(404).json({
-      status: 'fail',
-      message: error.message,
-    });
-  }
-};
+  res.status(200).json({
+    status: 'success',
+    results: settimane.length,
+    data: {
+      settimane,
+    },
+  });
+});
 
 /**
  * Recupera documenti per tipo
@@ -183,27 +141,20 @@ const getSettimanePreghiera = async (req, res) => {
  * @example
  * GET /api/v1/documenti/tipo/guida_studio
  */
-const getDocumentiByTipo = async (req, res) => {
-  try {
-    const { tipo } = req.params;
-    const limit = parseInt(req.query.limit, 10) || 20;
-
-    const documenti = await Documento.getByTipo(tipo, limit);
-
-    res.status(200).json({
-      status: 'success',
-      results: documenti.length,
-      data: {
-        documenti,
-      },
-    });
-  } catch (error) {
-    res.status(404).json({
-      status: 'fail',
-      message: error.message,
-    });
-  }
-};
+const getDocumentiByTipo = catchAsync(async (req, res, next) => {
+  const { tipo } = req.params;
+  const limit = parseInt(req.query.limit, 10) || 20;
+
+  const documenti = await Documento.getByTipo(tipo, limit);
+
+  res.status(200).json({
+    status: 'success',
+    results: documenti.length,
+    data: {
+      documenti,
+    },
+  });
+});
 
 /**
  * Recupera documenti in evidenza
@@ -216,26 +167,19 @@ const getDocumentiByTipo = async (req, res) => {
  * @example
  * GET /api/v1/documenti/in-evidenza?limit=6
  */
-const getDocumentiInEvidenza = async (req, res) => {
-  try {
-    const limit = parseInt(req.query.limit, 10) || 6;
+const getDocumentiInEvidenza = catchAsync(async (req, res, next) => {
+  const limit = parseInt(req.query.limit, 10) || 6;
 
-    const documenti = await Documento.getInEvidenza(limit);
+  const documenti = await Documento.getInEvidenza(limit);
 
-    res.status(200).json({
-      status: 'success',
-      results: documenti.length,
-      data: {
-        documenti,
-      },
-    });
-  } catch (error) {
-    res.status(404).json({
-      status: 'fail',
-      message: error.message,
-    });
-  }
-};
+  res.status(200).json({
+    status: 'success',
+    results: documenti.length,
+    data: {
+      documenti,
+    },
+  });
+});
 
 /**
  * Recupera i documenti più scaricati
@@ -248,26 +192,19 @@ const getDocumentiInEvidenza = async (req, res) => {
  * @example
  * GET /api/v1/documenti/top-downloads?limit=10
  */
-const getDocumentiTopDownloads = async (req, res) => {
-  try {
-    const limit = parseInt(req.query.limit, 10) || 10;
+const getDocumentiTopDownloads = catchAsync(async (req, res, next) => {
+  const limit = parseInt(req.query.limit, 10) || 10;
 
-    const documenti = await Documento.getMostDownloaded(limit);
+  const documenti = await Documento.getMostDownloaded(limit);
 
-    res.status(200).json({
-      status: 'success',
-      results: documenti.length,
-      data: {
-        documenti,
-      },
-    });
-  } catch (error) {
-    res.status(404).json({
-      status: 'fail',
-      message: error.message,
-    });
-  }
-};
+  res.status(200).json({
+    status: 'success',
+    results: documenti.length,
+    data: {
+      documenti,
+    },
+  });
+});
 
 /**
  * Recupera gli anni disponibili
@@ -280,23 +217,16 @@ const getDocumentiTopDownloads = async (req, res) => {
  * @example
  * GET /api/v1/documenti/anni-disponibili
  */
-const getAnniDisponibili = async (req, res) => {
-  try {
-    const anni = await Documento.getAvailableYears();
-
-    res.status(200).json({
-      status: 'success',
-      data: {
-        anni,
-      },
-    });
-  } catch (error) {
-    res.status(404).json({
-      status: 'fail',
-      message: error.message,
-    });
-  }
-};
+const getAnniDisponibili = catchAsync(async (req, res, next) => {
+  const anni = await Documento.getAvailableYears();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      anni,
+    },
+  });
+});
 
 /**
  * Crea un nuovo documento
@@ -306,23 +236,16 @@ const getAnniDisponibili = async (req, res) => {
  * @param {Object} res - Express response
  * @returns {Object} JSON con documento creato
  */
-const createDocumento = async (req, res) => {
-  try {
-    const documento = await Documento.create(req.body);
-
-    res.status(201).json({
-      status: 'success',
-      data: {
-        documento,
-      },
-    });
-  } catch (error) {
-    res.status(400).json({
-      status: 'fail',
-      message: error.message,
-    });
-  }
-};
+const createDocumento = catchAsync(async (req, res, next) => {
+  const documento = await Documento.create(req.body);
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      documento,
+    },
+  });
+});
 
 /**
  * Aggiorna un documento
@@ -332,37 +255,27 @@ const createDocumento = async (req, res) => {
  * @param {Object} res - Express response
  * @returns {Object} JSON con documento aggiornato
  */
-const updateDocumento = async (req, res) => {
-  try {
-    const documento = await Documento.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      {
-        new: true,
-        runValidators: true,
-      }
-    );
-
-    if (!documento) {
-      return res.status(404).json({
-        status: 'fail',
-        message: 'Documento non trovato',
-      });
+const updateDocumento = catchAsync(async (req, res, next) => {
+  const documento = await Documento.findByIdAndUpdate(
+    req.params.id,
+    req.body,
+    {
+      new: true,
+      runValidators: true,
     }
+  );
 
-    res.status(200).json({
-      status: 'success',
-      data: {
-        documento,
-      },
-    });
-  } catch (error) {
-    res.status(404).json({
-      status: 'fail',
-      message: error.message,
-    });
+  if (!documento) {
+    return next(new AppError('Documento non trovato', 404));
   }
-};
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      documento,
+    },
+  });
+});
 
 /**
  * Elimina un documento
@@ -372,28 +285,18 @@ const updateDocumento = async (req, res) => {
  * @param {Object} res - Express response
  * @returns {void}
  */
-const deleteDocumento = async (req, res) => {
-  try {
-    const documento = await Documento.findByIdAndDelete(req.params.id);
-
-    if (!documento) {
-      return res.status(404).json({
-        status: 'fail',
-        message: 'Documento non trovato',
-      });
-    }
+const deleteDocumento = catchAsync(async (req, res, next) => {
+  const documento = await Documento.findByIdAndDelete(req.params.id);
 
-    res.status(204).json({
-      status: 'success',
-      data: null,
-    });
-  } catch (error) {
-    res.status(404).json({
-      status: 'fail',
-      message: error.message,
-    });
+  if (!documento) {
+    return next(new AppError('Documento non trovato', 404));
   }
-};
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
 
 /**
  * Incrementa il contatore di download
@@ -403,39 +306,29 @@ const deleteDocumento = async (req, res) => {
  * @param {Object} res - Express response
  * @returns {Object} JSON con numero di download aggiornato
  */
-const downloadDocumento = async (req, res) => {
-  try {
-    const documento = await Documento.findByIdAndUpdate(
-      req.params.id,
-      { $inc: { downloads: 1 } },
-      { new: true, runValidators: false }
-    );
-
-    if (!documento) {
-      return res.status(404).json({
-        status: 'fail',
-        message: 'Documento non trovato',
-      });
-    }
+const downloadDocumento = catchAsync(async (req, res, next) => {
+  const documento = await Documento.findByIdAndUpdate(
+    req.params.id,
+    { $inc: { downloads: 1 } },
+    { new: true, runValidators: false }
+  );
+
+  if (!documento) {
+    return next(new AppError('Documento non trovato', 404));
+  }
 
-    console.log(
-      `⬇️ Documento "${documento.titolo}" scaricato. Total downloads: ${documento.downloads}`
-    );
+  console.log(
+    `⬇️ Documento "${documento.titolo}" scaricato. Total downloads: ${documento.downloads}`
+  );
 
-    res.status(200).json({
-      status: 'success',
-      data: {
-        documentoId: documento._id,
-        downloads: documento.downloads,
-      },
-    });
-  } catch (error) {
-    res.status(404).json({
-      status: 'fail',
-      message: error.message,
-    });
-  }
-};
+  res.status(200).json({
+    status: 'success',
+    data: {
+      documentoId: documento._id,
+      downloads: documento.downloads,
+    },
+  });
+});
 
 /**
  * Incrementa il conteggio delle visualizzazioni per un documento
@@ -444,41 +337,30 @@ const downloadDocumento = async (req, res) => {
  * @param {string} req.params.id - Documento ID
  * @returns {Object} Updated documento document with incremented views
  */
-const incrementDocumentoViews = async (req, res) => {
-  try {
-    const documentoId = req.params.id;
-    console.log(`📈 Incrementing views for documento: ${documentoId}`);
-
-    const documento = await Documento.findByIdAndUpdate(
-      documentoId,
-      { $inc: { views: 1 } },
-      { new: true, runValidators: false }
-    );
-
-    if (!documento) {
-      return res.status(404).json({
-        status: 'fail',
-        message: 'Documento non trovato',
-      });
-    }
+const incrementDocumentoViews = catchAsync(async (req, res, next) => {
+  const documentoId = req.params.id;
+  console.log(`📈 Incrementing views for documento: ${documentoId}`);
+
+  const documento = await Documento.findByIdAndUpdate(
+    documentoId,
+    { $inc: { views: 1 } },
+    { new: true, runValidators: false }
+  );
+
+  if (!documento) {
+    return next(new AppError('Documento non trovato', 404));
+  }
 
-    console.log(`✅ Views incremented. Total views: ${documento.views}`);
+  console.log(`✅ Views incremented. Total views: ${documento.views}`);
 
-    res.status(200).json({
-      status: 'success',
-      data: {
-        documentoId: documento._id,
-        views: documento.views,
-      },
-    });
-  } catch (error) {
-    console.error('Error incrementing views:', error);
-    res.status(500).json({
-      status: 'fail',
-      message: 'Error updating views: ' + error.message,
-    });
-  }
-};
+  res.status(200).json({
+    status: 'success',
+    data: {
+      documentoId: documento._id,
+      views: documento.views,
+    },
+  });
+});
 
 /**
  * Ottiene statistiche dei documenti
@@ -488,21 +370,14 @@ const incrementDocumentoViews = async (req, res) => {
  * @param {Object} res - Express response
  * @returns {Object} JSON con statistiche
  */
-const getDocumentiStats = async (req, res) => {
-  try {
-    const stats = await Documento.getStats();
-
-    res.status(200).json({
-      status: 'success',
-      data: stats,
-    });
-  } catch (error) {
-    res.status(404).json({
-      status: 'fail',
-      message: error.message,
-    });
-  }
-};
+const getDocumentiStats = catchAsync(async (req, res, next) => {
+  const stats = await Documento.getStats();
+
+  res.status(200).json({
+    status: 'success',
+    data: stats,
+  });
+});
 
 /**
  * Ottiene le statistiche complete delle visualizzazioni dei documenti
@@ -510,75 +385,67 @@ const getDocumentiStats = async (req, res) => {
  * @param {Object} req - Express request object
  * @returns {Object} Statistiche: totale views, media views, documento più visto, etc.
  */
-const getViewsStatistics = async (req, res) => {
-  try {
-    console.log('📊 Fetching documento views statistics');
-
-    const stats = await Documento.aggregate([
-      {
-        $group: {
-          _id: null,
-          totalViews: { $sum: '$views' },
-          averageViews: { $avg: '$views' },
-          maxViews: { $max: '$views' },
-          minViews: { $min: '$views' },
-          totalDocumenti: { $sum: 1 },
-        },
+const getViewsStatistics = catchAsync(async (req, res, next) => {
+  console.log('📊 Fetching documento views statistics');
+
+  const stats = await Documento.aggregate([
+    {
+      $group: {
+        _id: null,
+        totalViews: { $sum: '$views' },
+        averageViews: { $avg: '$views' },
+        maxViews: { $max: '$views' },
+        minViews: { $min: '$views' },
+        totalDocumenti: { $sum: 1 },
       },
-    ]);
-
-    // Ottieni i documenti più visti (top 10)
-    const topDocumenti = await Documento.find({
-      status: 'published',
-      isPublic: true,
-    })
-      .select('_id titolo tipo anno trimestre views downloads')
-      .sort({ views: -1 })
-      .limit(10);
-
-    // Ottieni statistiche per tipo
-    const tipoStats = await Documento.aggregate([
-      { $match: { status: 'published', isPublic: true } },
-      {
-        $group: {
-          _id: '$tipo',
-          totalViews: { $sum: '$views' },
-          averageViews: { $avg: '$views' },
-          count: { $sum: 1 },
-        },
+    },
+  ]);
+
+  // Ottieni i documenti più visti (top 10)
+  const topDocumenti = await Documento.find({
+    status: 'published',
+    isPublic: true,
+  })
+    .select('_id titolo tipo anno trimestre views downloads')
+    .sort({ views: -1 })
+    .limit(10);
+
+  // Ottieni statistiche per tipo
+  const tipoStats = await Documento.aggregate([
+    { $match: { status: 'published', isPublic: true } },
+    {
+      $group: {
+        _id: '$tipo',
+        totalViews: { $sum: '$views' },
+        averageViews: { $avg: '$views' },
+        count: { $sum: 1 },
       },
-      { $sort: { totalViews: -1 } },
-    ]);
-
-    const result = {
-      status: 'success',
-      data: {
-        overview: stats[0] || {
-          totalViews: 0,
-          averageViews: 0,
-          maxViews: 0,
-          minViews: 0,
-          totalDocumenti: 0,
-        },
-        topDocumenti,
-        tipoStats,
-        timestamp: new Date(),
+    },
+    { $sort: { totalViews: -1 } },
+  ]);
+
+  const result = {
+    status: 'success',
+    data: {
+      overview: stats[0] || {
+        totalViews: 0,
+        averageViews: 0,
+        maxViews: 0,
+        minViews: 0,
+        totalDocumenti: 0,
       },
-    };
-
-    console.log(
-      `✅ Statistics retrieved. Total views: ${result.data.overview.totalViews}`
-    );
-
-    res.status(200).json(result);
-  } catch (error) {
-    console.error('Error fetching statistics:', error);
-    res.status(500).json({
-      status: 'fail',
-      message: 'Error fetching statistics: ' + error.message,
-    });
-  }
-};
+      topDocumenti,
+      tipoStats,
+      timestamp: new Date(),
+    },
+  };
+
+  console.log(
+    `✅ Statistics retrieved. Total views: ${result.data.overview.totalViews}`
+  );
+
+  res.status(200).json(result);
+});
 
 module.exports = {
   getAllDocumenti,
@@ -14,10 +14,15 @@
 
 const Stripe = require('stripe');
 const Donazione = require('../models/donazioniModel');
+const Conferenza = require('../models/conferenzaModel');
 const transactionLogger = require('../utils/transactionLogger');
+const AppError = require('../utils/errorClass');
+const catchAsync = require('../middleware/catchAsync');
+const { PERMISSIONS } = require('../config/permissions');
+const config = require('../config');
 
 // Initialize Stripe with secret key
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
+const stripe = new Stripe(config.stripe.secretKey, {
   apiVersion: '2023-10-16',
 });
 
@@ -44,94 +49,28 @@ const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
  * @throws {402} Stripe error
  * @throws {500} Server error
  */
-exports.createPaymentIntent = async (req, res) => {
-  try {
-    const {
-      importo,
-      email,
-      nome,
-      telefono,
-      messaggio,
-      anonimo = false,
-      categoria = 'generale',
-      ricevuta = false,
-    } = req.body;
-
-    // ===== INPUT VALIDATION =====
-
-    // Validate amount
-    if (!importo || typeof importo !== 'number' || importo <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Importo non valido. Minimo €0.01',
-      });
-    }
-
-    // Convert euros to cents and validate
-    const amountInCents = Math.round(importo * 100);
-    if (amountInCents < 1) {
-      return res.status(400).json({
-        success: false,
-        message: 'Importo non valido. Minimo €0.01',
-      });
-    }
-
-    // Validate email
-    if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email non valida',
-      });
-    }
-
-    // Validate name
-    if (!nome || nome.trim().length < 2 || nome.length > 100) {
-      return res.status(400).json({
-        success: false,
-        message: 'Nome non valido (2-100 caratteri)',
-      });
-    }
-
-    // Validate phone if provided
-    if (
-      telefono &&
-      !/^(\+?\d{1,3}[\s\-]?)?\(?\d{1,4}\)?[\s\-]?\d{1,4}[\s\-]?\d{1,9}$/.test(
-        telefono,
-      )
-    ) {
-      return res.status(400).json({
-        success: false,
-        message: 'Numero di telefono non valido',
-      });
-    }
-
-    // Validate message length
-    if (messaggio && messaggio.length > 500) {
-      return res.status(400).json({
-        success: false,
-        message: 'Messaggio troppo lungo (max 500 caratteri)',
-      });
-    }
-
-    // Validate category
-    const validCategories = [
-      'generale',
-      'chiesa',
-      'progetti',
-      'educazione',
-      'carità',
-      'missioni',
-    ];
-    if (categoria && !validCategories.includes(categoria)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Categoria non valida',
-      });
-    }
+exports.createPaymentIntent = catchAsync(async (req, res, next) => {
+  const {
+    importo,
+    email,
+    nome,
+    telefono,
+    messaggio,
+    anonimo = false,
+    categoria = 'generale',
+    ricevuta = false,
+  } = req.body;
+
+  // Input already validated by validatePaymentInput (validation/donazioniSchemas.js)
+  const amountInCents = Math.round(importo * 100); // euros → cents
+
+  let paymentIntent;
+  let donazione;
 
+  try {
     // ===== CREATE STRIPE PAYMENT INTENT =====
 
-    const paymentIntent = await stripe.paymentIntents.create({
+    paymentIntent = await stripe.paymentIntents.create({
       amount: amountInCents,
       currency: 'eur',
       // Enable multiple payment methods for lower fees
@@ -153,7 +92,7 @@ exports.createPaymentIntent = async (req, res) => {
 
     // ===== CREATE DONATION RECORD IN DATABASE =====
 
-    const donazione = await Donazione.create({
+    donazione = await Donazione.create({
       importo: importo, // Mantieni in euro nel database
       email: email.toLowerCase(),
       nome: nome.trim(),
@@ -166,107 +105,56 @@ exports.createPaymentIntent = async (req, res) => {
       status: 'processing',
       dataProcessamento: new Date(),
     });
-
-    // ===== LOG TRANSACTION =====
-    transactionLogger.logPaymentIntent({
-      id: paymentIntent.id,
-      amount: amountInCents,
-      currency: 'eur',
-      status: paymentIntent.status,
-      metadata: { email, nome, categoria },
-    });
-
-    transactionLogger.logDonation({
-      paymentIntentId: paymentIntent.id,
-      donationId: donazione._id,
-      amount: importo,
-      currency: 'EUR',
-      email,
-      name: nome,
-      categoria,
-      anonimo,
-      ricevuta,
-      status: 'processing',
-    });
-
-    // ===== RESPONSE =====
-
-    res.status(200).json({
-      success: true,
-      message: 'Payment intent creato con successo',
-      clientSecret: paymentIntent.client_secret,
-      paymentIntentId: paymentIntent.id,
-      donationId: donazione._id,
-      amount: (amountInCents / 100).toFixed(2),
-      currency: 'EUR',
-      beneficiary: {
-        name: process.env.BENEFICIARY_NAME,
-        iban: maskIBAN(process.env.BENEFICIARY_IBAN),
-      },
-    });
   } catch (error) {
-    console.error('❌ Error in createPaymentIntent:', error);
-
     // ===== LOG TRANSACTION =====
+    // The response is built by the global error handler (Stripe included)
     transactionLogger.logPaymentError({
       errorType: error.type || 'unknown_error',
       message: error.message,
-      email: req.body.email,
+      email,
       statusCode: 500,
     });
-
-    // Handle Stripe-specific errors
-    if (error.type === 'StripeAuthenticationError') {
-      transactionLogger.logPaymentError({
-        errorType: 'StripeAuthenticationError',
-        message: 'Errore di configurazione pagamento',
-        statusCode: 401,
-      });
-      return res.status(401).json({
-        success: false,
-        message: 'Errore di configurazione pagamento',
-      });
-    }
-
-    if (error.type === 'StripePermissionError') {
-      transactionLogger.logPaymentError({
-        errorType: 'StripePermissionError',
-        message: 'Non autorizzato',
-        statusCode: 403,
-      });
-      return res.status(403).json({
-        success: false,
-        message: 'Non autorizzato',
-      });
-    }
-
-    if (error.type === 'StripeInvalidRequestError') {
-      transactionLogger.logPaymentError({
-        errorType: 'StripeInvalidRequestError',
-        message: error.message,
-        statusCode: 400,
-      });
-      return res.status(400).json({
-        success: false,
-        message: error.message,
-      });
-    }
-
-    if (error.type === 'StripeRateLimitError') {
-      return res.status(429).json({
-        success: false,
-        message: 'Troppi tentativi. Riprova tra un momento.',
-      });
-    }
-
-    // Generic server error
-    res.status(500).json({
-      success: false,
-      message: 'Errore nel processamento del pagamento',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
-    });
+    throw error;
   }
-};
+
+  // ===== LOG TRANSACTION =====
+  transactionLogger.logPaymentIntent({
+    id: paymentIntent.id,
+    amount: amountInCents,
+    currency: 'eur',
+    status: paymentIntent.status,
+    metadata: { email, nome, categoria },
+  });
+
+  transactionLogger.logDonation({
+    paymentIntentId: paymentIntent.id,
+    donationId: donazione._id,
+    amount: importo,
+    currency: 'EUR',
+    email,
+    name: nome,
+    categoria,
+    anonimo,
+    ricevuta,
+    status: 'processing',
+  });
+
+  // ===== RESPONSE =====
+
+  res.status(200).json({
+    success: true,
+    message: 'Payment intent creato con successo',
+    clientSecret: paymentIntent.client_secret,
+    paymentIntentId: paymentIntent.id,
+    donationId: donazione._id,
+    amount: (amountInCents / 100).toFixed(2),
+    currency: 'EUR',
+    beneficiary: {
+      name: config.beneficiary.name,
+      iban: maskIBAN(config.beneficiary.iban),
+    },
+  });
+});
 
 /**
  * Confirm donation payment (called after client confirms with Stripe)
@@ -279,156 +167,158 @@ exports.createPaymentIntent = async (req, res) => {
  *
  * @returns {Object} Confirmation response
  */
-exports.confirmPayment = async (req, res) => {
-  try {
-    const { paymentIntentId } = req.body;
+exports.confirmPayment = catchAsync(async (req, res, next) => {
+  const { paymentIntentId } = req.body;
 
-    if (!paymentIntentId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Payment Intent ID mancante',
-      });
-    }
-
-    // Retrieve payment intent from Stripe to verify
-    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
-
-    if (paymentIntent.status === 'succeeded') {
-      // Update donation record
-      const donazione = await Donazione.findOneAndUpdate(
-        { stripePaymentIntentId: paymentIntentId },
-        {
-          status: 'completed',
-          stripeChargeId: paymentIntent.charges?.data?.[0]?.id || null,
-          dataPagamento: new Date(),
-          dataProcessamento: new Date(),
-        },
-        { new: true },
-      );
-
-      if (!donazione) {
-        return res.status(404).json({
-          success: false,
-          message: 'Donazione non trovata',
-        });
-      }
-
-      // ===== LOG TRANSACTION =====
-      transactionLogger.logPaymentConfirmation({
-        paymentIntentId,
-        donationId: donazione._id,
-        status: 'succeeded',
-        amount: donazione.importo,
-        currency: 'EUR',
-      });
-
-      return res.status(200).json({
-        success: true,
-        message: 'Donazione confermata',
-        donation: {
-          id: donazione._id,
-          amount: parseFloat(donazione.importo).toFixed(2),
-          status: donazione.status,
-          recipientName: donazione.anonimo ? 'Anonimo' : donazione.nome,
-        },
-      });
-    } else if (paymentIntent.status === 'requires_action') {
-      // ===== LOG TRANSACTION =====
-      transactionLogger.logPaymentError({
-        paymentIntentId,
-        errorType: 'requires_action',
-        message: 'Azione aggiuntiva richiesta',
-        statusCode: 400,
-      });
-
-      return res.status(400).json({
-        success: false,
-        message: 'Azione aggiuntiva richiesta',
-      });
-    } else {
-      // ===== LOG TRANSACTION =====
-      transactionLogger.logPaymentError({
-        paymentIntentId,
-        errorType: 'payment_failed',
-        message: `Stato pagamento: ${paymentIntent.status}`,
-        statusCode: 400,
-      });
-
-      return res.status(400).json({
-        success: false,
-        message: `Stato pagamento: ${paymentIntent.status}`,
-      });
-    }
+  // Retrieve payment intent from Stripe to verify
+  let paymentIntent;
+  try {
+    paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
   } catch (error) {
-    console.error('❌ Error in confirmPayment:', error);
-
     // ===== LOG TRANSACTION =====
     transactionLogger.logPaymentError({
       errorType: 'server_error',
       message: error.message,
       statusCode: 500,
     });
+    throw error;
+  }
+
+  if (paymentIntent.status === 'succeeded') {
+    // Update donation record
+    const donazione = await Donazione.findOneAndUpdate(
+      { stripePaymentIntentId: paymentIntentId },
+      {
+        status: 'completed',
+        stripeChargeId: paymentIntent.charges?.data?.[0]?.id || null,
+        dataPagamento: new Date(),
+        dataProcessamento: new Date(),
+      },
+      { new: true },
+    );
+
+    if (!donazione) {
+      return next(new AppError('Donazione non trovata', 404));
+    }
+
+    // ===== LOG TRANSACTION =====
+    transactionLogger.logPaymentConfirmation({
+      paymentIntentId,
+      donationId: donazione._id,
+      status: 'succeeded',
+      amount: donazione.importo,
+      currency: 'EUR',
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Donazione confermata',
+      donation: {
+        id: donazione._id,
+        amount: parseFloat(donazione.importo).toFixed(2),
+        status: donazione.status,
+        recipientName: donazione.anonimo ? 'Anonimo' : donazione.nome,
+      },
+    });
+  } else if (paymentIntent.status === 'requires_action') {
+    // ===== LOG TRANSACTION =====
+    transactionLogger.logPaymentError({
+      paymentIntentId,
+      errorType: 'requires_action',
+      message: 'Azione aggiuntiva richiesta',
+      statusCode: 400,
+    });
 
-    res.status(500).json({
-      success: false,
-      message: 'Errore nella conferma del pagamento',
+    return next(
+      new AppError(
+        'Azione aggiuntiva richiesta',
+        400,
+        'PAYMENT_REQUIRES_ACTION',
+      ),
+    );
+  } else {
+    // ===== LOG TRANSACTION =====
+    transactionLogger.logPaymentError({
+      paymentIntentId,
+      errorType: 'payment_failed',
+      message: `Stato pagamento: ${paymentIntent.status}`,
+      statusCode: 400,
     });
+
+    return next(
+      new AppError(
+        `Stato pagamento: ${paymentIntent.status}`,
+        400,
+        'PAYMENT_NOT_COMPLETED',
+      ),
+    );
   }
-};
+});
 
 /**
  * Handle Stripe Webhook for payment updates
- * Processes payment success/failure notifications
+ * Processes payment success/failure notifications, and the checkout sessions
+ * of paid event registrations (metadata.type === 'registration'): the endpoint
+ * must be subscribed to checkout.session.completed / expired /
+ * async_payment_succeeded / async_payment_failed in the Stripe dashboard
  *
  * POST /api/donazioni/webhook
  *
  * @param {Object} req - Express request object
  * @param {string} req.headers['stripe-signature'] - Stripe webhook signature
- * @param {string} req.rawBody - Raw request body for signature verification
+ * @param {Buffer} req.rawBody - Raw request body for signature verification
+ *   (set by the express.raw() middleware mounted in index.js)
  */
-exports.handleWebhook = async (req, res) => {
+exports.handleWebhook = catchAsync(async (req, res, next) => {
   const sig = req.headers['stripe-signature'];
-  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+  const webhookSecret = config.stripe.webhookSecret;
 
   if (!webhookSecret) {
     console.warn('⚠️ STRIPE_WEBHOOK_SECRET not configured');
-    return res
-      .status(400)
-      .json({ success: false, message: 'Webhook not configured' });
-  }
-
-  try {
-    const event = stripe.webhooks.constructEvent(
-      req.rawBody,
-      sig,
-      webhookSecret,
+    return next(
+      new AppError('Webhook not configured', 400, 'WEBHOOK_NOT_CONFIGURED'),
     );
+  }
 
-    // Handle different event types
-    switch (event.type) {
-      case 'payment_intent.succeeded':
-        await handlePaymentSuccess(event.data.object);
-        break;
-
-      case 'payment_intent.payment_failed':
-        await handlePaymentFailed(event.data.object);
-        break;
-
-      case 'charge.refunded':
-        await handleRefund(event.data.object);
-        break;
-
-      default:
-        console.log(`ℹ️ Unhandled event type: ${event.type}`);
-    }
-
-    // Always respond 200 to acknowledge receipt
-    res.status(200).json({ received: true });
-  } catch (error) {
-    console.error('❌ Webhook error:', error);
-    res.status(400).json({ success: false, error: error.message });
+  // Invalid signatures throw StripeSignatureVerificationError (400)
+  const event = stripe.webhooks.constructEvent(
+    req.rawBody,
+    sig,
+    webhookSecret,
+  );
+
+  // Handle different event types
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+      await handlePaymentSuccess(event.data.object);
+      break;
+
+    case 'payment_intent.payment_failed':
+      await handlePaymentFailed(event.data.object);
+      break;
+
+    case 'charge.refunded':
+      await handleRefund(event.data.object);
+      break;
+
+    case 'checkout.session.completed':
+    case 'checkout.session.async_payment_succeeded':
+      await handleRegistrationCheckoutCompleted(event.data.object);
+      break;
+
+    case 'checkout.session.expired':
+    case 'checkout.session.async_payment_failed':
+      await handleRegistrationCheckoutExpired(event.data.object);
+      break;
+
+    default:
+      console.log(`ℹ️ Unhandled event type: ${event.type}`);
   }
-};
+
+  // Respond 200 to acknowledge receipt (a failure above answers 5xx and
+  // Stripe redelivers the event)
+  res.status(200).json({ received: true });
+});
 
 /**
  * Get donation statistics
@@ -437,33 +327,25 @@ exports.handleWebhook = async (req, res) => {
  *
  * @returns {Object} Comprehensive statistics
  */
-exports.getDonationStats = async (req, res) => {
-  try {
-    const stats = await Donazione.getStats();
-
-    res.status(200).json({
-      success: true,
-      data: {
-        ...stats,
-        totalDonationsFormatted: `€${parseFloat(stats.totalDonations).toFixed(2)}`,
-        averageDonationFormatted: `€${parseFloat(stats.averageDonation).toFixed(2)}`,
-        byCategory: Object.entries(stats.byCategory).map(
-          ([category, data]) => ({
-            category,
-            total: `€${parseFloat(data.total).toFixed(2)}`,
-            count: data.count,
-          }),
-        ),
-      },
-    });
-  } catch (error) {
-    console.error('❌ Error getting stats:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Errore nel recupero delle statistiche',
-    });
-  }
-};
+exports.getDonationStats = catchAsync(async (req, res, next) => {
+  const stats = await Donazione.getStats();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...stats,
+      totalDonationsFormatted: `€${parseFloat(stats.totalDonations).toFixed(2)}`,
+      averageDonationFormatted: `€${parseFloat(stats.averageDonation).toFixed(2)}`,
+      byCategory: Object.entries(stats.byCategory).map(
+        ([category, data]) => ({
+          category,
+          total: `€${parseFloat(data.total).toFixed(2)}`,
+          count: data.count,
+        }),
+      ),
+    },
+  });
+});
 
 /**
  * Get recent donations (public list)
@@ -472,64 +354,54 @@ exports.getDonationStats = async (req, res) => {
  *
  * @returns {Array} Recent donations
  */
-exports.getRecentDonations = async (req, res) => {
-  try {
-    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
-
-    const donations = await Donazione.find({ status: 'completed' })
-      .select('nome anonimo importo dataPagamento categoria')
-      .limit(limit)
-      .sort({ dataPagamento: -1 });
-
-    const formattedDonations = donations.map((d) => ({
-      name: d.anonimo ? 'Anonimo' : d.nome,
-      amount: `€${(d.importo / 100).toFixed(2)}`,
-      date: d.dataPagamento.toLocaleDateString('it-IT'),
-      category: d.categoria,
-    }));
-
-    res.status(200).json({
-      success: true,
-      count: formattedDonations.length,
-      donations: formattedDonations,
-    });
-  } catch (error) {
-    console.error('❌ Error getting recent donations:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Errore nel recupero delle donazioni',
-    });
-  }
-};
+exports.getRecentDonations = catchAsync(async (req, res, next) => {
+  const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+  const donations = await Donazione.find({ status: 'completed' })
+    .select('nome anonimo importo dataPagamento categoria')
+    .limit(limit)
+    .sort({ dataPagamento: -1 });
+
+  const formattedDonations = donations.map((d) => ({
+    name: d.anonimo ? 'Anonimo' : d.nome,
+    amount: `€${(d.importo / 100).toFixed(2)}`,
+    date: d.dataPagamento.toLocaleDateString('it-IT'),
+    category: d.categoria,
+  }));
+
+  res.status(200).json({
+    success: true,
+    count: formattedDonations.length,
+    donations: formattedDonations,
+  });
+});
 
 /**
  * Get beneficiary information
+ * The full IBAN is returned only to users with donations:beneficiary:read
+ * (req.user is set by optionalAuth when a valid token is sent)
  *
  * GET /api/donazioni/beneficiary
  *
  * @returns {Object} Beneficiary details
  */
-exports.getBeneficiaryInfo = async (req, res) => {
-  try {
-    res.status(200).json({
-      success: true,
-      beneficiary: {
-        name: process.env.BENEFICIARY_NAME,
-        iban: maskIBAN(process.env.BENEFICIARY_IBAN),
-        fullIban: process.env.BENEFICIARY_IBAN, // Only shown to admins
-        bic: process.env.BENEFICIARY_BIC,
-        email: process.env.BENEFICIARY_EMAIL,
-        phone: process.env.BENEFICIARY_PHONE,
-      },
-    });
-  } catch (error) {
-    console.error('❌ Error getting beneficiary info:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Errore nel recupero dei dati del beneficiario',
-    });
-  }
-};
+exports.getBeneficiaryInfo = catchAsync(async (req, res, next) => {
+  const canSeeFullIban =
+    req.user &&
+    req.user.hasPermission(PERMISSIONS.DONATIONS_BENEFICIARY_READ);
+
+  res.status(200).json({
+    success: true,
+    beneficiary: {
+      name: config.beneficiary.name,
+      iban: maskIBAN(config.beneficiary.iban),
+      fullIban: canSeeFullIban ? config.beneficiary.iban : undefined,
+      bic: config.beneficiary.bic,
+      email: config.beneficiary.email,
+      phone: config.beneficiary.phone,
+    },
+  });
+});
 
 // ===== INTERNAL HELPER FUNCTIONS =====
 
@@ -613,6 +485,61 @@ async function handleRefund(charge) {
   }
 }
 
+/**
+ * Handle a paid registration checkout: pending registrations become confirmed
+ * A payment that arrived after the places were released is refunded when the
+ * event has no room left, and so is the share of registrations cancelled
+ * while the checkout was open; the refund is recorded only once Stripe
+ * accepts it
+ * Errors are not caught: the webhook answers 5xx and Stripe redelivers the
+ * event (completeCheckout is idempotent and the refund has an idempotency key)
+ * @private
+ */
+async function handleRegistrationCheckoutCompleted(session) {
+  if (session.metadata?.type !== 'registration') return;
+  if (session.payment_status !== 'paid') return;
+
+  const { confirmed, late } = await Conferenza.completeCheckout(session);
+  console.log(
+    `✅ Registration checkout ${session.id} paid: ${confirmed} confirmed`,
+  );
+
+  if (late.length > 0) {
+    const amount = late.reduce((sum, r) => sum + r.pagamento.amount, 0);
+    const refund = await stripe.refunds.create(
+      {
+        payment_intent: session.payment_intent,
+        amount,
+        reason: 'requested_by_customer',
+        metadata: { type: 'registration', session: session.id },
+      },
+      { idempotencyKey: `registration-refund-${session.id}` },
+    );
+    await Conferenza.recordRefund(session, refund);
+    console.warn(
+      `💰 Registration checkout ${session.id}: ${late.length} late or cancelled payment(s) refunded`,
+    );
+  }
+}
+
+/**
+ * Handle an expired or failed registration checkout: held places and beds
+ * are released and passed on to the waitlist
+ * Errors are not caught, so that Stripe redelivers the event
+ * @private
+ */
+async function handleRegistrationCheckoutExpired(session) {
+  if (session.metadata?.type !== 'registration') return;
+
+  const released = await Conferenza.expireCheckout(
+    session,
+    config.events.waitlistOfferHours,
+  );
+  console.log(
+    `⌛ Registration checkout ${session.id} expired: ${released} place(s) released`,
+  );
+}
+
 /**
  * Mask IBAN for display (show last 4 digits only)
  * @private
@@ -633,38 +560,21 @@ function maskIBAN(iban) {
  * @param {string} [req.query.date] - Date in YYYY-MM-DD format (defaults to today)
  * @returns {200} Array of transactions for the date
  */
-exports.getTransactionLogs = async (req, res) => {
-  try {
-    const { date } = req.query;
-
-    // Validate date format if provided
-    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid date format. Use YYYY-MM-DD',
-      });
-    }
-
-    const transactions = transactionLogger.readDayTransactions(date);
-    const stats = transactionLogger.getTransactionStats(date);
-    const logDate = date || transactionLogger.getDateForFilename();
-
-    res.status(200).json({
-      success: true,
-      date: logDate,
-      statistics: stats,
-      transactions,
-      logsDirectory: transactionLogger.getLogsDir(),
-    });
-  } catch (error) {
-    console.error('❌ Error in getTransactionLogs:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Errore nel recupero dei log',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
-    });
-  }
-};
+exports.getTransactionLogs = catchAsync(async (req, res, next) => {
+  const { date } = req.query; // YYYY-MM-DD, validated by the route
+
+  const transactions = transactionLogger.readDayTransactions(date);
+  const stats = transactionLogger.getTransactionStats(date);
+  const logDate = date || transactionLogger.getDateForFilename();
+
+  res.status(200).json({
+    success: true,
+    date: logDate,
+    statistics: stats,
+    transactions,
+    logsDirectory: transactionLogger.getLogsDir(),
+  });
+});
 
 /**
  * Get transaction statistics for a date
@@ -675,35 +585,18 @@ exports.getTransactionLogs = async (req, res) => {
  * @param {string} [req.query.date] - Date in YYYY-MM-DD format (defaults to today)
  * @returns {200} Transaction statistics
  */
-exports.getTransactionStats = async (req, res) => {
-  try {
-    const { date } = req.query;
-
-    // Validate date format if provided
-    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid date format. Use YYYY-MM-DD',
-      });
-    }
-
-    const stats = transactionLogger.getTransactionStats(date);
-    const logDate = date || transactionLogger.getDateForFilename();
-
-    res.status(200).json({
-      success: true,
-      date: logDate,
-      statistics: stats,
-      logsDirectory: transactionLogger.getLogsDir(),
-    });
-  } catch (error) {
-    console.error('❌ Error in getTransactionStats:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Errore nel recupero delle statistiche',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
-    });
-  }
-};
+exports.getTransactionStats = catchAsync(async (req, res, next) => {
+  const { date } = req.query; // YYYY-MM-DD, validated by the route
+
+  const stats = transactionLogger.getTransactionStats(date);
+  const logDate = date || transactionLogger.getDateForFilename();
+
+  res.status(200).json({
+    success: true,
+    date: logDate,
+    statistics: stats,
+    logsDirectory: transactionLogger.getLogsDir(),
+  });
+});
 
 module.exports = exports;
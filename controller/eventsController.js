@@ -1,114 +1,215 @@
 const Eventi = require('./../models/eventiModel');
 const APIFeatures = require('./../utils/apiFeatures');
+const AppError = require('./../utils/errorClass');
+const catchAsync = require('./../middleware/catchAsync');
+const config = require('./../config');
+const { calendarUid, formatDateTime, toICS, sendICS } = require('./../utils/ical');
+const { MAX_OCCURRENCES, isOccurrence } = require('./../utils/recurrence');
+const {
+    GEOJSON_CONTENT_TYPE,
+    distanceKm,
+    parseBBox,
+    toFeatureCollection,
+} = require('./../utils/geo');
 
-const getAllEvents = async (req, res) => {
-    try {
-        // Execute the query
-        const features = new APIFeatures(Eventi.find(), req.query)
-                            .filter()
-                            .sort()
-                            .limitFields()
-                            .paginate();
-        const eventi = await features.query;
-
-        // Send the response
-        res.status(200).json({
-            status: 'success',
-            results: eventi.length,
-            data: {
-                eventi,
-            },
-        });
-    } catch (error) {
-        res.status(404).json({
-            status: 'fail',
-            message: error.message,
-        });
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Durata massima di un periodo richiesto con from/to (giorni)
+ */
+const MAX_PERIOD_DAYS = 731;
+
+/**
+ * Periodo richiesto con from/to
+ * Senza from parte da `defaultFrom`, senza to dura `defaultDays` giorni
+ */
+const resolvePeriod = ({ from, to }, { defaultFrom = new Date(), defaultDays }) => {
+    const start = from ? new Date(from) : defaultFrom;
+    const end = to ? new Date(to) : new Date(start.getTime() + defaultDays * DAY_MS);
+
+    if (end < start || end - start > MAX_PERIOD_DAYS * DAY_MS) {
+        throw new AppError(
+            `The period must end after it starts and last at most ${MAX_PERIOD_DAYS} days`,
+            400,
+            'INVALID_PERIOD'
+        );
     }
+    return { from: start, to: end };
 };
-const getEvent = async (req, res) => {
-    try {
-        // 📈 Incrementa automaticamente le views quando un evento viene visualizzato
-        const eventi = await Eventi.findByIdAndUpdate(
-            req.params.id,
-            { $inc: { views: 1 } },
-            { new: true, runValidators: false }
-        );
 
-        if (!eventi) {
-            return res.status(404).json({
-                status: 'fail',
-                message: 'Event not found',
-            });
-        }
+/**
+ * Eventi di una serie ricorrente: la serie e le occorrenze modificate
+ */
+const seriesFilter = (id) => ({ $or: [{ _id: id }, { recurrenceOf: id }] });
 
-        console.log(`📅 Event "${eventi.title}" viewed. Total views: ${eventi.views}`);
+/**
+ * Elenco per periodo (?from=&to=): eventi singoli e occorrenze delle serie
+ * ricorrenti, in ordine di data, con gli stessi filtri e gli stessi limiti di
+ * pagina dell'elenco normale. Solo per pagina (niente cursore) e senza totale:
+ * vengono espanse solo le occorrenze fino alla pagina richiesta, al massimo le
+ * prime MAX_OCCURRENCES del periodo (oltre si restringe il periodo)
+ */
+const getEventsInPeriod = async (req, res) => {
+    const { from, to, cursor, ...params } = req.query;
+    const period = resolvePeriod({ from, to }, { defaultDays: 31 });
 
-        res.status(200).json({
-            status: 'success',
-            data: {
-                eventi,
-            },
-        });
-    } catch (error) {
-        res.status(404).json({
-            status: 'fail',
-            message: error,
+    if (cursor !== undefined) {
+        throw new AppError('Paginazione non valida', 400, 'INVALID_QUERY', {
+            cursor: 'Con from/to usa page, il cursore non è supportato',
         });
     }
-};
-const createEvent = async (req, res) => {
-    try {
-        const eventi = await Eventi.create(req.body);
-        res.status(201).json({
-            status: 'success',
-            data: {
-                eventi: eventi,
-            },
-        });
-    } catch (error) {
-        res.status(400).json({
-            status: 'fail',
-            message: 'Invalid data received',
+
+    const features = new APIFeatures(Eventi.find(), params).filter().paginate();
+    const { page, limit } = features.pagination;
+    const end = page * limit;
+
+    if (end > MAX_OCCURRENCES) {
+        throw new AppError('Paginazione non valida', 400, 'INVALID_QUERY', {
+            page: `Con from/to si sfogliano le prime ${MAX_OCCURRENCES} occorrenze: restringi il periodo`,
         });
     }
+
+    // Un evento in più dice se esiste un'altra pagina
+    const occurrences = await Eventi.findOccurrences({
+        ...period,
+        filter: features.query.getFilter(),
+        timeZone: config.events.timeZone,
+        limit: end + 1,
+    });
+    const eventi = occurrences.slice(end - limit, end);
+
+    res.status(200).json({
+        status: 'success',
+        results: eventi.length,
+        page,
+        limit,
+        hasMore: occurrences.length > end,
+        data: {
+            eventi,
+        },
+    });
 };
-const updateEvent = async (req, res) => {
-    try {
-        const eventi = await Eventi
-            .findByIdAndUpdate(req.params.id, req.body, {
-                new: true,
-                runValidators: true,
-            });
-        res.status(200).json({
-            status: 'success',
-            data: {
-                eventi,
-            },
-        });
+
+const getAllEvents = catchAsync(async (req, res, next) => {
+    // Con from/to le serie ricorrenti vengono espanse nelle loro occorrenze,
+    // senza restano un solo evento (la serie)
+    if (req.query.from || req.query.to) {
+        return getEventsInPeriod(req, res);
     }
-    catch (error) {
-        res.status(404).json({
-            status: 'fail',
-            message: error,
-        });
+
+    // Execute the query
+    const features = new APIFeatures(Eventi.find(), req.query)
+                        .filter()
+                        .sort()
+                        .limitFields()
+                        .paginate();
+    const { docs: eventi, pagination } = await features.execute();
+
+    // Send the response
+    res.status(200).json({
+        status: 'success',
+        results: eventi.length,
+        ...pagination,
+        data: {
+            eventi,
+        },
+    });
+});
+const getEvent = catchAsync(async (req, res, next) => {
+    // 📈 Incrementa automaticamente le views quando un evento viene visualizzato
+    const eventi = await Eventi.findByIdAndUpdate(
+        req.params.id,
+        { $inc: { views: 1 } },
+        { new: true, runValidators: false }
+    );
+
+    if (!eventi) {
+        return next(new AppError('Event not found', 404));
     }
-    
+
+    console.log(`📅 Event "${eventi.title}" viewed. Total views: ${eventi.views}`);
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            eventi,
+        },
+    });
+});
+/**
+ * Campi dell'evento modificabili da create/update
+ * (i contatori iscrizioni, lista d'attesa e views li aggiornano solo le
+ * operazioni atomiche del modello;
+ * l'inventario alloggi ha un endpoint dedicato che preserva l'occupazione,
+ * il programma ha /:id/agenda e /:id/sessions;
+ * le tappe del ciclo di vita le scrive solo lo scheduler; la revisione
+ * iCalendar la incrementa updateEvent; le occorrenze modificate di una serie
+ * si gestiscono con /:id/occurrences)
+ */
+const pickEventFields = (body) => {
+    const {
+        registrations, waitlistSeq, views,
+        accommodations, sessions, lifecycle, sequence, recurrenceOf, recurrenceId,
+        ...fields
+    } = body;
+    return fields;
 };
-const deleteEvent = async (req, res) => {
-    try {
-        await Eventi.findByIdAndDelete(req.params.id);
-        res.status(204).json({
-            status: 'success',
-            data: null,
-        });
-    } catch (error) {
-        res.status(404).json({
-            status: 'fail',
-            message: error,
+
+const createEvent = catchAsync(async (req, res, next) => {
+    const eventi = await Eventi.create(pickEventFields(req.body));
+    res.status(201).json({
+        status: 'success',
+        data: {
+            eventi: eventi,
+        },
+    });
+});
+const updateEvent = catchAsync(async (req, res, next) => {
+    const updates = {
+        ...pickEventFields(req.body),
+        updatedAt: Date.now(),
+        // Nuova revisione: i calendari sottoscritti aggiornano l'evento
+        $inc: { sequence: 1 },
+    };
+
+    // Un evento spostato riceve di nuovo promemoria e chiusura delle iscrizioni
+    if (updates.date !== undefined || updates.registrationDeadline !== undefined) {
+        updates['lifecycle.reminderSentAt'] = null;
+        updates['lifecycle.registrationClosedAt'] = null;
+    }
+
+    const eventi = await Eventi
+        .findByIdAndUpdate(req.params.id, updates, {
+            new: true,
+            runValidators: true,
         });
+
+    if (!eventi) {
+        return next(new AppError('Event not found', 404));
     }
-};
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            eventi,
+        },
+    });
+});
+const deleteEvent = catchAsync(async (req, res, next) => {
+    const eventi = await Eventi.findByIdAndDelete(req.params.id);
+
+    if (!eventi) {
+        return next(new AppError('Event not found', 404));
+    }
+
+    // Una serie ricorrente porta con sé le occorrenze modificate
+    await Eventi.deleteMany({ recurrenceOf: eventi._id });
+
+    res.status(204).json({
+        status: 'success',
+        data: null,
+    });
+});
 
 /**
  * Incrementa il conteggio delle visualizzazioni per un evento
@@ -117,41 +218,30 @@ const deleteEvent = async (req, res) => {
  * @param {string} req.params.id - Event ID
  * @returns {Object} Updated event document with incremented views
  */
-const incrementEventViews = async (req, res) => {
-    try {
-        const eventId = req.params.id;
-        console.log(`📈 Incrementing views for event: ${eventId}`);
+const incrementEventViews = catchAsync(async (req, res, next) => {
+    const eventId = req.params.id;
+    console.log(`📈 Incrementing views for event: ${eventId}`);
 
-        const event = await Eventi.findByIdAndUpdate(
-            eventId,
-            { $inc: { views: 1 } },
-            { new: true, runValidators: false }
-        );
+    const event = await Eventi.findByIdAndUpdate(
+        eventId,
+        { $inc: { views: 1 } },
+        { new: true, runValidators: false }
+    );
 
-        if (!event) {
-            return res.status(404).json({
-                status: 'fail',
-                message: 'Event not found',
-            });
-        }
+    if (!event) {
+        return next(new AppError('Event not found', 404));
+    }
 
-        console.log(`✅ Views incremented. Total views: ${event.views}`);
+    console.log(`✅ Views incremented. Total views: ${event.views}`);
 
-        res.status(200).json({
-            status: 'success',
-            data: {
-                eventId: event._id,
-                views: event.views,
-            },
-        });
-    } catch (error) {
-        console.error('Error incrementing views:', error);
-        res.status(500).json({
-            status: 'fail',
-            message: 'Error updating views: ' + error.message,
-        });
-    }
-};
+    res.status(200).json({
+        status: 'success',
+        data: {
+            eventId: event._id,
+            views: event.views,
+        },
+    });
+});
 
 /**
  * Ottiene le statistiche complete delle visualizzazioni degli eventi
@@ -159,72 +249,465 @@ const incrementEventViews = async (req, res) => {
  * @param {Object} req - Express request object
  * @returns {Object} Statistiche: totale views, media views, evento più visto, etc.
  */
-const getViewsStatistics = async (req, res) => {
-    try {
-        console.log('📊 Fetching event views statistics');
-
-        const stats = await Eventi.aggregate([
-            {
-                $group: {
-                    _id: null,
-                    totalViews: { $sum: '$views' },
-                    averageViews: { $avg: '$views' },
-                    maxViews: { $max: '$views' },
-                    minViews: { $min: '$views' },
-                    totalEvents: { $sum: 1 },
-                },
+const getViewsStatistics = catchAsync(async (req, res, next) => {
+    console.log('📊 Fetching event views statistics');
+
+    const stats = await Eventi.aggregate([
+        {
+            $group: {
+                _id: null,
+                totalViews: { $sum: '$views' },
+                averageViews: { $avg: '$views' },
+                maxViews: { $max: '$views' },
+                minViews: { $min: '$views' },
+                totalEvents: { $sum: 1 },
             },
-        ]);
-
-        // Ottieni gli eventi più visti (top 10)
-        const topEvents = await Eventi.find({ status: { $ne: 'cancelled' } })
-            .select('_id title views location date')
-            .sort({ views: -1 })
-            .limit(10);
-
-        // Ottieni statistiche per status
-        const statusStats = await Eventi.aggregate([
-            {
-                $group: {
-                    _id: '$status',
-                    totalViews: { $sum: '$views' },
-                    averageViews: { $avg: '$views' },
-                    count: { $sum: 1 },
-                },
+        },
+    ]);
+
+    // Ottieni gli eventi più visti (top 10)
+    const topEvents = await Eventi.find({ status: { $ne: 'cancelled' } })
+        .select('_id title views location date')
+        .sort({ views: -1 })
+        .limit(10);
+
+    // Ottieni statistiche per status
+    const statusStats = await Eventi.aggregate([
+        {
+            $group: {
+                _id: '$status',
+                totalViews: { $sum: '$views' },
+                averageViews: { $avg: '$views' },
+                count: { $sum: 1 },
             },
-            { $sort: { totalViews: -1 } },
-        ]);
-
-        const result = {
-            status: 'success',
-            data: {
-                overview: stats[0] || {
-                    totalViews: 0,
-                    averageViews: 0,
-                    maxViews: 0,
-                    minViews: 0,
-                    totalEvents: 0,
-                },
-                topEvents,
-                statusStats,
-                timestamp: new Date(),
+        },
+        { $sort: { totalViews: -1 } },
+    ]);
+
+    const result = {
+        status: 'success',
+        data: {
+            overview: stats[0] || {
+                totalViews: 0,
+                averageViews: 0,
+                maxViews: 0,
+                minViews: 0,
+                totalEvents: 0,
             },
-        };
+            topEvents,
+            statusStats,
+            timestamp: new Date(),
+        },
+    };
 
-        console.log(
-            `✅ Statistics retrieved. Total views: ${result.data.overview.totalViews}`
-        );
+    console.log(
+        `✅ Statistics retrieved. Total views: ${result.data.overview.totalViews}`
+    );
 
-        res.status(200).json(result);
-    } catch (error) {
-        console.error('Error fetching statistics:', error);
-        res.status(500).json({
-            status: 'fail',
-            message: 'Error fetching statistics: ' + error.message,
-        });
+    res.status(200).json(result);
+});
+
+/**
+ * Disponibilità degli alloggi di un evento (pubblica, per il modulo di iscrizione)
+ * GET /api/v1/events/:id/accommodations
+ */
+const getEventAccommodations = catchAsync(async (req, res, next) => {
+    const event = await Eventi.findById(req.params.id);
+
+    if (!event) {
+        return next(new AppError('Event not found', 404));
+    }
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            nights: event.getNights(),
+            accommodations: event.getAccommodationAvailability(),
+        },
+    });
+});
+
+/**
+ * Sostituisce l'inventario alloggi di un evento (organizzatori)
+ * Le camere già occupate restano con i loro ospiti: non si possono togliere
+ * tipi o camere occupati né ridurre i letti sotto l'occupazione (409)
+ * PUT /api/v1/events/:id/accommodations
+ * { accommodations: [{ code, name, kind, rooms, bedsPerRoom, pricePerNight }] }
+ */
+const setEventAccommodations = catchAsync(async (req, res, next) => {
+    const event = await Eventi.findById(req.params.id);
+
+    if (!event) {
+        return next(new AppError('Event not found', 404));
+    }
+
+    const codes = req.body.accommodations.map((a) => a.code.toLowerCase());
+    const duplicates = codes.filter((code, index) => codes.indexOf(code) !== index);
+    if (duplicates.length > 0) {
+        return next(new AppError('Duplicate accommodation codes', 400, 'VALIDATION_ERROR', {
+            accommodations: duplicates.join(', '),
+        }));
+    }
+
+    const types = req.body.accommodations.map((a, index) => ({ ...a, code: codes[index] }));
+    const { event: updated, conflicts } = await event.setAccommodations(types);
+
+    if (conflicts.length > 0) {
+        return next(new AppError(
+            'The new inventory does not fit the guests already assigned',
+            409,
+            'ACCOMMODATION_IN_USE',
+            { accommodations: conflicts.join('; ') }
+        ));
+    }
+    if (!updated) {
+        return next(new AppError(
+            'Beds were assigned while saving: retry',
+            409,
+            'ACCOMMODATION_CHANGED'
+        ));
+    }
+
+    res.status(200).json({
+        status: 'success',
+        data: {
+            accommodations: updated.getAccommodationAvailability(),
+        },
+    });
+});
+
+/**
+ * Filtri comuni alle ricerche su mappa: periodo e tag
+ * Il periodo include gli eventi che vi si sovrappongono; senza `from`
+ * restano solo gli eventi non ancora finiti. `tags` è una lista separata
+ * da virgole: basta uno dei tag
+ */
+const buildMapFilter = ({ from, to, tags }) => {
+    const start = from ? new Date(from) : new Date();
+    const filter = {
+        $or: [
+            { endDate: { $gte: start } },
+            { endDate: null, date: { $gte: start } },
+        ],
+    };
+
+    if (to) filter.date = { $lte: new Date(to) };
+
+    const tagList = (tags || '')
+        .split(',')
+        .map((tag) => tag.trim().toLowerCase())
+        .filter(Boolean);
+    if (tagList.length > 0) filter.tags = { $in: tagList };
+
+    return filter;
+};
+
+/**
+ * Risposta delle ricerche su mappa: JSON standard o GeoJSON FeatureCollection
+ * (Leaflet, Mapbox, OpenLayers); ogni Feature ha i dati essenziali dell'evento
+ */
+const sendMapResults = (res, eventi, format) => {
+    if (format === 'geojson') {
+        const collection = toFeatureCollection(eventi, (event) => ({
+            title: event.title,
+            date: event.date,
+            endDate: event.endDate,
+            location: event.location,
+            status: event.status,
+            tags: event.tags,
+            image: event.image,
+            ...(event.distanceKm !== undefined && { distanceKm: event.distanceKm }),
+        }));
+        return res.status(200).type(GEOJSON_CONTENT_TYPE).json(collection);
+    }
+
+    res.status(200).json({
+        status: 'success',
+        results: eventi.length,
+        data: {
+            eventi,
+        },
+    });
+};
+
+/**
+ * Eventi vicini a un punto, dal più vicino, con la distanza in km
+ * GET /api/v1/events/near?lat=41.9028&lng=12.4964&radiusKm=50&from=2026-06-01&tags=giovani
+ * &format=geojson restituisce una FeatureCollection
+ */
+const getEventsNear = catchAsync(async (req, res, next) => {
+    const { lat, lng, radiusKm = 25, limit = 50, format } = req.query;
+
+    const eventi = await Eventi
+        .findNearby(lat, lng, radiusKm * 1000, buildMapFilter(req.query))
+        .limit(limit)
+        .lean();
+
+    eventi.forEach((event) => {
+        event.distanceKm = distanceKm([lng, lat], event.coordinates.coordinates);
+    });
+
+    sendMapResults(res, eventi, format);
+});
+
+/**
+ * Eventi visibili in un riquadro della mappa, in ordine di data
+ * bbox = ovest,sud,est,nord (ordine GeoJSON); ovest > est attraversa l'antimeridiano
+ * GET /api/v1/events/within?bbox=6.6,36.6,18.5,47.1&from=2026-06-01&to=2026-08-31
+ */
+const getEventsWithin = catchAsync(async (req, res, next) => {
+    const { limit = 200, format } = req.query;
+    const bbox = parseBBox(req.query.bbox);
+
+    if (!bbox) {
+        return next(new AppError('Invalid bounding box', 400, 'VALIDATION_ERROR', {
+            bbox: 'Expected west,south,east,north in degrees',
+        }));
     }
+
+    const eventi = await Eventi
+        .findWithin(bbox, buildMapFilter(req.query))
+        .limit(limit)
+        .lean();
+
+    sendMapResults(res, eventi, format);
+});
+
+/**
+ * Giorni di eventi passati e futuri inclusi nel feed iCalendar
+ * (le serie ricorrenti sono espanse in questo periodo)
+ */
+const CALENDAR_PAST_DAYS = 90;
+const CALENDAR_FUTURE_DAYS = 366;
+
+/**
+ * Intervallo di aggiornamento suggerito ai calendari sottoscritti (minuti)
+ */
+const CALENDAR_REFRESH_MINUTES = 60;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Voce iCalendar di un evento (vedi utils/ical.js)
+ * Gli eventi annullati restano con STATUS:CANCELLED, così spariscono dai
+ * calendari che li avevano già importati. Ogni occorrenza di una serie ha
+ * un UID proprio, legato alla data originale: l'occorrenza modificata
+ * sostituisce quella della serie
+ */
+const toCalendarEntry = (event) => {
+    const coordinates = event.coordinates?.coordinates;
+    const id = String(event._id);
+    const uid = event.recurrenceOf
+        ? `event-${event.recurrenceOf}-${formatDateTime(event.recurrenceId)}`
+        : `event-${id}`;
+
+    return {
+        uid: calendarUid(uid),
+        sequence: event.sequence,
+        status: event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+        start: event.date,
+        end: event.endDate,
+        summary: event.title,
+        description: event.description,
+        location: event.location,
+        geo: coordinates?.length === 2 ? [coordinates[1], coordinates[0]] : null,
+        categories: event.tags,
+        organizer: event.contact && EMAIL_REGEX.test(event.contact)
+            ? { name: event.organizer, email: event.contact }
+            : null,
+        url: config.events.pageUrl ? config.events.pageUrl.replace('{id}', id) : null,
+        createdAt: event.createdAt,
+        updatedAt: event.updatedAt,
+    };
 };
 
+/**
+ * Feed iCalendar sottoscrivibile (dagli ultimi 90 giorni al prossimo anno,
+ * o il periodo from/to)
+ * Filtri: tags (separati da virgole, basta uno) e organizer
+ * GET /api/v1/events/calendar.ics?tags=giovani&organizer=Federazione
+ */
+const getEventsCalendar = catchAsync(async (req, res, next) => {
+    const period = resolvePeriod(req.query, {
+        defaultFrom: new Date(Date.now() - CALENDAR_PAST_DAYS * DAY_MS),
+        defaultDays: CALENDAR_PAST_DAYS + CALENDAR_FUTURE_DAYS,
+    });
+    const filter = {};
+
+    const tags = (req.query.tags || '')
+        .split(',')
+        .map((tag) => tag.trim().toLowerCase())
+        .filter(Boolean);
+    if (tags.length > 0) filter.tags = { $in: tags };
+    if (req.query.organizer) filter.organizer = req.query.organizer;
+
+    const eventi = await Eventi.findOccurrences({
+        ...period,
+        filter,
+        timeZone: config.events.timeZone,
+    });
+
+    sendICS(res, null, toICS({
+        name: config.events.calendarName,
+        refreshMinutes: CALENDAR_REFRESH_MINUTES,
+        entries: eventi.map(toCalendarEntry),
+    }));
+});
+
+/**
+ * Singolo evento in formato .ics, da aggiungere al calendario del telefono
+ * Una serie ricorrente esporta le sue occorrenze del prossimo anno (o del
+ * periodo from/to)
+ * GET /api/v1/events/:id/ics
+ */
+const getEventIcs = catchAsync(async (req, res, next) => {
+    const event = await Eventi.findById(req.params.id).lean();
+
+    if (!event) {
+        return next(new AppError('Event not found', 404));
+    }
+
+    const eventi = event.recurrence?.rule
+        ? await Eventi.findOccurrences({
+            ...resolvePeriod(req.query, { defaultDays: CALENDAR_FUTURE_DAYS }),
+            filter: seriesFilter(event._id),
+            timeZone: config.events.timeZone,
+        })
+        : [event];
+
+    sendICS(res, `evento-${event._id}.ics`, toICS({
+        name: event.title,
+        entries: eventi.map(toCalendarEntry),
+    }));
+});
+
+/**
+ * Campi della serie copiati in un'occorrenza modificata
+ */
+const OCCURRENCE_FIELDS = [
+    'title', 'description', 'location', 'coordinates', 'image', 'capacity',
+    'status', 'tags', 'organizer', 'contact', 'pricing',
+];
+
+/**
+ * Carica una serie ricorrente e verifica che `recurrenceId` sia una sua occorrenza
+ * @throws {AppError} 404 se la serie o l'occorrenza non esistono,
+ * 400 se l'evento non è ricorrente
+ */
+const findSeriesOccurrence = async (id, recurrenceId) => {
+    const series = await Eventi.findById(id);
+
+    if (!series) {
+        throw new AppError('Event not found', 404);
+    }
+    if (!series.isRecurring()) {
+        throw new AppError('Event is not a recurring series', 400, 'NOT_RECURRING');
+    }
+
+    const start = new Date(recurrenceId);
+    const removed = series.recurrence.exdates.some((d) => d.getTime() === start.getTime());
+    const rule = { rule: series.recurrence.rule, start: series.date, timeZone: config.events.timeZone };
+    if (removed || !isOccurrence(rule, start)) {
+        throw new AppError('Occurrence not found', 404, 'OCCURRENCE_NOT_FOUND');
+    }
+
+    return { series, start };
+};
+
+/**
+ * Occorrenze di una serie ricorrente nel periodo (dal giorno corrente per un anno
+ * se from/to mancano), comprese quelle modificate
+ * GET /api/v1/events/:id/occurrences?from=2026-06-01&to=2026-08-31
+ */
+const getEventOccurrences = catchAsync(async (req, res, next) => {
+    const series = await Eventi.findById(req.params.id);
+
+    if (!series) {
+        return next(new AppError('Event not found', 404));
+    }
+    if (!series.isRecurring()) {
+        return next(new AppError('Event is not a recurring series', 400, 'NOT_RECURRING'));
+    }
+
+    const occurrences = await Eventi.findOccurrences({
+        ...resolvePeriod(req.query, { defaultDays: CALENDAR_FUTURE_DAYS }),
+        filter: seriesFilter(series._id),
+        timeZone: config.events.timeZone,
+    });
+
+    res.status(200).json({
+        status: 'success',
+        results: occurrences.length,
+        data: {
+            occurrences,
+        },
+    });
+});
+
+/**
+ * Modifica una singola occorrenza senza toccare la serie: la prima modifica
+ * crea un evento con i dati della serie, recurrenceOf e recurrenceId (la data
+ * originale, che la identifica anche se viene spostata); le successive lo
+ * aggiornano. Per annullarla: { status: 'cancelled' }
+ * PATCH /api/v1/events/:id/occurrences/2026-06-06T08:00:00.000Z
+ * { location: 'Sala grande', date: '2026-06-06T09:00:00.000Z' }
+ */
+const updateOccurrence = catchAsync(async (req, res, next) => {
+    const { series, start } = await findSeriesOccurrence(req.params.id, req.params.recurrenceId);
+    const { recurrence, ...changes } = pickEventFields(req.body);
+
+    let occurrence = await Eventi.findOne({ recurrenceOf: series._id, recurrenceId: start });
+    const created = !occurrence;
+
+    if (created) {
+        const duration = series.endDate ? series.endDate - series.date : null;
+        occurrence = new Eventi({
+            ...Object.fromEntries(OCCURRENCE_FIELDS.map((field) => [field, series[field]])),
+            date: start,
+            endDate: duration !== null ? new Date(start.getTime() + duration) : undefined,
+            recurrenceOf: series._id,
+            recurrenceId: start,
+            // Sostituisce nei calendari l'occorrenza della serie
+            sequence: series.sequence + 1,
+        });
+    } else {
+        occurrence.sequence += 1;
+    }
+
+    occurrence.set(changes);
+    await occurrence.save();
+
+    res.status(created ? 201 : 200).json({
+        status: 'success',
+        data: {
+            eventi: occurrence,
+        },
+    });
+});
+
+/**
+ * Toglie una singola occorrenza dalla serie (EXDATE), con l'eventuale modifica
+ * DELETE /api/v1/events/:id/occurrences/2026-06-06T08:00:00.000Z
+ */
+const deleteOccurrence = catchAsync(async (req, res, next) => {
+    const { series, start } = await findSeriesOccurrence(req.params.id, req.params.recurrenceId);
+
+    await Eventi.updateOne(
+        { _id: series._id },
+        {
+            $addToSet: { 'recurrence.exdates': start },
+            $inc: { sequence: 1 },
+            $set: { updatedAt: Date.now() },
+        }
+    );
+    await Eventi.deleteOne({ recurrenceOf: series._id, recurrenceId: start });
+
+    res.status(204).json({
+        status: 'success',
+        data: null,
+    });
+});
+
 module.exports = {
     getAllEvents,
     getEvent,
@@ -233,4 +716,13 @@ module.exports = {
     deleteEvent,
     incrementEventViews,
     getViewsStatistics,
+    getEventAccommodations,
+    setEventAccommodations,
+    getEventsNear,
+    getEventsWithin,
+    getEventsCalendar,
+    getEventIcs,
+    getEventOccurrences,
+    updateOccurrence,
+    deleteOccurrence,
 };
\ No newline at end of file
@@ -10,6 +10,8 @@
 
 const Libro = require('./../models/libriModel');
 const APIFeatures = require('./../utils/apiFeatures');
+const AppError = require('./../utils/errorClass');
+const catchAsync = require('./../middleware/catchAsync');
 
 /**
  * Recupera tutti i libri con filtri, ordinamento e paginazione
@@ -21,34 +23,31 @@ const APIFeatures = require('./../utils/apiFeatures');
  *
  * @example
  * GET /api/v1/libri?category=bibbia&sort=-rating&page=1&limit=10
- * Response: { status: 'success', results: 5, data: { libri: [...] } }
+ * Response: { status: 'success', results: 10, total: 42, page: 1, pages: 5,
+ *             limit: 10, hasMore: true, nextCursor: '...', data: { libri: [...] } }
+ *
+ * GET /api/v1/libri?category=bibbia&sort=-rating&limit=10&cursor=<nextCursor>
  */
-const getAllLibri = async (req, res) => {
-  try {
-    // Esegui la query con filtri, ordinamento e paginazione
-    const features = new APIFeatures(Libro.find(), req.query)
-      .filter()
-      .sort()
-      .limitFields()
-      .paginate();
-
-    const libri = await features.query;
-
-    // Invia la risposta
-    res.status(200).json({
-      status: 'success',
-      results: libri.length,
-      data: {
-        libri,
-      },
-    });
-  } catch (error) {
-    res.status(404).json({
-      status: 'fail',
-      message: error.message,
-    });
-  }
-};
+const getAllLibri = catchAsync(async (req, res, next) => {
+  // Esegui la query con filtri, ordinamento e paginazione
+  const features = new APIFeatures(Libro.find(), req.query)
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const { docs: libri, pagination } = await features.execute();
+
+  // Invia la risposta
+  res.status(200).json({
+    status: 'success',
+    results: libri.length,
+    ...pagination,
+    data: {
+      libri,
+    },
+  });
+});
 
 /**
  * Recupera un singolo libro per ID
@@ -62,37 +61,27 @@ const getAllLibri = async (req, res) => {
  * GET /api/v1/libri/507f1f77bcf86cd799439011
  * Response: { status: 'success', data: { libro: {...} } }
  */
-const getLibro = async (req, res) => {
-  try {
-    // 📈 Incrementa automaticamente le views quando un libro viene visualizzato
-    const libro = await Libro.findByIdAndUpdate(
-      req.params.id,
-      { $inc: { views: 1 } },
-      { new: true, runValidators: false }
-    );
-
-    if (!libro) {
-      return res.status(404).json({
-        status: 'fail',
-        message: 'Libro non trovato',
-      });
-    }
-
-    console.log(`📚 Libro "${libro.title}" visualizzato. Total views: ${libro.views}`);
-
-    res.status(200).json({
-      status: 'success',
-      data: {
-        libro,
-      },
-    });
-  } catch (error) {
-    res.status(404).json({
-      status: 'fail',
-      message: error.message,
-    });
+const getLibro = catchAsync(async (req, res, next) => {
+  // 📈 Incrementa automaticamente le views quando un libro viene visualizzato
+  const libro = await Libro.findByIdAndUpdate(
+    req.params.id,
+    { $inc: { views: 1 } },
+    { new: true, runValidators: false }
+  );
+
+  if (!libro) {
+    return next(new AppError('Libro non trovato', 404));
   }
-};
+
+  console.log(`📚 Libro "${libro.title}" visualizzato. Total views: ${libro.views}`);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      libro,
+    },
+  });
+});
 
 /**
  * Ricerca libri con full-text search
@@ -106,39 +95,25 @@ const getLibro = async (req, res) => {
  * GET /api/v1/libri/search?q=grande+controversia
  * Response: { status: 'success', results: 2, data: { libri: [...] } }
  */
-const searchLibri = async (req, res) => {
-  try {
-    const { q } = req.query;
-
-    if (!q) {
-      return res.status(400).json({
-        status: 'fail',
-        message: 'Query di ricerca non fornita',
-      });
-    }
-
-    // Esegui ricerca full-text
-    const libri = await Libro.find(
-      { $text: { $search: q } },
-      { score: { $meta: 'textScore' } },
-    )
-      .sort({ score: { $meta: 'textScore' } })
-      .limit(20);
-
-    res.status(200).json({
-      status: 'success',
-      results: libri.length,
-      data: {
-        libri,
-      },
-    });
-  } catch (error) {
-    res.status(400).json({
-      status: 'fail',
-      message: error.message,
-    });
-  }
-};
+const searchLibri = catchAsync(async (req, res, next) => {
+  const { q } = req.query;
+
+  // Esegui ricerca full-text
+  const libri = await Libro.find(
+    { $text: { $search: q } },
+    { score: { $meta: 'textScore' } },
+  )
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(20);
+
+  res.status(200).json({
+    status: 'success',
+    results: libri.length,
+    data: {
+      libri,
+    },
+  });
+});
 
 /**
  * Recupera libri per categoria
@@ -152,29 +127,22 @@ const searchLibri = async (req, res) => {
  * GET /api/v1/libri/category/teologia
  * Response: { status: 'success', results: 5, data: { libri: [...] } }
  */
-const getLibriByCategory = async (req, res) => {
-  try {
-    const { category } = req.params;
-    const libri = await Libro.find({
-      category,
-      status: 'published',
-      isPublic: true,
-    }).sort({ featured: -1, rating: -1 });
-
-    res.status(200).json({
-      status: 'success',
-      results: libri.length,
-      data: {
-        libri,
-      },
-    });
-  } catch (error) {
-    res.status(404).json({
-      status: 'fail',
-      message: error.message,
-    });
-  }
-};
+const getLibriByCategory = catchAsync(async (req, res, next) => {
+  const { category } = req.params;
+  const libri = await Libro.find({
+    category,
+    status: 'published',
+    isPublic: true,
+  }).sort({ featured: -1, rating: -1 });
+
+  res.status(200).json({
+    status: 'success',
+    results: libri.length,
+    data: {
+      libri,
+    },
+  });
+});
 
 /**
  * Recupera libri consigliati (featured e top-rated)
@@ -188,30 +156,23 @@ const getLibriByCategory = async (req, res) => {
  * GET /api/v1/libri/consigliati
  * Response: { status: 'success', results: 10, data: { libri: [...] } }
  */
-const getLibriConsigliati = async (req, res) => {
-  try {
-    const libri = await Libro.find({
-      status: 'published',
-      isPublic: true,
-      $or: [{ featured: true }, { rating: { $gte: 4.5 } }],
-    })
-      .sort({ featured: -1, rating: -1, downloads: -1 })
-      .limit(12);
-
-    res.status(200).json({
-      status: 'success',
-      results: libri.length,
-      data: {
-        libri,
-      },
-    });
-  } catch (error) {
-    res.status(404).json({
-      status: 'fail',
-      message: error.message,
-    });
-  }
-};
+const getLibriConsigliati = catchAsync(async (req, res, next) => {
+  const libri = await Libro.find({
+    status: 'published',
+    isPublic: true,
+    $or: [{ featured: true }, { rating: { $gte: 4.5 } }],
+  })
+    .sort({ featured: -1, rating: -1, downloads: -1 })
+    .limit(12);
+
+  res.status(200).json({
+    status: 'success',
+    results: libri.length,
+    data: {
+      libri,
+    },
+  });
+});
 
 /**
  * Recupera i libri più scaricati
@@ -225,31 +186,24 @@ const getLibriConsigliati = async (req, res) => {
  * GET /api/v1/libri/top-downloads?limit=10
  * Response: { status: 'success', results: 10, data: { libri: [...] } }
  */
-const getLibriTopDownloads = async (req, res) => {
-  try {
-    const limit = parseInt(req.query.limit, 10) || 10;
-
-    const libri = await Libro.find({
-      status: 'published',
-      isPublic: true,
-    })
-      .sort({ downloads: -1 })
-      .limit(limit);
-
-    res.status(200).json({
-      status: 'success',
-      results: libri.length,
-      data: {
-        libri,
-      },
-    });
-  } catch (error) {
-    res.status(404).json({
-      status: 'fail',
-      message: error.message,
-    });
-  }
-};
+const getLibriTopDownloads = catchAsync(async (req, res, next) => {
+  const limit = parseInt(req.query.limit, 10) || 10;
+
+  const libri = await Libro.find({
+    status: 'published',
+    isPublic: true,
+  })
+    .sort({ downloads: -1 })
+    .limit(limit);
+
+  res.status(200).json({
+    status: 'success',
+    results: libri.length,
+    data: {
+      libri,
+    },
+  });
+});
 
 /**
  * Crea un nuovo libro
@@ -259,22 +213,15 @@ const getLibriTopDownloads = async (req, res) => {
  * @param {Object} res - Express response
  * @returns {Object} JSON con libro creato
  */
-const createLibro = async (req, res) => {
-  try {
-    const libro = await Libro.create(req.body);
-    res.status(201).json({
-      status: 'success',
-      data: {
-        libro,
-      },
-    });
-  } catch (error) {
-    res.status(400).json({
-      status: 'fail',
-      message: error.message,
-    });
-  }
-};
+const createLibro = catchAsync(async (req, res, next) => {
+  const libro = await Libro.create(req.body);
+  res.status(201).json({
+    status: 'success',
+    data: {
+      libro,
+    },
+  });
+});
 
 /**
  * Aggiorna un libro
@@ -284,33 +231,23 @@ const createLibro = async (req, res) => {
  * @param {Object} res - Express response
  * @returns {Object} JSON con libro aggiornato
  */
-const updateLibro = async (req, res) => {
-  try {
-    const libro = await Libro.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
-    });
-
-    if (!libro) {
-      return res.status(404).json({
-        status: 'fail',
-        message: 'Libro non trovato',
-      });
-    }
-
-    res.status(200).json({
-      status: 'success',
-      data: {
-        libro,
-      },
-    });
-  } catch (error) {
-    res.status(404).json({
-      status: 'fail',
-      message: error.message,
-    });
+const updateLibro = catchAsync(async (req, res, next) => {
+  const libro = await Libro.findByIdAndUpdate(req.params.id, req.body, {
+    new: true,
+    runValidators: true,
+  });
+
+  if (!libro) {
+    return next(new AppError('Libro non trovato', 404));
   }
-};
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      libro,
+    },
+  });
+});
 
 /**
  * Elimina un libro
@@ -320,28 +257,18 @@ const updateLibro = async (req, res) => {
  * @param {Object} res - Express response
  * @returns {void}
  */
-const deleteLibro = async (req, res) => {
-  try {
-    const libro = await Libro.findByIdAndDelete(req.params.id);
-
-    if (!libro) {
-      return res.status(404).json({
-        status: 'fail',
-        message: 'Libro non trovato',
-      });
-    }
-
-    res.status(204).json({
-      status: 'success',
-      data: null,
-    });
-  } catch (error) {
-    res.status(404).json({
-      status: 'fail',
-      message: error.message,
-    });
+const deleteLibro = catchAsync(async (req, res, next) => {
+  const libro = await Libro.findByIdAndDelete(req.params.id);
+
+  if (!libro) {
+    return next(new AppError('Libro non trovato', 404));
   }
-};
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
 
 /**
  * Incrementa il contador di download
@@ -351,34 +278,24 @@ const deleteLibro = async (req, res) => {
  * @param {Object} res - Express response
  * @returns {Object} JSON con numero di download aggiornato
  */
-const downloadLibro = async (req, res) => {
-  try {
-    const libro = await Libro.findByIdAndUpdate(
-      req.params.id,
-      { $inc: { downloads: 1 } },
-      { new: true },
-    );
-
-    if (!libro) {
-      return res.status(404).json({
-        status: 'fail',
-        message: 'Libro non trovato',
-      });
-    }
-
-    res.status(200).json({
-      status: 'success',
-      data: {
-        libro,
-      },
-    });
-  } catch (error) {
-    res.status(404).json({
-      status: 'fail',
-      message: error.message,
-    });
+const downloadLibro = catchAsync(async (req, res, next) => {
+  const libro = await Libro.findByIdAndUpdate(
+    req.params.id,
+    { $inc: { downloads: 1 } },
+    { new: true },
+  );
+
+  if (!libro) {
+    return next(new AppError('Libro non trovato', 404));
   }
-};
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      libro,
+    },
+  });
+});
 
 /**
  * Ottiene statistiche dei libri
@@ -388,21 +305,14 @@ const downloadLibro = async (req, res) => {
  * @param {Object} res - Express response
  * @returns {Object} JSON con statistiche
  */
-const getLibriStats = async (req, res) => {
-  try {
-    const stats = await Libro.getLibriStats();
-
-    res.status(200).json({
-      status: 'success',
-      data: stats,
-    });
-  } catch (error) {
-    res.status(404).json({
-      status: 'fail',
-      message: error.message,
-    });
-  }
-};
+const getLibriStats = catchAsync(async (req, res, next) => {
+  const stats = await Libro.getLibriStats();
+
+  res.status(200).json({
+    status: 'success',
+    data: stats,
+  });
+});
 
 /**
  * Incrementa il conteggio delle visualizzazioni per un libro
@@ -411,41 +321,30 @@ const getLibriStats = async (req, res) => {
  * @param {string} req.params.id - Libro ID
  * @returns {Object} Updated libro document with incremented views
  */
-const incrementLibroViews = async (req, res) => {
-  try {
-    const libroId = req.params.id;
-    console.log(`📈 Incrementing views for libro: ${libroId}`);
-
-    const libro = await Libro.findByIdAndUpdate(
-      libroId,
-      { $inc: { views: 1 } },
-      { new: true, runValidators: false }
-    );
-
-    if (!libro) {
-      return res.status(404).json({
-        status: 'fail',
-        message: 'Libro non trovato',
-      });
-    }
-
-    console.log(`✅ Views incremented. Total views: ${libro.views}`);
-
-    res.status(200).json({
-      status: 'success',
-      data: {
-        libroId: libro._id,
-        views: libro.views,
-      },
-    });
-  } catch (error) {
-    console.error('Error incrementing views:', error);
-    res.status(500).json({
-      status: 'fail',
-      message: 'Error updating views: ' + error.message,
-    });
+const incrementLibroViews = catchAsync(async (req, res, next) => {
+  const libroId = req.params.id;
+  console.log(`📈 Incrementing views for libro: ${libroId}`);
+
+  const libro = await Libro.findByIdAndUpdate(
+    libroId,
+    { $inc: { views: 1 } },
+    { new: true, runValidators: false }
+  );
+
+  if (!libro) {
+    return next(new AppError('Libro non trovato', 404));
   }
-};
+
+  console.log(`✅ Views incremented. Total views: ${libro.views}`);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      libroId: libro._id,
+      views: libro.views,
+    },
+  });
+});
 
 /**
  * Ottiene le statistiche complete delle visualizzazioni dei libri
@@ -453,72 +352,64 @@ const incrementLibroViews = async (req, res) => {
  * @param {Object} req - Express request object
  * @returns {Object} Statistiche: totale views, media views, libro più visto, etc.
  */
-const getViewsStatistics = async (req, res) => {
-  try {
-    console.log('📊 Fetching libro views statistics');
-
-    const stats = await Libro.aggregate([
-      {
-        $group: {
-          _id: null,
-          totalViews: { $sum: '$views' },
-          averageViews: { $avg: '$views' },
-          maxViews: { $max: '$views' },
-          minViews: { $min: '$views' },
-          totalLibri: { $sum: 1 },
-        },
+const getViewsStatistics = catchAsync(async (req, res, next) => {
+  console.log('📊 Fetching libro views statistics');
+
+  const stats = await Libro.aggregate([
+    {
+      $group: {
+        _id: null,
+        totalViews: { $sum: '$views' },
+        averageViews: { $avg: '$views' },
+        maxViews: { $max: '$views' },
+        minViews: { $min: '$views' },
+        totalLibri: { $sum: 1 },
       },
-    ]);
-
-    // Ottieni i libri più visti (top 10)
-    const topLibri = await Libro.find({ status: 'published', isPublic: true })
-      .select('_id title author views category downloads')
-      .sort({ views: -1 })
-      .limit(10);
-
-    // Ottieni statistiche per categoria
-    const categoryStats = await Libro.aggregate([
-      { $match: { status: 'published', isPublic: true } },
-      {
-        $group: {
-          _id: '$category',
-          totalViews: { $sum: '$views' },
-          averageViews: { $avg: '$views' },
-          count: { $sum: 1 },
-        },
+    },
+  ]);
+
+  // Ottieni i libri più visti (top 10)
+  const topLibri = await Libro.find({ status: 'published', isPublic: true })
+    .select('_id title author views category downloads')
+    .sort({ views: -1 })
+    .limit(10);
+
+  // Ottieni statistiche per categoria
+  const categoryStats = await Libro.aggregate([
+    { $match: { status: 'published', isPublic: true } },
+    {
+      $group: {
+        _id: '$category',
+        totalViews: { $sum: '$views' },
+        averageViews: { $avg: '$views' },
+        count: { $sum: 1 },
       },
-      { $sort: { totalViews: -1 } },
-    ]);
-
-    const result = {
-      status: 'success',
-      data: {
-        overview: stats[0] || {
-          totalViews: 0,
-          averageViews: 0,
-          maxViews: 0,
-          minViews: 0,
-          totalLibri: 0,
-        },
-        topLibri,
-        categoryStats,
-        timestamp: new Date(),
+    },
+    { $sort: { totalViews: -1 } },
+  ]);
+
+  const result = {
+    status: 'success',
+    data: {
+      overview: stats[0] || {
+        totalViews: 0,
+        averageViews: 0,
+        maxViews: 0,
+        minViews: 0,
+        totalLibri: 0,
       },
-    };
-
-    console.log(
-      `✅ Statistics retrieved. Total views: ${result.data.overview.totalViews}`
-    );
-
-    res.status(200).json(result);
-  } catch (error) {
-    console.error('Error fetching statistics:', error);
-    res.status(500).json({
-      status: 'fail',
-      message: 'Error fetching statistics: ' + error.message,
-    });
-  }
-};
+      topLibri,
+      categoryStats,
+      timestamp: new Date(),
+    },
+  };
+
+  console.log(
+    `✅ Statistics retrieved. Total views: ${result.data.overview.totalViews}`
+  );
+
+  res.status(200).json(result);
+});
 
 /**
  * Ottieni Lezionari filtrati per anno e trimestre
@@ -532,28 +423,21 @@ const getViewsStatistics = async (req, res) => {
  * @example
  * GET /api/v1/libri/lezionari?anno=2026&trimestre=1
  */
-const getLezionari = async (req, res) => {
-  try {
-    const { anno, trimestre } = req.query;
-    const lezionari = await Libro.getLezionari(
-      anno ? parseInt(anno) : null,
-      trimestre ? parseInt(trimestre) : null
-    );
-
-    res.status(200).json({
-      status: 'success',
-      results: lezionari.length,
-      data: {
-        lezionari,
-      },
-    });
-  } catch (error) {
-    res.status(500).json({
-      status: 'fail',
-      message: error.message,
-    });
-  }
-};
+const getLezionari = catchAsync(async (req, res, next) => {
+  const { anno, trimestre } = req.query;
+  const lezionari = await Libro.getLezionari(
+    anno ? parseInt(anno) : null,
+    trimestre ? parseInt(trimestre) : null
+  );
+
+  res.status(200).json({
+    status: 'success',
+    results: lezionari.length,
+    data: {
+      lezionari,
+    },
+  });
+});
 
 /**
  * Ottieni Settimane di Preghiera filtrate per anno
@@ -566,27 +450,20 @@ const getLezionari = async (req, res) => {
  * @example
  * GET /api/v1/libri/settimane-preghiera?anno=2025
  */
-const getSettimanePreghiera = async (req, res) => {
-  try {
-    const { anno } = req.query;
-    const settimane = await Libro.getSettimanePreghiera(
-      anno ? parseInt(anno) : null
-    );
-
-    res.status(200).json({
-      status: 'success',
-      results: settimane.length,
-      data: {
-        settimane,
-      },
-    });
-  } catch (error) {
-    res.status(500).json({
-      status: 'fail',
-      message: error.message,
-    });
-  }
-};
+const getSettimanePreghiera = catchAsync(async (req, res, next) => {
+  const { anno } = req.query;
+  const settimane = await Libro.getSettimanePreghiera(
+    anno ? parseInt(anno) : null
+  );
+
+  res.status(200).json({
+    status: 'success',
+    results: settimane.length,
+    data: {
+      settimane,
+    },
+  });
+});
 
 /**
  * Ottieni gli anni disponibili per Lezionari e Settimane
@@ -598,23 +475,16 @@ const getSettimanePreghiera = async (req, res) => {
  * @example
  * GET /api/v1/libri/anni-disponibili
  */
-const getAnniDisponibili = async (req, res) => {
-  try {
-    const anni = await Libro.getAnniDisponibili();
-
-    res.status(200).json({
-      status: 'success',
-      data: {
-        anni,
-      },
-    });
-  } catch (error) {
-    res.status(500).json({
-      status: 'fail',
-      message: error.message,
-    });
-  }
-};
+const getAnniDisponibili = catchAsync(async (req, res, next) => {
+  const anni = await Libro.getAnniDisponibili();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      anni,
+    },
+  });
+});
 
 module.exports = {
   getAllLibri,
@@ -0,0 +1,374 @@
+/**
+ * @file memberController.js
+ * @description Controller per l'anagrafe dei membri di chiesa
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Gestisce le operazioni CRUD sui membri, la ricerca per nome e città,
+ * la ricerca puntuale (lookup) usata per collegare le iscrizioni alle
+ * conferenze e i nuclei familiari
+ */
+
+const Member = require('./../models/memberModel');
+const Conferenza = require('./../models/conferenzaModel');
+const APIFeatures = require('./../utils/apiFeatures');
+const AppError = require('./../utils/errorClass');
+const catchAsync = require('./../middleware/catchAsync');
+
+/**
+ * Campi restituiti dal lookup (quanto basta per riconoscere la persona)
+ * @constant
+ */
+const LOOKUP_FIELDS =
+  'nome cognome dataNascita congregazione indirizzo.citta status';
+
+/**
+ * Recupera un membro per ID o risponde 404
+ *
+ * @private
+ * @param {string} id
+ * @returns {Promise<Object>}
+ * @throws {AppError} 404
+ */
+const findMember = async (id) => {
+  const member = await Member.findById(id);
+  if (!member) throw new AppError('Membro non trovato', 404);
+  return member;
+};
+
+/**
+ * Recupera tutti i membri con filtri, ordinamento e paginazione
+ * @async
+ * @function getAllMembers
+ *
+ * @example
+ * GET /api/v1/members?congregazione=Roma&status=active&sort=cognome,nome
+ */
+const getAllMembers = catchAsync(async (req, res, next) => {
+  const features = new APIFeatures(Member.find(), req.query)
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const { docs: members, pagination } = await features.execute();
+
+  res.status(200).json({
+    status: 'success',
+    results: members.length,
+    ...pagination,
+    data: {
+      members,
+    },
+  });
+});
+
+/**
+ * Ricerca per nome e città
+ * Ogni parola di `q` deve essere l'inizio del nome o del cognome
+ * @async
+ * @function searchMembers
+ *
+ * @example
+ * GET /api/v1/members/search?q=ross+mar&citta=Roma
+ * Response: { status: 'success', results: 1, data: { members: [...] } }
+ */
+const searchMembers = catchAsync(async (req, res, next) => {
+  const { q, citta, congregazione, status, limit } = req.query;
+
+  if (!q && !citta) {
+    return next(
+      new AppError(
+        'Indicare almeno un nome (q) o una città',
+        400,
+        'SEARCH_CRITERIA_REQUIRED',
+      ),
+    );
+  }
+
+  const members = await Member.search({
+    q,
+    citta,
+    congregazione,
+    status,
+    limit,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: members.length,
+    data: {
+      members,
+    },
+  });
+});
+
+/**
+ * Lookup puntuale di un membro: per email, per nome e cognome (con la data di
+ * nascita se nota) oppure con i dati di un'iscrizione (?registration=<id>)
+ * Confronto esatto senza maiuscole né accenti; restituisce solo i campi che
+ * servono a riconoscere la persona, per collegarla con
+ * PATCH /api/v1/registration/:id/member
+ * @async
+ * @function lookupMember
+ *
+ * @example
+ * GET /api/v1/members/lookup?nome=Mario&cognome=Rossi&dataNascita=1980-05-01
+ * GET /api/v1/members/lookup?registration=507f1f77bcf86cd799439011
+ * Response: { status: 'success', results: 1, data: { members: [...] } }
+ */
+const lookupMember = catchAsync(async (req, res, next) => {
+  let criteria = req.query;
+
+  if (req.query.registration) {
+    const registrazione = await Conferenza.findById(req.query.registration);
+    if (!registrazione) {
+      return next(new AppError('Registrazione non trovata', 404));
+    }
+    criteria = registrazione;
+  }
+
+  const { email, nome, cognome, dataNascita } = criteria;
+  const alternatives = [];
+  if (email) alternatives.push({ email: String(email).toLowerCase() });
+  if (nome && cognome) {
+    const byName = { nome, cognome };
+    if (dataNascita) byName.dataNascita = new Date(dataNascita);
+    alternatives.push(byName);
+  }
+
+  if (alternatives.length === 0) {
+    return next(
+      new AppError(
+        'Indicare email, oppure nome e cognome',
+        400,
+        'LOOKUP_CRITERIA_REQUIRED',
+      ),
+    );
+  }
+
+  const members = await Member.find({ $or: alternatives })
+    .collation({ locale: 'it', strength: 1 })
+    .select(LOOKUP_FIELDS)
+    .limit(10);
+
+  res.status(200).json({
+    status: 'success',
+    results: members.length,
+    data: {
+      members,
+    },
+  });
+});
+
+/**
+ * Recupera un membro con il nucleo familiare
+ * @async
+ * @function getMember
+ *
+ * @example
+ * GET /api/v1/members/507f1f77bcf86cd799439011
+ * Response: { status: 'success', data: { member: {...}, household: [...] } }
+ */
+const getMember = catchAsync(async (req, res, next) => {
+  const member = await findMember(req.params.id);
+  const household = member.nucleo ? await member.getHousehold() : [];
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      member,
+      household,
+    },
+  });
+});
+
+/**
+ * Crea un membro
+ * Il nucleo familiare si gestisce con POST /:id/household
+ * @async
+ * @function createMember
+ *
+ * @example
+ * POST /api/v1/members
+ * { nome: 'Mario', cognome: 'Rossi', congregazione: 'Roma Centro', ... }
+ */
+const createMember = catchAsync(async (req, res, next) => {
+  const { nucleo, relazione, ...fields } = req.body;
+  const member = await Member.create(fields);
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      member,
+    },
+  });
+});
+
+/**
+ * Aggiorna un membro
+ * @async
+ * @function updateMember
+ *
+ * @example
+ * PATCH /api/v1/members/507f1f77bcf86cd799439011
+ * { status: 'transferred', trasferitoA: 'Milano' }
+ */
+const updateMember = catchAsync(async (req, res, next) => {
+  const { nucleo, ...updates } = req.body;
+  const member = await Member.findByIdAndUpdate(req.params.id, updates, {
+    new: true,
+    runValidators: true,
+  });
+
+  if (!member) {
+    return next(new AppError('Membro non trovato', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      member,
+    },
+  });
+});
+
+/**
+ * Elimina un membro: esce dal nucleo familiare e le iscrizioni collegate
+ * restano, senza collegamento
+ * @async
+ * @function deleteMember
+ *
+ * @example
+ * DELETE /api/v1/members/507f1f77bcf86cd799439011
+ */
+const deleteMember = catchAsync(async (req, res, next) => {
+  const member = await findMember(req.params.id);
+
+  await member.leaveHousehold();
+  await Conferenza.updateMany(
+    { member: member._id },
+    { $unset: { member: 1 } },
+  );
+  await Member.findByIdAndDelete(member._id);
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
+
+/**
+ * Nucleo familiare di un membro
+ * @async
+ * @function getHousehold
+ *
+ * @example
+ * GET /api/v1/members/507f1f77bcf86cd799439011/household
+ */
+const getHousehold = catchAsync(async (req, res, next) => {
+  const member = await findMember(req.params.id);
+  const household = await member.getHousehold();
+
+  res.status(200).json({
+    status: 'success',
+    results: household.length,
+    data: {
+      household,
+    },
+  });
+});
+
+/**
+ * Inserisce il membro nel nucleo familiare di un altro membro
+ * (chi non ha ancora un nucleo ne apre uno come capofamiglia)
+ * @async
+ * @function joinHousehold
+ *
+ * @example
+ * POST /api/v1/members/507f1f77bcf86cd799439011/household
+ * { member: '507f1f77bcf86cd799439012', relazione: 'coniuge' }
+ */
+const joinHousehold = catchAsync(async (req, res, next) => {
+  if (req.params.id === req.body.member) {
+    return next(
+      new AppError(
+        'Un membro non può unirsi al proprio nucleo',
+        400,
+        'INVALID_HOUSEHOLD',
+      ),
+    );
+  }
+
+  const member = await findMember(req.params.id);
+  const other = await findMember(req.body.member);
+
+  if (member.nucleo && !member.nucleo.equals(other.nucleo)) {
+    await member.leaveHousehold();
+  }
+  await member.joinHousehold(other, req.body.relazione);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      household: await member.getHousehold(),
+    },
+  });
+});
+
+/**
+ * Toglie il membro dal suo nucleo familiare
+ * @async
+ * @function leaveHousehold
+ *
+ * @example
+ * DELETE /api/v1/members/507f1f77bcf86cd799439011/household
+ */
+const leaveHousehold = catchAsync(async (req, res, next) => {
+  const member = await findMember(req.params.id);
+  await member.leaveHousehold();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      member,
+    },
+  });
+});
+
+/**
+ * Iscrizioni alle conferenze collegate al membro
+ * @async
+ * @function getMemberRegistrations
+ *
+ * @example
+ * GET /api/v1/members/507f1f77bcf86cd799439011/registrations
+ */
+const getMemberRegistrations = catchAsync(async (req, res, next) => {
+  const member = await findMember(req.params.id);
+  const registrazioni = await Conferenza.find({ member: member._id })
+    .populate('event', 'title date endDate location')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    status: 'success',
+    results: registrazioni.length,
+    data: {
+      registrazioni,
+    },
+  });
+});
+
+module.exports = {
+  getAllMembers,
+  searchMembers,
+  lookupMember,
+  getMember,
+  createMember,
+  updateMember,
+  deleteMember,
+  getHousehold,
+  joinHousehold,
+  leaveHousehold,
+  getMemberRegistrations,
+};
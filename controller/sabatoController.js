@@ -0,0 +1,176 @@
+/**
+ * @file sabatoController.js
+ * @description Controller per gli orari del sabato (tramonto del venerdì e
+ * del sabato)
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Il luogo si indica con le coordinate (lat, lng) oppure con il nome di un
+ * comune del gazetteer (utils/comuni.js). Gli orari sono calcolati
+ * (utils/sabbath.js) e sono nell'ora di Europe/Rome, legale compresa
+ */
+
+const AppError = require('./../utils/errorClass');
+const catchAsync = require('./../middleware/catchAsync');
+const { toCSV, sendCSV } = require('./../utils/csv');
+const { findComuni, searchComuni } = require('./../utils/comuni');
+const {
+  SABBATH_TIME_ZONE,
+  localDay,
+  sabbathTimes,
+  sabbathYear,
+  renderSabbathYearPDF,
+} = require('./../utils/sabbath');
+
+/**
+ * Colonne dell'export CSV della tabella annuale
+ * @constant
+ */
+const YEAR_COLUMNS = [
+  { header: 'Venerdì', value: (s) => s.friday.date },
+  { header: 'Tramonto venerdì', value: (s) => s.friday.time },
+  { header: 'Sabato', value: (s) => s.saturday.date },
+  { header: 'Tramonto sabato', value: (s) => s.saturday.time },
+];
+
+/**
+ * Luogo richiesto: comune del gazetteer oppure coordinate
+ *
+ * @private
+ * @param {Object} query - { lat, lng, citta, provincia }
+ * @returns {Object} { nome?, provincia?, regione?, lat, lng }
+ * @throws {AppError} 404 COMUNE_NOT_FOUND, 400 COMUNE_AMBIGUOUS (omonimi in
+ *   più province: serve la provincia), 400 LOCATION_REQUIRED
+ */
+const resolvePlace = ({ lat, lng, citta, provincia }) => {
+  if (citta) {
+    const comuni = findComuni(citta, provincia);
+    if (!comuni.length) {
+      throw new AppError('Comune non trovato', 404, 'COMUNE_NOT_FOUND');
+    }
+    if (comuni.length > 1) {
+      const province = comuni.map((comune) => comune.provincia).join(', ');
+      throw new AppError(
+        `Più comuni si chiamano ${comuni[0].nome}: indicare la provincia`,
+        400,
+        'COMUNE_AMBIGUOUS',
+        { provincia: `Una tra: ${province}` },
+      );
+    }
+    return comuni[0];
+  }
+
+  if (lat === undefined || lng === undefined) {
+    throw new AppError(
+      'Indicare le coordinate (lat e lng) oppure una città',
+      400,
+      'LOCATION_REQUIRED',
+    );
+  }
+  return { lat, lng };
+};
+
+/**
+ * Inizio e fine del sabato della settimana di una data (oggi se manca):
+ * tramonto del venerdì e del sabato
+ * @async
+ * @function getSabbathTimes
+ *
+ * @example
+ * GET /api/v1/sabato?citta=Roma&date=2026-06-17
+ * GET /api/v1/sabato?lat=45.4642&lng=9.19
+ * Response: { status: 'success', data: { place, timeZone, friday: { date, sunset, time }, saturday } }
+ */
+const getSabbathTimes = catchAsync(async (req, res, next) => {
+  const place = resolvePlace(req.query);
+  const { friday, saturday } = sabbathTimes({
+    lat: place.lat,
+    lng: place.lng,
+    date: req.query.date,
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      place,
+      timeZone: SABBATH_TIME_ZONE,
+      friday,
+      saturday,
+    },
+  });
+});
+
+/**
+ * Tabella annuale dei tramonti del sabato, in JSON, CSV o PDF
+ * @async
+ * @function getSabbathYear
+ *
+ * @example
+ * GET /api/v1/sabato/anno?citta=Firenze&year=2027&format=pdf
+ * Response: { status: 'success', results: 52, data: { place, timeZone, year, sabbaths } }
+ */
+const getSabbathYear = catchAsync(async (req, res, next) => {
+  const { format = 'json' } = req.query;
+  const year = req.query.year || Number(localDay(new Date()).slice(0, 4));
+  const place = resolvePlace(req.query);
+  const sabbaths = sabbathYear(place, year);
+
+  if (format === 'csv') {
+    return sendCSV(
+      res,
+      `tramonti-sabato-${year}.csv`,
+      toCSV(YEAR_COLUMNS, sabbaths),
+    );
+  }
+
+  if (format === 'pdf') {
+    const title = place.nome
+      ? `${place.nome} (${place.provincia})`
+      : `${place.lat}, ${place.lng}`;
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="tramonti-sabato-${year}.pdf"`,
+    });
+    return res
+      .status(200)
+      .send(await renderSabbathYearPDF({ title, year, sabbaths }));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: sabbaths.length,
+    data: {
+      place,
+      timeZone: SABBATH_TIME_ZONE,
+      year,
+      sabbaths,
+    },
+  });
+});
+
+/**
+ * Comuni del gazetteer il cui nome inizia con `q` (per l'autocompletamento)
+ * @async
+ * @function searchSabbathPlaces
+ *
+ * @example
+ * GET /api/v1/sabato/comuni?q=reg
+ * Response: { status: 'success', results: 2, data: { comuni: [...] } }
+ */
+const searchSabbathPlaces = catchAsync(async (req, res, next) => {
+  const comuni = searchComuni(req.query.q, req.query.limit);
+
+  res.status(200).json({
+    status: 'success',
+    results: comuni.length,
+    data: {
+      comuni,
+    },
+  });
+});
+
+module.exports = {
+  getSabbathTimes,
+  getSabbathYear,
+  searchSabbathPlaces,
+};
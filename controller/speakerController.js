@@ -0,0 +1,197 @@
+/**
+ * @file speakerController.js
+ * @description Controller per i relatori delle conferenze
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * I relatori sono condivisi tra gli eventi: le sessioni del programma li
+ * collegano per ID (vedi agendaController). Schede e interventi sono
+ * pubblici, l'email resta riservata agli organizzatori
+ */
+
+const Speaker = require('./../models/speakerModel');
+const Eventi = require('./../models/eventiModel');
+const APIFeatures = require('./../utils/apiFeatures');
+const AppError = require('./../utils/errorClass');
+const catchAsync = require('./../middleware/catchAsync');
+
+/**
+ * Recupera tutti i relatori con filtri, ordinamento e paginazione
+ * @async
+ * @function getAllSpeakers
+ *
+ * @example
+ * GET /api/v1/speakers?organizzazione=UICCA&sort=cognome,nome
+ */
+const getAllSpeakers = catchAsync(async (req, res, next) => {
+  const features = new APIFeatures(Speaker.find(), req.query)
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const { docs: speakers, pagination } = await features.execute();
+
+  res.status(200).json({
+    status: 'success',
+    results: speakers.length,
+    ...pagination,
+    data: {
+      speakers,
+    },
+  });
+});
+
+/**
+ * Recupera un relatore
+ * @async
+ * @function getSpeaker
+ *
+ * @example
+ * GET /api/v1/speakers/507f1f77bcf86cd799439011
+ */
+const getSpeaker = catchAsync(async (req, res, next) => {
+  const speaker = await Speaker.findById(req.params.id);
+
+  if (!speaker) {
+    return next(new AppError('Relatore non trovato', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      speaker,
+    },
+  });
+});
+
+/**
+ * Interventi di un relatore in tutti gli eventi, in ordine di orario
+ * @async
+ * @function getSpeakerSessions
+ *
+ * @example
+ * GET /api/v1/speakers/507f1f77bcf86cd799439011/sessions
+ * Response: { status: 'success', results: 3, data: { sessions: [{ event, session }] } }
+ */
+const getSpeakerSessions = catchAsync(async (req, res, next) => {
+  const speaker = await Speaker.findById(req.params.id);
+
+  if (!speaker) {
+    return next(new AppError('Relatore non trovato', 404));
+  }
+
+  const eventi = await Eventi.find({ 'sessions.speakers': speaker._id }).select(
+    'title date endDate location status sessions',
+  );
+  const sessions = eventi
+    .flatMap((event) =>
+      event.sessions
+        .filter((s) => s.speakers.some((id) => id.equals(speaker._id)))
+        .map((session) => ({
+          event: {
+            _id: event._id,
+            title: event.title,
+            location: event.location,
+            status: event.status,
+          },
+          session,
+        })),
+    )
+    .sort((a, b) => a.session.start - b.session.start);
+
+  res.status(200).json({
+    status: 'success',
+    results: sessions.length,
+    data: {
+      sessions,
+    },
+  });
+});
+
+/**
+ * Crea un relatore
+ * @async
+ * @function createSpeaker
+ *
+ * @example
+ * POST /api/v1/speakers
+ * { nome: 'Mario', cognome: 'Rossi', titolo: 'Pastore', bio: '...', photo: 'https://...' }
+ */
+const createSpeaker = catchAsync(async (req, res, next) => {
+  const speaker = await Speaker.create(req.body);
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      speaker,
+    },
+  });
+});
+
+/**
+ * Aggiorna un relatore
+ * @async
+ * @function updateSpeaker
+ *
+ * @example
+ * PATCH /api/v1/speakers/507f1f77bcf86cd799439011
+ * { bio: '...' }
+ */
+const updateSpeaker = catchAsync(async (req, res, next) => {
+  const speaker = await Speaker.findByIdAndUpdate(req.params.id, req.body, {
+    new: true,
+    runValidators: true,
+  });
+
+  if (!speaker) {
+    return next(new AppError('Relatore non trovato', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      speaker,
+    },
+  });
+});
+
+/**
+ * Elimina un relatore e lo toglie dalle sessioni in cui interviene
+ * (le sessioni restano; la revisione degli eventi sale per i calendari)
+ * @async
+ * @function deleteSpeaker
+ *
+ * @example
+ * DELETE /api/v1/speakers/507f1f77bcf86cd799439011
+ */
+const deleteSpeaker = catchAsync(async (req, res, next) => {
+  const speaker = await Speaker.findByIdAndDelete(req.params.id);
+
+  if (!speaker) {
+    return next(new AppError('Relatore non trovato', 404));
+  }
+
+  await Eventi.updateMany(
+    { 'sessions.speakers': speaker._id },
+    {
+      $pull: { 'sessions.$[].speakers': speaker._id },
+      $set: { updatedAt: Date.now() },
+      $inc: { sequence: 1 },
+    },
+  );
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
+
+module.exports = {
+  getAllSpeakers,
+  getSpeaker,
+  getSpeakerSessions,
+  createSpeaker,
+  updateSpeaker,
+  deleteSpeaker,
+};
@@ -0,0 +1,178 @@
+/**
+ * @file systemController.js
+ * @description Controller per health check, readiness e diagnostica del server
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * - liveness:  GET /healthz              il processo risponde (PM2, nginx)
+ * - readiness: GET /readyz               database connesso e configurazione valida
+ * - status:    GET /api/v1/system/status diagnostica completa (solo admin)
+ *
+ * I probe /healthz e /readyz sono montati fuori da /api, non richiedono login e
+ * rispondono sempre con lo stesso formato (anche sotto deploy diversi)
+ */
+
+const config = require('../config');
+const { validateEnv } = require('../config/env');
+const database = require('../config/database');
+const stripeConfig = require('../config/stripe');
+const {
+  generalLimiter,
+  strictLimiter,
+  criticalLimiter,
+  lenientLimiter,
+} = require('../middleware/rateLimiter');
+const catchAsync = require('../middleware/catchAsync');
+const { version } = require('../package.json');
+
+/**
+ * Rate limiter condivisi, per nome
+ * @constant
+ */
+const RATE_LIMITERS = {
+  general: generalLimiter,
+  strict: strictLimiter,
+  critical: criticalLimiter,
+  lenient: lenientLimiter,
+};
+
+/**
+ * Converte byte in megabyte (una cifra decimale)
+ *
+ * @private
+ * @param {number} bytes
+ * @returns {number}
+ */
+const toMB = (bytes) => Math.round((bytes / 1024 / 1024) * 10) / 10;
+
+/**
+ * Elenca le variabili d'ambiente mancanti o non valide secondo config/envSchema.js
+ * (al boot il server non parte se l'elenco non è vuoto)
+ *
+ * @private
+ * @returns {Array<string>} Nomi delle variabili
+ */
+const invalidEnv = () => validateEnv(process.env).errors.map((e) => e.name);
+
+/**
+ * Modalità Stripe dedotta dal prefisso della chiave segreta
+ *
+ * @private
+ * @returns {string} 'live' | 'test' | 'unconfigured'
+ */
+const stripeMode = () => {
+  const key = config.stripe.secretKey || '';
+  if (/^(sk|rk)_live_/.test(key)) return 'live';
+  if (/^(sk|rk)_test_/.test(key)) return 'test';
+  return 'unconfigured';
+};
+
+/**
+ * Liveness probe: il processo è in piedi e l'event loop risponde
+ * Non controlla dipendenze esterne, così un database lento non fa riavviare il processo
+ * @function liveness
+ *
+ * @example
+ * GET /healthz
+ * 200 { status: 'ok', uptime: 3600.5, timestamp: '2025-01-01T10:00:00.000Z' }
+ */
+exports.liveness = (req, res) => {
+  res.status(200).json({
+    status: 'ok',
+    uptime: process.uptime(),
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Readiness probe: il server può servire traffico
+ * Risponde 503 finché il database non è connesso o la configurazione non è valida
+ * @function readiness
+ *
+ * @example
+ * GET /readyz
+ * 200 { status: 'ready', checks: { database: 'connected', env: { invalid: [] } } }
+ * 503 { status: 'not_ready', checks: { database: 'connecting', env: { invalid: [] } } }
+ */
+exports.readiness = (req, res) => {
+  const db = database.getStatus();
+  const invalid = invalidEnv();
+  const ready = db.isConnected && invalid.length === 0;
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    checks: {
+      database: db.stateName,
+      env: { invalid },
+    },
+  });
+};
+
+/**
+ * Diagnostica completa del server (solo admin)
+ * La verifica dell'account Stripe chiama l'API Stripe: un errore viene
+ * riportato nella risposta invece di far fallire la richiesta
+ * @async
+ * @function getSystemStatus
+ *
+ * @example
+ * GET /api/v1/system/status
+ */
+exports.getSystemStatus = catchAsync(async (req, res, next) => {
+  const stripe = {
+    mode: stripeMode(),
+    configured: stripeConfig.isConfigured,
+    webhookConfigured: !!config.stripe.webhookSecret,
+    account: null,
+  };
+
+  if (stripeConfig.isConfigured) {
+    try {
+      const account = await stripeConfig.getAccountStatus();
+      stripe.account = {
+        id: account.id,
+        chargesEnabled: account.charges_enabled,
+        payoutsEnabled: account.payouts_enabled,
+      };
+    } catch (err) {
+      stripe.account = { error: err.message };
+    }
+  }
+
+  const memory = process.memoryUsage();
+  const rateLimiters = Object.keys(RATE_LIMITERS).reduce((acc, name) => {
+    const limiter = RATE_LIMITERS[name];
+    acc[name] = {
+      maxRequests: limiter.maxRequests,
+      windowMs: limiter.windowMs,
+      ...limiter.getStats(),
+    };
+    return acc;
+  }, {});
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      build: {
+        version,
+        commit: config.gitCommit,
+        node: process.version,
+        environment: config.env,
+      },
+      uptime: process.uptime(),
+      startedAt: new Date(Date.now() - process.uptime() * 1000).toISOString(),
+      memory: {
+        rssMB: toMB(memory.rss),
+        heapUsedMB: toMB(memory.heapUsed),
+        heapTotalMB: toMB(memory.heapTotal),
+        externalMB: toMB(memory.external),
+      },
+      database: database.getStatus(),
+      env: { invalid: invalidEnv() },
+      stripe,
+      rateLimiters,
+    },
+  });
+});
+
+module.exports = exports;
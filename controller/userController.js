@@ -0,0 +1,151 @@
+/**
+ * @file userController.js
+ * @description Controller per la gestione degli account dello staff (admin)
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Gestisce le operazioni CRUD sugli utenti e l'assegnazione dei ruoli
+ * Le password non vengono mai restituite nelle risposte
+ */
+
+const User = require('../models/userModel');
+const AppError = require('../utils/errorClass');
+const catchAsync = require('../middleware/catchAsync');
+
+/**
+ * Campi modificabili da un amministratore
+ * @constant
+ */
+const EDITABLE_FIELDS = ['name', 'email', 'role', 'active', 'password'];
+
+/**
+ * Mantiene solo i campi consentiti del body
+ *
+ * @private
+ * @param {Object} body - Request body
+ * @returns {Object} Body filtrato
+ */
+const pickEditableFields = (body) =>
+  EDITABLE_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+  }, {});
+
+/**
+ * Recupera tutti gli utenti
+ * @async
+ * @function getAllUsers
+ *
+ * @example
+ * GET /api/v1/admin/users?role=editor
+ */
+exports.getAllUsers = catchAsync(async (req, res, next) => {
+  const filter = {};
+  if (req.query.role) filter.role = String(req.query.role);
+
+  const users = await User.find(filter).sort({ name: 1 });
+
+  res.status(200).json({
+    status: 'success',
+    results: users.length,
+    data: {
+      users,
+    },
+  });
+});
+
+/**
+ * Recupera un singolo utente per ID
+ * @async
+ * @function getUser
+ */
+exports.getUser = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new AppError('Utente non trovato', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user,
+    },
+  });
+});
+
+/**
+ * Crea un nuovo utente con ruolo
+ * @async
+ * @function createUser
+ *
+ * @example
+ * POST /api/v1/admin/users
+ * { name: "Maria Rossi", email: "maria@example.com", password: "...", role: "secretary" }
+ */
+exports.createUser = catchAsync(async (req, res, next) => {
+  const user = await User.create(pickEditableFields(req.body));
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      user,
+    },
+  });
+});
+
+/**
+ * Aggiorna un utente (ruolo, stato, dati anagrafici, password)
+ * Usa save() così che la password venga ricalcolata dall'hook pre-save
+ * @async
+ * @function updateUser
+ */
+exports.updateUser = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.params.id).select('+refreshTokens');
+
+  if (!user) {
+    return next(new AppError('Utente non trovato', 404));
+  }
+
+  const updates = pickEditableFields(req.body);
+  Object.assign(user, updates);
+
+  // A role change or deactivation must take effect on every device
+  if (updates.role !== undefined || updates.active === false) {
+    user.revokeAllRefreshTokens();
+  }
+
+  await user.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user,
+    },
+  });
+});
+
+/**
+ * Elimina un utente
+ * Un amministratore non può eliminare il proprio account
+ * @async
+ * @function deleteUser
+ */
+exports.deleteUser = catchAsync(async (req, res, next) => {
+  if (req.user && req.user._id.equals(req.params.id)) {
+    return next(new AppError('Non puoi eliminare il tuo account', 400));
+  }
+
+  const user = await User.findByIdAndDelete(req.params.id);
+
+  if (!user) {
+    return next(new AppError('Utente non trovato', 404));
+  }
+
+  res.status(204).json({
+    status: 'success',
+    data: null,
+  });
+});
+
+module.exports = exports;
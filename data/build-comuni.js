@@ -0,0 +1,153 @@
+/**
+ * @file build-comuni.js
+ * @description Rebuilds data/comuni.json (gazetteer of the Italian comuni)
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Sources (see data/COMUNI_SOURCES.md for the licenses):
+ * - ISTAT list of the comuni, from the npm package comuni-json
+ * - coordinates from GeoNames (CC BY 4.0), npm package cities.json
+ *
+ * GeoNames is matched by name and province code. It sometimes lists a comune
+ * under a longer locality ("Spinea-Orgnano", "Lido di Jesolo") or a shorter one
+ * ("San Lazzaro" for San Lazzaro di Savena). It only lists places with at
+ * least 1000 inhabitants: comuni still without a match (small villages, recent
+ * mergers) get the mean position of their province and `approssimato: true`
+ *
+ * Usage (see data/COMUNI_SOURCES.md to download the sources):
+ *   node data/build-comuni.js <comuni-json package dir> <cities.json package dir>
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Comuni listed by GeoNames under another name (mostly the English one)
+ * @constant
+ */
+const GEONAMES_NAMES = {
+  Torino: 'Turin',
+  Milano: 'Milan',
+  Genova: 'Genoa',
+  Venezia: 'Venice',
+  Padova: 'Padua',
+  Mantova: 'Mantua',
+  Firenze: 'Florence',
+  Roma: 'Rome',
+  Napoli: 'Naples',
+  'Reggio di Calabria': 'Reggio Calabria',
+};
+
+const normalize = (name) =>
+  String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+const [comuniDir, citiesDir] = process.argv.slice(2);
+if (!comuniDir || !citiesDir) {
+  console.error(
+    '❌ Usage: node data/build-comuni.js <comuni-json dir> <cities.json dir>',
+  );
+  process.exit(1);
+}
+
+const comuni = JSON.parse(
+  fs.readFileSync(path.join(comuniDir, 'comuni.json'), 'utf8'),
+);
+const places = JSON.parse(
+  fs.readFileSync(path.join(citiesDir, 'cities.json'), 'utf8'),
+).filter((place) => place.country === 'IT');
+
+const byKey = new Map();
+const byName = new Map();
+const byProvince = new Map();
+const push = (map, key, place) => {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(place);
+};
+places.forEach((place) => {
+  const name = normalize(place.name);
+  push(byKey, `${name}|${place.admin2}`, place);
+  push(byName, name, place);
+  push(byProvince, place.admin2, place);
+  if (place.name.includes('-')) {
+    push(
+      byKey,
+      `${normalize(place.name.split('-')[0])}|${place.admin2}`,
+      place,
+    );
+  }
+});
+
+/**
+ * GeoNames place of a comune, or null
+ */
+const findPlace = (comune) => {
+  const names = [GEONAMES_NAMES[comune.nome], ...comune.nome.split('/')].filter(
+    Boolean,
+  );
+  for (const name of names) {
+    const found = byKey.get(`${normalize(name)}|${comune.sigla}`);
+    if (found) return found[0];
+  }
+
+  const name = normalize(comune.nome);
+  const homonyms = byName.get(name) || [];
+  if (homonyms.length === 1) return homonyms[0];
+
+  const province = byProvince.get(comune.sigla) || [];
+  const shorter = province.filter((place) =>
+    name.startsWith(`${normalize(place.name)} `),
+  );
+  if (shorter.length === 1) return shorter[0];
+
+  const longer = province.filter((place) =>
+    normalize(place.name).endsWith(` ${name}`),
+  );
+  return longer.length === 1 ? longer[0] : null;
+};
+
+const entries = comuni.map((comune) => {
+  const place = findPlace(comune);
+  return {
+    nome: comune.nome,
+    provincia: comune.sigla,
+    regione: comune.regione.nome,
+    codice: comune.codice,
+    lat: place ? round(Number(place.lat)) : null,
+    lng: place ? round(Number(place.lng)) : null,
+  };
+});
+
+// Mean position of the province for the comuni without coordinates
+const provinces = new Map();
+entries
+  .filter((entry) => entry.lat !== null)
+  .forEach((entry) => push(provinces, entry.provincia, entry));
+const mean = (list, field) =>
+  round(list.reduce((sum, entry) => sum + entry[field], 0) / list.length);
+
+let approximate = 0;
+entries
+  .filter((entry) => entry.lat === null)
+  .forEach((entry) => {
+    const province = provinces.get(entry.provincia);
+    entry.lat = mean(province, 'lat');
+    entry.lng = mean(province, 'lng');
+    entry.approssimato = true;
+    approximate += 1;
+  });
+
+entries.sort((a, b) => a.codice.localeCompare(b.codice));
+fs.writeFileSync(
+  path.join(__dirname, 'comuni.json'),
+  `[\n${entries.map((entry) => `  ${JSON.stringify(entry)}`).join(',\n')}\n]\n`,
+);
+console.log(
+  `✅ ${entries.length} comuni written (${approximate} with approximate coordinates)`,
+);
@@ -0,0 +1,59 @@
+/**
+ * Seed script for the first admin account
+ * Creates the user, or resets its password if the email already exists
+ *
+ * Usage:
+ *   node data/data-seed/seedAdmin.js <email> <password> [name]
+ *
+ * Email and password can also come from ADMIN_EMAIL / ADMIN_PASSWORD in config.env
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const path = require('path');
+const User = require('../../models/userModel');
+
+dotenv.config({ path: path.join(__dirname, '../../config.env') });
+
+const [, , argEmail, argPassword, argName] = process.argv;
+const email = argEmail || process.env.ADMIN_EMAIL;
+const password = argPassword || process.env.ADMIN_PASSWORD;
+const name = argName || process.env.ADMIN_NAME || 'Amministratore';
+
+if (!email || !password) {
+  console.error(
+    '❌ Usage: node data/data-seed/seedAdmin.js <email> <password> [name]',
+  );
+  process.exit(1);
+}
+
+// Database connection
+const DB = process.env.MONGODB_URI;
+
+const seedAdmin = async () => {
+  try {
+    await mongoose.connect(DB);
+    console.log('✅ DB connection successful');
+
+    let user = await User.findOne({ email: email.toLowerCase() });
+
+    if (user) {
+      // Password hash is recomputed by the pre-save hook
+      user.password = password;
+      user.role = 'admin';
+      user.active = true;
+      await user.save();
+      console.log(`🔑 Password reset for existing admin: ${user.email}`);
+    } else {
+      user = await User.create({ name, email, password, role: 'admin' });
+      console.log(`✅ Admin created: ${user.email}`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error seeding admin:', error.message);
+    process.exit(1);
+  }
+};
+
+seedAdmin();
@@ -1,6 +1,11 @@
 /**
  * PM2 Ecosystem Configuration
  * Configurazione per gestire entrambi gli ambienti (staging e produzione)
+ *
+ * Health check (per istanza, sulla PORT configurata):
+ * - GET /healthz  liveness: il processo risponde
+ * - GET /readyz   readiness: database connesso e configurazione valida (503 altrimenti)
+ * GIT_COMMIT, se impostata al deploy, viene riportata da /api/v1/system/status
  */
 
 module.exports = {
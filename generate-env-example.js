@@ -0,0 +1,20 @@
+/**
+ * @file generate-env-example.js
+ * @description Rigenera config.env.example dallo schema della configurazione
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Lo schema (config/envSchema.js) è l'unica fonte: dopo averlo modificato
+ * rigenerare l'esempio e committare entrambi i file
+ *
+ * Usage: npm run config:example
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { generateExample } = require('./config/env');
+
+const target = path.join(__dirname, 'config.env.example');
+
+fs.writeFileSync(target, generateExample(), 'utf8');
+console.log(`✅ ${path.basename(target)} rigenerato da config/envSchema.js`);
@@ -5,37 +5,56 @@ const path = require('path');
 const newsRoutes = require('./routes/newsRoutes');
 const contactRoutes = require('./routes/contactRoutes');
 const conferenzaRoutes = require('./routes/conferenzaRoutes');
+const memberRoutes = require('./routes/memberRoutes');
 const libriRoutes = require('./routes/libriRoutes');
 const eventsRoutes = require('./routes/eventsRoutes');
+const speakerRoutes = require('./routes/speakerRoutes');
+const sabatoRoutes = require('./routes/sabatoRoutes');
 const articlesRoutes = require('./routes/articlesRoutes');
 const documentiRoutes = require('./routes/documentiRoutes');
 const projectPhaseRoutes = require('./routes/projectPhaseRoutes');
 const donazioniRoutes = require('./routes/donazioniRoutes');
+const authRoutes = require('./routes/authRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const systemRoutes = require('./routes/systemRoutes');
+const systemController = require('./controller/systemController');
+const requestContext = require('./utils/requestContext');
 const { corsOriginValidator } = require('./middleware/donationMiddleware');
+const enhancedErrorHandler = require('./middleware/errorHandler');
+const AppError = require('./utils/errorClass');
+const { v2Envelope } = require('./middleware/responseEnvelope');
+const config = require('./config');
 const app = express();
 
 // ✅ Enable CORS for all origins
 app.use(cors());
 
+// 🩺 Health probes (PM2, nginx, check-deployment.sh): before logging and body parsing
+app.get('/healthz', systemController.liveness);
+app.get('/readyz', systemController.readiness);
+
 // 📁 Serve static files - PDF documents from frontend
 app.use('/documents', express.static(path.join(__dirname, '../sdarmitalia/src/documents')));
 console.log('📁 Serving documents from:', path.join(__dirname, '../sdarmitalia/src/documents'));
 
 // ⚠️ IMPORTANT: Webhook route MUST be before body parser for raw body access
-// Middleware to capture raw body for webhook signature verification
+// Stripe signs the exact bytes sent: keep them in req.rawBody (both mounts)
 app.use(
-  '/api/donazioni/webhook',
-  (req, res, buffer, encoding) => {
-    req.rawBody = buffer.toString(encoding || 'utf8');
-  },
-  express.raw({ type: 'application/json' }),
+  ['/api/donazioni/webhook', '/api/v2/donazioni/webhook'],
+  express.raw({
+    type: 'application/json',
+    verify: (req, res, buffer) => {
+      req.rawBody = buffer;
+    },
+  }),
 );
 
 // Parse JSON body after webhook route
 app.use(express.json());
 
 // 1) MIDDLEWARES
-if (process.env.NODE_ENV === 'development') {
+if (config.isDevelopment) {
   app.use(morgan('dev')); // middleware for logging requests
 }
 
@@ -49,18 +68,54 @@ app.use((req, res, next) => {
   next();
 });
 
+// Request context for the audit trail (after body parsing, which breaks async context)
+app.use(requestContext.middleware);
+
 // 3) ROUTES
-app.use('/api/v1/news', newsRoutes);
-app.use('/api/v1/contact', contactRoutes);
-app.use('/api/v1/registration', conferenzaRoutes);
-app.use('/api/v1/members', conferenzaRoutes);
-app.use('/api/v1/libri', libriRoutes);
-app.use('/api/v1/events', eventsRoutes);
-app.use('/api/v1/articles', articlesRoutes);
-app.use('/api/v1/documenti', documentiRoutes);
-app.use('/api/v1/project-phases', projectPhaseRoutes);
+// Every API router, mounted once per version below
+const apiRouter = express.Router();
+apiRouter.use('/auth', authRoutes);
+apiRouter.use('/admin', adminRoutes);
+apiRouter.use('/audit', auditRoutes);
+apiRouter.use('/system', systemRoutes);
+apiRouter.use('/news', newsRoutes);
+apiRouter.use('/contact', contactRoutes);
+apiRouter.use('/registration', conferenzaRoutes);
+apiRouter.use('/members', memberRoutes);
+apiRouter.use('/libri', libriRoutes);
+apiRouter.use('/events', eventsRoutes);
+apiRouter.use('/speakers', speakerRoutes);
+apiRouter.use('/sabato', sabatoRoutes);
+apiRouter.use('/articles', articlesRoutes);
+apiRouter.use('/documenti', documentiRoutes);
+apiRouter.use('/project-phases', projectPhaseRoutes);
+
+// v1: historical response shapes
+app.use('/api/v1', apiRouter);
 
 // 💝 Donation routes with security middleware
 app.use('/api/donazioni', corsOriginValidator, donazioniRoutes);
 
+// v2: same routers, one { data, meta, error } envelope for every response
+// (the Stripe webhook stays on /api/donazioni/webhook, which has the raw body)
+const apiRouterV2 = express.Router();
+apiRouterV2.use('/donazioni', corsOriginValidator, donazioniRoutes);
+apiRouterV2.use(apiRouter);
+app.use('/api/v2', v2Envelope, apiRouterV2);
+
+// 4) ERROR HANDLING
+// ❓ Any route not matched above
+app.all('*', (req, res, next) => {
+  next(
+    new AppError(
+      `Route ${req.method} ${req.originalUrl} non trovata`,
+      404,
+      'ROUTE_NOT_FOUND',
+    ),
+  );
+});
+
+// 🚨 Global error handler: consistent { status, code, message } envelope
+app.use(enhancedErrorHandler);
+
 module.exports = app;
@@ -0,0 +1,165 @@
+/**
+ * @file authMiddleware.js
+ * @description Authentication middleware for admin-only routes
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Provides:
+ * - protect: requires a valid access token (Authorization: Bearer <token>)
+ * - restrictTo: requires at least one of the given permissions (after protect)
+ * - optionalAuth: loads the user if a valid token is sent, never rejects
+ *
+ * Public read-only endpoints must NOT use protect/restrictTo
+ *
+ * @example
+ * const { protect, restrictTo } = require('../middleware/authMiddleware');
+ * const { PERMISSIONS } = require('../config/permissions');
+ *
+ * router
+ *   .route('/')
+ *   .get(getAllNews)
+ *   .post(protect, restrictTo(PERMISSIONS.NEWS_MANAGE), createNews);
+ */
+
+const { JsonWebTokenError } = require('jsonwebtoken');
+const User = require('../models/userModel');
+const { verifyAccessToken } = require('../utils/tokens');
+const { setActor } = require('../utils/requestContext');
+const AppError = require('../utils/errorClass');
+const catchAsync = require('./catchAsync');
+
+/**
+ * Require an authenticated user
+ * Verifies the access token and attaches the user to `req.user`
+ *
+ * @type {Function} Express middleware
+ *
+ * Rejects with 401 when:
+ * - Authorization header is missing
+ * - Token is invalid, expired or not an access token
+ * - User no longer exists or has been disabled
+ * - Password was changed after the token was issued
+ */
+exports.protect = catchAsync(async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  const token =
+    authHeader && authHeader.startsWith('Bearer ')
+      ? authHeader.split(' ')[1]
+      : null;
+
+  if (!token) {
+    return next(
+      new AppError(
+        'Non sei autenticato. Effettua il login per continuare.',
+        401,
+      ),
+    );
+  }
+
+  let decoded;
+  try {
+    decoded = verifyAccessToken(token);
+  } catch (error) {
+    // TokenExpiredError and NotBeforeError extend JsonWebTokenError
+    if (error instanceof JsonWebTokenError) {
+      return next(
+        new AppError(
+          'Token non valido o scaduto.',
+          401,
+          error.name === 'TokenExpiredError'
+            ? 'TOKEN_EXPIRED'
+            : 'TOKEN_INVALID',
+        ),
+      );
+    }
+    throw error;
+  }
+
+  const user = await User.findById(decoded.id);
+  if (!user || !user.active) {
+    return next(
+      new AppError(
+        "L'utente associato a questo token non esiste più.",
+        401,
+        'USER_INACTIVE',
+      ),
+    );
+  }
+
+  if (user.changedPasswordAfter(decoded.iat)) {
+    return next(
+      new AppError(
+        'Password modificata di recente. Effettua di nuovo il login.',
+        401,
+        'PASSWORD_CHANGED',
+      ),
+    );
+  }
+
+  req.user = user;
+  setActor(user);
+  next();
+});
+
+/**
+ * Require at least one of the given permissions
+ * Must run after `protect`; permissions are resolved from the user's role
+ *
+ * @function restrictTo
+ * @param {...string} permissions - Accepted permissions (see config/permissions.js)
+ * @returns {Function} Express middleware (exposes `.permissions` for the admin matrix)
+ *
+ * @example
+ * router.delete('/:id', protect, restrictTo(PERMISSIONS.LIBRI_MANAGE), deleteLibro);
+ */
+exports.restrictTo = (...permissions) => {
+  const middleware = (req, res, next) => {
+    if (!req.user) {
+      return next(
+        new AppError(
+          'Non sei autenticato. Effettua il login per continuare.',
+          401,
+        ),
+      );
+    }
+
+    if (!permissions.some((permission) => req.user.hasPermission(permission))) {
+      return next(
+        new AppError('Non hai i permessi per eseguire questa azione', 403),
+      );
+    }
+
+    next();
+  };
+
+  // Read by the admin permission matrix (GET /api/v1/admin/permissions)
+  middleware.permissions = permissions;
+  return middleware;
+};
+
+/**
+ * Load the user when a valid access token is present, otherwise continue anonymously
+ * Used by public endpoints that show extra data to authorized staff
+ *
+ * @type {Function} Express middleware
+ */
+exports.optionalAuth = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return next();
+
+  try {
+    const decoded = verifyAccessToken(authHeader.split(' ')[1]);
+    const user = await User.findById(decoded.id);
+
+    if (user && user.active && !user.changedPasswordAfter(decoded.iat)) {
+      req.user = user;
+      setActor(user);
+    }
+  } catch (error) {
+    // Invalid token on a public endpoint: treat the request as anonymous
+  }
+
+  next();
+};
+
+module.exports = exports;
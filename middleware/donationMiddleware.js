@@ -12,6 +12,10 @@
  */
 
 const rateLimit = require('express-rate-limit');
+const AppError = require('../utils/errorClass');
+const config = require('../config');
+const validate = require('./validate');
+const donazioniSchemas = require('../validation/donazioniSchemas');
 
 /**
  * Rate limiter for payment endpoints
@@ -22,131 +26,38 @@ const rateLimit = require('express-rate-limit');
  */
 exports.rateLimitPayments = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
-  max: parseInt(process.env.PAYMENT_RATE_LIMIT) || 10,
-  message: {
-    success: false,
-    message: 'Troppi tentativi di pagamento. Riprova tra un ora.',
-  },
+  max: config.security.paymentRateLimit,
+  // Reply through the global error handler (same envelope as every other error)
+  handler: (req, res, next) =>
+    next(
+      new AppError(
+        'Troppi tentativi di pagamento. Riprova tra un ora.',
+        429,
+        'RATE_LIMITED',
+      ),
+    ),
   standardHeaders: true, // Return rate limit info in `RateLimit-*` headers
   legacyHeaders: false,
   // Skip rate limiting for local development
-  skip: (req) => process.env.NODE_ENV === 'development' && req.ip === '::1',
+  skip: (req) => config.isDevelopment && req.ip === '::1',
 });
 
 /**
  * Validate payment input
- * Checks required fields and formats
+ * Runs the createPaymentIntent schema (validation/donazioniSchemas.js) and
+ * reports every invalid field at once
  *
  * @type {Function} Express middleware
  *
  * Validates:
- * - Amount is number > 0
+ * - Amount is number between €0.01 and €999,999.99
  * - Email is valid format
  * - Name is 2-100 characters
  * - Phone format if provided
  * - Message length if provided
  * - Category is valid enum
  */
-exports.validatePaymentInput = (req, res, next) => {
-  const { importo, email, nome, telefono, messaggio, categoria } = req.body;
-
-  // Check required fields
-  if (!importo || !email || !nome) {
-    return res.status(400).json({
-      success: false,
-      message: 'Campi obbligatori mancanti: importo, email, nome',
-      errors: {
-        importo: importo ? null : 'Importo obbligatorio',
-        email: email ? null : 'Email obbligatoria',
-        nome: nome ? null : 'Nome obbligatorio',
-      },
-    });
-  }
-
-  // Validate amount
-  if (typeof importo !== 'number' || importo <= 0 || importo > 100000) {
-    return res.status(400).json({
-      success: false,
-      message: 'Importo non valido',
-      errors: {
-        importo: 'Deve essere un numero tra €0.01 e €100000.00',
-      },
-    });
-  }
-
-  // Validate email
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  if (!emailRegex.test(email)) {
-    return res.status(400).json({
-      success: false,
-      message: 'Email non valida',
-      errors: {
-        email: 'Inserisci un indirizzo email valido',
-      },
-    });
-  }
-
-  // Validate name
-  if (typeof nome !== 'string' || nome.trim().length < 2 || nome.length > 100) {
-    return res.status(400).json({
-      success: false,
-      message: 'Nome non valido',
-      errors: {
-        nome: 'Deve essere lungo 2-100 caratteri',
-      },
-    });
-  }
-
-  // Validate phone if provided
-  if (telefono) {
-    const phoneRegex =
-      /^(\+?\d{1,3}[\s\-]?)?\(?\d{1,4}\)?[\s\-]?\d{1,4}[\s\-]?\d{1,9}$/;
-    if (!phoneRegex.test(telefono)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Numero di telefono non valido',
-        errors: {
-          telefono: 'Inserisci un numero di telefono valido',
-        },
-      });
-    }
-  }
-
-  // Validate message if provided
-  if (messaggio && messaggio.length > 500) {
-    return res.status(400).json({
-      success: false,
-      message: 'Messaggio troppo lungo',
-      errors: {
-        messaggio: 'Massimo 500 caratteri',
-      },
-    });
-  }
-
-  // Validate category if provided
-  if (categoria) {
-    const validCategories = [
-      'generale',
-      'chiesa',
-      'progetti',
-      'educazione',
-      'carità',
-      'missioni',
-    ];
-    if (!validCategories.includes(categoria)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Categoria non valida',
-        errors: {
-          categoria: `Deve essere uno di: ${validCategories.join(', ')}`,
-        },
-      });
-    }
-  }
-
-  // All validation passed
-  next();
-};
+exports.validatePaymentInput = validate(donazioniSchemas.createPaymentIntent);
 
 /**
  * Validate Stripe webhook signature
@@ -162,10 +73,9 @@ exports.validateWebhookSignature = (req, res, next) => {
   const signature = req.headers['stripe-signature'];
 
   if (!signature) {
-    return res.status(401).json({
-      success: false,
-      message: 'Firma webhook mancante',
-    });
+    return next(
+      new AppError('Firma webhook mancante', 401, 'WEBHOOK_SIGNATURE_MISSING'),
+    );
   }
 
   // Note: Actual verification happens in controller with stripe library
@@ -180,9 +90,7 @@ exports.validateWebhookSignature = (req, res, next) => {
  * @type {Function} Express middleware
  */
 exports.corsOriginValidator = (req, res, next) => {
-  const allowedOrigins = (
-    process.env.CORS_ORIGINS || 'http://localhost:5173,http://localhost:3000'
-  ).split(',');
+  const allowedOrigins = config.security.corsOrigins;
 
   const origin = req.headers.origin;
 
@@ -191,7 +99,10 @@ exports.corsOriginValidator = (req, res, next) => {
   }
 
   res.header('Access-Control-Allow-Methods', 'POST, GET, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, stripe-signature');
+  res.header(
+    'Access-Control-Allow-Headers',
+    'Content-Type, Authorization, stripe-signature',
+  );
 
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
@@ -1,7 +1,7 @@
 /**
  * @file errorHandler.js
  * @description Global error handling middleware for Express application
- * @version 1.0
+ * @version 1.1
  * @author SDA Italia Dev Team
  *
  * Centralized error handling for the entire application
@@ -9,11 +9,12 @@
  * Formats consistent error responses across all endpoints
  *
  * @example
- * // In index.js:
- * app.use(errorHandler);
+ * // In index.js (after all routes and the 404 fallback):
+ * app.use(enhancedErrorHandler);
  */
 
 const AppError = require('../utils/errorClass');
+const config = require('../config');
 
 /**
  * Main error handling middleware
@@ -31,51 +32,52 @@ const AppError = require('../utils/errorClass');
  * 2. MongoDB Errors - Validation, duplicate key, cast errors
  * 3. Programming Errors - Unexpected errors with generic message
  *
+ * Every error response has the same envelope:
+ * { status, code, message, statusCode, errors? }
+ * - status: 'fail' (4xx) or 'error' (5xx)
+ * - code: machine-readable error code (e.g. 'NOT_FOUND', 'VALIDATION_ERROR')
+ * - errors: per-field messages, only for validation errors
+ *
  * @returns {void} Sends JSON response with error details
  *
  * @example
  * // Operational error (from controller):
- * throw new AppError('News not found', 404);
- * // Response: { status: 'fail', message: 'News not found', statusCode: 404 }
+ * return next(new AppError('News not found', 404));
+ * // Response: { status: 'fail', code: 'NOT_FOUND', message: 'News not found', statusCode: 404 }
  *
  * // Programming error (unexpected):
- * // Response: { status: 'error', message: 'Something went wrong', statusCode: 500 }
- * // (Stack trace included only in development)
+ * // Response: { status: 'error', code: 'INTERNAL_ERROR', message: 'Something went wrong...', statusCode: 500 }
+ * // (Original message and stack trace included only in development)
  */
 const errorHandler = (err, req, res, next) => {
-  // Default error properties
-  err.statusCode = err.statusCode || 500;
-  err.status = err.status || 'error';
-
-  // DEVELOPMENT ENVIRONMENT - Send detailed error info
-  if (process.env.NODE_ENV === 'development') {
-    // Include stack trace in development for debugging
-    return res.status(err.statusCode).json({
-      status: err.status,
-      message: err.message,
-      error: err,
-      stack: err.stack,
-    });
-  }
+  // Headers already sent (e.g. error while streaming): let Express close the connection
+  if (res.headersSent) return next(err);
 
-  // PRODUCTION ENVIRONMENT - Send safe error info
-  // Only send operational errors to client, hide programming errors
-  if (err.isOperational) {
-    // Operational error: send message to client
-    return res.status(err.statusCode).json({
-      status: err.status,
-      message: err.message,
-      statusCode: err.statusCode,
-    });
+  const isDevelopment = config.isDevelopment;
+
+  // Programming errors: log them, never leak details outside development
+  if (!err.isOperational) {
+    console.error('PROGRAMMING ERROR:', err);
   }
 
-  // Programming error: don't leak details to client
-  console.error('PROGRAMMING ERROR:', err);
-  return res.status(500).json({
-    status: 'error',
-    message: 'Something went wrong. Please try again later.',
-    statusCode: 500,
-  });
+  const statusCode = err.isOperational ? err.statusCode : 500;
+
+  const body = {
+    status: err.isOperational ? err.status : 'error',
+    code: err.isOperational ? err.code : AppError.defaultCode(500),
+    message:
+      err.isOperational || isDevelopment
+        ? err.message
+        : 'Something went wrong. Please try again later.',
+    statusCode,
+  };
+
+  if (err.errors) body.errors = err.errors;
+
+  // DEVELOPMENT ENVIRONMENT - Include stack trace for debugging
+  if (isDevelopment) body.stack = err.stack;
+
+  return res.status(statusCode).json(body);
 };
 
 /**
@@ -84,20 +86,22 @@ const errorHandler = (err, req, res, next) => {
  *
  * @function handleValidationError
  * @param {Error} err - MongoDB validation error object
- * @returns {AppError} Formatted AppError instance
+ * @returns {AppError} Formatted AppError instance (code VALIDATION_ERROR)
  *
  * @example
  * // When required field is missing:
  * // Error: "title" is required
- * // Response: { message: "Missing required fields: title", statusCode: 400 }
+ * // Response: { code: 'VALIDATION_ERROR', message: "Invalid input data. ...",
+ * //             errors: { title: 'News title is required' }, statusCode: 400 }
  */
 const handleValidationError = (err) => {
-  const messages = Object.values(err.errors)
-    .map((e) => e.message)
-    .join(', ');
+  const errors = Object.values(err.errors).reduce((acc, e) => {
+    acc[e.path] = e.message;
+    return acc;
+  }, {});
 
-  const message = `Invalid input data. ${messages}`;
-  return new AppError(message, 400);
+  const message = `Invalid input data. ${Object.values(errors).join(', ')}`;
+  return new AppError(message, 400, 'VALIDATION_ERROR', errors);
 };
 
 /**
@@ -106,18 +110,21 @@ const handleValidationError = (err) => {
  *
  * @function handleDuplicateFieldsError
  * @param {Error} err - MongoDB duplicate key error
- * @returns {AppError} Formatted AppError instance
+ * @returns {AppError} Formatted AppError instance (code DUPLICATE_KEY)
  *
  * @example
  * // When email already exists:
  * // Error code: 11000
- * // Response: { message: "Email already registered", statusCode: 400 }
+ * // Response: { code: 'DUPLICATE_KEY', message: 'A document with email "..." already exists', statusCode: 400 }
  */
 const handleDuplicateFieldsError = (err) => {
   // Extract field name from error message
-  const field = Object.keys(err.keyPattern)[0];
-  const message = `A document with ${field} "${err.keyValue[field]}" already exists`;
-  return new AppError(message, 400);
+  const field = Object.keys(err.keyPattern || err.keyValue || {})[0];
+  const value = err.keyValue ? err.keyValue[field] : '';
+  const message = `A document with ${field} "${value}" already exists`;
+  return new AppError(message, 400, 'DUPLICATE_KEY', {
+    [field]: message,
+  });
 };
 
 /**
@@ -126,15 +133,90 @@ const handleDuplicateFieldsError = (err) => {
  *
  * @function handleCastError
  * @param {Error} err - MongoDB cast error
- * @returns {AppError} Formatted AppError instance
+ * @returns {AppError} Formatted AppError instance (code INVALID_ID or INVALID_VALUE)
  *
  * @example
  * // When passing invalid ObjectId:
- * // Response: { message: "Invalid ID format", statusCode: 400 }
+ * // Response: { code: 'INVALID_ID', message: "Invalid _id: abc", statusCode: 400 }
  */
 const handleCastError = (err) => {
   const message = `Invalid ${err.path}: ${err.value}`;
-  return new AppError(message, 400);
+  return new AppError(
+    message,
+    400,
+    err.kind === 'ObjectId' ? 'INVALID_ID' : 'INVALID_VALUE',
+  );
+};
+
+/**
+ * Handles JWT errors not caught by the auth middleware
+ *
+ * @function handleJWTError
+ * @param {Error} err - jsonwebtoken error
+ * @returns {AppError} Formatted AppError instance (code TOKEN_EXPIRED or TOKEN_INVALID)
+ */
+const handleJWTError = (err) =>
+  err.name === 'TokenExpiredError'
+    ? new AppError(
+        'Token scaduto. Effettua di nuovo il login.',
+        401,
+        'TOKEN_EXPIRED',
+      )
+    : new AppError('Token non valido o scaduto.', 401, 'TOKEN_INVALID');
+
+/**
+ * Handles body-parser errors (malformed JSON, payload too large)
+ *
+ * @function handleBodyParserError
+ * @param {Error} err - body-parser error (has `type`)
+ * @returns {AppError} Formatted AppError instance
+ */
+const handleBodyParserError = (err) =>
+  err.type === 'entity.too.large'
+    ? new AppError('Request body too large', 413, 'PAYLOAD_TOO_LARGE')
+    : new AppError('Malformed JSON in request body', 400, 'INVALID_JSON');
+
+/**
+ * Handles Stripe API errors
+ * Card errors are shown to the donor, configuration errors are not
+ *
+ * @function handleStripeError
+ * @param {Error} err - Stripe error (type starts with 'Stripe')
+ * @returns {AppError} Formatted AppError instance
+ */
+const handleStripeError = (err) => {
+  switch (err.type) {
+    case 'StripeCardError':
+      return new AppError(err.message, 402, 'PAYMENT_FAILED');
+    case 'StripeInvalidRequestError':
+      return new AppError(err.message, 400, 'PAYMENT_INVALID_REQUEST');
+    case 'StripeRateLimitError':
+      return new AppError(
+        'Troppi tentativi. Riprova tra un momento.',
+        429,
+        'RATE_LIMITED',
+      );
+    case 'StripeSignatureVerificationError':
+      return new AppError(
+        'Firma webhook non valida',
+        400,
+        'WEBHOOK_SIGNATURE_INVALID',
+      );
+    case 'StripeAuthenticationError':
+      return new AppError(
+        'Errore di configurazione pagamento',
+        401,
+        'PAYMENT_CONFIG_ERROR',
+      );
+    case 'StripePermissionError':
+      return new AppError('Non autorizzato', 403, 'PAYMENT_CONFIG_ERROR');
+    default:
+      return new AppError(
+        'Errore nel processamento del pagamento',
+        502,
+        'PAYMENT_PROVIDER_ERROR',
+      );
+  }
 };
 
 /**
@@ -148,20 +230,23 @@ const handleCastError = (err) => {
  * @param {Function} next - Express next middleware function
  *
  * @description
- * Converts MongoDB errors to AppError format before passing to errorHandler:
+ * Converts known library errors to AppError format before passing to errorHandler:
  * - Validation errors (code: "ValidationError")
  * - Duplicate key errors (code: 11000)
  * - Cast errors (name: "CastError")
+ * - JWT errors (JsonWebTokenError, TokenExpiredError)
+ * - body-parser errors (malformed JSON, payload too large)
+ * - Stripe errors (type: "Stripe...")
  * - Other errors pass through unchanged
  *
  * @returns {void}
  *
  * @example
- * // In index.js:
+ * // In index.js (after all routes):
  * app.use(enhancedErrorHandler);
  */
 const enhancedErrorHandler = (err, req, res, next) => {
-  let error = { ...err, message: err.message };
+  let error = err;
 
   // Handle MongoDB Validation Error
   if (err.name === 'ValidationError') {
@@ -178,6 +263,27 @@ const enhancedErrorHandler = (err, req, res, next) => {
     error = handleCastError(err);
   }
 
+  // Handle JWT errors (TokenExpiredError extends JsonWebTokenError)
+  if (err.name === 'JsonWebTokenError' || err.name === 'TokenExpiredError') {
+    error = handleJWTError(err);
+  }
+
+  // Handle body-parser errors
+  if (err.type === 'entity.parse.failed' || err.type === 'entity.too.large') {
+    error = handleBodyParserError(err);
+  } else if (err.expose && err.status) {
+    // Other client errors raised by Express/body-parser (http-errors)
+    error = new AppError(err.message, err.status);
+  }
+
+  // Handle Stripe errors
+  if (typeof err.type === 'string' && err.type.startsWith('Stripe')) {
+    error = handleStripeError(err);
+  }
+
+  // Keep the original stack for development responses
+  if (error !== err) error.stack = err.stack;
+
   // Process the error through main handler
   errorHandler(error, req, res, next);
 };
@@ -0,0 +1,140 @@
+/**
+ * @file idempotency.js
+ * @description Idempotency-Key support for public form submissions
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Forms send a random key (e.g. a UUID generated when the form is shown) in
+ * the Idempotency-Key header. The first request with a key runs normally and
+ * its successful response is stored for 24 hours (models/idempotencyKeyModel.js);
+ * a repeated submission (double click, retry after a timeout) receives the same
+ * response with the `Idempotent-Replayed: true` header and nothing is created twice
+ *
+ * - Same key while the first request is still running: 409 REQUEST_IN_PROGRESS
+ * - Same key with a different body: 422 IDEMPOTENCY_KEY_REUSED
+ * - Failed requests (4xx/5xx) are not stored: the client can retry with the same key
+ *
+ * Requests without the header are not affected
+ *
+ * @example
+ * const idempotency = require('../middleware/idempotency');
+ * router.post('/', validate(schemas.createContact), idempotency, createContact);
+ */
+
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/idempotencyKeyModel');
+const AppError = require('../utils/errorClass');
+const catchAsync = require('./catchAsync');
+
+/**
+ * Accepted keys: 8-255 visible ASCII characters
+ * @constant
+ */
+const KEY_REGEX = /^[\x21-\x7e]{8,255}$/;
+
+/**
+ * Hash of the request body (same key must mean same request)
+ *
+ * @private
+ * @param {*} body
+ * @returns {string}
+ */
+const hashBody = (body) =>
+  crypto
+    .createHash('sha256')
+    .update(JSON.stringify(body || {}))
+    .digest('hex');
+
+/**
+ * Idempotency middleware
+ *
+ * @middleware
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const idempotency = catchAsync(async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+
+  if (!KEY_REGEX.test(key)) {
+    return next(
+      new AppError(
+        'Idempotency-Key non valida (8-255 caratteri)',
+        400,
+        'INVALID_IDEMPOTENCY_KEY',
+      ),
+    );
+  }
+
+  const scope = `${req.method} ${req.baseUrl}${req.path}`;
+  const requestHash = hashBody(req.body);
+
+  try {
+    await IdempotencyKey.create({ key, scope, requestHash });
+  } catch (err) {
+    if (err.code !== 11000) return next(err);
+
+    const entry = await IdempotencyKey.findOne({ key, scope }).lean();
+    // Expired between the insert and the lookup: a retry starts over
+    if (!entry) {
+      return next(
+        new AppError('Richiesta in corso, riprova', 409, 'REQUEST_IN_PROGRESS'),
+      );
+    }
+    if (entry.requestHash !== requestHash) {
+      return next(
+        new AppError(
+          'Idempotency-Key già usata per una richiesta diversa',
+          422,
+          'IDEMPOTENCY_KEY_REUSED',
+        ),
+      );
+    }
+    if (entry.state !== 'completed') {
+      return next(
+        new AppError(
+          'Richiesta già in elaborazione',
+          409,
+          'REQUEST_IN_PROGRESS',
+        ),
+      );
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(entry.statusCode).json(entry.body);
+  }
+
+  // Store the body of a successful response; release the key otherwise
+  // (also when the connection drops before the response is sent)
+  let responseBody;
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    // Plain copy: controllers pass Mongoose documents
+    responseBody = JSON.parse(JSON.stringify(body === undefined ? null : body));
+    return originalJson(body);
+  };
+
+  res.on('close', () => {
+    const done =
+      res.writableFinished && res.statusCode < 400
+        ? IdempotencyKey.updateOne(
+            { key, scope },
+            {
+              state: 'completed',
+              statusCode: res.statusCode,
+              body: responseBody === undefined ? null : responseBody,
+            },
+          )
+        : IdempotencyKey.deleteOne({ key, scope });
+
+    done.catch((err) => {
+      console.error(`❌ Idempotency-Key non aggiornata: ${err.message}`);
+    });
+  });
+
+  next();
+});
+
+module.exports = idempotency;
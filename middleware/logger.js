@@ -17,6 +17,8 @@
  * app.use(logger.errorLogger);
  */
 
+const config = require('../config');
+
 // ANSI color codes for console output (development only)
 const COLORS = {
   RESET: '\x1b[0m',
@@ -159,7 +161,7 @@ const requestLogger = (req, res, next) => {
       ip: req.ip || req.connection.remoteAddress,
     };
 
-    if (process.env.NODE_ENV === 'development') {
+    if (config.isDevelopment) {
       // DEVELOPMENT: Colorized console output
       const statusColor = getStatusColor(statusCode);
       const methodColor =
@@ -276,7 +278,7 @@ const errorLogger = (err, req, res, next) => {
     duration: `${duration} ms`,
   };
 
-  if (process.env.NODE_ENV === 'development') {
+  if (config.isDevelopment) {
     // Development: detailed error output
     console.error(
       `\n${COLORS.RED}[ERROR - ${timestamp}]${COLORS.RESET}\n` +
@@ -327,7 +329,7 @@ const performanceLogger = (thresholdMs = 1000) => {
           `${COLORS.YELLOW}[SLOW REQUEST]${COLORS.RESET} ` +
           `${req.method} ${req.path} took ${formatTime(duration)}`;
 
-        if (process.env.NODE_ENV === 'development') {
+        if (config.isDevelopment) {
           console.warn(logMessage);
         } else {
           console.warn(
@@ -17,6 +17,8 @@
  * app.use('/api/contact', strictLimiter);
  */
 
+const AppError = require('../utils/errorClass');
+
 /**
  * Simple in-memory rate limiter implementation
  * Tracks request counts by client IP address
@@ -104,12 +106,12 @@ class SimpleRateLimiter {
 
       // Check if limit exceeded
       if (clientData.count > this.maxRequests) {
-        // Return 429 Too Many Requests
-        return res.status(429).json({
-          status: 'fail',
-          message: this.message,
-          retryAfter: Math.ceil((clientData.resetTime - now) / 1000),
-        });
+        // Return 429 Too Many Requests (through the global error handler)
+        res.setHeader(
+          'Retry-After',
+          Math.ceil((clientData.resetTime - now) / 1000).toString(),
+        );
+        return next(new AppError(this.message, 429, 'RATE_LIMITED'));
       }
 
       // Continue to next middleware
@@ -0,0 +1,171 @@
+/**
+ * @file responseEnvelope.js
+ * @description Unified response envelope for the /api/v2 surface
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * v1 routes answer with three different shapes:
+ * - { status: 'success', results, data }            (content APIs)
+ * - { success: true, message, data | <fields> }     (donations, project phases)
+ * - { status: 'fail', code, message, errors }       (global error handler)
+ *
+ * /api/v2 mounts the same routers behind this middleware, which rewrites every
+ * JSON body into a single shape:
+ *
+ * {
+ *   data:  <payload> | null,
+ *   meta:  { results, total, page, pages, ... },
+ *   error: { code, message, fields } | null
+ * }
+ *
+ * Controllers stay version-agnostic: v1 keeps its historical shapes
+ *
+ * @example
+ * // index.js
+ * app.use('/api/v2', v2Envelope, v2Router);
+ */
+
+/**
+ * Top-level keys of a v1 body that describe the result set, not the payload
+ * @constant
+ */
+const META_KEYS = [
+  'results',
+  'count',
+  'total',
+  'page',
+  'pages',
+  'limit',
+  'nextCursor',
+  'hasMore',
+  'message',
+];
+
+/**
+ * Keys that only carry the v1 status flag
+ * @constant
+ */
+const STATUS_KEYS = ['status', 'success'];
+
+/**
+ * Tells whether a body is already a v2 envelope
+ *
+ * @private
+ * @param {*} body - Response body
+ * @returns {boolean}
+ */
+const isEnvelope = (body) =>
+  body !== null &&
+  typeof body === 'object' &&
+  'data' in body &&
+  'meta' in body &&
+  'error' in body;
+
+/**
+ * Tells whether a v1 body describes an error
+ *
+ * @private
+ * @param {Object} body - v1 response body
+ * @param {number} statusCode - HTTP status code
+ * @returns {boolean}
+ */
+const isErrorBody = (body, statusCode) =>
+  statusCode >= 400 ||
+  body.status === 'fail' ||
+  body.status === 'error' ||
+  body.success === false;
+
+/**
+ * Converts a v1 response body into the v2 envelope
+ *
+ * @function toV2Envelope
+ * @param {*} body - Body passed to res.json() by a v1 controller
+ * @param {number} statusCode - HTTP status code of the response
+ * @returns {Object} { data, meta, error }
+ *
+ * @example
+ * toV2Envelope({ status: 'success', results: 2, data: { news: [...] } }, 200);
+ * // { data: { news: [...] }, meta: { results: 2 }, error: null }
+ *
+ * toV2Envelope({ status: 'fail', code: 'NOT_FOUND', message: 'News not found', statusCode: 404 }, 404);
+ * // { data: null, meta: {}, error: { code: 'NOT_FOUND', message: 'News not found', fields: null } }
+ */
+const toV2Envelope = (body, statusCode) => {
+  if (isEnvelope(body)) return body;
+
+  // Arrays, strings, numbers: nothing to unwrap
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return { data: body === undefined ? null : body, meta: {}, error: null };
+  }
+
+  if (isErrorBody(body, statusCode)) {
+    const error = {
+      code: body.code || (statusCode >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST'),
+      message: body.message || 'Errore sconosciuto',
+      fields: body.errors || null,
+    };
+    if (body.stack) error.stack = body.stack; // development only
+
+    return { data: null, meta: {}, error };
+  }
+
+  const meta = {};
+  const rest = {};
+
+  Object.keys(body).forEach((key) => {
+    if (STATUS_KEYS.includes(key)) return;
+    if (META_KEYS.includes(key)) {
+      meta[key] = body[key];
+    } else if (key !== 'data') {
+      rest[key] = body[key];
+    }
+  });
+
+  let data;
+  if (!('data' in body)) {
+    // { success: true, donations: [...] } → data: { donations: [...] }
+    data = Object.keys(rest).length > 0 ? rest : null;
+  } else if (Object.keys(rest).length === 0) {
+    data = body.data;
+  } else if (
+    body.data !== null &&
+    typeof body.data === 'object' &&
+    !Array.isArray(body.data)
+  ) {
+    data = { ...body.data, ...rest };
+  } else {
+    data = { data: body.data, ...rest };
+  }
+
+  // Result counts in meta are derived from the payload when missing
+  if (meta.count !== undefined && meta.results === undefined) {
+    meta.results = meta.count;
+    delete meta.count;
+  }
+
+  return { data: data === undefined ? null : data, meta, error: null };
+};
+
+/**
+ * Middleware for the /api/v2 mount
+ * Wraps res.json() so that every JSON response (success or error) uses the v2 envelope
+ *
+ * @middleware
+ * @param {Object} req - Express request object (sets req.apiVersion = 2)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const v2Envelope = (req, res, next) => {
+  req.apiVersion = 2;
+
+  const originalJson = res.json.bind(res);
+  res.json = (body) => originalJson(toV2Envelope(body, res.statusCode));
+
+  res.setHeader('API-Version', '2');
+  next();
+};
+
+module.exports = {
+  v2Envelope,
+  toV2Envelope,
+};
@@ -0,0 +1,293 @@
+/**
+ * @file validate.js
+ * @description Declarative, schema-driven request validation
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Every route declares what it accepts in body, params and query; the
+ * validate() middleware checks the request against that schema and reports
+ * ALL invalid fields at once through the global error handler:
+ *
+ * 400 { status: 'fail', code: 'VALIDATION_ERROR', message, errors: { field: message } }
+ *
+ * Messages are localized (it/en) from the Accept-Language header, see
+ * utils/validationMessages.js. Schemas live in validation/<resource>Schemas.js
+ *
+ * Rule reference (per field):
+ * - type: 'string' | 'number' | 'integer' | 'boolean' | 'date' | 'day' | 'email'
+ *         | 'phone' | 'url' | 'objectId' | 'youtubeId' | 'array' | 'object'
+ *         ('day' is a calendar day YYYY-MM-DD that exists: no 2026-02-30)
+ * - required: field must be present (undefined, null and '' count as missing)
+ * - min / max: numeric bounds
+ * - minLength / maxLength: string length (trimmed)
+ * - minItems / maxItems / items: array length and rule applied to every element
+ * - fields: nested rules for 'object'
+ * - enum: allowed values
+ * - pattern: RegExp the string must match
+ * - noHtml: reject strings containing HTML tags
+ *
+ * Values in params and query are always strings: fields declared as number,
+ * integer or boolean are coerced and written back, so controllers receive typed
+ * values. Body values are checked as sent (JSON already carries types)
+ *
+ * Fields not declared in the schema are ignored (Mongoose drops unknown paths)
+ *
+ * @example
+ * const validate = require('../middleware/validate');
+ * const newsSchemas = require('../validation/newsSchemas');
+ *
+ * router.post('/', protect, canManage, validate(newsSchemas.createNews), createNews);
+ */
+
+const AppError = require('../utils/errorClass');
+const {
+  validateEmail,
+  validateURL,
+  validateYoutubeId,
+  containsHTMLTags,
+} = require('./validateInput');
+const { resolveLanguage, translate } = require('../utils/validationMessages');
+
+/**
+ * Request sections a schema can describe
+ * @constant
+ */
+const SOURCES = ['params', 'query', 'body'];
+
+/**
+ * Phone pattern (same as the Contact and Donazione models)
+ * @constant
+ */
+const PHONE_REGEX =
+  /^(\+?\d{1,3}[\s\-]?)?\(?\d{1,4}\)?[\s\-]?\d{1,4}[\s\-]?\d{1,9}$/;
+
+/**
+ * MongoDB ObjectId as sent by clients (24 hex chars)
+ * @constant
+ */
+const OBJECT_ID_REGEX = /^[a-f\d]{24}$/i;
+
+/**
+ * Calendar day (YYYY-MM-DD)
+ * @constant
+ */
+const DAY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Type checks by rule type
+ * @constant
+ */
+const TYPE_CHECKS = {
+  string: (v) => typeof v === 'string',
+  number: (v) => typeof v === 'number' && Number.isFinite(v),
+  integer: (v) => Number.isInteger(v),
+  boolean: (v) => typeof v === 'boolean',
+  date: (v) =>
+    (typeof v === 'string' || typeof v === 'number') &&
+    !Number.isNaN(new Date(v).getTime()),
+  day: (v) =>
+    typeof v === 'string' &&
+    DAY_REGEX.test(v) &&
+    !Number.isNaN(Date.parse(v)) &&
+    new Date(v).toISOString().slice(0, 10) === v,
+  email: validateEmail,
+  phone: (v) => typeof v === 'string' && PHONE_REGEX.test(v.trim()),
+  url: (v) => validateURL(v) && /^https?:\/\//i.test(v),
+  objectId: (v) => typeof v === 'string' && OBJECT_ID_REGEX.test(v),
+  youtubeId: validateYoutubeId,
+  array: Array.isArray,
+  object: (v) => v !== null && typeof v === 'object' && !Array.isArray(v),
+};
+
+/**
+ * Tells whether a value counts as "not provided"
+ *
+ * @private
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isMissing = (value) =>
+  value === undefined || value === null || value === '';
+
+/**
+ * Converts a query/params string to the type declared by the rule
+ * Values that cannot be converted are returned unchanged (the type check fails)
+ *
+ * @private
+ * @param {string} type - Rule type
+ * @param {*} value - Raw value
+ * @returns {*} Coerced value
+ */
+const coerce = (type, value) => {
+  if (typeof value !== 'string') return value;
+
+  if (type === 'number' || type === 'integer') {
+    const trimmed = value.trim();
+    return trimmed !== '' && !Number.isNaN(Number(trimmed))
+      ? Number(trimmed)
+      : value;
+  }
+
+  if (type === 'boolean') {
+    if (value === 'true' || value === '1') return true;
+    if (value === 'false' || value === '0') return false;
+  }
+
+  return value;
+};
+
+/**
+ * Checks a present value against its rule
+ * Nested errors (array items, object fields) are written directly into `errors`
+ *
+ * @private
+ * @param {Object} rule - Field rule
+ * @param {*} value - Value to check
+ * @param {string} path - Field path used in messages (e.g. 'tags.2')
+ * @param {Object} errors - Accumulator { path: message }
+ * @param {string} lang - Message language
+ * @returns {string|null} Error message for this field, or null
+ */
+const checkValue = (rule, value, path, errors, lang) => {
+  const message = (key, params = {}) =>
+    translate(lang, key, { field: path, ...rule, ...params });
+
+  if (rule.type && !TYPE_CHECKS[rule.type](value)) {
+    return message(`type.${rule.type}`);
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return message('enum', { values: rule.enum.join(', ') });
+  }
+
+  if (typeof value === 'number') {
+    if (rule.min !== undefined && value < rule.min) return message('min');
+    if (rule.max !== undefined && value > rule.max) return message('max');
+  }
+
+  if (typeof value === 'string') {
+    const length = value.trim().length;
+    if (rule.minLength !== undefined && length < rule.minLength) {
+      return message('minLength');
+    }
+    if (rule.maxLength !== undefined && length > rule.maxLength) {
+      return message('maxLength');
+    }
+    if (rule.pattern && !rule.pattern.test(value)) return message('pattern');
+    if (rule.noHtml && containsHTMLTags(value)) return message('noHtml');
+  }
+
+  if (Array.isArray(value)) {
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      return message('minItems');
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      return message('maxItems');
+    }
+    if (rule.items) {
+      value.forEach((item, index) => {
+        const itemPath = `${path}.${index}`;
+        const error = checkValue(rule.items, item, itemPath, errors, lang);
+        if (error) errors[itemPath] = error;
+      });
+    }
+  }
+
+  if (rule.fields && TYPE_CHECKS.object(value)) {
+    checkFields(rule.fields, value, path, errors, lang, false);
+  }
+
+  return null;
+};
+
+/**
+ * Checks every declared field of one request section
+ *
+ * @private
+ * @param {Object} fields - { field: rule }
+ * @param {Object} data - Section values (req.body, req.query, ...)
+ * @param {string} prefix - Path prefix for nested objects
+ * @param {Object} errors - Accumulator { path: message }
+ * @param {string} lang - Message language
+ * @param {boolean} coerceStrings - Coerce and write back string values
+ */
+const checkFields = (fields, data, prefix, errors, lang, coerceStrings) => {
+  Object.keys(fields).forEach((name) => {
+    const rule = fields[name];
+    const path = prefix ? `${prefix}.${name}` : name;
+    let value = data[name];
+
+    if (isMissing(value)) {
+      if (rule.required)
+        errors[path] = translate(lang, 'required', { field: path });
+      return;
+    }
+
+    if (coerceStrings) {
+      value = coerce(rule.type, value);
+      data[name] = value;
+    }
+
+    const error = checkValue(rule, value, path, errors, lang);
+    if (error) errors[path] = error;
+  });
+};
+
+/**
+ * Builds a validation middleware from a route schema
+ *
+ * @function validate
+ * @param {Object} schema - { params?, query?, body? } each mapping field → rule
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * validate({
+ *   params: { id: { type: 'objectId', required: true } },
+ *   body: { title: { type: 'string', required: true, minLength: 5, maxLength: 200 } },
+ * });
+ */
+const validate = (schema) => (req, res, next) => {
+  const lang = resolveLanguage(req);
+  const errors = {};
+
+  SOURCES.forEach((source) => {
+    if (!schema[source]) return;
+
+    const data = req[source];
+    if (!TYPE_CHECKS.object(data)) {
+      errors[source] = translate(lang, 'type.object', { field: source });
+      return;
+    }
+
+    checkFields(schema[source], data, '', errors, lang, source !== 'body');
+  });
+
+  if (Object.keys(errors).length > 0) {
+    return next(
+      new AppError(translate(lang, 'summary'), 400, 'VALIDATION_ERROR', errors),
+    );
+  }
+
+  next();
+};
+
+/**
+ * Copies a field map with every rule made optional
+ * Used for PATCH bodies, where only the fields being changed are sent
+ *
+ * @function partial
+ * @param {Object} fields - { field: rule }
+ * @returns {Object} Same rules without `required`
+ *
+ * @example
+ * const updateNews = { params: idParams, body: partial(newsFields) };
+ */
+const partial = (fields) =>
+  Object.keys(fields).reduce((acc, name) => {
+    acc[name] = { ...fields[name], required: false };
+    return acc;
+  }, {});
+
+module.exports = validate;
+module.exports.validate = validate;
+module.exports.partial = partial;
@@ -226,6 +226,8 @@ const validateLength = (text, minLength = 1, maxLength = Infinity) => {
  */
 const containsHTMLTags = (text) => {
   if (!text || typeof text !== 'string') return false;
+  // HTML_TAGS is global (used by sanitizeText): reset its position between calls
+  REGEX_PATTERNS.HTML_TAGS.lastIndex = 0;
   return REGEX_PATTERNS.HTML_TAGS.test(text);
 };
 
@@ -255,6 +257,7 @@ const sanitizeText = (text) => {
  * @param {string} data.telefono - Sender's phone (optional)
  * @param {string} data.messaggio - Message content
  * @returns {Object} { valid: boolean, errors: string[] }
+ * @deprecated Routes use validate(contactSchemas.createContact) (middleware/validate.js)
  *
  * @example
  * validateContactForm({
@@ -309,6 +312,7 @@ const validateContactForm = (data) => {
  * @param {string} [data.subtitle] - Short description
  * @param {string} [data.author] - Author name
  * @returns {Object} { valid: boolean, errors: string[] }
+ * @deprecated Routes use validate(newsSchemas.createNews) (middleware/validate.js)
  *
  * @example
  * validateNewsData({
@@ -30,4 +30,19 @@ ArticleSchema.methods.incrementViews = function () {
   return this.save();
 };
 
+/**
+ * Fields exposed to list filters and sorting (utils/apiFeatures.js)
+ */
+ArticleSchema.statics.queryOptions = {
+  filterable: {
+    category: 'string',
+    author: 'string',
+    title: 'string',
+    views: 'number',
+    publishedAt: 'date',
+  },
+  sortable: ['publishedAt', 'views', 'title'],
+  defaultSort: '-publishedAt', // articles have no createdAt
+};
+
 module.exports = mongoose.model('Article', ArticleSchema);
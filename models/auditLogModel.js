@@ -0,0 +1,98 @@
+/**
+ * @file auditLogModel.js
+ * @description Audit trail collection schema and model
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * One document per create/update/delete on audited models
+ * Entries are written by utils/auditPlugin.js and are never modified
+ *
+ * @example
+ * const history = await AuditLog.find({ entityType: 'Libro', entityId: id })
+ *   .sort({ createdAt: -1 });
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * AuditLog Schema Definition
+ *
+ * @typedef {Object} AuditLog
+ * @property {string} action - 'create', 'update' or 'delete'
+ * @property {string} entityType - Mongoose model name (e.g. 'Libro', 'Donazione')
+ * @property {ObjectId} entityId - Id of the changed document
+ * @property {string} actorType - 'user' (logged in), 'anonymous' (public HTTP request), 'system' (scripts, jobs)
+ * @property {Object} actor - { id, name, email, role } of the logged-in user, if any
+ * @property {Object} route - { method, path } of the HTTP request, if any
+ * @property {string} ip - Client IP of the HTTP request, if any
+ * @property {string} requestId - Correlates entries written by the same request
+ * @property {Object} changes - Changed fields: { field: { before, after } }
+ * @property {Date} createdAt - When the change happened
+ */
+const AuditLogSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ['create', 'update', 'delete'],
+      required: true,
+    },
+
+    entityType: {
+      type: String,
+      required: true,
+    },
+
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+
+    actorType: {
+      type: String,
+      enum: ['user', 'anonymous', 'system'],
+      default: 'system',
+    },
+
+    actor: {
+      id: { type: mongoose.Schema.Types.ObjectId, default: null },
+      name: String,
+      email: String,
+      role: String,
+    },
+
+    route: {
+      method: String,
+      path: String,
+    },
+
+    ip: String,
+
+    requestId: String,
+
+    changes: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      immutable: true,
+    },
+  },
+  {
+    // Schema options
+    timestamps: false,
+    collection: 'auditlogs',
+    minimize: false, // Keep empty `changes` on deletes of empty documents
+  },
+);
+
+/**
+ * Index definitions for query optimization
+ */
+AuditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ 'actor.id': 1, createdAt: -1 });
+AuditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema, 'auditlogs');
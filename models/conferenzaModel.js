@@ -1,6 +1,161 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 
+/**
+ * Stati di un'iscrizione
+ * - confirmed:  occupa un posto
+ * - pending:    evento a pagamento, posto tenuto finché il checkout Stripe è aperto
+ * - waitlisted: in coda (evento pieno), ordinata per waitlistPosition
+ * - offered:    promossa dalla coda, il posto è tenuto fino a offerExpiresAt
+ * - expired:    non ha confermato (o pagato) in tempo, il posto è passato al successivo
+ * - cancelled:  annullata
+ */
+const STATUSES = ['confirmed', 'pending', 'waitlisted', 'offered', 'expired', 'cancelled'];
+
+/**
+ * Stati che occupano un posto su `Event.registrations`
+ */
+const HOLDING_STATUSES = ['confirmed', 'pending', 'offered'];
+
+/**
+ * Fasce d'età, calcolate dalla data di nascita alla data dell'evento
+ * (età massima compresa; l'ultima fascia non ha limite)
+ */
+const AGE_BANDS = [
+  { band: 'child', maxAge: 11 },
+  { band: 'youth', maxAge: 17 },
+  { band: 'adult', maxAge: Infinity },
+];
+
+/**
+ * Ruolo all'evento, stampato sul badge (impostato dagli organizzatori)
+ */
+const RUOLI = ['partecipante', 'relatore', 'staff', 'volontario', 'organizzatore'];
+
+/**
+ * Voce del pagamento (quota o alloggio), importo in centesimi
+ */
+const PaymentItemSchema = new mongoose.Schema(
+  {
+    description: { type: String, required: true },
+    amount: { type: Number, required: true, min: 0 },
+  },
+  { _id: false },
+);
+
+/**
+ * Pagamento dell'iscrizione (eventi a pagamento, Stripe Checkout)
+ * Un gruppo paga con un'unica sessione: ogni membro ha le sue voci e lo stesso sessionId
+ * refund_pending: pagato senza più un posto, rimborso non ancora accettato da Stripe
+ */
+const PagamentoSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ['pending', 'paid', 'expired', 'refund_pending', 'refunded'],
+      default: 'pending',
+    },
+    amount: { type: Number, default: 0, min: 0 },
+    currency: { type: String, default: 'eur' },
+    items: { type: [PaymentItemSchema], default: [] },
+    earlyBird: { type: Boolean, default: false },
+    sessionId: { type: String },
+    checkoutUrl: { type: String },
+    expiresAt: { type: Date },
+    paymentIntentId: { type: String },
+    paidAt: { type: Date },
+    refundId: { type: String },
+    refundedAt: { type: Date },
+  },
+  { _id: false },
+);
+
+/**
+ * Consenso GDPR: cosa è stato accettato, su quale versione dell'informativa e quando
+ */
+const ConsensoSchema = new mongoose.Schema(
+  {
+    accepted: { type: Boolean, required: true },
+    version: { type: String, required: true },
+    at: { type: Date, required: true },
+  },
+  { _id: false },
+);
+
+/**
+ * Consensi raccolti con l'iscrizione
+ * - privacy: trattamento dei dati (obbligatorio)
+ * - foto:    foto e video durante l'evento (facoltativo)
+ * - tutore:  consenso del genitore o tutore, obbligatorio per i minorenni
+ */
+const ConsensiSchema = new mongoose.Schema(
+  {
+    privacy: { type: ConsensoSchema, required: true },
+    foto: { type: ConsensoSchema },
+    tutore: {
+      type: new mongoose.Schema(
+        {
+          nome: { type: String, required: true, trim: true, maxlength: 200 },
+          accepted: { type: Boolean, required: true },
+          version: { type: String, required: true },
+          at: { type: Date, required: true },
+        },
+        { _id: false },
+      ),
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Valore di tipoAlloggio per chi non chiede un posto letto
+ * (negli eventi con inventario alloggi tipoAlloggio è il codice del tipo di camera)
+ */
+const NO_ACCOMMODATION = 'nessuno';
+
+/**
+ * Letto assegnato (copia del prezzo al momento dell'assegnazione)
+ */
+const AlloggioSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true },
+    room: { type: Number, required: true },
+    nights: { type: Number, required: true, min: 1 },
+    pricePerNight: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    assignedAt: { type: Date, default: Date.now },
+  },
+  { _id: false },
+);
+
+/**
+ * Iscrizione a un evento (conferenza, campo, seminario)
+ * Ogni iscrizione confermata (o offerta) occupa un posto su `Event.registrations`:
+ * creazione e annullamento passano da registerAttendee / unregisterAttendee,
+ * e un posto liberato passa al primo in lista d'attesa (promoteNext)
+ */
 const ConferenzaSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, "L'evento è obbligatorio"],
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'confirmed',
+  },
+  confirmedAt: { type: Date },
+  cancelledAt: { type: Date },
+  // Lista d'attesa: ordine in coda e finestra di conferma dopo la promozione
+  waitlistPosition: { type: Number },
+  offeredAt: { type: Date },
+  offerExpiresAt: { type: Date },
+  // Hash del codice personale consegnato all'iscritto (conferma dell'offerta)
+  accessTokenHash: { type: String, select: false },
+  // Ingresso all'evento (check-in con il biglietto QR)
+  checkedInAt: { type: Date },
+  checkedInBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   email: { type: String, required: true},
   nome: { type: String, required: true },
   cognome: { type: String, required: true },
@@ -9,8 +164,530 @@ const ConferenzaSchema = new mongoose.Schema({
   luogoNascita: { type: String, required: true },
   sesso: { type: String, required: true },
   tipoAlloggio: { type: String, required: true },
+  // Chiesa di provenienza (o città, se non indicata) sul badge
+  chiesa: { type: String, trim: true, maxlength: 100 },
+  citta: { type: String, trim: true, maxlength: 100 },
+  ruolo: { type: String, enum: RUOLI, default: 'partecipante' },
+  // Chi indica lo stesso nome di famiglia (o gruppo) dorme nella stessa camera quando possibile
+  famiglia: { type: String, trim: true, lowercase: true, maxlength: 100 },
+  alloggio: { type: AlloggioSchema },
+  fasciaEta: { type: String, enum: AGE_BANDS.map((b) => b.band) },
+  pagamento: { type: PagamentoSchema },
+  consensi: { type: ConsensiSchema },
+  // Iscrizione di gruppo (famiglia): i membri condividono `gruppo`, il codice
+  // personale e la camera; posto in coda, offerta e annullamento valgono per tutti
+  gruppo: { type: mongoose.Schema.Types.ObjectId },
+  capogruppo: { type: Boolean },
+  // Membro dell'anagrafe (collegato dalla segreteria)
+  member: { type: mongoose.Schema.Types.ObjectId, ref: 'Member' },
   messaggio: { type: String, required: true, },
   createdAt: { type: Date, default: Date.now }
 });
 
+ConferenzaSchema.index({ event: 1, status: 1, createdAt: -1 });
+ConferenzaSchema.index({ event: 1, status: 1, waitlistPosition: 1 });
+ConferenzaSchema.index({ status: 1, offerExpiresAt: 1 });
+ConferenzaSchema.index({ event: 1, famiglia: 1 });
+ConferenzaSchema.index({ gruppo: 1 });
+ConferenzaSchema.index({ member: 1 });
+ConferenzaSchema.index({ 'pagamento.sessionId': 1 });
+ConferenzaSchema.index({ event: 1, checkedInAt: -1 });
+ConferenzaSchema.index(
+  { event: 1, cognome: 1, nome: 1 },
+  { collation: { locale: 'it', strength: 1 } },
+);
+
+// Stati che occupano un posto (usati dai controller)
+ConferenzaSchema.statics.HOLDING_STATUSES = HOLDING_STATUSES;
+ConferenzaSchema.statics.NO_ACCOMMODATION = NO_ACCOMMODATION;
+ConferenzaSchema.statics.RUOLI = RUOLI;
+
+/**
+ * Un'iscrizione è di un minorenne (serve il consenso del tutore)
+ * @returns {boolean}
+ */
+ConferenzaSchema.methods.isMinor = function () {
+  return this.fasciaEta === 'child' || this.fasciaEta === 'youth';
+};
+
+/**
+ * Cerca un'iscrizione attiva della stessa persona allo stesso evento:
+ * stessa email e stesso nome e cognome, oppure stesso nome, cognome e data di
+ * nascita (anche con un'altra email). I familiari possono usare la stessa
+ * email: è il nome a distinguerli. Confronto senza maiuscole né accenti
+ *
+ * @param {Object} registrazione - Iscrizione da creare
+ * @returns {Promise<Object|null>} Iscrizione esistente
+ */
+ConferenzaSchema.statics.findDuplicate = function (registrazione) {
+  const { event, email, nome, cognome, dataNascita } = registrazione;
+  const sameName = { nome, cognome };
+
+  return this.findOne({
+    event,
+    status: { $nin: ['cancelled', 'expired'] },
+    $or: [
+      { ...sameName, email },
+      { ...sameName, dataNascita },
+    ],
+  })
+    .collation({ locale: 'it', strength: 1 })
+    .select('_id status');
+};
+
+/**
+ * Fascia d'età (child / youth / adult) alla data indicata
+ * Confronta le date in UTC: la data di nascita è salvata a mezzanotte UTC e
+ * nel fuso del server potrebbe cadere il giorno prima
+ * @param {Date} dataNascita - Data di nascita
+ * @param {Date} [at=new Date()] - Data di riferimento (inizio evento)
+ * @returns {string}
+ */
+ConferenzaSchema.statics.ageBand = function (dataNascita, at = new Date()) {
+  const birth = new Date(dataNascita);
+  const ref = new Date(at);
+  let age = ref.getUTCFullYear() - birth.getUTCFullYear();
+  const birthdayAhead =
+    ref.getUTCMonth() < birth.getUTCMonth() ||
+    (ref.getUTCMonth() === birth.getUTCMonth() &&
+      ref.getUTCDate() < birth.getUTCDate());
+  if (birthdayAhead) age -= 1;
+
+  return AGE_BANDS.find((b) => age <= b.maxAge).band;
+};
+
+/**
+ * Sesso per l'assegnazione dei dormitori ('M' | 'F')
+ * Il campo `sesso` è testo libero: vale la prima lettera (Maschio, F, femmina...)
+ * @returns {string|null} null se non riconosciuto
+ */
+ConferenzaSchema.statics.normalizeGender = function (sesso) {
+  const match = /^\s*([mf])/i.exec(sesso || '');
+  return match ? match[1].toUpperCase() : null;
+};
+
+/**
+ * Calcola il pagamento dell'iscrizione: quota della fascia d'età (early bird
+ * se ancora valida) più l'alloggio assegnato. Il documento non viene salvato
+ *
+ * @param {Object} event - Documento Event con `pricing`
+ * @returns {Object} pagamento (importi in centesimi)
+ */
+ConferenzaSchema.methods.buildPayment = function (event) {
+  const fee = event.getRegistrationFee(this.fasciaEta);
+  const person = `${this.nome} ${this.cognome}`;
+  const items = [
+    {
+      description: `Quota ${fee.earlyBird ? 'early bird ' : ''}(${this.fasciaEta}) - ${person}`,
+      amount: Math.round(fee.amount * 100),
+    },
+  ];
+
+  if (this.alloggio && this.alloggio.total > 0) {
+    items.push({
+      description: `Alloggio ${this.alloggio.code}, ${this.alloggio.nights} notti - ${person}`,
+      amount: Math.round(this.alloggio.total * 100),
+    });
+  }
+
+  this.pagamento = {
+    status: 'pending',
+    amount: items.reduce((sum, item) => sum + item.amount, 0),
+    currency: 'eur',
+    items: items.filter((item) => item.amount > 0),
+    earlyBird: fee.earlyBird,
+  };
+  return this.pagamento;
+};
+
+/**
+ * Tipo di camera richiesto, se l'evento ha un inventario alloggi
+ * @param {Object} event - Documento Event
+ * @returns {Object|null} Tipo di alloggio, o null se non serve un letto
+ */
+ConferenzaSchema.methods.getRequestedAccommodation = function (event) {
+  return (event.accommodations || []).find((a) => a.code === this.tipoAlloggio) || null;
+};
+
+/**
+ * Assegna un letto del tipo richiesto (tipoAlloggio)
+ * I letti si prendono con Event.claimBed (nessun overbooking); i membri della
+ * stessa famiglia vengono messi nella stessa camera quando c'è posto.
+ * Il documento non viene salvato: lo fa il chiamante
+ *
+ * @param {Object} event - Documento Event con inventario alloggi
+ * @param {Array<number>} [extraRooms] - Altre camere da preferire (membri non ancora salvati)
+ * @returns {Promise<Object|null>} Alloggio assegnato, o null se non ci sono letti adatti
+ */
+ConferenzaSchema.methods.assignAccommodation = async function (event, extraRooms = []) {
+  const type = this.getRequestedAccommodation(event);
+  if (!type) return null;
+
+  const family = this.famiglia
+    ? await this.constructor
+        .find({
+          _id: { $ne: this._id },
+          event: event._id,
+          famiglia: this.famiglia,
+          status: { $in: HOLDING_STATUSES },
+          'alloggio.code': type.code,
+        })
+        .select('alloggio')
+    : [];
+
+  const bed = await event.claimBed(type.code, {
+    gender: this.constructor.normalizeGender(this.sesso),
+    preferredRooms: [...extraRooms, ...family.map((member) => member.alloggio.room)],
+  });
+  if (!bed) return null;
+
+  const nights = event.getNights();
+  this.alloggio = {
+    code: bed.code,
+    room: bed.room,
+    nights,
+    pricePerNight: bed.pricePerNight,
+    total: nights * bed.pricePerNight,
+    assignedAt: new Date(),
+  };
+  return this.alloggio;
+};
+
+/**
+ * Restituisce il letto assegnato e lo toglie dall'iscrizione
+ * La rimozione è condizionale, quindi un letto si restituisce una sola volta
+ * (anche per un'iscrizione già cancellata dal database)
+ *
+ * @returns {Promise<boolean>} true se un letto è stato liberato
+ */
+ConferenzaSchema.methods.releaseAccommodation = async function () {
+  const { alloggio } = this;
+  if (!alloggio || !alloggio.code) return false;
+
+  if (await this.constructor.exists({ _id: this._id })) {
+    const { modifiedCount } = await this.constructor.updateOne(
+      { _id: this._id, 'alloggio.code': alloggio.code, 'alloggio.room': alloggio.room },
+      { $unset: { alloggio: 1 } },
+    );
+    if (modifiedCount === 0) return false;
+  }
+
+  const event = await mongoose.model('Event').findById(this.event);
+  if (event) await event.releaseBed(alloggio.code, alloggio.room);
+
+  this.alloggio = undefined;
+  return true;
+};
+
+/**
+ * Hash SHA-256 di un codice personale (nel database non si salva mai in chiaro)
+ */
+ConferenzaSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Genera il codice personale dell'iscrizione e ne salva l'hash sul documento
+ * @returns {string} Codice in chiaro, da restituire una sola volta all'iscritto
+ */
+ConferenzaSchema.methods.createAccessToken = function () {
+  const token = crypto.randomBytes(24).toString('hex');
+  this.accessTokenHash = this.constructor.hashToken(token);
+  return token;
+};
+
+/**
+ * Verifica un codice personale (richiede accessTokenHash selezionato)
+ * @param {string} token - Codice inviato dall'iscritto
+ * @returns {boolean}
+ */
+ConferenzaSchema.methods.checkAccessToken = function (token) {
+  if (!this.accessTokenHash || !token) return false;
+  const expected = Buffer.from(this.accessTokenHash, 'hex');
+  const received = Buffer.from(this.constructor.hashToken(token), 'hex');
+  return crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Posizione in coda (1 = prossimo a essere promosso)
+ * @returns {Promise<number|null>} null se l'iscrizione non è in lista d'attesa
+ */
+ConferenzaSchema.methods.getWaitlistRank = async function () {
+  if (this.status !== 'waitlisted') return null;
+  const ahead = await this.constructor.countDocuments({
+    event: this.event,
+    status: 'waitlisted',
+    waitlistPosition: { $lt: this.waitlistPosition },
+  });
+  return ahead + 1;
+};
+
+/**
+ * Passa un posto liberato al primo della lista d'attesa
+ * Il posto resta conteggiato su Event.registrations e viene tenuto per
+ * `offerHours` ore; se la coda è vuota il posto viene liberato
+ * Un gruppo in coda passa solo per intero: servono i posti che mancano oltre a
+ * quello liberato, altrimenti il posto va alla prima unità che ci sta
+ * Se l'evento ha un inventario alloggi i promossi ricevono anche un letto;
+ * se non ce ne sono restano senza alloggio (da sistemare dagli organizzatori)
+ *
+ * @param {ObjectId} eventId - Evento
+ * @param {number} offerHours - Durata della finestra di conferma
+ * @returns {Promise<Object|null>} Iscrizione promossa (per un gruppo il primo
+ *   membro in coda), o null se nessuno è stato promosso
+ */
+ConferenzaSchema.statics.promoteNext = async function (eventId, offerHours) {
+  const event = await mongoose.model('Event').findById(eventId);
+  const queue = await this.find({ event: eventId, status: 'waitlisted' })
+    .sort({ waitlistPosition: 1 })
+    .select('gruppo');
+
+  // Unità in coda (singoli o gruppi interi) nell'ordine del primo membro
+  const units = [];
+  const groups = new Map();
+  queue.forEach((registrazione) => {
+    if (!registrazione.gruppo) {
+      units.push({ filter: { _id: registrazione._id }, size: 1 });
+      return;
+    }
+    const key = registrazione.gruppo.toString();
+    if (!groups.has(key)) {
+      groups.set(key, { filter: { gruppo: registrazione.gruppo }, size: 0 });
+      units.push(groups.get(key));
+    }
+    groups.get(key).size += 1;
+  });
+
+  const now = new Date();
+  const offer = {
+    status: 'offered',
+    offeredAt: now,
+    offerExpiresAt: new Date(now.getTime() + offerHours * 60 * 60 * 1000),
+  };
+
+  for (const unit of units) {
+    // Il posto liberato è già conteggiato: al gruppo servono gli altri
+    const extra = unit.size - 1;
+    if (extra > 0 && !(event && (await event.registerAttendee(extra)))) continue;
+
+    const filter = { ...unit.filter, event: eventId, status: 'waitlisted' };
+    const { modifiedCount } = await this.updateMany(filter, offer);
+
+    // Promossi nel frattempo da un'altra richiesta: restituisce i posti in più
+    if (modifiedCount < unit.size && event) {
+      await event.unregisterAttendee(unit.size - Math.max(modifiedCount, 1));
+    }
+    if (modifiedCount === 0) continue;
+
+    const promoted = await this.find({
+      ...unit.filter,
+      event: eventId,
+      status: 'offered',
+      offeredAt: now,
+    }).sort({ waitlistPosition: 1 });
+
+    if (event) {
+      for (const registrazione of promoted) {
+        if (!registrazione.alloggio && registrazione.getRequestedAccommodation(event)) {
+          if (await registrazione.assignAccommodation(event)) await registrazione.save();
+        }
+      }
+    }
+
+    return promoted[0] || null;
+  }
+
+  if (event) await event.unregisterAttendee();
+  return null;
+};
+
+/**
+ * Margine oltre la scadenza del checkout prima di liberare un posto pending
+ * senza webhook (le notifiche Stripe possono arrivare in ritardo)
+ */
+const CHECKOUT_GRACE_MS = 60 * 60 * 1000;
+
+/**
+ * Scade le offerte non confermate in tempo e passa ogni posto al successivo
+ * Scadono anche le iscrizioni pending il cui checkout è chiuso da oltre
+ * un'ora senza notifica (webhook perso): un pagamento arrivato dopo viene
+ * gestito da completeCheckout
+ * Chiamata prima di ogni operazione sulla coda di un evento (e dallo scheduler)
+ *
+ * @param {ObjectId} [eventId] - Limita a un evento (tutti gli eventi se omesso)
+ * @param {number} offerHours - Finestra di conferma per le nuove promozioni
+ * @returns {Promise<number>} Numero di posti liberati
+ */
+ConferenzaSchema.statics.releaseExpiredOffers = async function (eventId, offerHours) {
+  const now = Date.now();
+  const filter = {
+    $or: [
+      { status: 'offered', offerExpiresAt: { $lt: new Date(now) } },
+      {
+        status: 'pending',
+        'pagamento.expiresAt': { $lt: new Date(now - CHECKOUT_GRACE_MS) },
+      },
+    ],
+  };
+  if (eventId) filter.event = eventId;
+
+  // Una alla volta: ogni scadenza passa il posto al successivo in coda
+  let released = 0;
+  for (;;) {
+    const expired = await this.findOneAndUpdate(
+      filter,
+      { status: 'expired' },
+      { sort: { offerExpiresAt: 1 } },
+    );
+    if (!expired) return released;
+
+    if (expired.status === 'pending') {
+      await this.updateOne({ _id: expired._id }, { 'pagamento.status': 'expired' });
+    }
+
+    released += 1;
+    await expired.releaseAccommodation();
+    await this.promoteNext(expired.event, offerHours);
+  }
+};
+
+/**
+ * Pagamento completato (webhook checkout.session.completed): le iscrizioni
+ * della sessione passano da pending a confirmed
+ * Idempotente: una notifica ripetuta non cambia nulla. Un pagamento arrivato
+ * dopo la scadenza riprende i posti se ci sono ancora; altrimenti le
+ * iscrizioni passano a refund_pending finché il rimborso non è registrato
+ * con recordRefund (una notifica ripetuta le restituisce di nuovo). Lo stesso
+ * vale per le iscrizioni annullate prima del pagamento
+ *
+ * @param {Object} session - Sessione Stripe Checkout
+ * @returns {Promise<{ confirmed: number, late: Array<Object> }>}
+ *   late: iscrizioni pagate senza più un posto o annullate (da rimborsare)
+ */
+ConferenzaSchema.statics.completeCheckout = async function (session) {
+  const paid = {
+    'pagamento.status': 'paid',
+    'pagamento.paidAt': new Date(),
+    'pagamento.paymentIntentId': session.payment_intent,
+  };
+
+  const { modifiedCount } = await this.updateMany(
+    { 'pagamento.sessionId': session.id, status: 'pending' },
+    { ...paid, status: 'confirmed', confirmedAt: new Date() },
+  );
+
+  // Annullate mentre il checkout era aperto: il pagamento va restituito
+  await this.updateMany(
+    {
+      'pagamento.sessionId': session.id,
+      status: 'cancelled',
+      'pagamento.status': 'pending',
+    },
+    { ...paid, 'pagamento.status': 'refund_pending' },
+  );
+
+  const expired = await this.find({
+    'pagamento.sessionId': session.id,
+    status: 'expired',
+    'pagamento.status': 'expired',
+  });
+
+  let confirmed = modifiedCount;
+  if (expired.length > 0) {
+    // Pagato all'ultimo momento, dopo che il posto era stato liberato
+    const event = await mongoose.model('Event').findById(expired[0].event);
+    if (event && (await event.registerAttendee(expired.length))) {
+      await this.updateMany(
+        { _id: { $in: expired.map((r) => r._id) }, status: 'expired' },
+        { ...paid, status: 'confirmed', confirmedAt: new Date() },
+      );
+      confirmed += expired.length;
+    } else {
+      await this.updateMany(
+        { _id: { $in: expired.map((r) => r._id) } },
+        { ...paid, 'pagamento.status': 'refund_pending' },
+      );
+    }
+  }
+
+  const late = await this.find({
+    'pagamento.sessionId': session.id,
+    'pagamento.status': 'refund_pending',
+  });
+  return { confirmed, late };
+};
+
+/**
+ * Rimborso accettato da Stripe: le iscrizioni in refund_pending della
+ * sessione diventano refunded
+ *
+ * @param {Object} session - Sessione Stripe Checkout
+ * @param {Object} refund - Rimborso Stripe
+ * @returns {Promise<number>} Iscrizioni rimborsate
+ */
+ConferenzaSchema.statics.recordRefund = async function (session, refund) {
+  const { modifiedCount } = await this.updateMany(
+    { 'pagamento.sessionId': session.id, 'pagamento.status': 'refund_pending' },
+    {
+      'pagamento.status': 'refunded',
+      'pagamento.refundId': refund.id,
+      'pagamento.refundedAt': new Date(),
+    },
+  );
+  return modifiedCount;
+};
+
+/**
+ * Checkout scaduto o abbandonato (webhook checkout.session.expired): le
+ * iscrizioni ancora in attesa di pagamento scadono, i letti vengono liberati e
+ * ogni posto passa alla lista d'attesa
+ *
+ * @param {Object} session - Sessione Stripe Checkout
+ * @param {number} offerHours - Finestra di conferma per le promozioni
+ * @returns {Promise<number>} Iscrizioni scadute
+ */
+ConferenzaSchema.statics.expireCheckout = async function (session, offerHours) {
+  let released = 0;
+  for (;;) {
+    const expired = await this.findOneAndUpdate(
+      { 'pagamento.sessionId': session.id, status: 'pending' },
+      { status: 'expired', 'pagamento.status': 'expired' },
+    );
+    if (!expired) return released;
+
+    released += 1;
+    await expired.releaseAccommodation();
+    await this.promoteNext(expired.event, offerHours);
+  }
+};
+
+// Fields exposed to list filters and sorting (utils/apiFeatures.js)
+ConferenzaSchema.statics.queryOptions = {
+  filterable: {
+    event: 'objectId',
+    status: 'string',
+    email: 'string',
+    nome: 'string',
+    cognome: 'string',
+    sesso: 'string',
+    tipoAlloggio: 'string',
+    famiglia: 'string',
+    fasciaEta: 'string',
+    gruppo: 'objectId',
+    capogruppo: 'boolean',
+    member: 'objectId',
+    ruolo: 'string',
+    chiesa: 'string',
+    citta: 'string',
+    'pagamento.status': 'string',
+    'alloggio.code': 'string',
+    'alloggio.room': 'number',
+    checkedInAt: 'date',
+    luogoNascita: 'string',
+    dataNascita: 'date',
+    createdAt: 'date',
+  },
+  sortable: ['createdAt', 'cognome', 'nome', 'dataNascita', 'waitlistPosition', 'checkedInAt'],
+};
+
 module.exports = mongoose.model('Conferenza', ConferenzaSchema, 'conferences');
\ No newline at end of file
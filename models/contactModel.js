@@ -14,6 +14,7 @@
  */
 
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
 
 /**
  * Email validation regex pattern
@@ -268,6 +269,33 @@ ContactSchema.statics.getHighPriority = function () {
   }).sort({ priority: -1, createdAt: -1 });
 };
 
+/**
+ * Static method to find a repeated submission of the same message
+ * Same sender email and same text (ignoring case)
+ * received within the given window
+ *
+ * @static
+ * @method findRecentDuplicate
+ * @param {Object} data - Submitted form ({ email, messaggio })
+ * @param {number} [windowMs=86400000] - How far back to look (default 24 hours)
+ * @returns {Promise<Object|null>} Existing message
+ *
+ * @example
+ * const existing = await Contact.findRecentDuplicate(req.body);
+ */
+ContactSchema.statics.findRecentDuplicate = function (
+  { email, messaggio },
+  windowMs = 24 * 60 * 60 * 1000,
+) {
+  return this.findOne({
+    email: String(email).trim().toLowerCase(),
+    messaggio,
+    createdAt: { $gte: new Date(Date.now() - windowMs) },
+  })
+    .collation({ locale: 'it', strength: 2 })
+    .select('_id createdAt');
+};
+
 /**
  * Static method to get statistics
  *
@@ -301,4 +329,26 @@ ContactSchema.index({ priority: 1, status: 1 });
 ContactSchema.index({ createdAt: -1 }); // For sorting by date
 ContactSchema.index({ respondedAt: 1 }); // For finding unresponded messages
 
+/**
+ * Audit trail: every create/update/delete is recorded in AuditLog
+ */
+ContactSchema.plugin(auditPlugin);
+
+/**
+ * Fields exposed to list filters and sorting (utils/apiFeatures.js)
+ */
+ContactSchema.statics.queryOptions = {
+  filterable: {
+    status: 'string',
+    type: 'string',
+    priority: 'string',
+    email: 'string',
+    nome: 'string',
+    createdAt: 'date',
+    readAt: 'date',
+    respondedAt: 'date',
+  },
+  sortable: ['createdAt', 'updatedAt', 'priority', 'status', 'nome'],
+};
+
 module.exports = mongoose.model('Contact', ContactSchema, 'contacts');
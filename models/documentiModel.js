@@ -14,6 +14,7 @@
  */
 
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
 
 /**
  * Documento Schema Definition
@@ -481,4 +482,42 @@ DocumentoSchema.index({
   autore: 'text',
 });
 
+/**
+ * Audit trail: every create/update/delete is recorded in AuditLog
+ */
+DocumentoSchema.plugin(auditPlugin, { ignore: ['views', 'downloads'] });
+
+/**
+ * Fields exposed to list filters and sorting (utils/apiFeatures.js)
+ */
+DocumentoSchema.statics.queryOptions = {
+  filterable: {
+    tipo: 'string',
+    anno: 'number',
+    trimestre: 'number',
+    lingua: 'string',
+    tags: 'string',
+    titolo: 'string',
+    autore: 'string',
+    editore: 'string',
+    downloads: 'number',
+    views: 'number',
+    inEvidenza: 'boolean',
+    status: 'string',
+    isPublic: 'boolean',
+    dataPubblicazione: 'date',
+    createdAt: 'date',
+  },
+  sortable: [
+    'createdAt',
+    'updatedAt',
+    'titolo',
+    'anno',
+    'trimestre',
+    'downloads',
+    'views',
+    'dataPubblicazione',
+  ],
+};
+
 module.exports = mongoose.model('Documento', DocumentoSchema, 'documenti');
@@ -20,6 +20,7 @@
  */
 
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
 
 /**
  * Donation Schema Definition
@@ -552,4 +553,9 @@ DonazioneSchema.index({ categoria: 1, status: 1 });
 DonazioneSchema.index({ tipo: 1, 'recurringDetails.isActive': 1 });
 DonazioneSchema.index({ createdAt: -1 });
 
+/**
+ * Audit trail: every create/update/delete is recorded in AuditLog
+ */
+DonazioneSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Donazione', DonazioneSchema, 'donazioni');
@@ -14,6 +14,240 @@
  */
 
 const mongoose = require('mongoose');
+const { isValidRule, expandSeries } = require('../utils/recurrence');
+
+/**
+ * Time zone of recurring series when the caller does not pass one
+ * (controllers pass config.events.timeZone)
+ * @constant
+ */
+const DEFAULT_TIME_ZONE = 'Europe/Rome';
+
+/**
+ * How far getUpcoming/getPast look for occurrences of recurring series
+ * @constant
+ */
+const OCCURRENCE_HORIZON_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * One room of an accommodation type
+ * `gender` is set by the first guest of a dormitory room and cleared when it empties
+ */
+const RoomSchema = new mongoose.Schema(
+  {
+    number: { type: Number, required: true, min: 1 },
+    gender: { type: String, enum: ['M', 'F', null], default: null },
+    occupied: { type: Number, default: 0, min: 0 },
+  },
+  { _id: false },
+);
+
+/**
+ * Accommodation type offered by an event (inventory)
+ * - dormitory: shared rooms, one gender per room
+ * - private: whole room for one family group
+ */
+const AccommodationSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'Accommodation code is required'],
+      lowercase: true,
+      trim: true,
+      match: [
+        /^[a-z0-9-]+$/,
+        'Accommodation code can only contain a-z, 0-9 and -',
+      ],
+    },
+    name: {
+      type: String,
+      required: [true, 'Accommodation name is required'],
+      maxlength: [100, 'Accommodation name cannot exceed 100 characters'],
+      trim: true,
+    },
+    kind: {
+      type: String,
+      enum: ['dormitory', 'private'],
+      default: 'dormitory',
+    },
+    bedsPerRoom: {
+      type: Number,
+      required: [true, 'Beds per room is required'],
+      min: [1, 'A room needs at least 1 bed'],
+    },
+    pricePerNight: {
+      type: Number,
+      default: 0,
+      min: [0, 'Price cannot be negative'],
+    },
+    rooms: { type: [RoomSchema], default: [] },
+  },
+  { _id: false },
+);
+
+/**
+ * Registration fee per age band, in euros (see Conferenza.ageBand)
+ * A band left empty is free; in the early bird table it falls back to the full fee
+ */
+const FeesSchema = new mongoose.Schema(
+  {
+    child: { type: Number, min: [0, 'Fee cannot be negative'] },
+    youth: { type: Number, min: [0, 'Fee cannot be negative'] },
+    adult: { type: Number, min: [0, 'Fee cannot be negative'] },
+  },
+  { _id: false },
+);
+
+/**
+ * Paid registrations (Stripe Checkout)
+ * Total per person = fee of the age band (early bird fee before
+ * `earlyBird.until`) + accommodation (price per night x nights)
+ */
+const PricingSchema = new mongoose.Schema(
+  {
+    requiresPayment: { type: Boolean, default: false },
+    fees: { type: FeesSchema, default: () => ({}) },
+    earlyBird: {
+      until: { type: Date },
+      fees: { type: FeesSchema },
+    },
+    // Lifetime of the checkout session; the place is held meanwhile
+    // (Stripe: 30 min - 24 h from creation, so 31 leaves time for the API call)
+    paymentMinutes: {
+      type: Number,
+      default: 60,
+      min: [31, 'Payment window must be at least 31 minutes'],
+      max: [1440, 'Payment window cannot exceed 24 hours'],
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Recurrence of a series (RFC 5545): the event is the first occurrence
+ * `rule` is an RRULE without DTSTART; `exdates` are the starts of removed
+ * occurrences. Edited occurrences are separate events pointing to the
+ * series (recurrenceOf + recurrenceId)
+ */
+const RecurrenceSchema = new mongoose.Schema(
+  {
+    rule: {
+      type: String,
+      required: [true, 'Recurrence rule is required'],
+      trim: true,
+      maxlength: [500, 'Recurrence rule cannot exceed 500 characters'],
+      validate: {
+        validator: isValidRule,
+        message:
+          'Invalid recurrence rule (RRULE with FREQ=DAILY, WEEKLY, MONTHLY or YEARLY)',
+      },
+    },
+    exdates: {
+      type: [Date],
+      default: [],
+    },
+  },
+  { _id: false },
+);
+
+/**
+ * Kinds of agenda sessions
+ * @constant
+ */
+const SESSION_KINDS = [
+  'talk',
+  'plenary',
+  'workshop',
+  'worship',
+  'break',
+  'meal',
+  'other',
+];
+
+/**
+ * One session of the agenda
+ * Sessions in the same room cannot overlap (see findSessionOverlaps);
+ * sessions without a room (meals, breaks) are never in conflict
+ */
+const SessionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Session title is required'],
+    trim: true,
+    maxlength: [200, 'Session title cannot exceed 200 characters'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Session description cannot exceed 2000 characters'],
+  },
+  kind: { type: String, enum: SESSION_KINDS, default: 'talk' },
+  start: { type: Date, required: [true, 'Session start is required'] },
+  end: {
+    type: Date,
+    required: [true, 'Session end is required'],
+    validate: {
+      validator: function (end) {
+        return !this.start || end > this.start;
+      },
+      message: 'Session end must be after its start',
+    },
+  },
+  room: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Room cannot exceed 100 characters'],
+  },
+  speakers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Speaker' }],
+});
+
+/**
+ * Pairs of sessions that overlap in the same room
+ * Rooms are compared without case and surrounding spaces; touching
+ * sessions (one ends when the next starts) do not overlap
+ *
+ * @param {Array<Object>} sessions
+ * @returns {Array<Array<Object>>} [[a, b], ...]
+ */
+const findSessionOverlaps = (sessions) => {
+  const byRoom = new Map();
+  sessions
+    .filter((session) => session.room && session.start && session.end)
+    .forEach((session) => {
+      const room = session.room.trim().toLowerCase();
+      if (!byRoom.has(room)) byRoom.set(room, []);
+      byRoom.get(room).push(session);
+    });
+
+  const overlaps = [];
+  byRoom.forEach((roomSessions) => {
+    const sorted = [...roomSessions].sort((a, b) => a.start - b.start);
+    sorted.forEach((session, i) => {
+      for (let j = i + 1; j < sorted.length; j += 1) {
+        if (sorted[j].start >= session.end) break;
+        overlaps.push([session, sorted[j]]);
+      }
+    });
+  });
+  return overlaps;
+};
+
+/**
+ * Lifecycle milestones, set once by the scheduler (utils/eventLifecycle.js)
+ * Each is claimed with a conditional update, so every hook fires once even
+ * with several server instances
+ */
+const LifecycleSchema = new mongoose.Schema(
+  {
+    startedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+    registrationClosedAt: { type: Date, default: null },
+    reminderSentAt: { type: Date, default: null },
+  },
+  { _id: false },
+);
 
 /**
  * Event Schema Definition
@@ -34,6 +268,15 @@ const mongoose = require('mongoose');
  * @property {Array<string>} tags - Event categories and tags
  * @property {string} organizer - Organizer name or group
  * @property {string} contact - Contact email or phone for the event
+ * @property {Array<Object>} accommodations - Accommodation inventory (room types, rooms and occupancy)
+ * @property {Object} pricing - Registration fees and payment settings (optional)
+ * @property {Date} registrationDeadline - Registrations close at this time (optional, overrides REGISTRATION_CUTOFF_HOURS)
+ * @property {Object} lifecycle - When the scheduler started/completed the event, closed registrations and sent the reminder
+ * @property {number} sequence - Revision number for calendar feeds (incremented on update)
+ * @property {Array<Object>} sessions - Agenda: { title, description, kind, start, end, room, speakers }
+ * @property {Object} recurrence - Recurring series: { rule (RRULE), exdates } (optional)
+ * @property {ObjectId} recurrenceOf - Series of an edited occurrence (optional)
+ * @property {Date} recurrenceId - Original start of an edited occurrence (optional)
  * @property {Date} createdAt - Creation timestamp
  * @property {Date} updatedAt - Last update timestamp
  */
@@ -139,6 +382,74 @@ const EventSchema = new mongoose.Schema(
       min: [0, 'Registrations cannot be negative'],
     },
 
+    // Accommodation inventory (see setAccommodations / claimBed)
+    accommodations: {
+      type: [AccommodationSchema],
+      default: [],
+    },
+
+    // Registration fees (see getRegistrationFee)
+    pricing: {
+      type: PricingSchema,
+      default: () => ({}),
+    },
+
+    // Registration cutoff of this event (see getRegistrationDeadline)
+    registrationDeadline: {
+      type: Date,
+    },
+
+    lifecycle: {
+      type: LifecycleSchema,
+      default: () => ({}),
+    },
+
+    // Agenda: sessions with room, times and speakers
+    sessions: {
+      type: [SessionSchema],
+      default: [],
+      validate: {
+        validator: (sessions) => findSessionOverlaps(sessions).length === 0,
+        message: 'Sessions overlap in the same room',
+      },
+    },
+
+    // Recurring series: rule and removed occurrences
+    recurrence: {
+      type: RecurrenceSchema,
+      default: undefined,
+    },
+
+    // Edited occurrence of a series: the series and the original start
+    recurrenceOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Event',
+    },
+    recurrenceId: {
+      type: Date,
+    },
+
+    // iCalendar SEQUENCE: bumped by every edit so subscribed calendars update
+    sequence: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // Last waitlist position handed out (see nextWaitlistPosition)
+    waitlistSeq: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+
+    // Bumped by every bed claimed or released (see setAccommodations)
+    accommodationsRev: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+
     // Event metadata
     status: {
       type: String,
@@ -214,9 +525,14 @@ EventSchema.pre('save', function (next) {
   // Update timestamp
   this.updatedAt = Date.now();
 
-  // Update status based on dates
+  // Update status based on dates (a series keeps its status: its date is
+  // only the first occurrence)
   const now = Date.now();
-  if (this.status !== 'cancelled' && this.status !== 'completed') {
+  if (
+    this.status !== 'cancelled' &&
+    this.status !== 'completed' &&
+    !this.isRecurring()
+  ) {
     if (now > this.date) {
       this.status = 'ongoing';
     }
@@ -230,43 +546,88 @@ EventSchema.pre('save', function (next) {
 
 /**
  * Instance method to register attendee
- * Increments registration count if capacity allows
+ * Atomically increments the registration count only if capacity allows:
+ * the capacity check and the increment are a single conditional update, so
+ * concurrent registrations can never overbook the event
+ * Validators and save hooks are skipped (a started event can still take registrations)
  *
  * @method registerAttendee
  * @async
  * @param {number} [count=1] - Number of attendees to register
- * @returns {Promise<Object>} Updated event document
- * @throws {Error} If registration would exceed capacity
+ * @returns {Promise<Object|null>} Updated event document, or null if there is not enough room
  *
  * @example
- * await event.registerAttendee(2);
+ * const updated = await event.registerAttendee(2);
+ * if (!updated) { // event full }
  */
-EventSchema.methods.registerAttendee = function (count = 1) {
-  if (this.capacity && this.registrations + count > this.capacity) {
-    throw new Error(
-      `Cannot register ${count} attendees. Event capacity is ${this.capacity}, current: ${this.registrations}`,
-    );
-  }
+EventSchema.methods.registerAttendee = async function (count = 1) {
+  const updated = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      $or: [
+        { capacity: null },
+        {
+          $expr: {
+            $lte: [{ $add: ['$registrations', count] }, '$capacity'],
+          },
+        },
+      ],
+    },
+    { $inc: { registrations: count }, $set: { updatedAt: Date.now() } },
+    { new: true },
+  );
 
-  this.registrations += count;
-  return this.save();
+  if (updated) this.registrations = updated.registrations;
+  return updated;
 };
 
 /**
  * Instance method to unregister attendee
- * Decrements registration count
+ * Atomically decrements the registration count (never below zero)
  *
  * @method unregisterAttendee
  * @async
  * @param {number} [count=1] - Number of attendees to unregister
- * @returns {Promise<Object>} Updated event document
+ * @returns {Promise<Object|null>} Updated event document (null if the event no longer exists)
  *
  * @example
  * await event.unregisterAttendee(1);
  */
-EventSchema.methods.unregisterAttendee = function (count = 1) {
-  this.registrations = Math.max(0, this.registrations - count);
-  return this.save();
+EventSchema.methods.unregisterAttendee = async function (count = 1) {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    [
+      {
+        $set: {
+          registrations: {
+            $max: [0, { $subtract: ['$registrations', count] }],
+          },
+          updatedAt: '$$NOW',
+        },
+      },
+    ],
+    { new: true },
+  );
+
+  if (updated) this.registrations = updated.registrations;
+  return updated;
+};
+
+/**
+ * Instance method to reserve the next waitlist position
+ * Atomic counter: concurrent registrations never share a position
+ *
+ * @method nextWaitlistPosition
+ * @async
+ * @returns {Promise<number>} Position for a new waitlisted registration
+ */
+EventSchema.methods.nextWaitlistPosition = async function () {
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { waitlistSeq: 1 } },
+    { new: true, projection: { waitlistSeq: 1 } },
+  );
+  return updated.waitlistSeq;
 };
 
 /**
@@ -300,6 +661,361 @@ EventSchema.methods.getRemainingCapacity = function () {
   return Math.max(0, this.capacity - this.registrations);
 };
 
+/**
+ * Instance method to get the number of nights covered by the event
+ *
+ * @method getNights
+ * @returns {number} Nights between start and end date (at least 1)
+ */
+EventSchema.methods.getNights = function () {
+  if (!this.endDate) return 1;
+  const days = (this.endDate - this.date) / (24 * 60 * 60 * 1000);
+  return Math.max(1, Math.ceil(days));
+};
+
+/**
+ * Instance method to tell whether the event is a recurring series
+ *
+ * @method isRecurring
+ * @returns {boolean}
+ */
+EventSchema.methods.isRecurring = function () {
+  return Boolean(this.recurrence && this.recurrence.rule);
+};
+
+/**
+ * Instance method to get when registrations close
+ * The event's own registrationDeadline wins; otherwise `cutoffHours` before
+ * the start; without either, registrations stay open until the event ends
+ *
+ * @method getRegistrationDeadline
+ * @param {number|null} cutoffHours - Default cutoff (config.events.registrationCutoffHours)
+ * @returns {Date}
+ */
+EventSchema.methods.getRegistrationDeadline = function (cutoffHours) {
+  if (this.registrationDeadline) return this.registrationDeadline;
+  if (cutoffHours !== null && cutoffHours !== undefined) {
+    return new Date(this.date.getTime() - cutoffHours * 60 * 60 * 1000);
+  }
+  return this.endDate || this.date;
+};
+
+/**
+ * Instance method to tell whether the event still takes registrations
+ *
+ * @method isRegistrationOpen
+ * @param {number|null} cutoffHours - Default cutoff (see getRegistrationDeadline)
+ * @param {Date} [at=new Date()]
+ * @returns {boolean}
+ */
+EventSchema.methods.isRegistrationOpen = function (
+  cutoffHours,
+  at = new Date(),
+) {
+  if (!['scheduled', 'ongoing'].includes(this.status)) return false;
+
+  const end = this.endDate || this.date;
+  return end >= at && this.getRegistrationDeadline(cutoffHours) > at;
+};
+
+/**
+ * Instance method to tell whether registrations must be paid online
+ *
+ * @method requiresPayment
+ * @returns {boolean}
+ */
+EventSchema.methods.requiresPayment = function () {
+  return !!(this.pricing && this.pricing.requiresPayment);
+};
+
+/**
+ * Instance method to get the registration fee of one person
+ *
+ * @method getRegistrationFee
+ * @param {string} ageBand - 'child' | 'youth' | 'adult'
+ * @param {Date} [at=new Date()] - Registration time (early bird check)
+ * @returns {{ amount: number, earlyBird: boolean }} Fee in euros
+ *
+ * @example
+ * event.getRegistrationFee('adult'); // { amount: 80, earlyBird: true }
+ */
+EventSchema.methods.getRegistrationFee = function (ageBand, at = new Date()) {
+  const { fees, earlyBird } = this.pricing;
+  const early =
+    earlyBird && earlyBird.until && new Date(at) <= earlyBird.until
+      ? earlyBird.fees && earlyBird.fees[ageBand]
+      : undefined;
+
+  if (typeof early === 'number') return { amount: early, earlyBird: true };
+  return { amount: (fees && fees[ageBand]) || 0, earlyBird: false };
+};
+
+/**
+ * Orders the rooms that can take one more guest, best candidate first
+ *
+ * Dormitory: rooms of the guest's gender (or empty) with a free bed;
+ * preferred rooms (family members) first, then partly filled rooms (fill
+ * rooms before opening new ones), then empty rooms
+ * Private: preferred rooms with a free bed, otherwise only empty rooms
+ *
+ * @private
+ * @param {Object} type - Accommodation type
+ * @param {string|null} gender - 'M' | 'F' (required for dormitories)
+ * @param {Array<number>} preferredRooms - Room numbers to try first
+ * @returns {Array<Object>} Candidate rooms
+ */
+const candidateRooms = (type, gender, preferredRooms) => {
+  const hasBed = (room) => room.occupied < type.bedsPerRoom;
+  const preferred = type.rooms.filter(
+    (room) => preferredRooms.includes(room.number) && hasBed(room),
+  );
+
+  if (type.kind === 'private') {
+    return [...preferred, ...type.rooms.filter((room) => room.occupied === 0)];
+  }
+
+  if (!gender) return [];
+  const fits = (room) =>
+    hasBed(room) && (room.gender === gender || room.occupied === 0);
+
+  return [
+    ...preferred.filter(fits),
+    ...type.rooms
+      .filter((room) => fits(room) && room.occupied > 0)
+      .sort((a, b) => b.occupied - a.occupied),
+    ...type.rooms.filter((room) => room.occupied === 0),
+  ];
+};
+
+/**
+ * Instance method to claim one bed of an accommodation type
+ * Overbooking-safe: the bed is taken with a conditional update that only
+ * matches if the room is still in the state it was chosen in; on a
+ * concurrent change the choice is recomputed (a few attempts)
+ *
+ * @method claimBed
+ * @async
+ * @param {string} code - Accommodation type code
+ * @param {Object} [options]
+ * @param {string|null} [options.gender] - Guest gender 'M' | 'F' (dormitories)
+ * @param {Array<number>} [options.preferredRooms] - Rooms of family members
+ * @returns {Promise<Object|null>} { code, kind, room, pricePerNight }, or null if no bed fits
+ *
+ * @example
+ * const bed = await event.claimBed('dormitorio', { gender: 'F' });
+ */
+EventSchema.methods.claimBed = async function (
+  code,
+  { gender = null, preferredRooms = [] } = {},
+) {
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    const fresh = await this.constructor
+      .findById(this._id)
+      .select('accommodations');
+    const type = fresh && fresh.accommodations.find((a) => a.code === code);
+    if (!type) return null;
+
+    const [room] = candidateRooms(type, gender, preferredRooms);
+    if (!room) return null;
+
+    const result = await this.constructor.updateOne(
+      {
+        _id: this._id,
+        accommodations: {
+          $elemMatch: {
+            code,
+            rooms: {
+              $elemMatch: {
+                number: room.number,
+                occupied: room.occupied,
+                gender: room.gender,
+              },
+            },
+          },
+        },
+      },
+      {
+        $inc: {
+          'accommodations.$[a].rooms.$[r].occupied': 1,
+          accommodationsRev: 1,
+        },
+        $set: {
+          'accommodations.$[a].rooms.$[r].gender':
+            type.kind === 'dormitory' ? gender : null,
+        },
+      },
+      { arrayFilters: [{ 'a.code': code }, { 'r.number': room.number }] },
+    );
+
+    if (result.modifiedCount === 1) {
+      return {
+        code,
+        kind: type.kind,
+        room: room.number,
+        pricePerNight: type.pricePerNight,
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Instance method to give back a bed claimed with claimBed
+ * A room that becomes empty loses its gender
+ *
+ * @method releaseBed
+ * @async
+ * @param {string} code - Accommodation type code
+ * @param {number} room - Room number
+ * @returns {Promise<void>}
+ */
+EventSchema.methods.releaseBed = async function (code, room) {
+  const arrayFilters = [{ 'a.code': code }, { 'r.number': room }];
+
+  await this.constructor.updateOne(
+    {
+      _id: this._id,
+      accommodations: {
+        $elemMatch: {
+          code,
+          rooms: { $elemMatch: { number: room, occupied: { $gt: 0 } } },
+        },
+      },
+    },
+    {
+      $inc: {
+        'accommodations.$[a].rooms.$[r].occupied': -1,
+        accommodationsRev: 1,
+      },
+    },
+    { arrayFilters },
+  );
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { 'accommodations.$[a].rooms.$[r].gender': null } },
+    {
+      arrayFilters: [{ 'a.code': code }, { 'r.number': room, 'r.occupied': 0 }],
+    },
+  );
+};
+
+/**
+ * Instance method to replace the accommodation inventory
+ * Occupancy of existing rooms is kept; the change is refused if it would
+ * remove occupied rooms or leave a room with more guests than beds
+ * The write only succeeds if nobody claimed a bed in the meantime
+ *
+ * @method setAccommodations
+ * @async
+ * @param {Array<Object>} types - [{ code, name, kind, rooms, bedsPerRoom, pricePerNight }]
+ *   (`rooms` is the number of rooms)
+ * @returns {Promise<{ event: Object|null, conflicts: Array<string> }>}
+ *   event is null when the inventory changed concurrently (retry)
+ */
+EventSchema.methods.setAccommodations = async function (types) {
+  const fresh = await this.constructor
+    .findById(this._id)
+    .select('accommodations +accommodationsRev');
+  const rev = fresh.accommodationsRev || 0;
+  const current = fresh.toObject().accommodations;
+  const conflicts = [];
+
+  const accommodations = types.map((type) => {
+    const previous = current.find((a) => a.code === type.code);
+    const previousRooms = previous ? previous.rooms : [];
+
+    const rooms = Array.from({ length: type.rooms }, (_, index) => {
+      const existing = previousRooms.find((r) => r.number === index + 1);
+      return existing || { number: index + 1, gender: null, occupied: 0 };
+    });
+
+    previousRooms.forEach((room) => {
+      if (room.occupied > 0 && room.number > type.rooms) {
+        conflicts.push(`${type.code}: room ${room.number} is occupied`);
+      }
+      if (room.number <= type.rooms && room.occupied > type.bedsPerRoom) {
+        conflicts.push(
+          `${type.code}: room ${room.number} has ${room.occupied} guests`,
+        );
+      }
+    });
+
+    return {
+      code: type.code,
+      name: type.name,
+      kind: type.kind || 'dormitory',
+      bedsPerRoom: type.bedsPerRoom,
+      pricePerNight: type.pricePerNight || 0,
+      rooms,
+    };
+  });
+
+  current.forEach((type) => {
+    const kept = types.some((t) => t.code === type.code);
+    if (!kept && type.rooms.some((room) => room.occupied > 0)) {
+      conflicts.push(`${type.code}: has guests and cannot be removed`);
+    }
+  });
+
+  if (conflicts.length > 0) return { event: null, conflicts };
+
+  const event = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      // Events created before the counter existed have no field yet
+      accommodationsRev: rev === 0 ? { $in: [0, null] } : rev,
+    },
+    {
+      $set: { accommodations, updatedAt: Date.now() },
+      $inc: { accommodationsRev: 1 },
+    },
+    { new: true, runValidators: true },
+  );
+
+  return { event, conflicts };
+};
+
+/**
+ * Instance method to summarize bed availability per accommodation type
+ *
+ * @method getAccommodationAvailability
+ * @returns {Array<Object>} [{ code, name, kind, pricePerNight, beds, taken, free, freeByGender? }]
+ */
+EventSchema.methods.getAccommodationAvailability = function () {
+  return this.accommodations.map((type) => {
+    const beds = type.rooms.length * type.bedsPerRoom;
+    const taken = type.rooms.reduce((sum, room) => sum + room.occupied, 0);
+    const summary = {
+      code: type.code,
+      name: type.name,
+      kind: type.kind,
+      pricePerNight: type.pricePerNight,
+      rooms: type.rooms.length,
+      bedsPerRoom: type.bedsPerRoom,
+      beds,
+      taken,
+      free: beds - taken,
+    };
+
+    if (type.kind === 'dormitory') {
+      // Empty rooms count for both genders
+      const freeFor = (gender) =>
+        type.rooms
+          .filter((room) => room.gender === gender || room.occupied === 0)
+          .reduce((sum, room) => sum + type.bedsPerRoom - room.occupied, 0);
+      summary.freeByGender = { M: freeFor('M'), F: freeFor('F') };
+    } else {
+      summary.freeRooms = type.rooms.filter(
+        (room) => room.occupied === 0,
+      ).length;
+    }
+
+    return summary;
+  });
+};
+
 /**
  * Instance method to increment view counter
  *
@@ -316,46 +1032,159 @@ EventSchema.methods.incrementViews = function () {
   return this.save();
 };
 
+/**
+ * Static method to list events and occurrences of recurring series in a window
+ * Single events overlapping the window (edited occurrences included) are
+ * returned as stored. Series are expanded: each occurrence is a copy of the
+ * series with its own date/endDate, `recurrenceOf` (the series id, also in
+ * `_id`) and `recurrenceId` (its start, the key used to edit it). Removed
+ * and edited occurrences are left out of the expansion
+ *
+ * With `limit` only the first events of the window are loaded and expanded
+ * (single events and each series stop at `limit`), so a long window does not
+ * end up in memory to return one page
+ *
+ * @static
+ * @method findOccurrences
+ * @param {Object} options
+ * @param {Date} options.from - Window start
+ * @param {Date} options.to - Window end
+ * @param {Object} [options.filter={}] - Extra conditions (status, tags...)
+ * @param {string} [options.timeZone] - Time zone of recurring series
+ * @param {number} [options.limit] - Most events returned (the earliest ones)
+ * @returns {Promise<Array<Object>>} Plain objects sorted by date
+ *
+ * @example
+ * const month = await Event.findOccurrences({
+ *   from: new Date('2026-05-01'),
+ *   to: new Date('2026-05-31'),
+ *   filter: { tags: 'giovani' },
+ *   timeZone: config.events.timeZone,
+ * });
+ */
+EventSchema.statics.findOccurrences = async function ({
+  from,
+  to,
+  filter = {},
+  timeZone = DEFAULT_TIME_ZONE,
+  limit,
+}) {
+  const overlaps = {
+    $or: [{ endDate: { $gte: from } }, { endDate: null, date: { $gte: from } }],
+  };
+  const earliest = (query) =>
+    limit ? query.sort({ date: 1, _id: 1 }).limit(limit) : query;
+  // 'recurrence.rule': null also matches events without recurrence
+  const [single, series] = await Promise.all([
+    earliest(
+      this.find({
+        $and: [
+          filter,
+          overlaps,
+          { date: { $lte: to }, 'recurrence.rule': null },
+        ],
+      }),
+    ).lean(),
+    this.find({
+      $and: [filter, { date: { $lte: to }, 'recurrence.rule': { $ne: null } }],
+    }).lean(),
+  ]);
+
+  const edited =
+    series.length === 0
+      ? []
+      : await this.find({ recurrenceOf: { $in: series.map((e) => e._id) } })
+          .select('recurrenceOf recurrenceId')
+          .lean();
+  const editedKeys = new Set(
+    edited.map((e) => `${e.recurrenceOf}:${e.recurrenceId.getTime()}`),
+  );
+  // Edited occurrences are dropped after the expansion: expand that many more
+  const editedCount = (event) =>
+    edited.filter((e) => String(e.recurrenceOf) === String(event._id)).length;
+
+  const occurrences = series.flatMap((event) =>
+    expandSeries({
+      rule: event.recurrence.rule,
+      start: event.date,
+      end: event.endDate,
+      exdates: event.recurrence.exdates,
+      timeZone,
+      from,
+      to,
+      limit: limit && limit + editedCount(event),
+    })
+      .filter(({ start }) => !editedKeys.has(`${event._id}:${start.getTime()}`))
+      .map(({ start, end }) => ({
+        ...event,
+        date: start,
+        endDate: end || undefined,
+        recurrenceOf: event._id,
+        recurrenceId: start,
+      })),
+  );
+
+  const sorted = [...single, ...occurrences].sort((a, b) => a.date - b.date);
+  return limit ? sorted.slice(0, limit) : sorted;
+};
+
 /**
  * Static method to get upcoming events
+ * Recurring series are expanded: every occurrence of the next year counts
  *
  * @static
  * @method getUpcoming
  * @param {number} [limit=10] - Number of events to return
- * @returns {Promise<Array>} Upcoming events sorted by date
+ * @param {string} [timeZone] - Time zone of recurring series
+ * @returns {Promise<Array>} Upcoming events and occurrences sorted by date (plain objects)
  *
  * @example
  * const upcoming = await Event.getUpcoming(5);
  */
-EventSchema.statics.getUpcoming = function (limit = 10) {
+EventSchema.statics.getUpcoming = async function (
+  limit = 10,
+  timeZone = DEFAULT_TIME_ZONE,
+) {
   const now = new Date();
-  return this.find({
-    date: { $gte: now },
-    status: { $ne: 'cancelled' },
-  })
-    .sort({ date: 1 })
-    .limit(limit);
+  const occurrences = await this.findOccurrences({
+    from: now,
+    to: new Date(now.getTime() + OCCURRENCE_HORIZON_DAYS * DAY_MS),
+    filter: { status: { $ne: 'cancelled' } },
+    timeZone,
+  });
+
+  return occurrences.filter((event) => event.date >= now).slice(0, limit);
 };
 
 /**
  * Static method to get past events
+ * Recurring series are expanded: every occurrence of the last year counts
  *
  * @static
  * @method getPast
  * @param {number} [limit=10] - Number of events to return
- * @returns {Promise<Array>} Past events sorted by date (newest first)
+ * @param {string} [timeZone] - Time zone of recurring series
+ * @returns {Promise<Array>} Past events and occurrences sorted by date, newest first (plain objects)
  *
  * @example
  * const past = await Event.getPast(5);
  */
-EventSchema.statics.getPast = function (limit = 10) {
+EventSchema.statics.getPast = async function (
+  limit = 10,
+  timeZone = DEFAULT_TIME_ZONE,
+) {
   const now = new Date();
-  return this.find({
-    date: { $lt: now },
-    status: { $ne: 'cancelled' },
-  })
-    .sort({ date: -1 })
-    .limit(limit);
+  const occurrences = await this.findOccurrences({
+    from: new Date(now.getTime() - OCCURRENCE_HORIZON_DAYS * DAY_MS),
+    to: now,
+    filter: { status: { $ne: 'cancelled' } },
+    timeZone,
+  });
+
+  return occurrences
+    .filter((event) => event.date < now)
+    .reverse()
+    .slice(0, limit);
 };
 
 /**
@@ -366,7 +1195,8 @@ EventSchema.statics.getPast = function (limit = 10) {
  * @param {number} latitude - Latitude coordinate
  * @param {number} longitude - Longitude coordinate
  * @param {number} [maxDistance=5000] - Search radius in meters (default: 5km)
- * @returns {Promise<Array>} Events within specified distance
+ * @param {Object} [filter={}] - Extra conditions (dates, tags...)
+ * @returns {Promise<Array>} Events within specified distance, nearest first
  *
  * @example
  * const nearby = await Event.findNearby(41.9028, 12.4964, 10000);
@@ -375,8 +1205,11 @@ EventSchema.statics.findNearby = function (
   latitude,
   longitude,
   maxDistance = 5000,
+  filter = {},
 ) {
   return this.find({
+    status: { $ne: 'cancelled' },
+    ...filter,
     'coordinates.coordinates': {
       $near: {
         $geometry: {
@@ -386,16 +1219,90 @@ EventSchema.statics.findNearby = function (
         $maxDistance: maxDistance,
       },
     },
-    status: { $ne: 'cancelled' },
   });
 };
 
+/**
+ * Static method to find events inside a map viewport
+ * The box follows meridians and parallels like the map does, so it is
+ * matched on the coordinates rather than with a (geodesic) $geoWithin
+ * polygon; a box with west > east crosses the antimeridian
+ *
+ * @static
+ * @method findWithin
+ * @param {Object} bbox - { west, south, east, north } in degrees
+ * @param {Object} [filter={}] - Extra conditions (dates, tags...)
+ * @returns {Promise<Array>} Events inside the box, by date
+ *
+ * @example
+ * const visible = await Event.findWithin({ west: 6.6, south: 36.6, east: 18.5, north: 47.1 });
+ */
+EventSchema.statics.findWithin = function (
+  { west, south, east, north },
+  filter = {},
+) {
+  const lng = 'coordinates.coordinates.0';
+  const lat = 'coordinates.coordinates.1';
+  const longitude =
+    west <= east
+      ? { [lng]: { $gte: west, $lte: east } }
+      : { $or: [{ [lng]: { $gte: west } }, { [lng]: { $lte: east } }] };
+
+  return this.find({
+    status: { $ne: 'cancelled' },
+    ...filter,
+    $and: [longitude, { [lat]: { $gte: south, $lte: north } }],
+  }).sort({ date: 1 });
+};
+
 /**
  * Index definitions for query optimization
  */
 EventSchema.index({ date: 1, status: 1 });
 EventSchema.index({ status: 1 });
+EventSchema.index({ status: 1, registrationDeadline: 1 });
 EventSchema.index({ tags: 1 });
 EventSchema.index({ organizer: 1 });
+EventSchema.index({ 'sessions.speakers': 1 });
+EventSchema.index(
+  { recurrenceOf: 1, recurrenceId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { recurrenceOf: { $exists: true } },
+  },
+);
+
+EventSchema.statics.SESSION_KINDS = SESSION_KINDS;
+EventSchema.statics.findSessionOverlaps = findSessionOverlaps;
+
+/**
+ * Fields exposed to list filters and sorting (utils/apiFeatures.js)
+ */
+EventSchema.statics.queryOptions = {
+  filterable: {
+    status: 'string',
+    tags: 'string',
+    organizer: 'string',
+    location: 'string',
+    title: 'string',
+    date: 'date',
+    endDate: 'date',
+    registrationDeadline: 'date',
+    recurrenceOf: 'objectId',
+    capacity: 'number',
+    registrations: 'number',
+    views: 'number',
+    createdAt: 'date',
+  },
+  sortable: [
+    'createdAt',
+    'updatedAt',
+    'date',
+    'endDate',
+    'title',
+    'registrations',
+    'views',
+  ],
+};
 
 module.exports = mongoose.model('Event', EventSchema, 'events');
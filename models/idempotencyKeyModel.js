@@ -0,0 +1,70 @@
+/**
+ * @file idempotencyKeyModel.js
+ * @description Idempotency keys of public form submissions
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * One document per Idempotency-Key header received on a protected route,
+ * written by middleware/idempotency.js. The first request stores its response;
+ * a repeated request with the same key gets that response back instead of
+ * being executed again. Documents expire after 24 hours (TTL index)
+ *
+ * @example
+ * const entry = await IdempotencyKey.findOne({ key, scope: 'POST /api/v1/contact' });
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Lifetime of a stored key
+ * @constant
+ */
+const KEY_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * IdempotencyKey Schema Definition
+ *
+ * @typedef {Object} IdempotencyKey
+ * @property {string} key - Client-generated key (Idempotency-Key header)
+ * @property {string} scope - 'METHOD /path' the key was used on
+ * @property {string} requestHash - SHA-256 of the request body
+ * @property {string} state - 'processing' until the first request completes, then 'completed'
+ * @property {number} statusCode - Stored response status
+ * @property {*} body - Stored response body
+ * @property {Date} createdAt - First use (expiry reference)
+ */
+const IdempotencyKeySchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, maxlength: 255 },
+    scope: { type: String, required: true },
+    requestHash: { type: String, required: true },
+    state: {
+      type: String,
+      enum: ['processing', 'completed'],
+      default: 'processing',
+    },
+    statusCode: { type: Number },
+    body: { type: mongoose.Schema.Types.Mixed },
+    createdAt: { type: Date, default: Date.now, immutable: true },
+  },
+  {
+    timestamps: false,
+    collection: 'idempotencykeys',
+    minimize: false,
+  },
+);
+
+/**
+ * Index definitions
+ */
+IdempotencyKeySchema.index({ key: 1, scope: 1 }, { unique: true });
+IdempotencyKeySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: KEY_TTL_SECONDS },
+);
+
+module.exports = mongoose.model(
+  'IdempotencyKey',
+  IdempotencyKeySchema,
+  'idempotencykeys',
+);
@@ -15,6 +15,7 @@
  */
 
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
 
 /**
  * Digital Library Book/Document Schema Definition
@@ -649,4 +650,46 @@ LibroSchema.index({ rating: -1, ratingCount: -1 });
 LibroSchema.index({ downloads: -1 });
 LibroSchema.index({ createdAt: -1 });
 
+/**
+ * Audit trail: every create/update/delete is recorded in AuditLog
+ */
+LibroSchema.plugin(auditPlugin, { ignore: ['views', 'downloads'] });
+
+/**
+ * Fields exposed to list filters and sorting (utils/apiFeatures.js)
+ */
+LibroSchema.statics.queryOptions = {
+  filterable: {
+    category: 'string',
+    subcategories: 'string',
+    tags: 'string',
+    language: 'string',
+    author: 'string',
+    title: 'string',
+    publisher: 'string',
+    anno: 'number',
+    trimestre: 'number',
+    rating: 'number',
+    downloads: 'number',
+    views: 'number',
+    featured: 'boolean',
+    status: 'string',
+    isPublic: 'boolean',
+    publicationDate: 'date',
+    createdAt: 'date',
+  },
+  sortable: [
+    'createdAt',
+    'updatedAt',
+    'title',
+    'author',
+    'rating',
+    'downloads',
+    'views',
+    'anno',
+    'trimestre',
+    'publicationDate',
+  ],
+};
+
 module.exports = mongoose.model('Libro', LibroSchema, 'libri');
@@ -0,0 +1,319 @@
+/**
+ * @file memberModel.js
+ * @description Church membership registry schema and model
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * One document per church member: personal data, congregation, baptism,
+ * role and membership status. Members of the same household share the
+ * `nucleo` id; `relazione` is their place in it
+ *
+ * Conference registrations can point to a member (Conferenza.member)
+ *
+ * @example
+ * const members = await Member.search({ q: 'ross mar', citta: 'Roma' });
+ * const household = await member.getHousehold();
+ */
+
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+/**
+ * Email validation regex pattern (same as the Contact model)
+ * @constant
+ */
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Roles in the congregation
+ * @constant
+ */
+const RUOLI = [
+  'membro',
+  'anziano',
+  'diacono',
+  'diaconessa',
+  'pastore',
+  'segretario',
+  'tesoriere',
+  'insegnante',
+];
+
+/**
+ * Membership status
+ * - active:      member in good standing
+ * - inactive:    not attending, still on the registry
+ * - transferred: moved to another congregation (see `trasferitoA`)
+ * - deceased
+ * - removed:     membership withdrawn
+ * @constant
+ */
+const STATUSES = ['active', 'inactive', 'transferred', 'deceased', 'removed'];
+
+/**
+ * Place in the household
+ * @constant
+ */
+const RELAZIONI = ['capofamiglia', 'coniuge', 'figlio', 'genitore', 'altro'];
+
+/**
+ * Escapes a string for literal use inside a RegExp
+ *
+ * @private
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Postal address
+ */
+const IndirizzoSchema = new mongoose.Schema(
+  {
+    via: { type: String, trim: true, maxlength: 200 },
+    cap: { type: String, trim: true, maxlength: 10 },
+    citta: { type: String, trim: true, maxlength: 100 },
+    provincia: { type: String, trim: true, maxlength: 50 },
+    nazione: { type: String, trim: true, maxlength: 100, default: 'Italia' },
+  },
+  { _id: false },
+);
+
+/**
+ * Member Schema Definition
+ *
+ * @typedef {Object} Member
+ * @property {string} nome - First name (required)
+ * @property {string} cognome - Last name (required)
+ * @property {string} [email] - Email (lowercase)
+ * @property {string} [telefono] - Phone number
+ * @property {Date} [dataNascita] - Birth date
+ * @property {string} [luogoNascita] - Birth place
+ * @property {string} [sesso] - 'M' | 'F'
+ * @property {Object} [indirizzo] - { via, cap, citta, provincia, nazione }
+ * @property {string} congregazione - Local church (required)
+ * @property {Date} [dataBattesimo] - Baptism date
+ * @property {string} [luogoBattesimo] - Where the baptism took place
+ * @property {Date} [dataAdesione] - Membership start (baptism or transfer in)
+ * @property {string} ruolo - Role in the congregation (default 'membro')
+ * @property {string} status - Membership status (default 'active')
+ * @property {string} [trasferitoA] - Destination congregation when transferred
+ * @property {ObjectId} [nucleo] - Household id, shared by its members
+ * @property {string} [relazione] - Place in the household
+ * @property {string} [note] - Secretary notes
+ * @property {Date} createdAt
+ * @property {Date} updatedAt
+ */
+const MemberSchema = new mongoose.Schema(
+  {
+    nome: {
+      type: String,
+      required: [true, 'Il nome è obbligatorio'],
+      trim: true,
+      maxlength: 100,
+    },
+    cognome: {
+      type: String,
+      required: [true, 'Il cognome è obbligatorio'],
+      trim: true,
+      maxlength: 100,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      validate: {
+        validator: (email) => !email || EMAIL_REGEX.test(email),
+        message: 'Email non valida',
+      },
+    },
+    telefono: { type: String, trim: true, maxlength: 30 },
+    dataNascita: { type: Date },
+    luogoNascita: { type: String, trim: true, maxlength: 100 },
+    sesso: { type: String, enum: ['M', 'F'] },
+    indirizzo: { type: IndirizzoSchema, default: () => ({}) },
+
+    // Congregation
+    congregazione: {
+      type: String,
+      required: [true, 'La congregazione è obbligatoria'],
+      trim: true,
+      maxlength: 150,
+    },
+    dataBattesimo: { type: Date },
+    luogoBattesimo: { type: String, trim: true, maxlength: 150 },
+    dataAdesione: { type: Date },
+    ruolo: { type: String, enum: RUOLI, default: 'membro' },
+    status: { type: String, enum: STATUSES, default: 'active' },
+    trasferitoA: { type: String, trim: true, maxlength: 150 },
+
+    // Household
+    nucleo: { type: mongoose.Schema.Types.ObjectId },
+    relazione: { type: String, enum: RELAZIONI },
+
+    note: { type: String, maxlength: 2000 },
+  },
+  {
+    timestamps: true,
+    collection: 'members',
+  },
+);
+
+/**
+ * Index definitions
+ * Names and city are compared without case or accents (Italian collation)
+ */
+MemberSchema.index(
+  { cognome: 1, nome: 1 },
+  { collation: { locale: 'it', strength: 1 } },
+);
+MemberSchema.index({ 'indirizzo.citta': 1 });
+MemberSchema.index({ congregazione: 1, status: 1 });
+MemberSchema.index({ email: 1 });
+MemberSchema.index({ nucleo: 1 });
+
+MemberSchema.statics.RUOLI = RUOLI;
+MemberSchema.statics.STATUSES = STATUSES;
+MemberSchema.statics.RELAZIONI = RELAZIONI;
+
+/**
+ * Search by name and city
+ * Every word of `q` must be the start of the first or last name
+ * ('ross mar' finds Mario Rossi); `citta` matches the start of the city
+ * Case-insensitive; sorted by last name
+ *
+ * @static
+ * @method search
+ * @param {Object} criteria
+ * @param {string} [criteria.q] - Name words
+ * @param {string} [criteria.citta] - City
+ * @param {string} [criteria.congregazione] - Exact congregation
+ * @param {string} [criteria.status] - Membership status
+ * @param {number} [criteria.limit=20]
+ * @returns {Promise<Array<Object>>}
+ */
+MemberSchema.statics.search = function ({
+  q,
+  citta,
+  congregazione,
+  status,
+  limit = 20,
+}) {
+  const filter = {};
+  const words = (q || '').trim().split(/\s+/).filter(Boolean);
+
+  if (words.length > 0) {
+    filter.$and = words.map((word) => {
+      const prefix = new RegExp(`^${escapeRegex(word)}`, 'i');
+      return { $or: [{ nome: prefix }, { cognome: prefix }] };
+    });
+  }
+  if (citta) {
+    filter['indirizzo.citta'] = new RegExp(
+      `^${escapeRegex(citta.trim())}`,
+      'i',
+    );
+  }
+  if (congregazione) filter.congregazione = congregazione;
+  if (status) filter.status = status;
+
+  return this.find(filter)
+    .collation({ locale: 'it', strength: 1 })
+    .sort({ cognome: 1, nome: 1 })
+    .limit(limit);
+};
+
+/**
+ * Members of the same household (this one included)
+ *
+ * @method getHousehold
+ * @returns {Promise<Array<Object>>}
+ */
+MemberSchema.methods.getHousehold = function () {
+  if (!this.nucleo) return Promise.resolve([this]);
+
+  return this.constructor
+    .find({ nucleo: this.nucleo })
+    .sort({ relazione: 1, dataNascita: 1 });
+};
+
+/**
+ * Adds this member to the household of another member
+ * The other member starts a new household if they have none
+ *
+ * @method joinHousehold
+ * @param {Object} other - Member document
+ * @param {string} relazione - Place of this member in the household
+ * @returns {Promise<Object>} This member, updated
+ */
+MemberSchema.methods.joinHousehold = async function (other, relazione) {
+  if (!other.nucleo) {
+    other.nucleo = new mongoose.Types.ObjectId();
+    if (!other.relazione) other.relazione = 'capofamiglia';
+    await other.save();
+  }
+
+  this.nucleo = other.nucleo;
+  this.relazione = relazione;
+  return this.save();
+};
+
+/**
+ * Removes this member from its household
+ * A household left with a single member is dissolved
+ *
+ * @method leaveHousehold
+ * @returns {Promise<Object>} This member, updated
+ */
+MemberSchema.methods.leaveHousehold = async function () {
+  const { nucleo } = this;
+  if (!nucleo) return this;
+
+  this.nucleo = undefined;
+  this.relazione = undefined;
+  await this.save();
+
+  const remaining = await this.constructor.find({ nucleo });
+  if (remaining.length === 1) {
+    remaining[0].nucleo = undefined;
+    remaining[0].relazione = undefined;
+    await remaining[0].save();
+  }
+  return this;
+};
+
+/**
+ * Audit trail: every create/update/delete is recorded in AuditLog
+ */
+MemberSchema.plugin(auditPlugin);
+
+/**
+ * Fields exposed to list filters and sorting (utils/apiFeatures.js)
+ */
+MemberSchema.statics.queryOptions = {
+  filterable: {
+    nome: 'string',
+    cognome: 'string',
+    email: 'string',
+    sesso: 'string',
+    'indirizzo.citta': 'string',
+    'indirizzo.provincia': 'string',
+    congregazione: 'string',
+    ruolo: 'string',
+    status: 'string',
+    nucleo: 'objectId',
+    dataNascita: 'date',
+    dataBattesimo: 'date',
+    createdAt: 'date',
+  },
+  sortable: [
+    'cognome',
+    'nome',
+    'congregazione',
+    'dataNascita',
+    'dataBattesimo',
+    'createdAt',
+  ],
+};
+
+module.exports = mongoose.model('Member', MemberSchema, 'members');
@@ -15,6 +15,7 @@
  */
 
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
 
 /**
  * News Schema Definition
@@ -258,4 +259,27 @@ NewsSchema.index({ category: 1, status: 1 });
 NewsSchema.index({ tags: 1 }); // For tag-based searches
 NewsSchema.index({ title: 'text', subtitle: 'text', content: 'text' }); // For full-text search
 
+/**
+ * Audit trail: every create/update/delete is recorded in AuditLog
+ */
+NewsSchema.plugin(auditPlugin, { ignore: ['views'] });
+
+/**
+ * Fields exposed to list filters and sorting (utils/apiFeatures.js)
+ */
+NewsSchema.statics.queryOptions = {
+  filterable: {
+    category: 'string',
+    tags: 'string',
+    status: 'string',
+    featured: 'boolean',
+    author: 'string',
+    title: 'string',
+    views: 'number',
+    publishedAt: 'date',
+    createdAt: 'date',
+  },
+  sortable: ['createdAt', 'updatedAt', 'publishedAt', 'views', 'title'],
+};
+
 module.exports = mongoose.model('News', NewsSchema, 'news');
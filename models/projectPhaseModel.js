@@ -5,6 +5,7 @@
  */
 
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
 
 const mediaSchema = new mongoose.Schema({
   type: {
@@ -205,4 +206,27 @@ projectPhaseSchema.methods.getStats = function () {
   };
 };
 
+/**
+ * Audit trail: every create/update/delete is recorded in AuditLog
+ */
+projectPhaseSchema.plugin(auditPlugin, { ignore: ['views', 'lastUpdated'] });
+
+// Campi esposti a filtri e ordinamento delle liste (utils/apiFeatures.js)
+projectPhaseSchema.statics.queryOptions = {
+  filterable: {
+    phaseNumber: 'number',
+    status: 'string',
+    percentage: 'number',
+    isPublished: 'boolean',
+  },
+  sortable: [
+    'createdAt',
+    'updatedAt',
+    'phaseNumber',
+    'order',
+    'percentage',
+    'title',
+  ],
+};
+
 module.exports = mongoose.model('ProjectPhase', projectPhaseSchema);
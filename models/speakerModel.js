@@ -0,0 +1,107 @@
+/**
+ * @file speakerModel.js
+ * @description Conference speakers schema and model
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Speakers are shared across events: agenda sessions (Event.sessions)
+ * reference them by id, so a bio or photo is updated once for every event
+ *
+ * @example
+ * const speaker = await Speaker.create({ nome: 'Mario', cognome: 'Rossi', titolo: 'Pastore' });
+ * speaker.displayName(); // 'Pastore Mario Rossi'
+ */
+
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+/**
+ * Email validation regex pattern (same as the Contact model)
+ * @constant
+ */
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Speaker Schema Definition
+ *
+ * @typedef {Object} Speaker
+ * @property {string} nome - First name (required)
+ * @property {string} cognome - Last name (required)
+ * @property {string} [titolo] - Title printed before the name ('Pastore', 'Dott.')
+ * @property {string} [organizzazione] - Church, union or institution
+ * @property {string} [bio] - Short biography
+ * @property {string} [photo] - Photo URL
+ * @property {string} [email] - Contact email (not public)
+ * @property {Date} createdAt
+ * @property {Date} updatedAt
+ */
+const SpeakerSchema = new mongoose.Schema(
+  {
+    nome: {
+      type: String,
+      required: [true, 'Il nome è obbligatorio'],
+      trim: true,
+      maxlength: 100,
+    },
+    cognome: {
+      type: String,
+      required: [true, 'Il cognome è obbligatorio'],
+      trim: true,
+      maxlength: 100,
+    },
+    titolo: { type: String, trim: true, maxlength: 50 },
+    organizzazione: { type: String, trim: true, maxlength: 150 },
+    bio: { type: String, trim: true, maxlength: 5000 },
+    photo: { type: String, trim: true },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      select: false,
+      validate: {
+        validator: (email) => !email || EMAIL_REGEX.test(email),
+        message: 'Email non valida',
+      },
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'speakers',
+  },
+);
+
+SpeakerSchema.index(
+  { cognome: 1, nome: 1 },
+  { collation: { locale: 'it', strength: 1 } },
+);
+
+/**
+ * Name as printed in agendas: title, first and last name
+ *
+ * @method displayName
+ * @returns {string}
+ */
+SpeakerSchema.methods.displayName = function () {
+  return [this.titolo, this.nome, this.cognome].filter(Boolean).join(' ');
+};
+
+/**
+ * Audit trail: every create/update/delete is recorded in AuditLog
+ */
+SpeakerSchema.plugin(auditPlugin);
+
+/**
+ * Fields exposed to list filters and sorting (utils/apiFeatures.js)
+ */
+SpeakerSchema.statics.queryOptions = {
+  filterable: {
+    nome: 'string',
+    cognome: 'string',
+    organizzazione: 'string',
+    createdAt: 'date',
+  },
+  sortable: ['cognome', 'nome', 'organizzazione', 'createdAt'],
+  defaultSort: 'cognome,nome',
+};
+
+module.exports = mongoose.model('Speaker', SpeakerSchema, 'speakers');
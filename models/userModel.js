@@ -0,0 +1,283 @@
+/**
+ * @file userModel.js
+ * @description Users collection schema and model (staff/volunteer accounts)
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Represents the people allowed to manage content through the admin area
+ * Stores bcrypt-hashed passwords and the list of active refresh tokens
+ * Public visitors never need an account
+ *
+ * @example
+ * const user = await User.findOne({ email }).select('+password');
+ * if (!(await user.correctPassword(password))) {
+ *   // Invalid credentials
+ * }
+ */
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const {
+  ROLE_NAMES,
+  getRolePermissions,
+  roleHasPermission,
+} = require('../config/permissions');
+
+/**
+ * Email validation regex pattern
+ * Simplified RFC 5322 compliant pattern
+ * @constant
+ */
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * bcrypt cost factor used when hashing passwords
+ * @constant
+ */
+const BCRYPT_ROUNDS = 12;
+
+/**
+ * User Schema Definition
+ *
+ * @typedef {Object} User
+ * @property {string} name - Display name (required, 2-100 chars)
+ * @property {string} email - Login email (required, unique, valid format)
+ * @property {string} password - bcrypt hash of the password (never selected by default)
+ * @property {string} role - Account role: 'editor', 'treasurer', 'secretary', 'admin' (required)
+ * @property {boolean} active - Disabled accounts cannot log in (default: true)
+ * @property {Array<Object>} refreshTokens - Active refresh tokens (jti + expiry)
+ * @property {Date} passwordChangedAt - Last password change, invalidates older tokens
+ * @property {Date} lastLoginAt - Timestamp of the last successful login
+ * @property {Date} createdAt - Creation timestamp
+ * @property {Date} updatedAt - Last update timestamp
+ */
+const UserSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      minlength: [2, 'Name must be at least 2 characters'],
+      maxlength: [100, 'Name cannot exceed 100 characters'],
+      trim: true,
+    },
+
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      validate: {
+        validator: function (email) {
+          return EMAIL_REGEX.test(email);
+        },
+        message: 'Invalid email format',
+      },
+    },
+
+    password: {
+      type: String,
+      required: [true, 'Password is required'],
+      minlength: [8, 'Password must be at least 8 characters'],
+      select: false, // Never return the hash in queries
+    },
+
+    role: {
+      type: String,
+      required: [true, 'Role is required'],
+      enum: {
+        values: ROLE_NAMES,
+        message: `Role must be one of: ${ROLE_NAMES.join(', ')}`,
+      },
+    },
+
+    active: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Refresh tokens currently valid for this user (one per session/device)
+    refreshTokens: {
+      type: [
+        {
+          jti: { type: String, required: true },
+          expiresAt: { type: Date, required: true },
+          createdAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+      select: false,
+    },
+
+    passwordChangedAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastLoginAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Timestamps
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      immutable: true,
+    },
+
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    // Schema options
+    timestamps: false, // We manage timestamps manually
+    collection: 'users',
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.password;
+        delete ret.refreshTokens;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  },
+);
+
+/**
+ * Pre-save middleware
+ * Updates 'updatedAt' timestamp before saving
+ * Hashes the password whenever it has been set or changed
+ *
+ * @event pre:save
+ */
+UserSchema.pre('save', async function (next) {
+  this.updatedAt = Date.now();
+
+  if (!this.isModified('password')) return next();
+
+  this.password = await bcrypt.hash(this.password, BCRYPT_ROUNDS);
+
+  // Tokens issued before this moment are no longer valid
+  // (1s back-dating: the JWT iat is in seconds and may be issued right after)
+  if (!this.isNew) {
+    this.passwordChangedAt = Date.now() - 1000;
+  }
+
+  next();
+});
+
+/**
+ * Instance method to compare a candidate password with the stored hash
+ * Requires the document to be loaded with `.select('+password')`
+ *
+ * @method correctPassword
+ * @async
+ * @param {string} candidatePassword - Plain text password from the login form
+ * @returns {Promise<boolean>} True if the password matches
+ *
+ * @example
+ * const ok = await user.correctPassword(req.body.password);
+ */
+UserSchema.methods.correctPassword = function (candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+/**
+ * Instance method to check if the password changed after a token was issued
+ *
+ * @method changedPasswordAfter
+ * @param {number} jwtTimestamp - Token "iat" claim (seconds)
+ * @returns {boolean} True if the token predates the last password change
+ *
+ * @example
+ * if (user.changedPasswordAfter(decoded.iat)) {
+ *   // Reject token
+ * }
+ */
+UserSchema.methods.changedPasswordAfter = function (jwtTimestamp) {
+  if (!this.passwordChangedAt) return false;
+  const changedTimestamp = Math.floor(this.passwordChangedAt.getTime() / 1000);
+  return jwtTimestamp < changedTimestamp;
+};
+
+/**
+ * Instance method to check if the user's role grants a permission
+ *
+ * @method hasPermission
+ * @param {string} permission - Permission name (see config/permissions.js)
+ * @returns {boolean} True if granted
+ *
+ * @example
+ * if (req.user.hasPermission(PERMISSIONS.DONATIONS_BENEFICIARY_READ)) {
+ *   // Show full IBAN
+ * }
+ */
+UserSchema.methods.hasPermission = function (permission) {
+  return roleHasPermission(this.role, permission);
+};
+
+/**
+ * Virtual property with every permission granted by the user's role
+ *
+ * @virtual permissions
+ * @returns {Array<string>} Permission names
+ */
+UserSchema.virtual('permissions').get(function () {
+  return getRolePermissions(this.role);
+});
+
+/**
+ * Instance method to register a newly issued refresh token
+ * Also drops expired tokens so the array does not grow forever
+ * Requires the document to be loaded with `.select('+refreshTokens')`
+ *
+ * @method addRefreshToken
+ * @param {string} jti - Unique token identifier
+ * @param {Date} expiresAt - Token expiry
+ * @returns {void}
+ */
+UserSchema.methods.addRefreshToken = function (jti, expiresAt) {
+  const now = Date.now();
+  this.refreshTokens = this.refreshTokens.filter((t) => t.expiresAt > now);
+  this.refreshTokens.push({ jti, expiresAt });
+};
+
+/**
+ * Instance method to check whether a refresh token is still active
+ *
+ * @method hasRefreshToken
+ * @param {string} jti - Unique token identifier
+ * @returns {boolean} True if the token is registered and not expired
+ */
+UserSchema.methods.hasRefreshToken = function (jti) {
+  const now = Date.now();
+  return this.refreshTokens.some((t) => t.jti === jti && t.expiresAt > now);
+};
+
+/**
+ * Instance method to revoke a single refresh token
+ *
+ * @method revokeRefreshToken
+ * @param {string} jti - Unique token identifier
+ * @returns {void}
+ */
+UserSchema.methods.revokeRefreshToken = function (jti) {
+  this.refreshTokens = this.refreshTokens.filter((t) => t.jti !== jti);
+};
+
+/**
+ * Instance method to revoke every refresh token (logout from all devices)
+ * Used when a rotated token is presented again (possible theft)
+ *
+ * @method revokeAllRefreshTokens
+ * @returns {void}
+ */
+UserSchema.methods.revokeAllRefreshTokens = function () {
+  this.refreshTokens = [];
+};
+
+module.exports = mongoose.model('User', UserSchema, 'users');
@@ -0,0 +1,75 @@
+/**
+ * @file adminRoutes.js
+ * @description Route API di amministrazione (utenti, ruoli, permessi)
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Tutte le route richiedono login e un permesso specifico
+ *
+ * Routes:
+ * GET    /api/v1/admin/permissions  - Matrice "chi può fare cosa"
+ * GET    /api/v1/admin/users        - Elenco utenti
+ * POST   /api/v1/admin/users        - Crea utente
+ * GET    /api/v1/admin/users/:id    - Dettaglio utente
+ * PATCH  /api/v1/admin/users/:id    - Modifica utente/ruolo
+ * DELETE /api/v1/admin/users/:id    - Elimina utente
+ */
+
+const express = require('express');
+const adminController = require('./../controller/adminController');
+const userController = require('./../controller/userController');
+const { protect, restrictTo } = require('./../middleware/authMiddleware');
+const { PERMISSIONS } = require('./../config/permissions');
+const validate = require('./../middleware/validate');
+const schemas = require('./../validation/adminSchemas');
+
+const router = express.Router();
+
+router.use(protect);
+
+const canManageUsers = restrictTo(PERMISSIONS.USERS_MANAGE);
+
+/**
+ * @route GET /api/v1/admin/permissions
+ * @desc Ruoli, permessi, permessi richiesti per ogni route e utenti per ruolo
+ * @query {boolean} protectedOnly - Mostra solo le route che richiedono login
+ */
+router.get(
+  '/permissions',
+  restrictTo(PERMISSIONS.PERMISSIONS_READ),
+  validate(schemas.getPermissionMatrix),
+  adminController.getPermissionMatrix,
+);
+
+/**
+ * @route /api/v1/admin/users
+ * @desc Gestione account dello staff
+ */
+router
+  .route('/users')
+  .get(
+    canManageUsers,
+    validate(schemas.getAllUsers),
+    userController.getAllUsers,
+  )
+  .post(
+    canManageUsers,
+    validate(schemas.createUser),
+    userController.createUser,
+  );
+
+router
+  .route('/users/:id')
+  .get(canManageUsers, validate(schemas.getUser), userController.getUser)
+  .patch(
+    canManageUsers,
+    validate(schemas.updateUser),
+    userController.updateUser,
+  )
+  .delete(
+    canManageUsers,
+    validate(schemas.deleteUser),
+    userController.deleteUser,
+  );
+
+module.exports = router;
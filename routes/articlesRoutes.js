@@ -16,16 +16,31 @@ const {
   incrementArticleViews,
   getViewsStatistics,
 } = require('./../controller/articlesController');
+const { protect, restrictTo } = require('./../middleware/authMiddleware');
+const { PERMISSIONS } = require('./../config/permissions');
+const validate = require('./../middleware/validate');
+const schemas = require('./../validation/articlesSchemas');
+
+const canManage = restrictTo(PERMISSIONS.ARTICLES_MANAGE);
 
 // Statistiche views
 router.route('/statistics/views').get(getViewsStatistics);
 
 // Incrementa views
-router.route('/:id/views').patch(incrementArticleViews);
+router
+  .route('/:id/views')
+  .patch(validate(schemas.incrementArticleViews), incrementArticleViews);
 
 // CRUD routes
-router.route('/').get(getAllArticles).post(createArticle);
+router
+  .route('/')
+  .get(validate(schemas.getAllArticles), getAllArticles)
+  .post(protect, canManage, validate(schemas.createArticle), createArticle);
 
-router.route('/:id').get(getArticle).patch(updateArticle).delete(deleteArticle);
+router
+  .route('/:id')
+  .get(validate(schemas.getArticle), getArticle)
+  .patch(protect, canManage, validate(schemas.updateArticle), updateArticle)
+  .delete(protect, canManage, validate(schemas.deleteArticle), deleteArticle);
 
 module.exports = router;
@@ -0,0 +1,58 @@
+/**
+ * @file auditRoutes.js
+ * @description Route API per la consultazione dell'audit log
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Tutte le route richiedono login e il permesso audit:read
+ *
+ * Routes:
+ * GET /api/v1/audit      - Elenco voci (filtri: entityType, entityId, action, actor, from, to)
+ * GET /api/v1/audit/:id  - Dettaglio voce
+ */
+
+const express = require('express');
+const auditController = require('./../controller/auditController');
+const { protect, restrictTo } = require('./../middleware/authMiddleware');
+const { PERMISSIONS } = require('./../config/permissions');
+const validate = require('./../middleware/validate');
+const schemas = require('./../validation/auditSchemas');
+
+const router = express.Router();
+
+router.use(protect);
+
+const canRead = restrictTo(PERMISSIONS.AUDIT_READ);
+
+/**
+ * @route GET /api/v1/audit
+ * @desc Voci dell'audit log, più recenti per prime
+ * @query {string} entityType - Modello (es. Libro, Donazione)
+ * @query {string} entityId - ID del documento
+ * @query {string} action - create, update, delete
+ * @query {string} actor - ID o email dell'utente
+ * @query {string} actorType - user, anonymous, system
+ * @query {string} from - Data iniziale (ISO 8601)
+ * @query {string} to - Data finale (ISO 8601)
+ * @query {number} page - Pagina (default 1)
+ * @query {number} limit - Voci per pagina (default 20, max 100)
+ */
+router.get(
+  '/',
+  canRead,
+  validate(schemas.getAuditLogs),
+  auditController.getAuditLogs,
+);
+
+/**
+ * @route GET /api/v1/audit/:id
+ * @desc Singola voce dell'audit log
+ */
+router.get(
+  '/:id',
+  canRead,
+  validate(schemas.getAuditLog),
+  auditController.getAuditLog,
+);
+
+module.exports = router;
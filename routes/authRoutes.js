@@ -0,0 +1,58 @@
+/**
+ * @file authRoutes.js
+ * @description Route API per l'autenticazione dello staff
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Routes:
+ * POST   /api/v1/auth/login    - Login con email e password
+ * POST   /api/v1/auth/refresh  - Rinnova il token di accesso (rotazione refresh token)
+ * POST   /api/v1/auth/logout   - Revoca il refresh token
+ * GET    /api/v1/auth/me       - Profilo dell'utente autenticato
+ */
+
+const express = require('express');
+const authController = require('./../controller/authController');
+const { protect } = require('./../middleware/authMiddleware');
+const { strict } = require('./../middleware/rateLimiter');
+const validate = require('./../middleware/validate');
+const schemas = require('./../validation/authSchemas');
+
+const router = express.Router();
+
+/**
+ * @route POST /api/v1/auth/login
+ * @desc Login con email e password, restituisce access token e refresh token
+ * @body {string} email - Email dell'account
+ * @body {string} password - Password dell'account
+ * @example
+ * POST /api/v1/auth/login
+ * { email: "admin@example.com", password: "..." }
+ */
+router.post('/login', strict, validate(schemas.login), authController.login);
+
+/**
+ * @route POST /api/v1/auth/refresh
+ * @desc Scambia un refresh token con una nuova coppia di token
+ * @body {string} refreshToken - Refresh token ricevuto al login o all'ultimo rinnovo
+ * @example
+ * POST /api/v1/auth/refresh
+ * { refreshToken: "eyJhbGciOi..." }
+ */
+router.post('/refresh', validate(schemas.refresh), authController.refresh);
+
+/**
+ * @route POST /api/v1/auth/logout
+ * @desc Revoca il refresh token (l'access token scade da solo)
+ * @body {string} refreshToken - Refresh token da revocare
+ */
+router.post('/logout', validate(schemas.logout), authController.logout);
+
+/**
+ * @route GET /api/v1/auth/me
+ * @desc Restituisce il profilo dell'utente autenticato
+ * @header {string} Authorization - Bearer <accessToken>
+ */
+router.get('/me', protect, authController.getMe);
+
+module.exports = router;
@@ -3,25 +3,54 @@ const express = require('express');
 const {
     getAllRegistrations, 
     createRegistration, 
+    confirmRegistration,
     getRegistration, 
     updateRegistration, 
+    cancelRegistration,
     deleteRegistration,
-    getMember,
+    createGroupRegistration,
+    getGroup,
+    cancelGroup,
+    assignRegistrationAccommodation,
+    getTicket,
+    exportRegistrations,
+    linkRegistrationMember,
 } = require('../controller/conferenzaController');
+const { protect, restrictTo, optionalAuth } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/permissions');
+const validate = require('../middleware/validate');
+const idempotency = require('../middleware/idempotency');
+const schemas = require('../validation/conferenzaSchemas');
 
 
 const conferenzaRoutes = express.Router();
+const canManage = restrictTo(PERMISSIONS.REGISTRATIONS_MANAGE);
 
+// POST is the public registration form (Idempotency-Key header accepted); reading registrations requires login
 conferenzaRoutes.route('/')
-    .get(getAllRegistrations)
-    .post(createRegistration);
+    .get(protect, canManage, validate(schemas.getAllRegistrations), getAllRegistrations)
+    .post(validate(schemas.createRegistration), idempotency, createRegistration);
 
-conferenzaRoutes.route('/:id')
-    .get(getRegistration)
-    .patch(updateRegistration)
-    .delete(deleteRegistration);
+// Organizer exports: CSV / XLSX, name badges and attendee sheet (PDF)
+conferenzaRoutes.get('/export', protect, canManage, validate(schemas.exportRegistrations), exportRegistrations);
+
+// Group (family) registration: public form, one submission for all participants
+conferenzaRoutes.post('/group', validate(schemas.createGroupRegistration), idempotency, createGroupRegistration);
+conferenzaRoutes.get('/group/:id', protect, canManage, validate(schemas.getGroup), getGroup);
+conferenzaRoutes.patch('/group/:id/cancel', protect, canManage, validate(schemas.cancelGroup), cancelGroup);
 
-conferenzaRoutes.route('/:nome')
-    .get(getMember);
+// Public: the registrant confirms a place offered from the waitlist with their personal code
+conferenzaRoutes.post('/:id/confirm', validate(schemas.confirmRegistration), confirmRegistration);
+// Public with the personal code; organizers can download it without
+conferenzaRoutes.get('/:id/ticket', optionalAuth, validate(schemas.getTicket), getTicket);
+conferenzaRoutes.patch('/:id/cancel', protect, canManage, validate(schemas.cancelRegistration), cancelRegistration);
+conferenzaRoutes.post('/:id/accommodation', protect, canManage, validate(schemas.assignAccommodation), assignRegistrationAccommodation);
+// Link to the membership registry (/api/v1/members)
+conferenzaRoutes.patch('/:id/member', protect, canManage, validate(schemas.linkMember), linkRegistrationMember);
+
+conferenzaRoutes.route('/:id')
+    .get(protect, canManage, validate(schemas.getRegistration), getRegistration)
+    .patch(protect, canManage, validate(schemas.updateRegistration), updateRegistration)
+    .delete(protect, canManage, validate(schemas.deleteRegistration), deleteRegistration);
 
 module.exports = conferenzaRoutes;
\ No newline at end of file
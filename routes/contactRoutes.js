@@ -7,17 +7,24 @@ const {
     updateContact, 
     deleteContact,
 } = require('./../controller/contactController');
+const { protect, restrictTo } = require('./../middleware/authMiddleware');
+const { PERMISSIONS } = require('./../config/permissions');
+const validate = require('./../middleware/validate');
+const idempotency = require('./../middleware/idempotency');
+const schemas = require('./../validation/contactSchemas');
 
 
 const contactRoutes = express.Router();
+const canManage = restrictTo(PERMISSIONS.CONTACTS_MANAGE);
 
+// POST is the public contact form (Idempotency-Key header accepted); reading messages requires login
 contactRoutes.route('/')
-    .get(getAllContacts)
-    .post(createContact);
+    .get(protect, canManage, validate(schemas.getAllContacts), getAllContacts)
+    .post(validate(schemas.createContact), idempotency, createContact);
 
 contactRoutes.route('/:id')
-    .get(getContact)
-    .patch(updateContact)
-    .delete(deleteContact);
+    .get(protect, canManage, validate(schemas.getContact), getContact)
+    .patch(protect, canManage, validate(schemas.updateContact), updateContact)
+    .delete(protect, canManage, validate(schemas.deleteContact), deleteContact);
 
 module.exports = contactRoutes;
\ No newline at end of file
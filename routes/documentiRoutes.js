@@ -7,8 +7,13 @@
 
 const express = require('express');
 const documentiController = require('./../controller/documentiController');
+const { protect, restrictTo } = require('./../middleware/authMiddleware');
+const { PERMISSIONS } = require('./../config/permissions');
+const validate = require('./../middleware/validate');
+const schemas = require('./../validation/documentiSchemas');
 
 const router = express.Router();
+const canManage = restrictTo(PERMISSIONS.DOCUMENTI_MANAGE);
 
 /**
  * @route GET /api/v1/documenti/stats
@@ -30,7 +35,11 @@ router.get('/statistics/views', documentiController.getViewsStatistics);
  * @query {number} limit - Numero di documenti da recuperare (default: 6)
  * @example GET /api/v1/documenti/in-evidenza?limit=6
  */
-router.get('/in-evidenza', documentiController.getDocumentiInEvidenza);
+router.get(
+  '/in-evidenza',
+  validate(schemas.getDocumentiInEvidenza),
+  documentiController.getDocumentiInEvidenza,
+);
 
 /**
  * @route GET /api/v1/documenti/top-downloads
@@ -38,7 +47,11 @@ router.get('/in-evidenza', documentiController.getDocumentiInEvidenza);
  * @query {number} limit - Numero di documenti da recuperare (default: 10)
  * @example GET /api/v1/documenti/top-downloads?limit=10
  */
-router.get('/top-downloads', documentiController.getDocumentiTopDownloads);
+router.get(
+  '/top-downloads',
+  validate(schemas.getDocumentiTopDownloads),
+  documentiController.getDocumentiTopDownloads,
+);
 
 /**
  * @route GET /api/v1/documenti/anni-disponibili
@@ -54,7 +67,11 @@ router.get('/anni-disponibili', documentiController.getAnniDisponibili);
  * @query {number} trimestre - Trimestre 1-4 (optional)
  * @example GET /api/v1/documenti/lezionari?anno=2026&trimestre=1
  */
-router.get('/lezionari', documentiController.getLezionari);
+router.get(
+  '/lezionari',
+  validate(schemas.getLezionari),
+  documentiController.getLezionari,
+);
 
 /**
  * @route GET /api/v1/documenti/settimane-preghiera
@@ -62,7 +79,11 @@ router.get('/lezionari', documentiController.getLezionari);
  * @query {number} anno - Anno (required)
  * @example GET /api/v1/documenti/settimane-preghiera?anno=2025
  */
-router.get('/settimane-preghiera', documentiController.getSettimanePreghiera);
+router.get(
+  '/settimane-preghiera',
+  validate(schemas.getSettimanePreghiera),
+  documentiController.getSettimanePreghiera,
+);
 
 /**
  * @route GET /api/v1/documenti/tipo/:tipo
@@ -71,7 +92,11 @@ router.get('/settimane-preghiera', documentiController.getSettimanePreghiera);
  * @query {number} limit - Numero di documenti (default: 20)
  * @example GET /api/v1/documenti/tipo/guida_studio?limit=10
  */
-router.get('/tipo/:tipo', documentiController.getDocumentiByTipo);
+router.get(
+  '/tipo/:tipo',
+  validate(schemas.getDocumentiByTipo),
+  documentiController.getDocumentiByTipo,
+);
 
 /**
  * @route GET /api/v1/documenti
@@ -84,7 +109,11 @@ router.get('/tipo/:tipo', documentiController.getDocumentiByTipo);
  * @query {string} sort - Campo per ordinamento (es: -downloads)
  * @example GET /api/v1/documenti?page=1&limit=10&tipo=lezionario&anno=2026
  */
-router.get('/', documentiController.getAllDocumenti);
+router.get(
+  '/',
+  validate(schemas.getAllDocumenti),
+  documentiController.getAllDocumenti,
+);
 
 /**
  * @route GET /api/v1/documenti/:id
@@ -92,28 +121,44 @@ router.get('/', documentiController.getAllDocumenti);
  * @param {string} id - ID documento (MongoDB ObjectId)
  * @example GET /api/v1/documenti/507f1f77bcf86cd799439011
  */
-router.get('/:id', documentiController.getDocumento);
+router.get(
+  '/:id',
+  validate(schemas.getDocumento),
+  documentiController.getDocumento,
+);
 
 /**
  * @route POST /api/v1/documenti
- * @desc Crea un nuovo documento
+ * @desc Crea un nuovo documento (richiede il permesso documenti:manage)
  * @body {Object} documento - Dati del documento
  * @example
  * POST /api/v1/documenti
  * { titolo: "...", tipo: "lezionario", anno: 2026, ... }
  */
-router.post('/', documentiController.createDocumento);
+router.post(
+  '/',
+  protect,
+  canManage,
+  validate(schemas.createDocumento),
+  documentiController.createDocumento,
+);
 
 /**
  * @route PATCH /api/v1/documenti/:id
- * @desc Aggiorna un documento
+ * @desc Aggiorna un documento (richiede il permesso documenti:manage)
  * @param {string} id - ID documento
  * @body {Object} updates - Campi da aggiornare
  * @example
  * PATCH /api/v1/documenti/507f1f77bcf86cd799439011
  * { inEvidenza: true }
  */
-router.patch('/:id', documentiController.updateDocumento);
+router.patch(
+  '/:id',
+  protect,
+  canManage,
+  validate(schemas.updateDocumento),
+  documentiController.updateDocumento,
+);
 
 /**
  * @route POST /api/v1/documenti/:id/download
@@ -121,7 +166,11 @@ router.patch('/:id', documentiController.updateDocumento);
  * @param {string} id - ID documento
  * @example POST /api/v1/documenti/507f1f77bcf86cd799439011/download
  */
-router.post('/:id/download', documentiController.downloadDocumento);
+router.post(
+  '/:id/download',
+  validate(schemas.downloadDocumento),
+  documentiController.downloadDocumento,
+);
 
 /**
  * @route PATCH /api/v1/documenti/:id/views
@@ -129,14 +178,24 @@ router.post('/:id/download', documentiController.downloadDocumento);
  * @param {string} id - ID documento
  * @example PATCH /api/v1/documenti/507f1f77bcf86cd799439011/views
  */
-router.patch('/:id/views', documentiController.incrementDocumentoViews);
+router.patch(
+  '/:id/views',
+  validate(schemas.incrementDocumentoViews),
+  documentiController.incrementDocumentoViews,
+);
 
 /**
  * @route DELETE /api/v1/documenti/:id
- * @desc Elimina un documento
+ * @desc Elimina un documento (richiede il permesso documenti:manage)
  * @param {string} id - ID documento
  * @example DELETE /api/v1/documenti/507f1f77bcf86cd799439011
  */
-router.delete('/:id', documentiController.deleteDocumento);
+router.delete(
+  '/:id',
+  protect,
+  canManage,
+  validate(schemas.deleteDocumento),
+  documentiController.deleteDocumento,
+);
 
 module.exports = router;
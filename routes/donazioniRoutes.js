@@ -21,18 +21,31 @@ const {
   rateLimitPayments,
   validateWebhookSignature,
 } = require('../middleware/donationMiddleware');
+const {
+  protect,
+  restrictTo,
+  optionalAuth,
+} = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/permissions');
+const validate = require('../middleware/validate');
+const schemas = require('../validation/donazioniSchemas');
 
 // ===== PUBLIC ENDPOINTS =====
 
 /**
  * Get beneficiary information
  * Public endpoint - no auth required
+ * Full IBAN included only for users with donations:beneficiary:read
  *
  * GET /api/donazioni/beneficiary
  *
  * @returns {200} Beneficiary details
  */
-router.get('/beneficiary', donazioniController.getBeneficiaryInfo);
+router.get(
+  '/beneficiary',
+  optionalAuth,
+  donazioniController.getBeneficiaryInfo,
+);
 
 /**
  * Get recent completed donations
@@ -44,7 +57,11 @@ router.get('/beneficiary', donazioniController.getBeneficiaryInfo);
  * @query {number} limit - Number of donations to fetch (max 50)
  * @returns {200} Array of recent donations
  */
-router.get('/recent', donazioniController.getRecentDonations);
+router.get(
+  '/recent',
+  validate(schemas.getRecentDonations),
+  donazioniController.getRecentDonations,
+);
 
 /**
  * Get donation statistics
@@ -58,25 +75,37 @@ router.get('/stats', donazioniController.getDonationStats);
 
 /**
  * Get transaction logs for a specific date
- * Protected endpoint - admin/development only
+ * Protected endpoint - requires donations:logs:read (treasurer, admin)
  *
  * GET /api/donazioni/logs?date=YYYY-MM-DD
  *
  * @query {string} [date] - Date in YYYY-MM-DD format (defaults to today)
  * @returns {200} Array of transactions with statistics
  */
-router.get('/logs/transactions', donazioniController.getTransactionLogs);
+router.get(
+  '/logs/transactions',
+  protect,
+  restrictTo(PERMISSIONS.DONATIONS_LOGS_READ),
+  validate(schemas.getTransactionLogs),
+  donazioniController.getTransactionLogs,
+);
 
 /**
  * Get transaction statistics for a date
- * Protected endpoint - admin/development only
+ * Protected endpoint - requires donations:logs:read (treasurer, admin)
  *
  * GET /api/donazioni/logs/stats?date=YYYY-MM-DD
  *
  * @query {string} [date] - Date in YYYY-MM-DD format (defaults to today)
  * @returns {200} Transaction statistics
  */
-router.get('/logs/statistics', donazioniController.getTransactionStats);
+router.get(
+  '/logs/statistics',
+  protect,
+  restrictTo(PERMISSIONS.DONATIONS_LOGS_READ),
+  validate(schemas.getTransactionStats),
+  donazioniController.getTransactionStats,
+);
 
 // ===== PROTECTED ENDPOINTS WITH SECURITY =====
 
@@ -124,6 +153,7 @@ router.post(
 router.post(
   '/confirm-payment',
   rateLimitPayments,
+  validate(schemas.confirmPayment),
   donazioniController.confirmPayment,
 );
 
@@ -8,9 +8,44 @@ const {
   deleteEvent,
   incrementEventViews,
   getViewsStatistics,
+  getEventAccommodations,
+  setEventAccommodations,
+  getEventsNear,
+  getEventsWithin,
+  getEventsCalendar,
+  getEventIcs,
+  getEventOccurrences,
+  updateOccurrence,
+  deleteOccurrence,
 } = require('../controller/eventsController');
+const {
+  getEventRegistrations,
+  getEventWaitlist,
+  reorderEventWaitlist,
+  getRoomingList,
+  checkIn,
+  getCheckInStats,
+} = require('../controller/conferenzaController');
+const {
+  getEventAgenda,
+  getAgendaBySpeaker,
+  setEventAgenda,
+  addSession,
+  updateSession,
+  deleteSession,
+} = require('../controller/agendaController');
+const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/permissions');
+const validate = require('../middleware/validate');
+const schemas = require('../validation/eventsSchemas');
+const registrationSchemas = require('../validation/conferenzaSchemas');
 
 const eventsRoutes = express.Router();
+const canManage = restrictTo(PERMISSIONS.EVENTS_MANAGE);
+const canOrganize = restrictTo(
+  PERMISSIONS.EVENTS_MANAGE,
+  PERMISSIONS.REGISTRATIONS_MANAGE,
+);
 
 /**
  * Routes per gli eventi
@@ -19,12 +54,140 @@ const eventsRoutes = express.Router();
 // Statistiche views
 eventsRoutes.get('/statistics/views', getViewsStatistics);
 
+// Ricerca su mappa: vicino a un punto e dentro un riquadro (JSON o GeoJSON)
+eventsRoutes.get('/near', validate(schemas.getEventsNear), getEventsNear);
+eventsRoutes.get('/within', validate(schemas.getEventsWithin), getEventsWithin);
+
+// Calendario iCalendar: feed sottoscrivibile e singolo evento (.ics)
+eventsRoutes.get(
+  '/calendar.ics',
+  validate(schemas.getEventsCalendar),
+  getEventsCalendar,
+);
+eventsRoutes.get('/:id/ics', validate(schemas.getEventIcs), getEventIcs);
+
+// Serie ricorrenti: occorrenze nel periodo, modifica o rimozione di una sola
+eventsRoutes.get(
+  '/:id/occurrences',
+  validate(schemas.getEventOccurrences),
+  getEventOccurrences,
+);
+eventsRoutes
+  .route('/:id/occurrences/:recurrenceId')
+  .patch(
+    protect,
+    canManage,
+    validate(schemas.updateOccurrence),
+    updateOccurrence,
+  )
+  .delete(
+    protect,
+    canManage,
+    validate(schemas.deleteOccurrence),
+    deleteOccurrence,
+  );
+
+// Programma: per giorno (JSON, PDF, iCalendar) e per relatore; modifica
+// dell'intero programma o di una sessione (organizzatori)
+eventsRoutes.get(
+  '/:id/agenda/speakers',
+  validate(schemas.getAgendaBySpeaker),
+  getAgendaBySpeaker,
+);
+eventsRoutes
+  .route('/:id/agenda')
+  .get(validate(schemas.getEventAgenda), getEventAgenda)
+  .put(protect, canManage, validate(schemas.setEventAgenda), setEventAgenda);
+eventsRoutes.post(
+  '/:id/sessions',
+  protect,
+  canManage,
+  validate(schemas.addSession),
+  addSession,
+);
+eventsRoutes
+  .route('/:id/sessions/:sessionId')
+  .patch(protect, canManage, validate(schemas.updateSession), updateSession)
+  .delete(protect, canManage, validate(schemas.deleteSession), deleteSession);
+
 // Incrementa views
-eventsRoutes.patch('/:id/views', incrementEventViews);
+eventsRoutes.patch(
+  '/:id/views',
+  validate(schemas.incrementEventViews),
+  incrementEventViews,
+);
 
-// Rotte per ID
-eventsRoutes.route('/').get(getAllEvents).post(createEvent);
+// Iscritti all'evento (organizzatori)
+eventsRoutes.get(
+  '/:id/registrations',
+  protect,
+  canOrganize,
+  validate(registrationSchemas.getEventRegistrations),
+  getEventRegistrations,
+);
+
+// Lista d'attesa: consultazione e riordino (organizzatori)
+eventsRoutes
+  .route('/:id/waitlist')
+  .get(
+    protect,
+    canOrganize,
+    validate(registrationSchemas.getEventWaitlist),
+    getEventWaitlist,
+  )
+  .patch(
+    protect,
+    canOrganize,
+    validate(registrationSchemas.reorderEventWaitlist),
+    reorderEventWaitlist,
+  );
+
+// Alloggi: disponibilità (pubblica) e inventario (organizzatori)
+eventsRoutes
+  .route('/:id/accommodations')
+  .get(validate(schemas.getEventAccommodations), getEventAccommodations)
+  .put(
+    protect,
+    canManage,
+    validate(schemas.setEventAccommodations),
+    setEventAccommodations,
+  );
+
+// Rooming list ed export CSV (organizzatori)
+eventsRoutes.get(
+  '/:id/rooming-list',
+  protect,
+  canOrganize,
+  validate(registrationSchemas.getRoomingList),
+  getRoomingList,
+);
 
-eventsRoutes.route('/:id').get(getEvent).patch(updateEvent).delete(deleteEvent);
+// Check-in all'ingresso con il biglietto QR e conteggio in tempo reale
+eventsRoutes
+  .route('/:id/checkin')
+  .get(
+    protect,
+    canOrganize,
+    validate(registrationSchemas.getCheckInStats),
+    getCheckInStats,
+  )
+  .post(protect, canOrganize, validate(registrationSchemas.checkIn), checkIn);
+
+// Elenco. Senza from/to una serie ricorrente è un solo evento (la serie, con
+// la sua regola) e si pagina per page o cursor, con il totale. Con from/to
+// (al più 731 giorni) le serie sono espanse nelle occorrenze del periodo, in
+// ordine di data: si pagina solo per page, senza totale (c'è hasMore), entro
+// le prime 1000 occorrenze
+eventsRoutes
+  .route('/')
+  .get(validate(schemas.getAllEvents), getAllEvents)
+  .post(protect, canManage, validate(schemas.createEvent), createEvent);
+
+// Rotte per ID
+eventsRoutes
+  .route('/:id')
+  .get(validate(schemas.getEvent), getEvent)
+  .patch(protect, canManage, validate(schemas.updateEvent), updateEvent)
+  .delete(protect, canManage, validate(schemas.deleteEvent), deleteEvent);
 
 module.exports = eventsRoutes;
@@ -10,8 +10,13 @@
 
 const express = require('express');
 const libriController = require('./../controller/libriController');
+const { protect, restrictTo } = require('./../middleware/authMiddleware');
+const { PERMISSIONS } = require('./../config/permissions');
+const validate = require('./../middleware/validate');
+const schemas = require('./../validation/libriSchemas');
 
 const router = express.Router();
+const canManage = restrictTo(PERMISSIONS.LIBRI_MANAGE);
 
 /**
  * @route GET /api/v1/libri
@@ -23,7 +28,7 @@ const router = express.Router();
  * @example
  * GET /api/v1/libri?page=1&limit=10&category=bibbia&sort=-rating
  */
-router.get('/', libriController.getAllLibri);
+router.get('/', validate(schemas.getAllLibri), libriController.getAllLibri);
 
 /**
  * @route GET /api/v1/libri/consigliati
@@ -40,7 +45,11 @@ router.get('/consigliati', libriController.getLibriConsigliati);
  * @example
  * GET /api/v1/libri/top-downloads?limit=10
  */
-router.get('/top-downloads', libriController.getLibriTopDownloads);
+router.get(
+  '/top-downloads',
+  validate(schemas.getLibriTopDownloads),
+  libriController.getLibriTopDownloads,
+);
 
 /**
  * @route GET /api/v1/libri/stats
@@ -66,7 +75,11 @@ router.get('/statistics/views', libriController.getViewsStatistics);
  * @example
  * GET /api/v1/libri/lezionari?anno=2026&trimestre=1
  */
-router.get('/lezionari', libriController.getLezionari);
+router.get(
+  '/lezionari',
+  validate(schemas.getLezionari),
+  libriController.getLezionari,
+);
 
 /**
  * @route GET /api/v1/libri/settimane-preghiera
@@ -75,7 +88,11 @@ router.get('/lezionari', libriController.getLezionari);
  * @example
  * GET /api/v1/libri/settimane-preghiera?anno=2025
  */
-router.get('/settimane-preghiera', libriController.getSettimanePreghiera);
+router.get(
+  '/settimane-preghiera',
+  validate(schemas.getSettimanePreghiera),
+  libriController.getSettimanePreghiera,
+);
 
 /**
  * @route GET /api/v1/libri/anni-disponibili
@@ -92,7 +109,11 @@ router.get('/anni-disponibili', libriController.getAnniDisponibili);
  * @example
  * GET /api/v1/libri/search?q=grande+controversia
  */
-router.get('/search', libriController.searchLibri);
+router.get(
+  '/search',
+  validate(schemas.searchLibri),
+  libriController.searchLibri,
+);
 
 /**
  * @route GET /api/v1/libri/category/:category
@@ -101,7 +122,11 @@ router.get('/search', libriController.searchLibri);
  * @example
  * GET /api/v1/libri/category/teologia
  */
-router.get('/category/:category', libriController.getLibriByCategory);
+router.get(
+  '/category/:category',
+  validate(schemas.getLibriByCategory),
+  libriController.getLibriByCategory,
+);
 
 /**
  * @route GET /api/v1/libri/:id
@@ -110,28 +135,40 @@ router.get('/category/:category', libriController.getLibriByCategory);
  * @example
  * GET /api/v1/libri/507f1f77bcf86cd799439011
  */
-router.get('/:id', libriController.getLibro);
+router.get('/:id', validate(schemas.getLibro), libriController.getLibro);
 
 /**
  * @route POST /api/v1/libri
- * @desc Crea un nuovo libro
+ * @desc Crea un nuovo libro (richiede il permesso libri:manage)
  * @body {Object} libro - Dati del libro
  * @example
  * POST /api/v1/libri
  * { title: "...", author: "...", category: "..." }
  */
-router.post('/', libriController.createLibro);
+router.post(
+  '/',
+  protect,
+  canManage,
+  validate(schemas.createLibro),
+  libriController.createLibro,
+);
 
 /**
  * @route PATCH /api/v1/libri/:id
- * @desc Aggiorna un libro
+ * @desc Aggiorna un libro (richiede il permesso libri:manage)
  * @param {string} id - ID libro
  * @body {Object} updates - Campi da aggiornare
  * @example
  * PATCH /api/v1/libri/507f1f77bcf86cd799439011
  * { rating: 4.8, featured: true }
  */
-router.patch('/:id', libriController.updateLibro);
+router.patch(
+  '/:id',
+  protect,
+  canManage,
+  validate(schemas.updateLibro),
+  libriController.updateLibro,
+);
 
 /**
  * @route POST /api/v1/libri/:id/download
@@ -140,7 +177,11 @@ router.patch('/:id', libriController.updateLibro);
  * @example
  * POST /api/v1/libri/507f1f77bcf86cd799439011/download
  */
-router.post('/:id/download', libriController.downloadLibro);
+router.post(
+  '/:id/download',
+  validate(schemas.downloadLibro),
+  libriController.downloadLibro,
+);
 
 /**
  * @route PATCH /api/v1/libri/:id/views
@@ -149,15 +190,25 @@ router.post('/:id/download', libriController.downloadLibro);
  * @example
  * PATCH /api/v1/libri/507f1f77bcf86cd799439011/views
  */
-router.patch('/:id/views', libriController.incrementLibroViews);
+router.patch(
+  '/:id/views',
+  validate(schemas.incrementLibroViews),
+  libriController.incrementLibroViews,
+);
 
 /**
  * @route DELETE /api/v1/libri/:id
- * @desc Elimina un libro
+ * @desc Elimina un libro (richiede il permesso libri:manage)
  * @param {string} id - ID libro
  * @example
  * DELETE /api/v1/libri/507f1f77bcf86cd799439011
  */
-router.delete('/:id', libriController.deleteLibro);
+router.delete(
+  '/:id',
+  protect,
+  canManage,
+  validate(schemas.deleteLibro),
+  libriController.deleteLibro,
+);
 
 module.exports = router;
@@ -0,0 +1,115 @@
+/**
+ * @file memberRoutes.js
+ * @description Route API per l'anagrafe dei membri di chiesa
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Tutte le route richiedono il login: i dati dei membri non sono pubblici
+ * Il lookup è aperto anche a chi gestisce le iscrizioni (collegamento
+ * iscrizione → membro)
+ */
+
+const express = require('express');
+const memberController = require('./../controller/memberController');
+const { protect, restrictTo } = require('./../middleware/authMiddleware');
+const { PERMISSIONS } = require('./../config/permissions');
+const validate = require('./../middleware/validate');
+const schemas = require('./../validation/memberSchemas');
+
+const router = express.Router();
+const canManage = restrictTo(PERMISSIONS.MEMBERS_MANAGE);
+
+router.use(protect);
+
+/**
+ * @route GET /api/v1/members/lookup
+ * @desc Cerca un membro per email, nome e cognome (e data di nascita) o dai dati di un'iscrizione
+ * @example
+ * GET /api/v1/members/lookup?registration=507f1f77bcf86cd799439011
+ */
+router.get(
+  '/lookup',
+  restrictTo(PERMISSIONS.MEMBERS_MANAGE, PERMISSIONS.REGISTRATIONS_MANAGE),
+  validate(schemas.lookupMember),
+  memberController.lookupMember,
+);
+
+/**
+ * @route GET /api/v1/members/search
+ * @desc Ricerca per nome e città
+ * @example
+ * GET /api/v1/members/search?q=ross+mar&citta=Roma
+ */
+router.get(
+  '/search',
+  canManage,
+  validate(schemas.searchMembers),
+  memberController.searchMembers,
+);
+
+/**
+ * @route GET /api/v1/members
+ * @desc Elenco dei membri con filtri, ordinamento e paginazione
+ * @route POST /api/v1/members
+ * @desc Crea un membro
+ */
+router
+  .route('/')
+  .get(
+    canManage,
+    validate(schemas.getAllMembers),
+    memberController.getAllMembers,
+  )
+  .post(
+    canManage,
+    validate(schemas.createMember),
+    memberController.createMember,
+  );
+
+/**
+ * @route GET|POST|DELETE /api/v1/members/:id/household
+ * @desc Nucleo familiare: elenco, ingresso nel nucleo di un altro membro, uscita
+ */
+router
+  .route('/:id/household')
+  .get(canManage, validate(schemas.getHousehold), memberController.getHousehold)
+  .post(
+    canManage,
+    validate(schemas.joinHousehold),
+    memberController.joinHousehold,
+  )
+  .delete(
+    canManage,
+    validate(schemas.leaveHousehold),
+    memberController.leaveHousehold,
+  );
+
+/**
+ * @route GET /api/v1/members/:id/registrations
+ * @desc Iscrizioni alle conferenze collegate al membro
+ */
+router.get(
+  '/:id/registrations',
+  canManage,
+  validate(schemas.getMemberRegistrations),
+  memberController.getMemberRegistrations,
+);
+
+/**
+ * @route GET|PATCH|DELETE /api/v1/members/:id
+ */
+router
+  .route('/:id')
+  .get(canManage, validate(schemas.getMember), memberController.getMember)
+  .patch(
+    canManage,
+    validate(schemas.updateMember),
+    memberController.updateMember,
+  )
+  .delete(
+    canManage,
+    validate(schemas.deleteMember),
+    memberController.deleteMember,
+  );
+
+module.exports = router;
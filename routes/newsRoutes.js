@@ -8,14 +8,26 @@ const {
   deleteNews,
   getViewsStatistics,
 } = require('./../controller/newsController');
+const { protect, restrictTo } = require('./../middleware/authMiddleware');
+const { PERMISSIONS } = require('./../config/permissions');
+const validate = require('./../middleware/validate');
+const schemas = require('./../validation/newsSchemas');
 
 const newsRoutes = express.Router();
+const canManage = restrictTo(PERMISSIONS.NEWS_MANAGE);
 
-newsRoutes.route('/').get(getAllNews).post(createNews);
+newsRoutes
+  .route('/')
+  .get(validate(schemas.getAllNews), getAllNews)
+  .post(protect, canManage, validate(schemas.createNews), createNews);
 
 // 📊 Statistiche views
 newsRoutes.get('/stats/views', getViewsStatistics);
 
-newsRoutes.route('/:id').get(getNews).patch(updateNews).delete(deleteNews);
+newsRoutes
+  .route('/:id')
+  .get(validate(schemas.getNews), getNews)
+  .patch(protect, canManage, validate(schemas.updateNews), updateNews)
+  .delete(protect, canManage, validate(schemas.deleteNews), deleteNews);
 
 module.exports = newsRoutes;
@@ -18,8 +18,13 @@ const {
   addPhaseMedia,
   deletePhase,
 } = require('../controller/projectPhaseController');
+const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../config/permissions');
+const validate = require('../middleware/validate');
+const schemas = require('../validation/projectPhaseSchemas');
 
 const router = express.Router();
+const canManage = restrictTo(PERMISSIONS.PROJECT_PHASES_MANAGE);
 
 /**
  * Routes per le fasi del progetto
@@ -28,22 +33,64 @@ const router = express.Router();
 
 // Rotte generali (specifiche)
 router.get('/stats', getProjectStats);
-router.get('/progress/all', getAllPhases);
+router.get('/progress/all', validate(schemas.getAllPhases), getAllPhases);
 
 // Rotte per numero fase (PRIMA di :id)
-router.get('/number/:phaseNumber', getPhaseByNumber);
-router.get('/number/:phaseNumber/media', getPhaseMedia);
-router.get('/number/:phaseNumber/milestones', getPhaseMilestones);
-router.patch('/number/:phaseNumber/progress', updatePhaseProgress);
-router.post('/number/:phaseNumber/media', addPhaseMedia);
+router.get(
+  '/number/:phaseNumber',
+  validate(schemas.getPhaseByNumber),
+  getPhaseByNumber,
+);
+router.get(
+  '/number/:phaseNumber/media',
+  validate(schemas.getPhaseMedia),
+  getPhaseMedia,
+);
+router.get(
+  '/number/:phaseNumber/milestones',
+  validate(schemas.getPhaseMilestones),
+  getPhaseMilestones,
+);
+router.patch(
+  '/number/:phaseNumber/progress',
+  protect,
+  canManage,
+  validate(schemas.updatePhaseProgress),
+  updatePhaseProgress,
+);
+router.post(
+  '/number/:phaseNumber/media',
+  protect,
+  canManage,
+  validate(schemas.addPhaseMedia),
+  addPhaseMedia,
+);
 
 // Rotte per ID fase
-router.get('/:id', getPhaseById);
-router.patch('/:id', updatePhase);
-router.delete('/:id', deletePhase);
+router.get('/:id', validate(schemas.getPhaseById), getPhaseById);
+router.patch(
+  '/:id',
+  protect,
+  canManage,
+  validate(schemas.updatePhase),
+  updatePhase,
+);
+router.delete(
+  '/:id',
+  protect,
+  canManage,
+  validate(schemas.deletePhase),
+  deletePhase,
+);
 
 // Rotte principali
-router.get('/', getAllPhases);
-router.post('/', createPhase);
+router.get('/', validate(schemas.getAllPhases), getAllPhases);
+router.post(
+  '/',
+  protect,
+  canManage,
+  validate(schemas.createPhase),
+  createPhase,
+);
 
 module.exports = router;
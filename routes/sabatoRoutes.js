@@ -0,0 +1,53 @@
+/**
+ * @file sabatoRoutes.js
+ * @description Route API per gli orari del sabato
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Route pubbliche: gli orari sono calcolati e non dipendono da dati riservati
+ */
+
+const express = require('express');
+const sabatoController = require('./../controller/sabatoController');
+const validate = require('./../middleware/validate');
+const schemas = require('./../validation/sabatoSchemas');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/v1/sabato
+ * @desc Tramonto del venerdì e del sabato della settimana di una data
+ * @example
+ * GET /api/v1/sabato?citta=Roma&date=2026-06-17
+ */
+router.get(
+  '/',
+  validate(schemas.getSabbathTimes),
+  sabatoController.getSabbathTimes,
+);
+
+/**
+ * @route GET /api/v1/sabato/anno
+ * @desc Tabella annuale dei tramonti del sabato (JSON, CSV o PDF)
+ * @example
+ * GET /api/v1/sabato/anno?lat=45.07&lng=7.69&year=2027&format=csv
+ */
+router.get(
+  '/anno',
+  validate(schemas.getSabbathYear),
+  sabatoController.getSabbathYear,
+);
+
+/**
+ * @route GET /api/v1/sabato/comuni
+ * @desc Comuni disponibili per nome (autocompletamento)
+ * @example
+ * GET /api/v1/sabato/comuni?q=reg
+ */
+router.get(
+  '/comuni',
+  validate(schemas.searchSabbathPlaces),
+  sabatoController.searchSabbathPlaces,
+);
+
+module.exports = router;
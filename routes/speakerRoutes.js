@@ -0,0 +1,66 @@
+/**
+ * @file speakerRoutes.js
+ * @description Route API per i relatori delle conferenze
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Schede e interventi dei relatori sono pubblici; creazione, modifica ed
+ * eliminazione sono riservate a chi gestisce gli eventi
+ */
+
+const express = require('express');
+const speakerController = require('./../controller/speakerController');
+const { protect, restrictTo } = require('./../middleware/authMiddleware');
+const { PERMISSIONS } = require('./../config/permissions');
+const validate = require('./../middleware/validate');
+const schemas = require('./../validation/speakerSchemas');
+
+const router = express.Router();
+const canManage = restrictTo(PERMISSIONS.EVENTS_MANAGE);
+
+/**
+ * @route GET /api/v1/speakers
+ * @desc Elenco dei relatori con filtri, ordinamento e paginazione
+ * @route POST /api/v1/speakers
+ * @desc Crea un relatore
+ */
+router
+  .route('/')
+  .get(validate(schemas.getAllSpeakers), speakerController.getAllSpeakers)
+  .post(
+    protect,
+    canManage,
+    validate(schemas.createSpeaker),
+    speakerController.createSpeaker,
+  );
+
+/**
+ * @route GET /api/v1/speakers/:id/sessions
+ * @desc Interventi del relatore in tutti gli eventi
+ */
+router.get(
+  '/:id/sessions',
+  validate(schemas.getSpeakerSessions),
+  speakerController.getSpeakerSessions,
+);
+
+/**
+ * @route GET|PATCH|DELETE /api/v1/speakers/:id
+ */
+router
+  .route('/:id')
+  .get(validate(schemas.getSpeaker), speakerController.getSpeaker)
+  .patch(
+    protect,
+    canManage,
+    validate(schemas.updateSpeaker),
+    speakerController.updateSpeaker,
+  )
+  .delete(
+    protect,
+    canManage,
+    validate(schemas.deleteSpeaker),
+    speakerController.deleteSpeaker,
+  );
+
+module.exports = router;
@@ -0,0 +1,33 @@
+/**
+ * @file systemRoutes.js
+ * @description Route API per la diagnostica del server
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Tutte le route richiedono login e il permesso system:status:read
+ * I probe pubblici /healthz e /readyz sono montati direttamente in index.js
+ *
+ * Routes:
+ * GET /api/v1/system/status - Database, Stripe, memoria, uptime, build, rate limiter
+ */
+
+const express = require('express');
+const systemController = require('./../controller/systemController');
+const { protect, restrictTo } = require('./../middleware/authMiddleware');
+const { PERMISSIONS } = require('./../config/permissions');
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * @route GET /api/v1/system/status
+ * @desc Stato del database, modalità Stripe, memoria, uptime, versione e statistiche dei rate limiter
+ */
+router.get(
+  '/status',
+  restrictTo(PERMISSIONS.SYSTEM_STATUS_READ),
+  systemController.getSystemStatus,
+);
+
+module.exports = router;
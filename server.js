@@ -1,20 +1,37 @@
 const mongoose = require('mongoose');
-const dotenv = require('dotenv');
-dotenv.config({ path: './config.env' }); // load environment variables from.env file
+const { ConfigError, describeConfig } = require('./config/env');
 
-const port = process.env.PORT || 3000; // use environment variable PORT or default 3000
+// Load and validate configuration first: stop with a full report if anything is wrong
+let config;
+try {
+  config = require('./config');
+} catch (err) {
+  if (!(err instanceof ConfigError)) throw err;
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
+
+console.log('⚙️  Configuration:');
+describeConfig().forEach((line) => console.log(`   ${line}`));
+
+const port = config.port;
 
 const app = require('./index');
+const { startEventScheduler } = require('./utils/eventLifecycle');
 
 // Connect to the database
-const DB = process.env.MONGODB_URI;
+const DB = config.database.uri;
 
 // ✅ Imposta CORS per il frontend su Vite (localhost:5173)
 // ✅ Risponde manualmente alle preflight OPTIONS request
 
 mongoose
   .connect(DB, {})
-  .then(() => console.log('✅ MongoDB connected'))
+  .then(() => {
+    console.log('✅ MongoDB connected');
+    // Status changes, registration cutoff and reminders (EVENT_SCHEDULER_ENABLED)
+    startEventScheduler();
+  })
   .catch((err) => console.error('❌ DB Connection Error:', err));
 
 app.listen(port, () => {
@@ -0,0 +1,256 @@
+/**
+ * @file accommodations.test.js
+ * @description Bed inventory of an event: claimBed never overbooks a room,
+ * releaseBed gives the bed back, setAccommodations is refused when the
+ * inventory changed after it was read (accommodationsRev)
+ *
+ * Run with `npm test` (node:test, no database: the conditional updates of the
+ * Event model run on an in-memory document)
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Event = require('../models/eventiModel');
+
+const eventId = new mongoose.Types.ObjectId();
+
+/**
+ * Event as stored: accommodations and revision counter
+ */
+let stored;
+
+/**
+ * Called before each write, to simulate a concurrent request
+ */
+let beforeWrite;
+
+const dormitory = (rooms) => ({
+  code: 'dormitorio',
+  name: 'Dormitorio',
+  kind: 'dormitory',
+  bedsPerRoom: 2,
+  pricePerNight: 20,
+  rooms,
+});
+
+const roomOf = (code, number) => {
+  const type = stored.accommodations.find((a) => a.code === code);
+  return type && type.rooms.find((r) => r.number === number);
+};
+
+/**
+ * Room condition of a filter ($elemMatch on rooms)
+ */
+const roomMatches = (room, match) => {
+  if (!match) return true;
+  const { occupied } = match;
+  if (typeof occupied === 'number' && occupied !== room.occupied) return false;
+  if (occupied && occupied.$gt !== undefined && room.occupied <= occupied.$gt) {
+    return false;
+  }
+  return !('gender' in match) || match.gender === room.gender;
+};
+
+/**
+ * Claims a bed directly on the stored document (another request)
+ */
+const takeBed = (code, number, gender) => {
+  const room = roomOf(code, number);
+  room.occupied += 1;
+  room.gender = gender;
+  stored.accommodationsRev += 1;
+};
+
+const stubEvent = (t) => {
+  const snapshot = () =>
+    Event.hydrate({ _id: eventId, ...structuredClone(stored) });
+
+  t.mock.method(Event, 'findById', () => ({ select: async () => snapshot() }));
+
+  // Updates with arrayFilters on one room (claimBed / releaseBed)
+  t.mock.method(
+    Event,
+    'updateOne',
+    async (filter, update, { arrayFilters }) => {
+      if (beforeWrite) beforeWrite();
+      const [{ 'a.code': code }, { 'r.number': number, 'r.occupied': empty }] =
+        arrayFilters;
+      const room = roomOf(code, number);
+      const match = filter.accommodations?.$elemMatch.rooms.$elemMatch;
+      if (!room || !roomMatches(room, match)) return { modifiedCount: 0 };
+      if (empty !== undefined && room.occupied !== empty) {
+        return { modifiedCount: 0 };
+      }
+
+      const inc = update.$inc || {};
+      const set = update.$set || {};
+      room.occupied += inc['accommodations.$[a].rooms.$[r].occupied'] || 0;
+      if ('accommodations.$[a].rooms.$[r].gender' in set) {
+        room.gender = set['accommodations.$[a].rooms.$[r].gender'];
+      }
+      stored.accommodationsRev += inc.accommodationsRev || 0;
+      return { modifiedCount: 1 };
+    },
+  );
+
+  // Whole inventory replaced if the revision is still the one read
+  t.mock.method(Event, 'findOneAndUpdate', async (filter, update) => {
+    if (beforeWrite) beforeWrite();
+    if ('accommodationsRev' in filter) {
+      const rev = filter.accommodationsRev;
+      const current = rev && rev.$in ? rev.$in : [rev];
+      if (!current.includes(stored.accommodationsRev)) return null;
+    }
+
+    stored.accommodations = structuredClone(update.$set.accommodations);
+    stored.accommodationsRev += update.$inc.accommodationsRev;
+    return snapshot();
+  });
+
+  return Event.hydrate({ _id: eventId });
+};
+
+beforeEach(() => {
+  beforeWrite = null;
+  stored = {
+    accommodationsRev: 3,
+    accommodations: [
+      dormitory([
+        { number: 1, gender: 'F', occupied: 1 },
+        { number: 2, gender: 'M', occupied: 2 },
+      ]),
+    ],
+  };
+});
+
+describe('Event.claimBed', () => {
+  it('claims the last bed of a room', async (t) => {
+    const event = stubEvent(t);
+
+    const bed = await event.claimBed('dormitorio', { gender: 'F' });
+
+    assert.deepStrictEqual(bed, {
+      code: 'dormitorio',
+      kind: 'dormitory',
+      room: 1,
+      pricePerNight: 20,
+    });
+    assert.strictEqual(roomOf('dormitorio', 1).occupied, 2);
+    assert.strictEqual(stored.accommodationsRev, 4);
+  });
+
+  it('finds no bed when every room that fits is full', async (t) => {
+    const event = stubEvent(t);
+    takeBed('dormitorio', 1, 'F');
+
+    const bed = await event.claimBed('dormitorio', { gender: 'F' });
+
+    assert.strictEqual(bed, null);
+    assert.strictEqual(Event.updateOne.mock.callCount(), 0);
+  });
+
+  it('does not put a guest in a room of the other gender', async (t) => {
+    const event = stubEvent(t);
+
+    const bed = await event.claimBed('dormitorio', { gender: 'M' });
+
+    assert.strictEqual(bed, null);
+    assert.strictEqual(roomOf('dormitorio', 1).occupied, 1);
+  });
+
+  it('does not overbook when another request takes the last bed first', async (t) => {
+    const event = stubEvent(t);
+    beforeWrite = () => {
+      beforeWrite = null;
+      takeBed('dormitorio', 1, 'F');
+    };
+
+    const bed = await event.claimBed('dormitorio', { gender: 'F' });
+
+    assert.strictEqual(bed, null);
+    assert.strictEqual(roomOf('dormitorio', 1).occupied, 2);
+  });
+});
+
+describe('Event.releaseBed', () => {
+  it('gives the bed back and clears the gender of an empty room', async (t) => {
+    const event = stubEvent(t);
+
+    await event.releaseBed('dormitorio', 1);
+
+    assert.deepStrictEqual(roomOf('dormitorio', 1), {
+      number: 1,
+      gender: null,
+      occupied: 0,
+    });
+    assert.strictEqual(stored.accommodationsRev, 4);
+  });
+
+  it('never goes below zero guests', async (t) => {
+    const event = stubEvent(t);
+    await event.releaseBed('dormitorio', 1);
+
+    await event.releaseBed('dormitorio', 1);
+
+    assert.strictEqual(roomOf('dormitorio', 1).occupied, 0);
+    assert.strictEqual(stored.accommodationsRev, 4);
+  });
+});
+
+describe('Event.setAccommodations', () => {
+  const types = [
+    {
+      code: 'dormitorio',
+      name: 'Dormitorio',
+      kind: 'dormitory',
+      rooms: 3,
+      bedsPerRoom: 2,
+      pricePerNight: 25,
+    },
+  ];
+
+  it('adds rooms and keeps the guests of existing ones', async (t) => {
+    const event = stubEvent(t);
+
+    const { event: updated, conflicts } = await event.setAccommodations(types);
+
+    assert.deepStrictEqual(conflicts, []);
+    assert.ok(updated);
+    assert.deepStrictEqual(
+      stored.accommodations[0].rooms.map((r) => r.occupied),
+      [1, 2, 0],
+    );
+    assert.strictEqual(stored.accommodations[0].pricePerNight, 25);
+    assert.strictEqual(stored.accommodationsRev, 4);
+  });
+
+  it('rejects a stale revision (a bed was claimed after the read)', async (t) => {
+    const event = stubEvent(t);
+    beforeWrite = () => {
+      beforeWrite = null;
+      takeBed('dormitorio', 1, 'F');
+    };
+
+    const { event: updated, conflicts } = await event.setAccommodations(types);
+
+    assert.strictEqual(updated, null);
+    assert.deepStrictEqual(conflicts, []);
+    // The concurrent claim is kept, not overwritten by the stale inventory
+    assert.strictEqual(roomOf('dormitorio', 1).occupied, 2);
+    assert.strictEqual(stored.accommodations[0].rooms.length, 2);
+  });
+
+  it('refuses to remove occupied rooms', async (t) => {
+    const event = stubEvent(t);
+
+    const { event: updated, conflicts } = await event.setAccommodations([
+      { ...types[0], rooms: 1 },
+    ]);
+
+    assert.strictEqual(updated, null);
+    assert.deepStrictEqual(conflicts, ['dormitorio: room 2 is occupied']);
+    assert.strictEqual(Event.findOneAndUpdate.mock.callCount(), 0);
+  });
+});
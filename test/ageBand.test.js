@@ -0,0 +1,49 @@
+/**
+ * @file ageBand.test.js
+ * @description Age band of a registration at the start of the event, the
+ * same whatever the time zone of the server
+ *
+ * Run with `npm test` (node:test, no database needed)
+ */
+
+// Behind UTC: a birth date stored at midnight UTC is the day before locally
+process.env.TZ = 'America/Los_Angeles';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const Conferenza = require('../models/conferenzaModel');
+
+// Event on 1 July 2026, 09:00 in Rome
+const eventDate = new Date('2026-07-01T07:00:00.000Z');
+
+describe('Conferenza.ageBand', () => {
+  it('counts the birthday on the day of the event', () => {
+    assert.strictEqual(
+      Conferenza.ageBand(new Date('2008-07-01'), eventDate),
+      'adult',
+    );
+    assert.strictEqual(
+      Conferenza.ageBand(new Date('2014-07-01'), eventDate),
+      'youth',
+    );
+  });
+
+  it('does not count a birthday the day after the event', () => {
+    assert.strictEqual(
+      Conferenza.ageBand(new Date('2008-07-02'), eventDate),
+      'youth',
+    );
+    assert.strictEqual(
+      Conferenza.ageBand(new Date('2014-07-02'), eventDate),
+      'child',
+    );
+  });
+
+  it('uses the age at the event, not today', () => {
+    assert.strictEqual(
+      Conferenza.ageBand(new Date('2008-12-31'), eventDate),
+      'youth',
+    );
+  });
+});
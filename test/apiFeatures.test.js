@@ -0,0 +1,303 @@
+/**
+ * @file apiFeatures.test.js
+ * @description List queries built from req.query: allowlisted filters and
+ * operators, sort with _id tie-break, page limits and opaque cursors
+ *
+ * Run with `npm test` (node:test, no database: the Mongoose queries are only
+ * built and inspected; execute() runs on a stubbed Query#exec)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const APIFeatures = require('../utils/apiFeatures');
+const News = require('../models/newsModel');
+
+const { MAX_LIMIT } = APIFeatures;
+
+const features = (queryString, options) =>
+  new APIFeatures(News.find(), queryString, options);
+
+/**
+ * Asserts a 400 AppError with the given code and per-field error
+ */
+const rejects = (fn, field, code = 'INVALID_QUERY') =>
+  assert.throws(fn, (err) => {
+    assert.strictEqual(err.statusCode, 400);
+    assert.strictEqual(err.code, code);
+    assert.ok(err.errors[field], `expected an error on ${field}`);
+    return true;
+  });
+
+const cursorOf = (payload) =>
+  Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const id = () => new mongoose.Types.ObjectId().toString();
+
+describe('APIFeatures#filter', () => {
+  it('builds conditions for the operators of each field type', () => {
+    const { query } = features({
+      status: 'published',
+      category: { ne: 'storia' },
+      tags: { in: 'chiesa, giovani' },
+      author: { nin: 'a,b' },
+      views: { gte: '10', lt: '50' },
+      featured: 'true',
+      publishedAt: { gte: '2026-01-01' },
+    }).filter();
+
+    assert.deepStrictEqual(query.getFilter(), {
+      status: { $eq: 'published' },
+      category: { $ne: 'storia' },
+      tags: { $in: ['chiesa', 'giovani'] },
+      author: { $nin: ['a', 'b'] },
+      views: { $gte: 10, $lt: 50 },
+      featured: { $eq: true },
+      publishedAt: { $gte: new Date('2026-01-01') },
+    });
+  });
+
+  it('matches prefixes literally and without case', () => {
+    const { query } = features({ title: { prefix: 'Anno (2026).' } }).filter();
+
+    const { title } = query.getFilter();
+    assert.deepStrictEqual(title, {
+      $regex: '^Anno \\(2026\\)\\.',
+      $options: 'i',
+    });
+    assert.ok(
+      new RegExp(title.$regex, title.$options).test('anno (2026). Report'),
+    );
+    assert.ok(!new RegExp(title.$regex, title.$options).test('Anno 2026'));
+  });
+
+  it('rejects fields that are not in the allowlist', () => {
+    rejects(() => features({ password: 'x' }).filter(), 'password');
+    rejects(() => features({ $where: 'sleep(1000)' }).filter(), '$where');
+  });
+
+  it('rejects values that are not a single string', () => {
+    // ?status=a&status=b
+    rejects(() => features({ status: ['a', 'b'] }).filter(), 'status');
+    // ?views[gt][$ne]=1
+    rejects(
+      () => features({ views: { gt: { $ne: '1' } } }).filter(),
+      'views[gt]',
+    );
+  });
+
+  it('rejects unknown operators and operators not valid for the type', () => {
+    rejects(
+      () => features({ views: { $where: '1' } }).filter(),
+      'views[$where]',
+    );
+    rejects(() => features({ title: { gt: 'a' } }).filter(), 'title[gt]');
+    rejects(
+      () => features({ views: { prefix: '1' } }).filter(),
+      'views[prefix]',
+    );
+  });
+
+  it('rejects values of the wrong type', () => {
+    rejects(() => features({ views: 'many' }).filter(), 'views');
+    rejects(() => features({ featured: 'yes' }).filter(), 'featured');
+    rejects(
+      () => features({ publishedAt: { lt: 'soon' } }).filter(),
+      'publishedAt[lt]',
+    );
+    rejects(() => features({ views: { in: '1,x' } }).filter(), 'views[in]');
+  });
+
+  it('limits in/nin lists to 50 values', () => {
+    const values = Array.from({ length: 51 }, (_, i) => `t${i}`).join(',');
+    rejects(() => features({ tags: { in: values } }).filter(), 'tags[in]');
+  });
+
+  it('ignores the pagination and sort params', () => {
+    const { query } = features({
+      page: '2',
+      limit: '5',
+      sort: 'views',
+      fields: 'title',
+      cursor: 'x',
+    }).filter();
+    assert.deepStrictEqual(query.getFilter(), {});
+  });
+});
+
+describe('APIFeatures#sort', () => {
+  it('uses the default sort and breaks ties on _id', () => {
+    const { query } = features({}).sort();
+    assert.deepStrictEqual(query.getOptions().sort, { createdAt: -1, _id: -1 });
+  });
+
+  it('sorts on several allowlisted fields', () => {
+    const { query } = features({ sort: 'title,-views' }).sort();
+    assert.deepStrictEqual(query.getOptions().sort, {
+      title: 1,
+      views: -1,
+      _id: -1,
+    });
+  });
+
+  it('rejects fields that are not sortable', () => {
+    rejects(() => features({ sort: 'password' }).sort(), 'sort');
+    rejects(() => features({ sort: ['views', 'title'] }).sort(), 'sort');
+  });
+});
+
+describe('APIFeatures#paginate', () => {
+  it(`pages by ${MAX_LIMIT} rows by default`, () => {
+    const { query } = features({}).sort().paginate();
+    assert.strictEqual(MAX_LIMIT, 100);
+    assert.deepStrictEqual(query.getOptions(), {
+      sort: { createdAt: -1, _id: -1 },
+      skip: 0,
+      limit: 100,
+    });
+  });
+
+  it('skips the rows of the previous pages', () => {
+    const { query } = features({ page: '3', limit: '20' }).sort().paginate();
+    assert.strictEqual(query.getOptions().skip, 40);
+    assert.strictEqual(query.getOptions().limit, 20);
+  });
+
+  it(`rejects limits above ${MAX_LIMIT} and invalid pages`, () => {
+    rejects(
+      () =>
+        features({ limit: String(MAX_LIMIT + 1) })
+          .sort()
+          .paginate(),
+      'limit',
+    );
+    rejects(() => features({ limit: '0' }).sort().paginate(), 'limit');
+    rejects(() => features({ page: '1.5' }).sort().paginate(), 'page');
+    rejects(
+      () => features({ page: '2', cursor: 'x' }).sort().paginate(),
+      'cursor',
+    );
+  });
+});
+
+describe('APIFeatures cursors', () => {
+  const docs = [
+    { _id: id(), views: 30, title: 'c' },
+    { _id: id(), views: 20, title: 'b' },
+    { _id: id(), views: 20, title: 'a' },
+  ].map((doc) => News.hydrate(doc));
+
+  const stubExec = (t, rows) =>
+    t.mock.method(mongoose.Query.prototype, 'exec', async function () {
+      return this.op === 'countDocuments' ? docs.length : rows;
+    });
+
+  it('continues after the last row, breaking ties on _id', async (t) => {
+    stubExec(t, docs);
+    const first = features({ sort: '-views', limit: '2' }).sort().paginate();
+    const { pagination } = await first.execute();
+
+    assert.strictEqual(pagination.hasMore, true);
+    assert.strictEqual(pagination.total, 3);
+    assert.ok(/^[A-Za-z0-9_-]+$/.test(pagination.nextCursor), 'base64url');
+
+    const next = features({
+      sort: '-views',
+      limit: '2',
+      cursor: pagination.nextCursor,
+    })
+      .sort()
+      .paginate();
+    const lastId = docs[1]._id.toString();
+
+    assert.deepStrictEqual(next.query.getFilter(), {
+      $and: [
+        {
+          $or: [
+            { views: { $lt: 20 } },
+            { views: 20, _id: { $lt: lastId } },
+            { views: null },
+          ],
+        },
+      ],
+    });
+    assert.strictEqual(next.query.getOptions().skip, undefined);
+  });
+
+  it('keeps dates as dates through the cursor', () => {
+    const publishedAt = '2026-03-01T10:00:00.000Z';
+    const cursor = cursorOf({
+      s: 'publishedAt',
+      v: publishedAt,
+      d: true,
+      id: id(),
+    });
+    const { query } = features({ sort: 'publishedAt', cursor })
+      .sort()
+      .paginate();
+
+    const [{ $or }] = query.getFilter().$and;
+    assert.deepStrictEqual($or[0], {
+      publishedAt: { $gt: new Date(publishedAt) },
+    });
+  });
+
+  it('has no next cursor on the last page', async (t) => {
+    stubExec(t, docs);
+    const { pagination } = await features({ sort: '-views', limit: '5' })
+      .sort()
+      .paginate()
+      .execute();
+
+    assert.strictEqual(pagination.hasMore, false);
+    assert.strictEqual(pagination.nextCursor, null);
+  });
+
+  it('rejects malformed cursors', () => {
+    const paginate =
+      (cursor, sort = '-views') =>
+      () =>
+        features({ sort, cursor }).sort().paginate();
+
+    rejects(paginate('not a cursor!'), 'cursor', 'INVALID_CURSOR');
+    rejects(
+      paginate(Buffer.from('[1,').toString('base64url')),
+      'cursor',
+      'INVALID_CURSOR',
+    );
+    // Made for another sort
+    rejects(
+      paginate(cursorOf({ s: 'views', v: 1, id: id() })),
+      'cursor',
+      'INVALID_CURSOR',
+    );
+    // Id that is not an ObjectId
+    rejects(
+      paginate(cursorOf({ s: '-views', v: 1, id: 'x' })),
+      'cursor',
+      'INVALID_CURSOR',
+    );
+    // Operator smuggled in the value
+    rejects(
+      paginate(cursorOf({ s: '-views', v: { $gt: '' }, id: id() })),
+      'cursor',
+      'INVALID_CURSOR',
+    );
+    // Invalid date
+    rejects(
+      paginate(
+        cursorOf({ s: 'publishedAt', v: 'never', d: true, id: id() }),
+        'publishedAt',
+      ),
+      'cursor',
+      'INVALID_CURSOR',
+    );
+    // Cursors need a single sort field
+    rejects(
+      paginate(cursorOf({ s: '-views', v: 1, id: id() }), '-views,title'),
+      'cursor',
+      'INVALID_CURSOR',
+    );
+  });
+});
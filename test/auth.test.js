@@ -0,0 +1,197 @@
+/**
+ * @file auth.test.js
+ * @description Refresh token rotation: each token works once, a reused token
+ * ends every session of the user; expired access tokens are refused by
+ * `protect`
+ *
+ * Run with `npm test` (node:test, no database: the user is kept in memory
+ * behind stubbed User.findById / User#save)
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.NODE_ENV = 'test';
+process.env.STRIPE_SECRET_KEY = 'sk_test_auth';
+process.env.JWT_SECRET = 'a'.repeat(40);
+process.env.JWT_REFRESH_SECRET = 'b'.repeat(40);
+process.env.TICKET_SECRET = 'c'.repeat(40);
+
+const app = require('../index');
+const User = require('../models/userModel');
+const { signAccessToken, signRefreshToken } = require('../utils/tokens');
+
+/**
+ * User as stored, with its active refresh tokens
+ */
+let stored;
+
+const stubUser = (t) => {
+  const load = () => User.hydrate(structuredClone(stored));
+
+  // Awaited directly by `protect`, with .select('+refreshTokens') by refresh
+  t.mock.method(User, 'findById', (id) => {
+    const found = () => (String(id) === stored._id ? load() : null);
+    return {
+      select: async () => found(),
+      then: (resolve, reject) => Promise.resolve(found()).then(resolve, reject),
+    };
+  });
+  t.mock.method(User.prototype, 'save', async function () {
+    stored.refreshTokens = this.refreshTokens.map(({ jti, expiresAt }) => ({
+      jti,
+      expiresAt,
+    }));
+    return this;
+  });
+};
+
+/**
+ * Refresh token registered on the stored user, as if issued at login
+ */
+const issueRefreshToken = () => {
+  const { token, jti, expiresAt } = signRefreshToken(stored);
+  stored.refreshTokens.push({ jti, expiresAt });
+  return token;
+};
+
+beforeEach(() => {
+  stored = {
+    _id: new mongoose.Types.ObjectId().toString(),
+    name: 'Test',
+    email: 'test@example.com',
+    role: 'editor',
+    active: true,
+    refreshTokens: [],
+  };
+});
+
+describe('/api/v1/auth', () => {
+  let server;
+  let base;
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}/api/v1/auth`;
+  });
+
+  after(() => server.close());
+
+  const refresh = async (refreshToken) => {
+    const res = await fetch(`${base}/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken }),
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  const getMe = async (accessToken) => {
+    const res = await fetch(`${base}/me`, {
+      headers: { Authorization: `Bearer ${accessToken}` },
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  it('rotates the refresh token on use', async (t) => {
+    stubUser(t);
+    const token = issueRefreshToken();
+    const [used] = stored.refreshTokens;
+
+    const res = await refresh(token);
+
+    assert.strictEqual(res.status, 200);
+    assert.ok(res.body.accessToken);
+    assert.notStrictEqual(res.body.refreshToken, token);
+    assert.strictEqual(stored.refreshTokens.length, 1);
+    assert.notStrictEqual(stored.refreshTokens[0].jti, used.jti);
+    assert.strictEqual(res.body.data.user.refreshTokens, undefined);
+
+    const me = await getMe(res.body.accessToken);
+    assert.strictEqual(me.status, 200);
+  });
+
+  it('rejects a reused refresh token and revokes the active one', async (t) => {
+    stubUser(t);
+    const token = issueRefreshToken();
+    const { body } = await refresh(token);
+
+    // The old token comes back (stolen copy): every session ends
+    const reused = await refresh(token);
+
+    assert.strictEqual(reused.status, 401);
+    assert.strictEqual(reused.body.code, 'TOKEN_REUSED');
+    assert.deepStrictEqual(stored.refreshTokens, []);
+
+    const active = await refresh(body.refreshToken);
+    assert.strictEqual(active.status, 401);
+    assert.strictEqual(active.body.code, 'TOKEN_REUSED');
+  });
+
+  it('keeps the other sessions when a token is rotated', async (t) => {
+    stubUser(t);
+    const phone = issueRefreshToken();
+    const laptop = issueRefreshToken();
+
+    await refresh(phone);
+    const res = await refresh(laptop);
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(stored.refreshTokens.length, 2);
+  });
+
+  it('rejects a refresh token after logout', async (t) => {
+    stubUser(t);
+    const token = issueRefreshToken();
+
+    const res = await fetch(`${base}/logout`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: token }),
+    });
+
+    assert.strictEqual(res.status, 204);
+    assert.deepStrictEqual(stored.refreshTokens, []);
+    assert.strictEqual((await refresh(token)).body.code, 'TOKEN_REUSED');
+  });
+
+  it('does not accept an access token as refresh token', async (t) => {
+    stubUser(t);
+
+    const res = await refresh(signAccessToken(stored));
+
+    assert.strictEqual(res.status, 401);
+    assert.strictEqual(res.body.code, 'TOKEN_INVALID');
+  });
+
+  it('refuses an expired access token', async (t) => {
+    stubUser(t);
+    const expired = jwt.sign(
+      {
+        id: stored._id,
+        type: 'access',
+        exp: Math.floor(Date.now() / 1000) - 10,
+      },
+      process.env.JWT_SECRET,
+    );
+
+    const res = await getMe(expired);
+
+    assert.strictEqual(res.status, 401);
+    assert.strictEqual(res.body.code, 'TOKEN_EXPIRED');
+    assert.strictEqual(User.findById.mock.callCount(), 0);
+  });
+
+  it('refuses a refresh token as access token', async (t) => {
+    stubUser(t);
+    const token = issueRefreshToken();
+
+    const res = await getMe(token);
+
+    assert.strictEqual(res.status, 401);
+    assert.strictEqual(res.body.code, 'TOKEN_INVALID');
+  });
+});
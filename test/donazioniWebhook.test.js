@@ -0,0 +1,223 @@
+/**
+ * @file donazioniWebhook.test.js
+ * @description Stripe webhook: signature checked on the raw body, refunds of
+ * registrations that lost their place, 5xx on failures so that Stripe
+ * redelivers the event
+ *
+ * Run with `npm test` (node:test, no database: model calls are stubbed)
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+process.env.NODE_ENV = 'test';
+process.env.STRIPE_SECRET_KEY = 'sk_test_webhook';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_webhook';
+process.env.JWT_SECRET = 'a'.repeat(40);
+process.env.JWT_REFRESH_SECRET = 'b'.repeat(40);
+process.env.TICKET_SECRET = 'c'.repeat(40);
+
+const Stripe = require('stripe');
+const app = require('../index');
+const Conferenza = require('../models/conferenzaModel');
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+// Resource shared by every Stripe client (also the controller's)
+const Refunds = Object.getPrototypeOf(stripe.refunds);
+
+/**
+ * POSTs a Stripe event, signed unless a signature is given
+ */
+const postEvent = (port, path, event, signature) => {
+  const payload = JSON.stringify(event);
+  const header =
+    signature ||
+    stripe.webhooks.generateTestHeaderString({
+      payload,
+      secret: process.env.STRIPE_WEBHOOK_SECRET,
+    });
+
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        port,
+        path,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json; charset=utf-8',
+          'Stripe-Signature': header,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () =>
+          resolve({
+            status: res.statusCode,
+            body: JSON.parse(Buffer.concat(chunks).toString() || 'null'),
+          }),
+        );
+      },
+    );
+    req.on('error', reject);
+    req.end(payload);
+  });
+};
+
+const pingEvent = {
+  id: 'evt_test_ping',
+  object: 'event',
+  type: 'customer.created',
+  data: { object: { id: 'cus_test' } },
+};
+
+describe('POST /api/donazioni/webhook', () => {
+  let server;
+  let port;
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    port = server.address().port;
+  });
+
+  after(() => server.close());
+
+  it('accepts a correctly signed event', async () => {
+    const res = await postEvent(port, '/api/donazioni/webhook', pingEvent);
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual(res.body, { received: true });
+  });
+
+  it('accepts a correctly signed event on the /api/v2 mount', async () => {
+    const res = await postEvent(port, '/api/v2/donazioni/webhook', pingEvent);
+    assert.strictEqual(res.status, 200);
+  });
+
+  it('rejects an invalid signature', async () => {
+    const res = await postEvent(
+      port,
+      '/api/donazioni/webhook',
+      pingEvent,
+      't=1,v1=invalid',
+    );
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.code, 'WEBHOOK_SIGNATURE_INVALID');
+  });
+
+  it('confirms a paid registration checkout', async (t) => {
+    const completeCheckout = t.mock.method(
+      Conferenza,
+      'completeCheckout',
+      async () => ({
+        confirmed: 1,
+        late: [],
+      }),
+    );
+
+    const res = await postEvent(port, '/api/donazioni/webhook', {
+      id: 'evt_test_paid',
+      object: 'event',
+      type: 'checkout.session.completed',
+      data: {
+        object: {
+          id: 'cs_test_paid',
+          payment_status: 'paid',
+          payment_intent: 'pi_test',
+          metadata: { type: 'registration' },
+        },
+      },
+    });
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(completeCheckout.mock.callCount(), 1);
+    assert.strictEqual(
+      completeCheckout.mock.calls[0].arguments[0].id,
+      'cs_test_paid',
+    );
+  });
+
+  it('refunds a checkout paid after the registration was cancelled', async (t) => {
+    const cancelled = {
+      _id: 'r_cancelled',
+      status: 'cancelled',
+      pagamento: { sessionId: 'cs_test_cancelled', amount: 12000 },
+    };
+    const updateMany = t.mock.method(Conferenza, 'updateMany', async () => ({
+      modifiedCount: 0,
+    }));
+    t.mock.method(Conferenza, 'find', async (filter) =>
+      filter['pagamento.status'] === 'refund_pending' ? [cancelled] : [],
+    );
+    const createRefund = t.mock.method(Refunds, 'create', async () => ({
+      id: 're_test_cancelled',
+    }));
+    const recordRefund = t.mock.method(
+      Conferenza,
+      'recordRefund',
+      async () => 1,
+    );
+
+    const res = await postEvent(port, '/api/donazioni/webhook', {
+      id: 'evt_test_cancelled',
+      object: 'event',
+      type: 'checkout.session.completed',
+      data: {
+        object: {
+          id: 'cs_test_cancelled',
+          payment_status: 'paid',
+          payment_intent: 'pi_test_cancelled',
+          metadata: { type: 'registration' },
+        },
+      },
+    });
+
+    assert.strictEqual(res.status, 200);
+
+    // The cancelled registration is not confirmed but waits for the refund
+    const toRefund = updateMany.mock.calls.find(
+      (call) => call.arguments[0].status === 'cancelled',
+    );
+    assert.ok(toRefund, 'cancelled registrations are looked up');
+    assert.strictEqual(
+      toRefund.arguments[0]['pagamento.sessionId'],
+      'cs_test_cancelled',
+    );
+    assert.strictEqual(
+      toRefund.arguments[1]['pagamento.status'],
+      'refund_pending',
+    );
+
+    assert.strictEqual(createRefund.mock.callCount(), 1);
+    const [params, options] = createRefund.mock.calls[0].arguments;
+    assert.strictEqual(params.payment_intent, 'pi_test_cancelled');
+    assert.strictEqual(params.amount, 12000);
+    assert.strictEqual(
+      options.idempotencyKey,
+      'registration-refund-cs_test_cancelled',
+    );
+    assert.strictEqual(
+      recordRefund.mock.calls[0].arguments[1].id,
+      're_test_cancelled',
+    );
+  });
+
+  it('answers 5xx when the registration cannot be updated', async (t) => {
+    t.mock.method(Conferenza, 'expireCheckout', async () => {
+      throw new Error('database unavailable');
+    });
+
+    const res = await postEvent(port, '/api/donazioni/webhook', {
+      id: 'evt_test_expired',
+      object: 'event',
+      type: 'checkout.session.expired',
+      data: {
+        object: { id: 'cs_test_expired', metadata: { type: 'registration' } },
+      },
+    });
+
+    assert.ok(res.status >= 500, `expected 5xx, got ${res.status}`);
+  });
+});
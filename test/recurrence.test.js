@@ -0,0 +1,331 @@
+/**
+ * @file recurrence.test.js
+ * @description Recurring events: expansion on the local wall clock, removed
+ * occurrences (EXDATE), edited occurrences replacing the generated ones,
+ * period lists expanded only up to the requested page and the iCalendar
+ * SEQUENCE bumped when an event or occurrence is moved
+ *
+ * Run with `npm test` (node:test, no database: Event queries are stubbed)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+process.env.NODE_ENV = 'test';
+process.env.STRIPE_SECRET_KEY = 'sk_test_recurrence';
+process.env.JWT_SECRET = 'a'.repeat(40);
+process.env.JWT_REFRESH_SECRET = 'b'.repeat(40);
+process.env.TICKET_SECRET = 'c'.repeat(40);
+
+const Event = require('../models/eventiModel');
+const { expandSeries, isOccurrence } = require('../utils/recurrence');
+const {
+  getAllEvents,
+  updateEvent,
+  updateOccurrence,
+} = require('../controller/eventsController');
+
+const TIME_ZONE = 'Europe/Rome';
+
+/**
+ * Weekly service, Saturday 10:00 in Rome, one hour long
+ * (2026-03-07 is a Saturday, daylight saving starts on 2026-03-29)
+ */
+const weekly = {
+  rule: 'FREQ=WEEKLY;BYDAY=SA',
+  start: new Date('2026-03-07T09:00:00.000Z'),
+  end: new Date('2026-03-07T10:00:00.000Z'),
+  timeZone: TIME_ZONE,
+};
+
+const starts = (occurrences) =>
+  occurrences.map((o) => (o.start || o.date).toISOString());
+
+/**
+ * Runs a controller and resolves with the JSON response
+ * (next(err) rejects)
+ */
+const run = (handler, req) =>
+  new Promise((resolve, reject) => {
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+      },
+    };
+    handler(req, res, reject);
+  });
+
+describe('expandSeries', () => {
+  it('keeps the local time across daylight saving changes', () => {
+    const occurrences = expandSeries({
+      ...weekly,
+      from: new Date('2026-03-01T00:00:00.000Z'),
+      to: new Date('2026-04-05T00:00:00.000Z'),
+    });
+
+    assert.deepStrictEqual(starts(occurrences), [
+      '2026-03-07T09:00:00.000Z',
+      '2026-03-14T09:00:00.000Z',
+      '2026-03-21T09:00:00.000Z',
+      '2026-03-28T09:00:00.000Z',
+      '2026-04-04T08:00:00.000Z',
+    ]);
+    assert.strictEqual(
+      occurrences[4].end.toISOString(),
+      '2026-04-04T09:00:00.000Z',
+    );
+  });
+
+  it('leaves out an excluded date', () => {
+    const occurrences = expandSeries({
+      ...weekly,
+      exdates: [new Date('2026-03-14T09:00:00.000Z')],
+      from: new Date('2026-03-01T00:00:00.000Z'),
+      to: new Date('2026-03-22T00:00:00.000Z'),
+    });
+
+    assert.deepStrictEqual(starts(occurrences), [
+      '2026-03-07T09:00:00.000Z',
+      '2026-03-21T09:00:00.000Z',
+    ]);
+  });
+
+  it('recognises the starts of the series only', () => {
+    assert.ok(isOccurrence(weekly, new Date('2026-04-04T08:00:00.000Z')));
+    assert.ok(!isOccurrence(weekly, new Date('2026-04-04T09:00:00.000Z')));
+    assert.ok(!isOccurrence(weekly, new Date('2026-03-08T09:00:00.000Z')));
+  });
+});
+
+describe('Event.findOccurrences', () => {
+  const seriesId = new mongoose.Types.ObjectId();
+  const series = {
+    _id: seriesId,
+    title: 'Culto',
+    date: weekly.start,
+    endDate: weekly.end,
+    recurrence: {
+      rule: weekly.rule,
+      exdates: [new Date('2026-03-21T09:00:00.000Z')],
+    },
+  };
+  // The 14 March service moved to the afternoon
+  const moved = {
+    _id: new mongoose.Types.ObjectId(),
+    title: 'Culto (pomeriggio)',
+    date: new Date('2026-03-14T15:00:00.000Z'),
+    endDate: new Date('2026-03-14T16:00:00.000Z'),
+    recurrenceOf: seriesId,
+    recurrenceId: new Date('2026-03-14T09:00:00.000Z'),
+  };
+
+  /**
+   * Answers the three queries of findOccurrences: single events (edited
+   * occurrences included), recurring series, keys of the edited occurrences
+   */
+  const stubFind = (t) =>
+    t.mock.method(Event, 'find', (filter) => {
+      if (filter.recurrenceOf) {
+        return { select: () => ({ lean: async () => [moved] }) };
+      }
+      const single = filter.$and[filter.$and.length - 1]['recurrence.rule'];
+      return { lean: async () => (single === null ? [moved] : [series]) };
+    });
+
+  const occurrences = () =>
+    Event.findOccurrences({
+      from: new Date('2026-03-01T00:00:00.000Z'),
+      to: new Date('2026-03-29T00:00:00.000Z'),
+      timeZone: TIME_ZONE,
+    });
+
+  it('replaces a generated occurrence with its edited version', async (t) => {
+    stubFind(t);
+
+    const result = await occurrences();
+    const march14 = result.filter(
+      (e) => e.date.toISOString().slice(0, 10) === '2026-03-14',
+    );
+
+    assert.strictEqual(march14.length, 1);
+    assert.strictEqual(march14[0].title, 'Culto (pomeriggio)');
+    assert.ok(march14[0]._id.equals(moved._id));
+  });
+
+  it('expands the series without its excluded dates', async (t) => {
+    stubFind(t);
+
+    const result = await occurrences();
+
+    assert.deepStrictEqual(starts(result), [
+      '2026-03-07T09:00:00.000Z',
+      '2026-03-14T15:00:00.000Z',
+      '2026-03-28T09:00:00.000Z',
+    ]);
+    const generated = result.filter((e) => e !== moved);
+    generated.forEach((e) => {
+      assert.ok(e.recurrenceOf.equals(seriesId));
+      assert.strictEqual(e.recurrenceId.getTime(), e.date.getTime());
+    });
+  });
+});
+
+describe('GET /api/v1/events?from=&to=', () => {
+  // Daily series: 366 occurrences in the period
+  const daily = {
+    _id: new mongoose.Types.ObjectId(),
+    title: 'Preghiera',
+    date: new Date('2026-01-01T06:00:00.000Z'),
+    recurrence: { rule: 'FREQ=DAILY', exdates: [] },
+  };
+  const period = { from: '2026-01-01', to: '2027-01-01' };
+
+  /**
+   * Series query answers the daily series, the others nothing;
+   * records the limit of the single events query
+   */
+  const stubFind = (t) => {
+    const limits = [];
+    const find = Event.find.bind(Event);
+    t.mock.method(Event, 'find', (filter) => {
+      // Query built by APIFeatures from the query string
+      if (filter === undefined) return find();
+      const rule = filter.$and && filter.$and[filter.$and.length - 1];
+      const docs = rule && rule['recurrence.rule'] !== null ? [daily] : [];
+      const q = {
+        sort: () => q,
+        select: () => q,
+        limit(n) {
+          limits.push(n);
+          return q;
+        },
+        lean: async () => docs,
+      };
+      return q;
+    });
+    return limits;
+  };
+
+  it('expands occurrences only up to the requested page', async (t) => {
+    const limits = stubFind(t);
+    const expand = t.mock.method(Event, 'findOccurrences');
+
+    const res = await run(getAllEvents, {
+      query: { ...period, page: 2, limit: 10 },
+    });
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.results, 10);
+    assert.strictEqual(res.body.hasMore, true);
+    assert.strictEqual(res.body.total, undefined);
+    assert.strictEqual(
+      res.body.data.eventi[0].date.toISOString(),
+      '2026-01-11T06:00:00.000Z',
+    );
+    // Two pages and one event to know there is a third
+    assert.deepStrictEqual(limits, [21]);
+    assert.strictEqual((await expand.mock.calls[0].result).length, 21);
+  });
+
+  it('tells when the last page is reached', async (t) => {
+    stubFind(t);
+
+    const res = await run(getAllEvents, {
+      query: { from: '2026-01-01', to: '2026-01-05T23:00:00.000Z', limit: 10 },
+    });
+
+    assert.strictEqual(res.body.results, 5);
+    assert.strictEqual(res.body.hasMore, false);
+  });
+
+  it('keeps the page limits of the other lists', async (t) => {
+    stubFind(t);
+    const rejects = (query, field) =>
+      assert.rejects(run(getAllEvents, { query }), (err) => {
+        assert.strictEqual(err.statusCode, 400);
+        assert.ok(err.errors[field], `expected an error on ${field}`);
+        return true;
+      });
+
+    await rejects({ ...period, limit: 101 }, 'limit');
+    await rejects({ ...period, cursor: 'abc' }, 'cursor');
+    await rejects({ ...period, page: 11, limit: 100 }, 'page');
+    await assert.rejects(
+      run(getAllEvents, { query: { from: '2026-01-01', to: '2028-01-03' } }),
+      { statusCode: 400, code: 'INVALID_PERIOD' },
+    );
+  });
+});
+
+describe('iCalendar SEQUENCE', () => {
+  it('is incremented when an event is moved', async (t) => {
+    const update = t.mock.method(
+      Event,
+      'findByIdAndUpdate',
+      async (id, changes) => ({ _id: id, ...changes }),
+    );
+
+    const res = await run(updateEvent, {
+      params: { id: 'e_1' },
+      body: { date: '2026-05-02T08:00:00.000Z', sequence: 0 },
+    });
+
+    assert.strictEqual(res.status, 200);
+    const [, changes] = update.mock.calls[0].arguments;
+    // Bumped by the server, never taken from the body
+    assert.deepStrictEqual(changes.$inc, { sequence: 1 });
+    assert.strictEqual(changes.sequence, undefined);
+    assert.strictEqual(changes['lifecycle.reminderSentAt'], null);
+  });
+
+  it('is incremented each time an occurrence is moved', async (t) => {
+    const series = Event.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      title: 'Culto',
+      date: weekly.start,
+      endDate: weekly.end,
+      sequence: 4,
+      recurrence: { rule: weekly.rule, exdates: [] },
+    });
+    let stored = null;
+    t.mock.method(Event, 'findById', async () => series);
+    t.mock.method(Event, 'findOne', async () => stored);
+    t.mock.method(Event.prototype, 'save', async function () {
+      stored = this;
+      return this;
+    });
+    const req = (date) => ({
+      params: { id: series.id, recurrenceId: '2026-03-14T09:00:00.000Z' },
+      body: { date },
+    });
+
+    const created = await run(
+      updateOccurrence,
+      req('2026-03-14T15:00:00.000Z'),
+    );
+
+    assert.strictEqual(created.status, 201);
+    const occurrence = created.body.data.eventi;
+    // Above the series, so calendars replace the generated occurrence
+    assert.strictEqual(occurrence.sequence, 5);
+    assert.strictEqual(
+      occurrence.recurrenceId.toISOString(),
+      '2026-03-14T09:00:00.000Z',
+    );
+    assert.strictEqual(
+      occurrence.date.toISOString(),
+      '2026-03-14T15:00:00.000Z',
+    );
+
+    const moved = await run(updateOccurrence, req('2026-03-14T16:00:00.000Z'));
+
+    assert.strictEqual(moved.status, 200);
+    assert.strictEqual(moved.body.data.eventi.sequence, 6);
+    assert.strictEqual(series.sequence, 4);
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * @file registrationCancel.test.js
+ * @description Cancelling a registration waiting for payment closes its
+ * Stripe Checkout session (unless other group members still have to pay)
+ *
+ * Run with `npm test` (node:test, no database: model calls are stubbed)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+process.env.NODE_ENV = 'test';
+process.env.STRIPE_SECRET_KEY = 'sk_test_cancel';
+process.env.JWT_SECRET = 'a'.repeat(40);
+process.env.JWT_REFRESH_SECRET = 'b'.repeat(40);
+process.env.TICKET_SECRET = 'c'.repeat(40);
+
+const Conferenza = require('../models/conferenzaModel');
+const stripeConfig = require('../config/stripe');
+const {
+  cancelRegistration,
+  cancelGroup,
+} = require('../controller/conferenzaController');
+
+/**
+ * Runs a controller and resolves with the JSON response
+ * (next(err) rejects)
+ */
+const run = (handler, req) =>
+  new Promise((resolve, reject) => {
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+      },
+    };
+    handler(req, res, reject);
+  });
+
+/**
+ * Registration as returned by findOneAndUpdate (state before the update)
+ */
+const registration = (fields) => ({
+  event: 'event_1',
+  status: 'pending',
+  pagamento: { status: 'pending', sessionId: 'cs_test_open' },
+  releaseAccommodation: async () => false,
+  ...fields,
+});
+
+/**
+ * Stubs the model calls made after the cancellation
+ */
+const stubModel = (t, { pendingOnSession = false } = {}) => {
+  t.mock.method(Conferenza, 'exists', async () =>
+    pendingOnSession ? { _id: 'other' } : null,
+  );
+  t.mock.method(Conferenza, 'promoteNext', async () => null);
+  t.mock.method(Conferenza, 'findById', async (id) => ({
+    _id: id,
+    status: 'cancelled',
+  }));
+};
+
+describe('PATCH /api/v1/registration/:id/cancel', () => {
+  it('expires the checkout of a registration waiting for payment', async (t) => {
+    stubModel(t);
+    t.mock.method(Conferenza, 'findOneAndUpdate', async () =>
+      registration({ _id: 'r_1' }),
+    );
+    const expire = t.mock.method(
+      stripeConfig,
+      'expireCheckoutSession',
+      async (id) => ({ id, status: 'expired' }),
+    );
+
+    const res = await run(cancelRegistration, { params: { id: 'r_1' } });
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(expire.mock.callCount(), 1);
+    assert.strictEqual(expire.mock.calls[0].arguments[0], 'cs_test_open');
+  });
+
+  it('keeps the session open while other group members have to pay', async (t) => {
+    stubModel(t, { pendingOnSession: true });
+    t.mock.method(Conferenza, 'findOneAndUpdate', async () =>
+      registration({ _id: 'r_1', gruppo: 'g_1' }),
+    );
+    const expire = t.mock.method(
+      stripeConfig,
+      'expireCheckoutSession',
+      async () => ({}),
+    );
+
+    const res = await run(cancelRegistration, { params: { id: 'r_1' } });
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(expire.mock.callCount(), 0);
+  });
+
+  it('does not touch Stripe for a confirmed registration', async (t) => {
+    stubModel(t);
+    t.mock.method(Conferenza, 'findOneAndUpdate', async () =>
+      registration({
+        _id: 'r_1',
+        status: 'confirmed',
+        pagamento: { status: 'paid', sessionId: 'cs_test_paid' },
+      }),
+    );
+    const expire = t.mock.method(
+      stripeConfig,
+      'expireCheckoutSession',
+      async () => ({}),
+    );
+
+    await run(cancelRegistration, { params: { id: 'r_1' } });
+
+    assert.strictEqual(expire.mock.callCount(), 0);
+  });
+
+  it('still cancels when Stripe cannot expire the session', async (t) => {
+    stubModel(t);
+    t.mock.method(Conferenza, 'findOneAndUpdate', async () =>
+      registration({ _id: 'r_1' }),
+    );
+    t.mock.method(stripeConfig, 'expireCheckoutSession', async () => {
+      throw new Error('Failed to expire session: session is complete');
+    });
+
+    const res = await run(cancelRegistration, { params: { id: 'r_1' } });
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.data.registrazione.status, 'cancelled');
+  });
+});
+
+describe('PATCH /api/v1/registration/group/:id/cancel', () => {
+  it('expires the shared checkout once for the whole group', async (t) => {
+    const members = [
+      registration({ _id: 'r_1', gruppo: 'g_1' }),
+      registration({ _id: 'r_2', gruppo: 'g_1' }),
+    ];
+    stubModel(t);
+    t.mock.method(Conferenza, 'find', async () => members);
+    t.mock.method(Conferenza, 'findOneAndUpdate', async (filter) =>
+      members.find((member) => member._id === filter._id),
+    );
+    const expire = t.mock.method(
+      stripeConfig,
+      'expireCheckoutSession',
+      async () => ({}),
+    );
+
+    const res = await run(cancelGroup, { params: { id: 'g_1' } });
+
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.results, 2);
+    assert.strictEqual(expire.mock.callCount(), 1);
+    assert.strictEqual(expire.mock.calls[0].arguments[0], 'cs_test_open');
+  });
+});
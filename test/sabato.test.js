@@ -0,0 +1,83 @@
+/**
+ * @file sabato.test.js
+ * @description Sabbath times: place lookup in the gazetteer and validation of
+ * the date
+ *
+ * Run with `npm test` (node:test, no database needed)
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+process.env.NODE_ENV = 'test';
+process.env.STRIPE_SECRET_KEY = 'sk_test_sabato';
+process.env.JWT_SECRET = 'a'.repeat(40);
+process.env.JWT_REFRESH_SECRET = 'b'.repeat(40);
+process.env.TICKET_SECRET = 'c'.repeat(40);
+
+const app = require('../index');
+
+/**
+ * GETs a path and parses the JSON response
+ */
+const get = (port, path) =>
+  new Promise((resolve, reject) => {
+    http
+      .get({ port, path }, (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () =>
+          resolve({
+            status: res.statusCode,
+            body: JSON.parse(Buffer.concat(chunks).toString()),
+          }),
+        );
+      })
+      .on('error', reject);
+  });
+
+describe('GET /api/v1/sabato', () => {
+  let server;
+  let port;
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    port = server.address().port;
+  });
+
+  after(() => server.close());
+
+  it('returns the Sabbath of the week of a date', async () => {
+    const res = await get(port, '/api/v1/sabato?citta=Roma&date=2026-06-17');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.data.friday.date, '2026-06-19');
+    assert.strictEqual(res.body.data.saturday.date, '2026-06-20');
+  });
+
+  for (const date of ['2026-13-45', '2026-02-30', '2026-04-31']) {
+    it(`rejects the impossible date ${date}`, async () => {
+      const res = await get(port, `/api/v1/sabato?citta=Roma&date=${date}`);
+      assert.strictEqual(res.status, 400);
+      assert.strictEqual(res.body.code, 'VALIDATION_ERROR');
+      assert.ok(res.body.errors.date);
+    });
+  }
+
+  it('finds small comuni, not only the provincial capitals', async () => {
+    const res = await get(port, '/api/v1/sabato?citta=Jesolo');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.data.place.provincia, 'VE');
+  });
+
+  it('asks for the province of a name shared by several comuni', async () => {
+    const ambiguous = await get(port, '/api/v1/sabato?citta=Castro');
+    assert.strictEqual(ambiguous.status, 400);
+    assert.strictEqual(ambiguous.body.code, 'COMUNE_AMBIGUOUS');
+
+    const res = await get(port, '/api/v1/sabato?citta=Castro&provincia=LE');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.data.place.regione, 'Puglia');
+  });
+});
@@ -0,0 +1,304 @@
+/**
+ * @file waitlist.test.js
+ * @description Waitlist of event registrations: promotion in order of
+ * waitlistPosition, expired offers passed on to the next in line, groups
+ * promoted only when all of them fit
+ *
+ * Run with `npm test` (node:test, no database: the Conferenza queries run on
+ * an in-memory list, the Event is a stub with a capacity)
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Conferenza = require('../models/conferenzaModel');
+const Event = require('../models/eventiModel');
+
+const OFFER_HOURS = 48;
+const HOUR_MS = 60 * 60 * 1000;
+
+const id = () => new mongoose.Types.ObjectId();
+const eventId = id();
+
+/**
+ * Value of a dotted path ('pagamento.status')
+ */
+const get = (doc, path) =>
+  path
+    .split('.')
+    .reduce((value, key) => (value == null ? value : value[key]), doc);
+
+const same = (a, b) =>
+  a instanceof Date || b instanceof Date
+    ? new Date(a).getTime() === new Date(b).getTime()
+    : String(a) === String(b);
+
+/**
+ * Mongo filter on a plain document (only the operators used by the model)
+ */
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some((f) => matches(doc, f));
+    const value = get(doc, key);
+    if (condition && condition.$lt !== undefined) {
+      return value != null && value < condition.$lt;
+    }
+    if (condition && condition.$in) {
+      return condition.$in.some((c) => same(c, value));
+    }
+    return value !== undefined && same(value, condition);
+  });
+
+const sortBy = (docs, spec) => {
+  const [[field, direction]] = Object.entries(spec);
+  return [...docs].sort((a, b) => (get(a, field) - get(b, field)) * direction);
+};
+
+const apply = (doc, update) =>
+  Object.entries(update).forEach(([path, value]) => {
+    const keys = path.split('.');
+    const parent = keys
+      .slice(0, -1)
+      .reduce((obj, key) => (obj[key] = obj[key] || {}), doc);
+    parent[keys[keys.length - 1]] = value;
+  });
+
+/**
+ * Registrations of the test event, as stored
+ */
+let store = [];
+
+/**
+ * Event stub: registrations counted against a capacity
+ */
+let event;
+
+const stubModels = (t) => {
+  const hydrate = (doc) => Conferenza.hydrate({ ...doc });
+  const query = (docs) => {
+    let result = docs;
+    const q = {
+      sort(spec) {
+        result = sortBy(result, spec);
+        return q;
+      },
+      select() {
+        return q;
+      },
+      then(resolve, reject) {
+        return Promise.resolve(result.map(hydrate)).then(resolve, reject);
+      },
+    };
+    return q;
+  };
+
+  t.mock.method(Conferenza, 'find', (filter) =>
+    query(store.filter((doc) => matches(doc, filter))),
+  );
+  t.mock.method(Conferenza, 'updateMany', async (filter, update) => {
+    const found = store.filter((doc) => matches(doc, filter));
+    found.forEach((doc) => apply(doc, update));
+    return { modifiedCount: found.length };
+  });
+  t.mock.method(Conferenza, 'updateOne', async (filter, update) => {
+    const doc = store.find((d) => matches(d, filter));
+    if (doc) apply(doc, update);
+    return { modifiedCount: doc ? 1 : 0 };
+  });
+  t.mock.method(
+    Conferenza,
+    'findOneAndUpdate',
+    async (filter, update, options = {}) => {
+      const found = store.filter((doc) => matches(doc, filter));
+      const [doc] = options.sort ? sortBy(found, options.sort) : found;
+      if (!doc) return null;
+      const previous = hydrate(doc);
+      apply(doc, update);
+      return previous;
+    },
+  );
+  t.mock.method(Event, 'findById', async () => event);
+};
+
+const registration = (fields) => {
+  const doc = { _id: id(), event: eventId, nome: 'Test', ...fields };
+  store.push(doc);
+  return doc;
+};
+
+const statusOf = (doc) => store.find((d) => d._id.equals(doc._id)).status;
+
+beforeEach(() => {
+  store = [];
+  event = {
+    _id: eventId,
+    capacity: 2,
+    registrations: 2,
+    accommodations: [],
+    registerAttendee: async (count = 1) => {
+      if (event.registrations + count > event.capacity) return null;
+      event.registrations += count;
+      return event;
+    },
+    unregisterAttendee: async (count = 1) => {
+      event.registrations = Math.max(0, event.registrations - count);
+      return event;
+    },
+  };
+});
+
+describe('Conferenza.promoteNext', () => {
+  it('promotes the first in line (lowest waitlistPosition)', async (t) => {
+    stubModels(t);
+    const second = registration({ status: 'waitlisted', waitlistPosition: 2 });
+    const first = registration({ status: 'waitlisted', waitlistPosition: 1 });
+
+    const promoted = await Conferenza.promoteNext(eventId, OFFER_HOURS);
+
+    assert.ok(promoted._id.equals(first._id));
+    assert.strictEqual(statusOf(first), 'offered');
+    assert.strictEqual(statusOf(second), 'waitlisted');
+
+    const offer = store.find((d) => d._id.equals(first._id));
+    const window = offer.offerExpiresAt - offer.offeredAt;
+    assert.strictEqual(window, OFFER_HOURS * HOUR_MS);
+    // The freed place goes to the promoted registration
+    assert.strictEqual(event.registrations, 2);
+  });
+
+  it('releases the place when nobody is waiting', async (t) => {
+    stubModels(t);
+    registration({ status: 'confirmed' });
+
+    const promoted = await Conferenza.promoteNext(eventId, OFFER_HOURS);
+
+    assert.strictEqual(promoted, null);
+    assert.strictEqual(event.registrations, 1);
+  });
+
+  it('skips a group that does not fit in a full event', async (t) => {
+    stubModels(t);
+    const gruppo = id();
+    const members = [
+      registration({ status: 'waitlisted', waitlistPosition: 1, gruppo }),
+      registration({ status: 'waitlisted', waitlistPosition: 2, gruppo }),
+    ];
+    const single = registration({ status: 'waitlisted', waitlistPosition: 3 });
+
+    const promoted = await Conferenza.promoteNext(eventId, OFFER_HOURS);
+
+    assert.ok(promoted._id.equals(single._id));
+    members.forEach((member) =>
+      assert.strictEqual(statusOf(member), 'waitlisted'),
+    );
+    assert.strictEqual(event.registrations, 2);
+  });
+
+  it('promotes nobody when the only group in line does not fit', async (t) => {
+    stubModels(t);
+    const gruppo = id();
+    const members = [
+      registration({ status: 'waitlisted', waitlistPosition: 1, gruppo }),
+      registration({ status: 'waitlisted', waitlistPosition: 2, gruppo }),
+    ];
+
+    const promoted = await Conferenza.promoteNext(eventId, OFFER_HOURS);
+
+    assert.strictEqual(promoted, null);
+    members.forEach((member) =>
+      assert.strictEqual(statusOf(member), 'waitlisted'),
+    );
+    // The freed place is given back instead of being held for nobody
+    assert.strictEqual(event.registrations, 1);
+  });
+
+  it('promotes a whole group when the event has room for it', async (t) => {
+    stubModels(t);
+    event.capacity = 3;
+    const gruppo = id();
+    const members = [
+      registration({ status: 'waitlisted', waitlistPosition: 1, gruppo }),
+      registration({ status: 'waitlisted', waitlistPosition: 2, gruppo }),
+    ];
+
+    const promoted = await Conferenza.promoteNext(eventId, OFFER_HOURS);
+
+    assert.ok(promoted._id.equals(members[0]._id));
+    members.forEach((member) =>
+      assert.strictEqual(statusOf(member), 'offered'),
+    );
+    assert.strictEqual(event.registrations, 3);
+  });
+});
+
+describe('Conferenza.releaseExpiredOffers', () => {
+  it('passes an expired offer on to the next in line', async (t) => {
+    stubModels(t);
+    const late = registration({
+      status: 'offered',
+      offerExpiresAt: new Date(Date.now() - HOUR_MS),
+    });
+    const next = registration({ status: 'waitlisted', waitlistPosition: 2 });
+    const after = registration({ status: 'waitlisted', waitlistPosition: 3 });
+
+    const released = await Conferenza.releaseExpiredOffers(
+      eventId,
+      OFFER_HOURS,
+    );
+
+    assert.strictEqual(released, 1);
+    assert.strictEqual(statusOf(late), 'expired');
+    assert.strictEqual(statusOf(next), 'offered');
+    assert.strictEqual(statusOf(after), 'waitlisted');
+    assert.strictEqual(event.registrations, 2);
+  });
+
+  it('keeps offers that have not expired yet', async (t) => {
+    stubModels(t);
+    const offered = registration({
+      status: 'offered',
+      offerExpiresAt: new Date(Date.now() + HOUR_MS),
+    });
+    const waiting = registration({ status: 'waitlisted', waitlistPosition: 2 });
+
+    const released = await Conferenza.releaseExpiredOffers(
+      eventId,
+      OFFER_HOURS,
+    );
+
+    assert.strictEqual(released, 0);
+    assert.strictEqual(statusOf(offered), 'offered');
+    assert.strictEqual(statusOf(waiting), 'waitlisted');
+  });
+
+  it('expires a checkout closed without webhook after the grace period', async (t) => {
+    stubModels(t);
+    const unpaid = registration({
+      status: 'pending',
+      pagamento: {
+        status: 'pending',
+        expiresAt: new Date(Date.now() - 2 * HOUR_MS),
+      },
+    });
+    const recent = registration({
+      status: 'pending',
+      pagamento: {
+        status: 'pending',
+        expiresAt: new Date(Date.now() - HOUR_MS / 2),
+      },
+    });
+    const next = registration({ status: 'waitlisted', waitlistPosition: 1 });
+
+    const released = await Conferenza.releaseExpiredOffers(
+      eventId,
+      OFFER_HOURS,
+    );
+
+    assert.strictEqual(released, 1);
+    assert.strictEqual(statusOf(unpaid), 'expired');
+    assert.strictEqual(unpaid.pagamento.status, 'expired');
+    assert.strictEqual(statusOf(recent), 'pending');
+    assert.strictEqual(statusOf(next), 'offered');
+  });
+});
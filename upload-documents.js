@@ -13,7 +13,7 @@
 const mongoose = require('mongoose');
 const readline = require('readline');
 const Documento = require('./models/documentiModel');
-require('dotenv').config({ path: './config.env' });
+const config = require('./config');
 
 // Configurazione readline per input utente
 const rl = readline.createInterface({
@@ -26,11 +26,7 @@ const rl = readline.createInterface({
  */
 const connectDB = async () => {
   try {
-    const DB = process.env.MONGODB_URI;
-    
-    if (!DB) {
-      throw new Error('MONGODB_URI non trovata in config.env');
-    }
+    const DB = config.database.uri;
 
     await mongoose.connect(DB, {
       useNewUrlParser: true,
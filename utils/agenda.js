@@ -0,0 +1,251 @@
+/**
+ * @file agenda.js
+ * @description Event agenda: grouping by day and by speaker, printable PDF
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Days and times are those of the event time zone (EVENT_TIMEZONE), not of
+ * the server. Sessions are expected with their speakers populated
+ *
+ * @example
+ * const { groupSessionsByDay, renderAgendaPDF } = require('../utils/agenda');
+ * const days = groupSessionsByDay(event.sessions, 'Europe/Rome');
+ * const pdf = await renderAgendaPDF({ event, days, timeZone: 'Europe/Rome' });
+ */
+
+const PDFDocument = require('pdfkit');
+
+/**
+ * Printed labels of the session kinds (Event.SESSION_KINDS)
+ * @constant
+ */
+const KIND_LABELS = {
+  talk: 'Intervento',
+  plenary: 'Plenaria',
+  workshop: 'Workshop',
+  worship: 'Culto',
+  break: 'Pausa',
+  meal: 'Pasto',
+  other: '',
+};
+
+/**
+ * Local calendar day of a date (YYYY-MM-DD)
+ *
+ * @function localDay
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+const localDay = (date, timeZone) =>
+  new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+
+/**
+ * Local time of a date (HH:MM)
+ *
+ * @private
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+const formatTime = (date, timeZone) =>
+  new Intl.DateTimeFormat('it-IT', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+  }).format(date);
+
+/**
+ * Name of a speaker as printed: title, first and last name
+ *
+ * @function speakerName
+ * @param {Object} speaker - Speaker document or plain object
+ * @returns {string}
+ */
+const speakerName = (speaker) =>
+  [speaker.titolo, speaker.nome, speaker.cognome].filter(Boolean).join(' ');
+
+/**
+ * Sessions grouped by local day, each day in time order
+ *
+ * @function groupSessionsByDay
+ * @param {Array<Object>} sessions
+ * @param {string} timeZone
+ * @returns {Array<{ day: string, sessions: Array<Object> }>}
+ */
+const groupSessionsByDay = (sessions, timeZone) => {
+  const days = new Map();
+  [...sessions]
+    .sort((a, b) => a.start - b.start)
+    .forEach((session) => {
+      const day = localDay(session.start, timeZone);
+      if (!days.has(day)) days.set(day, []);
+      days.get(day).push(session);
+    });
+
+  return [...days].map(([day, daySessions]) => ({
+    day,
+    sessions: daySessions,
+  }));
+};
+
+/**
+ * Sessions grouped by speaker (by last name), each speaker in time order
+ * A session with several speakers appears under each of them
+ *
+ * @function groupSessionsBySpeaker
+ * @param {Array<Object>} sessions - With populated speakers
+ * @returns {Array<{ speaker: Object, sessions: Array<Object> }>}
+ */
+const groupSessionsBySpeaker = (sessions) => {
+  const speakers = new Map();
+  [...sessions]
+    .sort((a, b) => a.start - b.start)
+    .forEach((session) => {
+      (session.speakers || []).forEach((speaker) => {
+        const id = String(speaker._id);
+        if (!speakers.has(id)) speakers.set(id, { speaker, sessions: [] });
+        speakers.get(id).sessions.push(session);
+      });
+    });
+
+  return [...speakers.values()].sort(
+    (a, b) =>
+      a.speaker.cognome.localeCompare(b.speaker.cognome, 'it') ||
+      a.speaker.nome.localeCompare(b.speaker.nome, 'it'),
+  );
+};
+
+/**
+ * Renders the printable agenda: one section per day, one row per session
+ * (time, title, kind, room, speakers, description)
+ *
+ * @function renderAgendaPDF
+ * @async
+ * @param {Object} data
+ * @param {Object} data.event - Event (title, location)
+ * @param {Array<Object>} data.days - Output of groupSessionsByDay
+ * @param {string} data.timeZone
+ * @returns {Promise<Buffer>} PDF file
+ */
+const renderAgendaPDF = async ({ event, days, timeZone }) => {
+  const margin = 50;
+  const timeWidth = 80;
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin,
+    info: { Title: `Programma - ${event.title}` },
+  });
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const contentX = margin + timeWidth;
+  const contentWidth = doc.page.width - contentX - margin;
+  const bottom = doc.page.height - margin;
+  const dayTitle = new Intl.DateTimeFormat('it-IT', {
+    timeZone: 'UTC',
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+  });
+
+  doc.font('Helvetica-Bold').fontSize(18).text(event.title);
+  if (event.location) {
+    doc.font('Helvetica').fontSize(10).fillColor('#555555');
+    doc.text(event.location);
+  }
+  doc.fillColor('#000000');
+  if (days.length === 0) {
+    doc.moveDown().font('Helvetica').fontSize(11);
+    doc.text('Programma non ancora disponibile');
+  }
+
+  days.forEach(({ day, sessions }) => {
+    if (doc.y + 60 > bottom) doc.addPage();
+    const heading = dayTitle.format(new Date(`${day}T00:00:00Z`));
+    doc.moveDown(1.2).font('Helvetica-Bold').fontSize(13);
+    doc.text(heading.charAt(0).toUpperCase() + heading.slice(1), margin);
+    doc
+      .moveTo(margin, doc.y + 2)
+      .lineTo(doc.page.width - margin, doc.y + 2)
+      .stroke('#999999');
+    doc.moveDown(0.5);
+
+    sessions.forEach((session) => {
+      const details = [
+        KIND_LABELS[session.kind],
+        session.room,
+        (session.speakers || []).map(speakerName).join(', '),
+      ]
+        .filter(Boolean)
+        .join(' · ');
+
+      const height =
+        doc
+          .font('Helvetica-Bold')
+          .fontSize(11)
+          .heightOfString(session.title, { width: contentWidth }) +
+        (details ? 14 : 0) +
+        (session.description
+          ? doc
+              .font('Helvetica')
+              .fontSize(9)
+              .heightOfString(session.description, { width: contentWidth })
+          : 0);
+      if (doc.y + height > bottom) doc.addPage();
+
+      const y = doc.y + 6;
+      doc
+        .font('Helvetica')
+        .fontSize(10)
+        .text(
+          `${formatTime(session.start, timeZone)} - ${formatTime(session.end, timeZone)}`,
+          margin,
+          y,
+          { width: timeWidth - 10 },
+        );
+      doc
+        .font('Helvetica-Bold')
+        .fontSize(11)
+        .text(session.title, contentX, y, { width: contentWidth });
+      if (details) {
+        doc
+          .font('Helvetica')
+          .fontSize(9)
+          .fillColor('#333333')
+          .text(details, contentX, doc.y + 1, { width: contentWidth });
+      }
+      if (session.description) {
+        doc
+          .font('Helvetica')
+          .fontSize(9)
+          .fillColor('#555555')
+          .text(session.description, contentX, doc.y + 1, {
+            width: contentWidth,
+          });
+      }
+      doc.fillColor('#000000');
+    });
+  });
+
+  doc.end();
+  return done;
+};
+
+module.exports = {
+  localDay,
+  speakerName,
+  groupSessionsByDay,
+  groupSessionsBySpeaker,
+  renderAgendaPDF,
+};
@@ -1,49 +1,437 @@
+const AppError = require('./errorClass');
+
+/**
+ * Page size used when the client does not send ?limit
+ * @constant
+ */
+const DEFAULT_LIMIT = 100;
+
+/**
+ * Largest page a client may request
+ * @constant
+ */
+const MAX_LIMIT = 100;
+
+/**
+ * Query params handled by sort/limitFields/paginate, never used as filters
+ * @constant
+ */
+const RESERVED_PARAMS = ['page', 'sort', 'limit', 'fields', 'cursor'];
+
+/**
+ * Max values accepted by the in/nin operators
+ * @constant
+ */
+const MAX_LIST_VALUES = 50;
+
+/**
+ * Converts a query string value to the declared field type
+ * Returns undefined when the value cannot be converted
+ * @constant
+ */
+const COERCE = {
+    string: (v) => v,
+    number: (v) => {
+        const number = Number(v);
+        return v.trim() !== '' && Number.isFinite(number) ? number : undefined;
+    },
+    date: (v) => {
+        const date = new Date(v);
+        return Number.isNaN(date.getTime()) ? undefined : date;
+    },
+    boolean: (v) => (v === 'true' ? true : v === 'false' ? false : undefined),
+    objectId: (v) => (/^[a-f\d]{24}$/i.test(v) ? v : undefined),
+};
+
+/**
+ * Supported filter operators and the field types they apply to
+ *
+ * ?status=published            → eq
+ * ?status[ne]=draft            → ne
+ * ?views[gte]=10&views[lt]=50  → gt, gte, lt, lte (numbers and dates)
+ * ?category[in]=chiesa,storia  → in, nin (comma separated)
+ * ?title[prefix]=Grande        → case-insensitive "starts with" (strings)
+ *
+ * @constant
+ */
+const OPERATORS = {
+    eq: { types: Object.keys(COERCE) },
+    ne: { types: Object.keys(COERCE) },
+    gt: { types: ['number', 'date'] },
+    gte: { types: ['number', 'date'] },
+    lt: { types: ['number', 'date'] },
+    lte: { types: ['number', 'date'] },
+    in: { types: Object.keys(COERCE), list: true },
+    nin: { types: Object.keys(COERCE), list: true },
+    prefix: { types: ['string'] },
+};
+
+/**
+ * Escapes a string for literal use inside a RegExp
+ *
+ * @private
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Encodes the position after `doc` as an opaque cursor
+ *
+ * @private
+ * @param {string} sortKey - Sort field with direction (e.g. '-publishedAt')
+ * @param {Object} doc - Last document of the page
+ * @returns {string} base64url cursor
+ */
+const encodeCursor = (sortKey, doc) => {
+    const value = doc.get(sortKey.replace(/^-/, ''));
+    const payload = {
+        s: sortKey,
+        v: value instanceof Date ? value.toISOString() : value ?? null,
+        d: value instanceof Date,
+        id: String(doc._id),
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decodes a cursor produced by encodeCursor for the current sort
+ *
+ * @private
+ * @param {string} cursor - Cursor from ?cursor
+ * @param {string|null} sortKey - Current single sort key, null if sorting on several fields
+ * @returns {{ value: *, id: string }|null} Position, or null if the cursor is invalid
+ */
+const decodeCursor = (cursor, sortKey) => {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (err) {
+        return null;
+    }
+
+    if (!payload || payload.s !== sortKey || !/^[a-f\d]{24}$/i.test(payload.id)) return null;
+    if (payload.v !== null && !['string', 'number', 'boolean'].includes(typeof payload.v)) return null;
+
+    const value = payload.d ? new Date(payload.v) : payload.v;
+    if (value instanceof Date && Number.isNaN(value.getTime())) return null;
+
+    return { value, id: payload.id };
+};
+
+/**
+ * MongoDB condition matching the documents after a cursor position
+ * Ties on the sort field are broken by _id (the sort always ends with _id)
+ *
+ * @private
+ * @param {string} sortKey - Sort field with direction
+ * @param {{ value: *, id: string }} position - Decoded cursor
+ * @returns {Object} MongoDB condition
+ */
+const afterCursor = (sortKey, { value, id }) => {
+    const desc = sortKey.startsWith('-');
+    const field = sortKey.replace(/^-/, '');
+    const op = desc ? '$lt' : '$gt';
+
+    // MongoDB sorts null/missing values before everything else
+    if (value === null) {
+        return desc
+            ? { [field]: null, _id: { $lt: id } }
+            : { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] };
+    }
+
+    const after = [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: id } }];
+    if (desc) after.push({ [field]: null });
+    return { $or: after };
+};
+
+/**
+ * Builds list queries (filter, sort, projection, pagination) from req.query
+ *
+ * Only the fields a model declares in its `queryOptions` static can be
+ * filtered or sorted; anything else is rejected with 400 INVALID_QUERY
+ *
+ * Pagination works by page (?page=3&limit=20) or by cursor: every page
+ * returns `nextCursor`, and ?cursor=<nextCursor> continues from there without
+ * skipping rows (fast on deep pages). Cursors need a single sort field
+ *
+ * @class APIFeatures
+ *
+ * @example
+ * // model
+ * NewsSchema.statics.queryOptions = {
+ *     filterable: { category: 'string', views: 'number', publishedAt: 'date' },
+ *     sortable: ['publishedAt', 'views'],
+ *     defaultSort: '-publishedAt',
+ * };
+ *
+ * // controller
+ * const features = new APIFeatures(News.find(), req.query)
+ *     .filter()
+ *     .sort()
+ *     .limitFields()
+ *     .paginate();
+ * const { docs, pagination } = await features.execute();
+ * // pagination: { total, page, pages, limit, hasMore, nextCursor }
+ */
 class APIFeatures {
-    constructor(query, queryString) {
+    /**
+     * @constructor
+     * @param {Object} query - Mongoose query
+     * @param {Object} queryString - req.query
+     * @param {Object} [options] - Overrides the model's queryOptions
+     * @param {Object} [options.filterable] - { field: 'string'|'number'|'date'|'boolean'|'objectId' }
+     * @param {string[]} [options.sortable] - Fields allowed in ?sort
+     * @param {string} [options.defaultSort='-createdAt'] - Sort used without ?sort
+     * @param {number} [options.maxLimit=100] - Largest ?limit accepted
+     */
+    constructor(query, queryString, options) {
         this.query = query;
         this.queryString = queryString;
+        this.options = {
+            filterable: {},
+            sortable: ['createdAt'],
+            defaultSort: '-createdAt',
+            defaultLimit: DEFAULT_LIMIT,
+            maxLimit: MAX_LIMIT,
+            ...((query.model && query.model.queryOptions) || {}),
+            ...options,
+        };
     }
+
     // Build the query
     filter() {
-        const queryObj = { ...this.queryString };
-        const excludeFields = ['page', 'sort', 'limit', 'fields'];
-        excludeFields.forEach(el => delete queryObj[el]);
+        const conditions = {};
+        const errors = {};
+
+        Object.keys(this.queryString).forEach((field) => {
+            if (RESERVED_PARAMS.includes(field)) return;
+
+            const type = this.options.filterable[field];
+            if (!type) {
+                const allowed = Object.keys(this.options.filterable).join(', ') || 'nessuno';
+                errors[field] = `Filtro non consentito. Campi filtrabili: ${allowed}`;
+                return;
+            }
+
+            const raw = this.queryString[field];
+            const isOperatorMap = raw !== null && typeof raw === 'object' && !Array.isArray(raw);
+            const operators = isOperatorMap ? raw : { eq: raw };
+            const condition = {};
+
+            Object.keys(operators).forEach((operator) => {
+                const param = isOperatorMap ? `${field}[${operator}]` : field;
+                const error = this.buildCondition(condition, operator, operators[operator], type);
+                if (error) errors[param] = error;
+            });
+
+            conditions[field] = condition;
+        });
 
-        let queryStr = JSON.stringify(queryObj);
-        queryStr = queryStr.replace(/\b(gte|gt|lte|lt)\b/g, match => `$${match}`);
+        if (Object.keys(errors).length > 0) {
+            throw new AppError('Parametri di filtro non validi', 400, 'INVALID_QUERY', errors);
+        }
 
-        this.query = this.query.find(JSON.parse(queryStr));
+        this.query = this.query.find(conditions);
         return this;
     }
 
+    /**
+     * Adds one operator to a field condition
+     *
+     * @private
+     * @param {Object} condition - MongoDB condition being built for the field
+     * @param {string} operator - Operator name from the query string
+     * @param {*} value - Raw value
+     * @param {string} type - Declared field type
+     * @returns {string|null} Error message, or null
+     */
+    buildCondition(condition, operator, value, type) {
+        const spec = OPERATORS[operator];
+        if (!spec) {
+            return `Operatore non supportato. Operatori: ${Object.keys(OPERATORS).join(', ')}`;
+        }
+        if (!spec.types.includes(type)) {
+            return `Operatore "${operator}" non applicabile a un campo di tipo ${type}`;
+        }
+        if (typeof value !== 'string') {
+            return 'Valore non valido: usa un solo valore (liste con in/nin separate da virgola)';
+        }
+
+        if (spec.list) {
+            const values = value.split(',').map((v) => COERCE[type](v.trim()));
+            if (values.length > MAX_LIST_VALUES) {
+                return `Massimo ${MAX_LIST_VALUES} valori`;
+            }
+            if (values.some((v) => v === undefined)) {
+                return `Valori non validi per un campo di tipo ${type}`;
+            }
+            condition[`$${operator}`] = values;
+            return null;
+        }
+
+        if (operator === 'prefix') {
+            condition.$regex = `^${escapeRegex(value)}`;
+            condition.$options = 'i';
+            return null;
+        }
+
+        const coerced = COERCE[type](value);
+        if (coerced === undefined) {
+            return `Valore non valido per un campo di tipo ${type}`;
+        }
+        condition[`$${operator}`] = coerced;
+        return null;
+    }
+
     sort() {
-        if (this.queryString.sort) {
-            const sortBy = this.queryString.sort.split(',').join(' ');
-            this.query = this.query.sort(sortBy);
-        } else {
-            this.query = this.query.sort('-createdAt');
+        const { sort } = this.queryString;
+
+        const fields = typeof (sort || this.options.defaultSort) === 'string'
+            ? (sort || this.options.defaultSort).split(/[,\s]+/).filter(Boolean)
+            : [];
+        const invalid = fields.filter((f) => !this.options.sortable.includes(f.replace(/^-/, '')));
+
+        if (fields.length === 0 || invalid.length > 0) {
+            throw new AppError('Ordinamento non valido', 400, 'INVALID_QUERY', {
+                sort: `Campi ordinabili: ${this.options.sortable.join(', ')}`,
+            });
         }
+
+        // _id as last key makes the order stable (needed by cursors)
+        const last = fields[fields.length - 1];
+        this.sortFields = fields;
+        this.query = this.query.sort([...fields, last.startsWith('-') ? '-_id' : '_id'].join(' '));
         return this;
     }
 
     limitFields() {
-        if(this.queryString.fields) {
-            const fields = this.queryString.fields.split(',').join(' ');
-            this.query = this.query.select(fields);
-        } else {
+        const { fields } = this.queryString;
+
+        if (!fields) {
             this.query = this.query.select('-__v');
+            return this;
         }
+
+        const { schema } = this.query.model;
+        const list = typeof fields === 'string'
+            ? fields.split(',').map((f) => f.trim()).filter(Boolean)
+            : [];
+        // Only plain paths: "+field" would force-select paths hidden with select: false
+        const unknown = list.filter((f) => {
+            const path = f.replace(/^-/, '');
+            return !/^[A-Za-z0-9_.]+$/.test(path)
+                || (!schema.path(path) && schema.pathType(path) !== 'nested');
+        });
+        const included = list.filter((f) => !f.startsWith('-'));
+        const excluded = list.filter((f) => f.startsWith('-') && f !== '-_id');
+
+        if (list.length === 0 || unknown.length > 0) {
+            throw new AppError('Selezione dei campi non valida', 400, 'INVALID_QUERY', {
+                fields: `Campi sconosciuti: ${unknown.join(', ') || fields}`,
+            });
+        }
+        if (included.length > 0 && excluded.length > 0) {
+            throw new AppError('Selezione dei campi non valida', 400, 'INVALID_QUERY', {
+                fields: 'Indica solo campi da includere oppure solo campi da escludere (-campo)',
+            });
+        }
+
+        this.query = this.query.select(list.join(' '));
         return this;
     }
 
     paginate(){
-        const page = this.queryString.page * 1 || 1;
-        const limit = this.queryString.limit * 1 || 100;
+        const errors = {};
+        const { page: rawPage, limit: rawLimit, cursor } = this.queryString;
+        const page = rawPage === undefined ? 1 : Number(rawPage);
+        const limit = rawLimit === undefined ? this.options.defaultLimit : Number(rawLimit);
+
+        if (!Number.isInteger(page) || page < 1) {
+            errors.page = 'La pagina deve essere un intero maggiore di 0';
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > this.options.maxLimit) {
+            errors.limit = `Il limite deve essere un intero tra 1 e ${this.options.maxLimit}`;
+        }
+        if (cursor !== undefined && rawPage !== undefined) {
+            errors.cursor = 'Usa page oppure cursor, non entrambi';
+        }
+        if (Object.keys(errors).length > 0) {
+            throw new AppError('Paginazione non valida', 400, 'INVALID_QUERY', errors);
+        }
+
+        // Total over the filtered set, before the cursor narrows it
+        this.countQuery = this.query.model.countDocuments(this.query.getFilter());
+
+        if (cursor !== undefined) {
+            const sortKey = this.sortKey();
+            const position = typeof cursor === 'string' ? decodeCursor(cursor, sortKey) : null;
+            if (!position) {
+                throw new AppError('Cursore non valido', 400, 'INVALID_CURSOR', {
+                    cursor: 'Usa il nextCursor della pagina precedente, con lo stesso sort',
+                });
+            }
+
+            this.query = this.query.and([afterCursor(sortKey, position)]).limit(limit);
+            this.pagination = { page: null, limit };
+            return this;
+        }
+
         const skip = (page - 1) * limit;
 
         this.query = this.query.skip(skip).limit(limit);
+        this.pagination = { page, limit };
         return this;
     }
+
+    /**
+     * Single sort key the cursor is based on, null when sorting on several fields
+     *
+     * @private
+     * @returns {string|null}
+     */
+    sortKey() {
+        return this.sortFields && this.sortFields.length === 1 ? this.sortFields[0] : null;
+    }
+
+    /**
+     * Runs the paginated query and the total count in parallel
+     * Call after paginate()
+     *
+     * @async
+     * @returns {Promise<{ docs: Object[], pagination: Object }>}
+     *   pagination: { total, page, pages, limit, hasMore, nextCursor }
+     *   (page is null in cursor mode)
+     */
+    async execute() {
+        const { page, limit } = this.pagination;
+
+        // One extra row tells whether another page exists
+        const [docs, total] = await Promise.all([
+            this.query.limit(limit + 1),
+            this.countQuery,
+        ]);
+
+        const hasMore = docs.length > limit;
+        if (hasMore) docs.pop();
+
+        const sortKey = this.sortKey();
+        const last = docs[docs.length - 1];
+        const canContinue = hasMore && sortKey && last && last.isSelected(sortKey.replace(/^-/, ''));
+
+        return {
+            docs,
+            pagination: {
+                total,
+                page,
+                pages: Math.ceil(total / limit),
+                limit,
+                hasMore,
+                nextCursor: canContinue ? encodeCursor(sortKey, last) : null,
+            },
+        };
+    }
 }
 
-module.exports = APIFeatures;
\ No newline at end of file
+module.exports = APIFeatures;
+module.exports.MAX_LIMIT = MAX_LIMIT;
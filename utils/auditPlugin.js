@@ -0,0 +1,313 @@
+/**
+ * @file auditPlugin.js
+ * @description Mongoose plugin that writes an AuditLog entry for every change
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Hooks into document and query middleware so that changes are recorded
+ * whether they come from a controller, a script or another model:
+ * - save (create and update)
+ * - insertMany
+ * - findOneAndUpdate, updateOne, updateMany, replaceOne, findOneAndReplace
+ * - findOneAndDelete, deleteOne, deleteMany
+ *
+ * Actor and route come from utils/requestContext.js (AsyncLocalStorage)
+ * A failed audit write is logged but never breaks the original operation
+ *
+ * Counter-only updates (e.g. `$inc: { views: 1 }`) are skipped through the
+ * `ignore` option so that page views do not flood the audit trail
+ *
+ * @example
+ * NewsSchema.plugin(auditPlugin, { ignore: ['views'] });
+ */
+
+const AuditLog = require('../models/auditLogModel');
+const { getContext } = require('./requestContext');
+
+/**
+ * Fields never reported in a diff (bookkeeping only)
+ * @constant
+ */
+const ALWAYS_IGNORED = ['_id', '__v', 'updatedAt', 'createdAt'];
+
+const UPDATE_OPERATIONS = [
+  'findOneAndUpdate',
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'findOneAndReplace',
+];
+
+const DELETE_OPERATIONS = ['findOneAndDelete', 'deleteOne', 'deleteMany'];
+
+const SINGLE_DOCUMENT_OPERATIONS = [
+  'findOneAndUpdate',
+  'updateOne',
+  'replaceOne',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'deleteOne',
+];
+
+/**
+ * Serializes a value for comparison (Dates, ObjectIds, arrays, subdocs)
+ *
+ * @private
+ * @param {*} value - Any value
+ * @returns {string} Stable JSON representation
+ */
+const serialize = (value) => JSON.stringify(value === undefined ? null : value);
+
+/**
+ * Computes the field-level diff between two plain objects
+ *
+ * @function diffDocuments
+ * @param {Object|null} before - Document before the change (null on create)
+ * @param {Object|null} after - Document after the change (null on delete)
+ * @param {Set<string>} ignore - Top-level fields to skip
+ * @returns {Object} { field: { before, after } } for every changed field
+ *
+ * @example
+ * diffDocuments({ title: 'A' }, { title: 'B' }, new Set());
+ * // { title: { before: 'A', after: 'B' } }
+ */
+const diffDocuments = (before, after, ignore) => {
+  const changes = {};
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+
+  fields.forEach((field) => {
+    if (ignore.has(field)) return;
+
+    const oldValue = before ? before[field] : undefined;
+    const newValue = after ? after[field] : undefined;
+
+    if (serialize(oldValue) !== serialize(newValue)) {
+      changes[field] = {
+        before: oldValue === undefined ? null : oldValue,
+        after: newValue === undefined ? null : newValue,
+      };
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Tells whether an update touches at least one audited field
+ *
+ * @private
+ * @param {Object|Array} update - Mongoose update (operators, plain fields or pipeline)
+ * @param {Set<string>} ignore - Top-level fields to skip
+ * @returns {boolean} True if the update must be audited
+ */
+const touchesAuditedFields = (update, ignore) => {
+  if (!update) return false;
+  if (Array.isArray(update)) return true; // Aggregation pipeline: cannot tell
+
+  const paths = Object.keys(update).flatMap((key) =>
+    key.startsWith('$') ? Object.keys(update[key] || {}) : [key],
+  );
+
+  return paths.some((path) => !ignore.has(path.split('.')[0]));
+};
+
+/**
+ * Writes one audit entry using the current request context
+ *
+ * @private
+ * @async
+ * @param {Object} entry - { action, entityType, entityId, changes }
+ * @returns {Promise<void>}
+ */
+const writeEntry = async ({ action, entityType, entityId, changes }) => {
+  try {
+    const context = getContext();
+
+    await AuditLog.create({
+      action,
+      entityType,
+      entityId,
+      actorType: context ? (context.actor ? 'user' : 'anonymous') : 'system',
+      actor: context && context.actor ? context.actor : undefined,
+      route: context
+        ? { method: context.method, path: context.path }
+        : undefined,
+      ip: context ? context.ip : undefined,
+      requestId: context ? context.requestId : undefined,
+      changes,
+    });
+  } catch (error) {
+    console.error(
+      `❌ Audit log write failed (${action} ${entityType} ${entityId}):`,
+      error.message,
+    );
+  }
+};
+
+/**
+ * Loads the documents a query is about to change
+ *
+ * @private
+ * @async
+ * @param {Object} query - Mongoose query (this in query middleware)
+ * @returns {Promise<Array<Object>>} Lean documents
+ */
+const findTargets = (query) => {
+  const filter = query.getFilter();
+  const { sort } = query.getOptions();
+
+  if (SINGLE_DOCUMENT_OPERATIONS.includes(query.op)) {
+    return query.model
+      .findOne(filter, null, { sort })
+      .lean()
+      .then((doc) => (doc ? [doc] : []));
+  }
+
+  return query.model.find(filter).lean();
+};
+
+/**
+ * Audit plugin
+ *
+ * @function auditPlugin
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} [options] - Plugin options
+ * @param {Array<string>} [options.ignore] - Extra top-level fields to ignore (counters, caches)
+ * @returns {void}
+ */
+const auditPlugin = (schema, options = {}) => {
+  const ignore = new Set([...ALWAYS_IGNORED, ...(options.ignore || [])]);
+
+  // Documents loaded before a query change, keyed by the query itself
+  const pending = new WeakMap();
+
+  // ===== DOCUMENT MIDDLEWARE: save() =====
+
+  schema.pre('save', async function () {
+    if (this.isNew) {
+      this.$locals.auditAction = 'create';
+      return;
+    }
+
+    const modified = this.modifiedPaths().filter(
+      (path) => !ignore.has(path.split('.')[0]),
+    );
+
+    if (modified.length === 0) {
+      this.$locals.auditAction = null;
+      return;
+    }
+
+    this.$locals.auditAction = 'update';
+    this.$locals.auditBefore = await this.constructor.findById(this._id).lean();
+  });
+
+  schema.post('save', async function (doc) {
+    const action = doc.$locals.auditAction;
+    const before = doc.$locals.auditBefore || null;
+    delete doc.$locals.auditAction;
+    delete doc.$locals.auditBefore;
+
+    if (!action) return;
+
+    const changes = diffDocuments(
+      before,
+      doc.toObject({ depopulate: true }),
+      ignore,
+    );
+    if (action === 'update' && Object.keys(changes).length === 0) return;
+
+    await writeEntry({
+      action,
+      entityType: doc.constructor.modelName,
+      entityId: doc._id,
+      changes,
+    });
+  });
+
+  // ===== MODEL MIDDLEWARE: insertMany() =====
+
+  schema.post('insertMany', async function (docs) {
+    for (const doc of docs) {
+      await writeEntry({
+        action: 'create',
+        entityType: this.modelName,
+        entityId: doc._id,
+        changes: diffDocuments(null, doc.toObject(), ignore),
+      });
+    }
+  });
+
+  // ===== QUERY MIDDLEWARE: updates =====
+
+  schema.pre(
+    UPDATE_OPERATIONS,
+    { document: false, query: true },
+    async function () {
+      if (!touchesAuditedFields(this.getUpdate(), ignore)) return;
+      pending.set(this, await findTargets(this));
+    },
+  );
+
+  schema.post(
+    UPDATE_OPERATIONS,
+    { document: false, query: true },
+    async function () {
+      const beforeDocs = pending.get(this);
+      pending.delete(this);
+      if (!beforeDocs || beforeDocs.length === 0) return;
+
+      const afterDocs = await this.model
+        .find({ _id: { $in: beforeDocs.map((d) => d._id) } })
+        .lean();
+
+      for (const before of beforeDocs) {
+        const after = afterDocs.find((d) => d._id.equals(before._id)) || null;
+        const changes = diffDocuments(before, after, ignore);
+        if (Object.keys(changes).length === 0) continue;
+
+        await writeEntry({
+          action: 'update',
+          entityType: this.model.modelName,
+          entityId: before._id,
+          changes,
+        });
+      }
+    },
+  );
+
+  // ===== QUERY MIDDLEWARE: deletes =====
+
+  schema.pre(
+    DELETE_OPERATIONS,
+    { document: false, query: true },
+    async function () {
+      pending.set(this, await findTargets(this));
+    },
+  );
+
+  schema.post(
+    DELETE_OPERATIONS,
+    { document: false, query: true },
+    async function () {
+      const beforeDocs = pending.get(this);
+      pending.delete(this);
+      if (!beforeDocs) return;
+
+      for (const before of beforeDocs) {
+        await writeEntry({
+          action: 'delete',
+          entityType: this.model.modelName,
+          entityId: before._id,
+          changes: diffDocuments(before, null, ignore),
+        });
+      }
+    },
+  );
+};
+
+module.exports = auditPlugin;
+module.exports.diffDocuments = diffDocuments;
@@ -0,0 +1,265 @@
+/**
+ * @file badges.js
+ * @description Printable registration documents: name badges and attendee sheet
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * - Badges: A4 sticker sheets, 2 x 4 labels of 99.1 x 67.7 mm (Avery L7165
+ *   and compatible), one badge per registration
+ * - Attendee sheet: A4 table in the given order with a blank signature column,
+ *   used for manual check-in at the entrance
+ *
+ * @example
+ * const { renderBadgesPDF, renderAttendeeSheetPDF } = require('../utils/badges');
+ * const pdf = await renderBadgesPDF({ registrazioni, event });
+ */
+
+const PDFDocument = require('pdfkit');
+
+/**
+ * Millimetres to PDF points
+ *
+ * @private
+ * @param {number} value - Millimetres
+ * @returns {number}
+ */
+const mm = (value) => (value * 72) / 25.4;
+
+/**
+ * Sticker sheet geometry (Avery L7165)
+ * @constant
+ */
+const LABEL = {
+  columns: 2,
+  rows: 4,
+  width: mm(99.1),
+  height: mm(67.7),
+  marginTop: mm(13.1),
+  marginLeft: mm(4.65),
+  pitchX: mm(101.6),
+  pitchY: mm(67.7),
+  padding: mm(6),
+};
+
+/**
+ * Role labels printed on badges and on the attendee sheet
+ * @constant
+ */
+const ROLE_LABELS = {
+  partecipante: 'Partecipante',
+  relatore: 'Relatore',
+  staff: 'Staff',
+  volontario: 'Volontario',
+  organizzatore: 'Organizzazione',
+};
+
+/**
+ * Attendee sheet columns: [header, width in points, value]
+ * @constant
+ */
+const SHEET_COLUMNS = [
+  ['N.', 26, (r, i) => String(i + 1)],
+  ['Cognome', 100, (r) => r.cognome],
+  ['Nome', 90, (r) => r.nome],
+  ['Chiesa / Città', 120, (r) => affiliation(r)],
+  ['Ruolo', 70, (r) => roleLabel(r)],
+  ['Firma', 109, () => ''],
+];
+
+/**
+ * Second badge line: church, or city when no church was given
+ *
+ * @private
+ * @param {Object} registrazione
+ * @returns {string}
+ */
+const affiliation = (registrazione) =>
+  registrazione.chiesa || registrazione.citta || '';
+
+/**
+ * Printable role of a registration
+ *
+ * @private
+ * @param {Object} registrazione
+ * @returns {string}
+ */
+const roleLabel = (registrazione) =>
+  ROLE_LABELS[registrazione.ruolo] || ROLE_LABELS.partecipante;
+
+/**
+ * Collects a PDFKit document into a Buffer
+ *
+ * @private
+ * @param {PDFDocument} doc
+ * @returns {Promise<Buffer>} Resolved when doc.end() has been called
+ */
+const collect = (doc) => {
+  const chunks = [];
+  return new Promise((resolve, reject) => {
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+};
+
+/**
+ * Draws one badge inside its label
+ *
+ * @private
+ * @param {PDFDocument} doc
+ * @param {Object} registrazione
+ * @param {Object} event
+ * @param {number} x - Label left edge
+ * @param {number} y - Label top edge
+ */
+const drawBadge = (doc, registrazione, event, x, y) => {
+  const left = x + LABEL.padding;
+  const width = LABEL.width - LABEL.padding * 2;
+  const options = { width, align: 'center', lineBreak: false, ellipsis: true };
+
+  doc
+    .font('Helvetica')
+    .fontSize(8)
+    .fillColor('#555555')
+    .text(event ? event.title : '', left, y + LABEL.padding, options);
+
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(20)
+    .fillColor('#000000')
+    .text(registrazione.nome, left, y + mm(18), options);
+  doc
+    .font('Helvetica')
+    .fontSize(14)
+    .text(registrazione.cognome, left, y + mm(27), options);
+
+  doc
+    .fontSize(10)
+    .fillColor('#333333')
+    .text(affiliation(registrazione), left, y + mm(38), options);
+
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(9)
+    .fillColor('#000000')
+    .text(
+      roleLabel(registrazione).toUpperCase(),
+      left,
+      y + LABEL.height - LABEL.padding - 10,
+      options,
+    );
+};
+
+/**
+ * Renders name badges on A4 sticker sheets (8 per page)
+ *
+ * @function renderBadgesPDF
+ * @async
+ * @param {Object} data
+ * @param {Array<Object>} data.registrazioni - Registrations, in print order
+ * @param {Object} [data.event] - Event printed on top of each badge
+ * @returns {Promise<Buffer>} PDF file
+ */
+const renderBadgesPDF = async ({ registrazioni, event }) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 0,
+    autoFirstPage: false,
+    info: { Title: `Badge${event ? ` - ${event.title}` : ''}` },
+  });
+  const done = collect(doc);
+  const perPage = LABEL.columns * LABEL.rows;
+
+  if (registrazioni.length === 0) doc.addPage();
+
+  registrazioni.forEach((registrazione, index) => {
+    const slot = index % perPage;
+    if (slot === 0) doc.addPage();
+
+    const x = LABEL.marginLeft + (slot % LABEL.columns) * LABEL.pitchX;
+    const y = LABEL.marginTop + Math.floor(slot / LABEL.columns) * LABEL.pitchY;
+    drawBadge(doc, registrazione, event, x, y);
+  });
+
+  doc.end();
+  return done;
+};
+
+/**
+ * Renders the printable attendee sheet (header repeated on every page)
+ *
+ * @function renderAttendeeSheetPDF
+ * @async
+ * @param {Object} data
+ * @param {Array<Object>} data.registrazioni - Registrations, in print order
+ * @param {Object} [data.event] - Event named in the title
+ * @returns {Promise<Buffer>} PDF file
+ */
+const renderAttendeeSheetPDF = async ({ registrazioni, event }) => {
+  const margin = 40;
+  const rowHeight = 22;
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin,
+    info: { Title: `Elenco iscritti${event ? ` - ${event.title}` : ''}` },
+  });
+  const done = collect(doc);
+  const bottom = doc.page.height - margin;
+
+  const drawRow = (cells, y, bold) => {
+    let x = margin;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    cells.forEach((cell, i) => {
+      const width = SHEET_COLUMNS[i][1];
+      doc.text(cell, x + 3, y + 7, {
+        width: width - 6,
+        lineBreak: false,
+        ellipsis: true,
+      });
+      doc.rect(x, y, width, rowHeight).stroke('#999999');
+      x += width;
+    });
+  };
+
+  const drawHeader = () => {
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(13)
+      .fillColor('#000000')
+      .text(event ? event.title : 'Elenco iscritti', margin, margin);
+    doc
+      .font('Helvetica')
+      .fontSize(9)
+      .text(`${registrazioni.length} iscritti`, margin, doc.y + 2);
+    const y = doc.y + 8;
+    drawRow(
+      SHEET_COLUMNS.map(([header]) => header),
+      y,
+      true,
+    );
+    return y + rowHeight;
+  };
+
+  let y = drawHeader();
+  registrazioni.forEach((registrazione, index) => {
+    if (y + rowHeight > bottom) {
+      doc.addPage();
+      y = drawHeader();
+    }
+    drawRow(
+      SHEET_COLUMNS.map(([, , value]) => value(registrazione, index) || ''),
+      y,
+      false,
+    );
+    y += rowHeight;
+  });
+
+  doc.end();
+  return done;
+};
+
+module.exports = {
+  ROLE_LABELS,
+  renderBadgesPDF,
+  renderAttendeeSheetPDF,
+};
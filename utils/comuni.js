@@ -0,0 +1,97 @@
+/**
+ * @file comuni.js
+ * @description Gazetteer of Italian localities (data/comuni.json)
+ * @version 1.1
+ * @author SDA Italia Dev Team
+ *
+ * The bundled list holds every ISTAT comune
+ * ({ nome, provincia, regione, codice, lat, lng, approssimato? }), with
+ * coordinates from GeoNames: see data/COMUNI_SOURCES.md for sources, licenses
+ * and how to rebuild it. Names are matched without case, accents,
+ * apostrophes or hyphens ("l aquila" finds L'Aquila); a few comuni are also
+ * found by their common name ("Reggio Emilia")
+ *
+ * @example
+ * const { findComuni, searchComuni } = require('../utils/comuni');
+ * findComuni('Forli'); // [{ nome: 'Forlì', provincia: 'FC', lat: 44.2225, ... }]
+ * findComuni('Castro'); // two comuni: BG and LE
+ * searchComuni('ro'); // [{ nome: 'Roana', ... }, { nome: 'Roaschia', ... }]
+ */
+
+const COMUNI = require('../data/comuni.json');
+
+/**
+ * Normalizes a name for comparison
+ *
+ * @private
+ * @param {string} name
+ * @returns {string}
+ */
+const normalize = (name) =>
+  String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+/**
+ * Common names of comuni whose ISTAT name is different
+ * @constant
+ */
+const ALIASES = {
+  'Reggio Emilia': "Reggio nell'Emilia",
+  'Reggio Calabria': 'Reggio di Calabria',
+};
+
+const INDEX = [
+  ...COMUNI.map((comune) => ({ key: normalize(comune.nome), comune })),
+  ...Object.entries(ALIASES).map(([alias, nome]) => ({
+    key: normalize(alias),
+    comune: COMUNI.find((comune) => comune.nome === nome),
+  })),
+];
+
+/**
+ * Finds the comuni with a name (homonyms are in different provinces)
+ *
+ * @function findComuni
+ * @param {string} nome
+ * @param {string} [provincia] - Province code ('RM')
+ * @returns {Array<Object>} Empty if none matches
+ */
+const findComuni = (nome, provincia) => {
+  const key = normalize(nome);
+  return INDEX.filter(
+    (entry) =>
+      entry.key === key &&
+      (!provincia || entry.comune.provincia === provincia.toUpperCase()),
+  ).map((entry) => entry.comune);
+};
+
+/**
+ * Comuni whose name starts with the given text, in alphabetical order
+ *
+ * @function searchComuni
+ * @param {string} q
+ * @param {number} [limit=20]
+ * @returns {Array<Object>}
+ */
+const searchComuni = (q, limit = 20) => {
+  const prefix = normalize(q);
+  const found = INDEX.filter((entry) => entry.key.startsWith(prefix)).map(
+    (entry) => entry.comune,
+  );
+  return [...new Set(found)]
+    .sort(
+      (a, b) =>
+        a.nome.localeCompare(b.nome, 'it') ||
+        a.provincia.localeCompare(b.provincia),
+    )
+    .slice(0, limit);
+};
+
+module.exports = {
+  findComuni,
+  searchComuni,
+};
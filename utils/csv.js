@@ -0,0 +1,84 @@
+/**
+ * @file csv.js
+ * @description CSV generation for organizer exports
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Output is RFC 4180 (CRLF, double-quote escaping) with a UTF-8 BOM so that
+ * Excel opens accented names correctly. Cells starting with = + - @ are
+ * prefixed with ' to stop spreadsheet formula injection
+ *
+ * @example
+ * const { toCSV, sendCSV } = require('../utils/csv');
+ * const columns = [
+ *   { header: 'Cognome', value: (r) => r.cognome },
+ *   { header: 'Email', value: 'email' },
+ * ];
+ * sendCSV(res, 'iscritti.csv', toCSV(columns, registrazioni));
+ */
+
+/**
+ * Formats one cell
+ *
+ * @private
+ * @param {*} value
+ * @returns {string}
+ */
+const formatCell = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds a CSV document
+ *
+ * @function toCSV
+ * @param {Array<Object>} columns - [{ header, value }] where value is a field
+ *   name or a function (row) => value
+ * @param {Array<Object>} rows
+ * @returns {string} CSV text (with BOM)
+ */
+const toCSV = (columns, rows) => {
+  const lines = [columns.map((column) => formatCell(column.header)).join(',')];
+
+  rows.forEach((row) => {
+    lines.push(
+      columns
+        .map((column) =>
+          formatCell(
+            typeof column.value === 'function'
+              ? column.value(row)
+              : row[column.value],
+          ),
+        )
+        .join(','),
+    );
+  });
+
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Sends a CSV document as a download
+ *
+ * @function sendCSV
+ * @param {Object} res - Express response object
+ * @param {string} filename - Download file name
+ * @param {string} csv - CSV text
+ */
+const sendCSV = (res, filename, csv) => {
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+  });
+  res.status(200).send(csv);
+};
+
+module.exports = {
+  toCSV,
+  sendCSV,
+};
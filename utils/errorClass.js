@@ -1,13 +1,36 @@
 /**
  * @file errorClass.js
  * @description Custom error class for standardized error handling across the application
- * @version 1.0
+ * @version 1.1
  * @author SDA Italia Dev Team
  *
  * @example
  * throw new AppError('Invalid credentials', 401);
+ * throw new AppError('Token scaduto', 401, 'TOKEN_EXPIRED');
  */
 
+/**
+ * Default machine-readable code for each HTTP status
+ * Used when an AppError is created without an explicit code
+ *
+ * @constant DEFAULT_CODES
+ */
+const DEFAULT_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  402: 'PAYMENT_REQUIRED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  410: 'GONE',
+  413: 'PAYLOAD_TOO_LARGE',
+  422: 'UNPROCESSABLE_ENTITY',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  502: 'BAD_GATEWAY',
+  503: 'SERVICE_UNAVAILABLE',
+};
+
 /**
  * Custom AppError class extending native Error
  * Provides standardized error handling with status codes and messages
@@ -17,10 +40,14 @@
  *
  * @param {string} message - Error message to display to client
  * @param {number} statusCode - HTTP status code (default: 500)
+ * @param {string} [code] - Machine-readable error code (default: derived from statusCode)
+ * @param {Object} [errors] - Per-field error messages ({ field: message })
  *
  * @property {string} message - Error message
  * @property {number} statusCode - HTTP status code
  * @property {string} status - Status string ('fail' for 4xx, 'error' for 5xx)
+ * @property {string} code - Machine-readable error code (e.g. 'NOT_FOUND', 'VALIDATION_ERROR')
+ * @property {Object} [errors] - Per-field error messages
  * @property {boolean} isOperational - Indicates if error is operational (known) vs programmer error
  *
  * @example
@@ -35,16 +62,34 @@ class AppError extends Error {
    * @constructor
    * @param {string} message - Error message
    * @param {number} statusCode - HTTP status code
+   * @param {string} [code] - Machine-readable error code
+   * @param {Object} [errors] - Per-field error messages
    */
-  constructor(message, statusCode) {
+  constructor(message, statusCode = 500, code, errors) {
     super(message);
     this.statusCode = statusCode;
     this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
+    this.code = code || AppError.defaultCode(statusCode);
+    if (errors) this.errors = errors;
     this.isOperational = true;
 
     // Capture stack trace (exclude constructor call from stack)
     Error.captureStackTrace(this, this.constructor);
   }
+
+  /**
+   * Default machine-readable code for an HTTP status
+   *
+   * @static
+   * @param {number} statusCode - HTTP status code
+   * @returns {string} Error code (e.g. 404 → 'NOT_FOUND')
+   */
+  static defaultCode(statusCode) {
+    return (
+      DEFAULT_CODES[statusCode] ||
+      (`${statusCode}`.startsWith('4') ? 'BAD_REQUEST' : 'INTERNAL_ERROR')
+    );
+  }
 }
 
 module.exports = AppError;
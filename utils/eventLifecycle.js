@@ -0,0 +1,223 @@
+/**
+ * @file eventLifecycle.js
+ * @description Event lifecycle scheduler and hooks
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Every EVENT_SCHEDULER_INTERVAL_SECONDS the scheduler:
+ * - moves events from scheduled to ongoing at `date`, and to completed at
+ *   `endDate` (or at `date` for events without an end)
+ * - closes registrations at the deadline (Event.getRegistrationDeadline)
+ * - sends the reminder EVENT_REMINDER_HOURS before the start
+ * - expires waitlist offers and unpaid checkouts that ran out of time
+ *
+ * Each step is a conditional update on the event: with several server
+ * instances (PM2 cluster) only one of them wins, so every hook fires once
+ *
+ * Hooks are emitted on `lifecycle` with the event document:
+ * - event:started            scheduled → ongoing
+ * - event:completed          ongoing → completed
+ * - event:registrationClosed deadline reached
+ * - event:reminder           EVENT_REMINDER_HOURS before the start
+ *
+ * A failing listener is logged and never stops the scheduler; async
+ * listeners are awaited one after the other
+ *
+ * @example
+ * const { lifecycle, LIFECYCLE_HOOKS } = require('../utils/eventLifecycle');
+ * lifecycle.on(LIFECYCLE_HOOKS.REMINDER, async (event) => { ... });
+ *
+ * // server.js, after the database connection
+ * startEventScheduler();
+ */
+
+const EventEmitter = require('events');
+const config = require('../config');
+const Event = require('../models/eventiModel');
+const Conferenza = require('../models/conferenzaModel');
+
+/**
+ * Hook names
+ * @constant
+ */
+const LIFECYCLE_HOOKS = {
+  STARTED: 'event:started',
+  COMPLETED: 'event:completed',
+  REGISTRATION_CLOSED: 'event:registrationClosed',
+  REMINDER: 'event:reminder',
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Hook bus: listeners are called in order and awaited; errors are logged
+ */
+class LifecycleEmitter extends EventEmitter {
+  /**
+   * Runs every listener of a hook
+   *
+   * @param {string} hook - One of LIFECYCLE_HOOKS
+   * @param {Object} event - Event document
+   * @returns {Promise<void>}
+   */
+  async dispatch(hook, event) {
+    for (const listener of this.listeners(hook)) {
+      try {
+        await listener(event);
+      } catch (err) {
+        console.error(
+          `❌ Hook ${hook} fallito per l'evento ${event._id}: ${err.message}`,
+        );
+      }
+    }
+  }
+}
+
+const lifecycle = new LifecycleEmitter();
+
+/**
+ * Claims one milestone on every matching event and dispatches its hook
+ *
+ * @private
+ * @param {Object} filter - Events due for this step
+ * @param {Object} update - Update that marks the step as done
+ * @param {Object} guard - Condition that makes the update win only once
+ * @param {string} hook - Hook to dispatch
+ * @returns {Promise<number>} Events moved
+ */
+const advance = async (filter, update, guard, hook) => {
+  // A recurring series has no lifecycle of its own: its date is only the
+  // first occurrence (edited occurrences are single events and do move)
+  const due = await Event.find({
+    ...filter,
+    ...guard,
+    'recurrence.rule': null,
+  }).select('_id');
+  let moved = 0;
+
+  for (const { _id } of due) {
+    const event = await Event.findOneAndUpdate({ _id, ...guard }, update, {
+      new: true,
+    });
+    if (event) {
+      moved += 1;
+      await lifecycle.dispatch(hook, event);
+    }
+  }
+  return moved;
+};
+
+/**
+ * One scheduler run
+ *
+ * @function runLifecycle
+ * @async
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<Object>} Events moved per step
+ */
+const runLifecycle = async (now = new Date()) => {
+  const { registrationCutoffHours, reminderHours, waitlistOfferHours } =
+    config.events;
+
+  const started = await advance(
+    { date: { $lte: now } },
+    { status: 'ongoing', 'lifecycle.startedAt': now },
+    { status: 'scheduled' },
+    LIFECYCLE_HOOKS.STARTED,
+  );
+
+  const completed = await advance(
+    {
+      $or: [{ endDate: { $lte: now } }, { endDate: null, date: { $lte: now } }],
+    },
+    { status: 'completed', 'lifecycle.completedAt': now },
+    { status: 'ongoing' },
+    LIFECYCLE_HOOKS.COMPLETED,
+  );
+
+  const deadlines = [{ registrationDeadline: { $lte: now } }];
+  if (registrationCutoffHours !== null) {
+    deadlines.push({
+      registrationDeadline: null,
+      date: {
+        $lte: new Date(now.getTime() + registrationCutoffHours * HOUR_MS),
+      },
+    });
+  }
+  const registrationClosed = await advance(
+    { status: { $in: ['scheduled', 'ongoing'] }, $or: deadlines },
+    { 'lifecycle.registrationClosedAt': now },
+    { 'lifecycle.registrationClosedAt': null },
+    LIFECYCLE_HOOKS.REGISTRATION_CLOSED,
+  );
+
+  const reminded = await advance(
+    {
+      status: 'scheduled',
+      date: {
+        $gt: now,
+        $lte: new Date(now.getTime() + reminderHours * HOUR_MS),
+      },
+    },
+    { 'lifecycle.reminderSentAt': now },
+    { 'lifecycle.reminderSentAt': null },
+    LIFECYCLE_HOOKS.REMINDER,
+  );
+
+  const expiredOffers = await Conferenza.releaseExpiredOffers(
+    undefined,
+    waitlistOfferHours,
+  );
+
+  return { started, completed, registrationClosed, reminded, expiredOffers };
+};
+
+/**
+ * Starts the periodic scheduler (no-op when EVENT_SCHEDULER_ENABLED is false)
+ * Runs never overlap: a slow run delays the next one
+ *
+ * @function startEventScheduler
+ * @returns {Function} stop()
+ */
+const startEventScheduler = () => {
+  if (!config.events.schedulerEnabled) return () => {};
+
+  let timer = null;
+  let stopped = false;
+
+  const tick = async () => {
+    try {
+      const moved = await runLifecycle();
+      const changes = Object.keys(moved).filter((step) => moved[step] > 0);
+      if (changes.length > 0) {
+        console.log(
+          `📅 Ciclo di vita eventi: ${changes.map((step) => `${step}=${moved[step]}`).join(', ')}`,
+        );
+      }
+    } catch (err) {
+      console.error(`❌ Scheduler eventi: ${err.message}`);
+    }
+    if (!stopped) {
+      timer = setTimeout(tick, config.events.schedulerIntervalSeconds * 1000);
+      timer.unref();
+    }
+  };
+
+  timer = setTimeout(tick, 0);
+  timer.unref();
+  console.log(
+    `📅 Scheduler eventi attivo (ogni ${config.events.schedulerIntervalSeconds}s)`,
+  );
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+};
+
+module.exports = {
+  LIFECYCLE_HOOKS,
+  lifecycle,
+  runLifecycle,
+  startEventScheduler,
+};
@@ -0,0 +1,104 @@
+/**
+ * @file geo.js
+ * @description Distances and GeoJSON output for event map queries
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Points are GeoJSON [longitude, latitude], as stored in Event.coordinates
+ *
+ * @example
+ * const { distanceKm, toFeatureCollection } = require('../utils/geo');
+ * distanceKm([12.4964, 41.9028], [9.19, 45.4642]); // ≈ 477
+ * res.type('application/geo+json').json(toFeatureCollection(eventi, toProps));
+ */
+
+/**
+ * Earth radius used by MongoDB for spherical queries ($near, $maxDistance),
+ * so computed distances agree with the search radius
+ * @constant
+ */
+const EARTH_RADIUS_KM = 6378.1;
+
+/**
+ * GeoJSON content type (RFC 7946)
+ * @constant
+ */
+const GEOJSON_CONTENT_TYPE = 'application/geo+json';
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points (haversine)
+ *
+ * @function distanceKm
+ * @param {Array<number>} from - [longitude, latitude]
+ * @param {Array<number>} to - [longitude, latitude]
+ * @returns {number} Kilometres, rounded to 100 m
+ */
+const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) *
+      Math.cos(toRadians(lat2)) *
+      Math.sin(dLng / 2) ** 2;
+  const km = 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+
+  return Math.round(km * 10) / 10;
+};
+
+/**
+ * Parses a bounding box "west,south,east,north" (GeoJSON/OGC order)
+ * A box with west > east crosses the antimeridian
+ *
+ * @function parseBBox
+ * @param {string} bbox
+ * @returns {{ west: number, south: number, east: number, north: number }|null}
+ *   null when the box is not valid
+ */
+const parseBBox = (bbox) => {
+  const values = String(bbox).split(',').map(Number);
+  if (values.length !== 4 || values.some((v) => !Number.isFinite(v))) {
+    return null;
+  }
+
+  const [west, south, east, north] = values;
+  const lngOk = [west, east].every((v) => v >= -180 && v <= 180);
+  const latOk = [south, north].every((v) => v >= -90 && v <= 90);
+  if (!lngOk || !latOk || south > north) return null;
+
+  return { west, south, east, north };
+};
+
+/**
+ * Builds a GeoJSON FeatureCollection from documents with a Point
+ * Documents without coordinates are skipped
+ *
+ * @function toFeatureCollection
+ * @param {Array<Object>} docs - Documents with `coordinates` (GeoJSON Point)
+ * @param {Function} toProperties - (doc) => properties of the Feature
+ * @returns {Object} FeatureCollection
+ */
+const toFeatureCollection = (docs, toProperties) => ({
+  type: 'FeatureCollection',
+  features: docs
+    .filter((doc) => doc.coordinates?.coordinates?.length === 2)
+    .map((doc) => ({
+      type: 'Feature',
+      id: String(doc._id),
+      geometry: {
+        type: 'Point',
+        coordinates: doc.coordinates.coordinates,
+      },
+      properties: toProperties(doc),
+    })),
+});
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  GEOJSON_CONTENT_TYPE,
+  distanceKm,
+  parseBBox,
+  toFeatureCollection,
+};
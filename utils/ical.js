@@ -0,0 +1,205 @@
+/**
+ * @file ical.js
+ * @description iCalendar (RFC 5545) generation for event feeds and downloads
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Times are written in UTC, so no VTIMEZONE block is needed. Text is
+ * escaped and lines are folded at 75 octets as the RFC requires (some
+ * calendar apps reject longer lines)
+ *
+ * Calendars match entries by UID and keep the one with the highest
+ * SEQUENCE: cancelling an event must keep its UID and send STATUS:CANCELLED.
+ * UIDs end with the host of BACKEND_URL (see calendarUid)
+ *
+ * @example
+ * const { toICS, sendICS } = require('../utils/ical');
+ * const ics = toICS({
+ *   name: 'Eventi',
+ *   entries: [{ uid: 'event-1@example.com', start: new Date(), summary: 'Campo' }],
+ * });
+ * sendICS(res, 'evento.ics', ics);
+ */
+
+const config = require('../config');
+
+/**
+ * PRODID of every calendar generated here
+ * @constant
+ */
+const PRODID = '-//SDA Italia//Eventi//IT';
+
+/**
+ * Domain of the UIDs: it must never change, or subscribed calendars
+ * would duplicate every entry
+ * @constant
+ */
+const UID_DOMAIN = config.backendUrl
+  ? new URL(config.backendUrl).hostname
+  : 'localhost';
+
+/**
+ * Globally unique UID of a calendar entry
+ *
+ * @function calendarUid
+ * @param {string} key - Unique key within this server ('event-<id>')
+ * @returns {string}
+ */
+const calendarUid = (key) => `${key}@${UID_DOMAIN}`;
+
+/**
+ * Formats a date as a UTC DATE-TIME (20260501T083000Z)
+ *
+ * @function formatDateTime
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatDateTime = (date) =>
+  new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '');
+
+/**
+ * Escapes a TEXT value
+ *
+ * @private
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Folds a content line at 75 octets without splitting UTF-8 characters
+ *
+ * @private
+ * @param {string} line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = parts.length === 0 ? 75 : 74;
+    if (size + bytes > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Content lines of one VEVENT
+ *
+ * @private
+ * @param {Object} entry - See toICS
+ * @returns {Array<string>}
+ */
+const eventLines = (entry) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${entry.uid}`,
+    `DTSTAMP:${formatDateTime(entry.updatedAt || entry.start)}`,
+    `DTSTART:${formatDateTime(entry.start)}`,
+  ];
+
+  if (entry.end) lines.push(`DTEND:${formatDateTime(entry.end)}`);
+  lines.push(`SEQUENCE:${entry.sequence || 0}`);
+  lines.push(`STATUS:${entry.status || 'CONFIRMED'}`);
+  lines.push(`SUMMARY:${escapeText(entry.summary)}`);
+  if (entry.description) {
+    lines.push(`DESCRIPTION:${escapeText(entry.description)}`);
+  }
+  if (entry.location) lines.push(`LOCATION:${escapeText(entry.location)}`);
+  if (entry.geo) lines.push(`GEO:${entry.geo[0]};${entry.geo[1]}`);
+  if (entry.categories?.length > 0) {
+    lines.push(`CATEGORIES:${entry.categories.map(escapeText).join(',')}`);
+  }
+  if (entry.organizer?.email) {
+    const name = entry.organizer.name
+      ? `;CN="${String(entry.organizer.name).replace(/"/g, "'")}"`
+      : '';
+    lines.push(`ORGANIZER${name}:mailto:${entry.organizer.email}`);
+  }
+  if (entry.url) lines.push(`URL:${entry.url}`);
+  if (entry.createdAt) lines.push(`CREATED:${formatDateTime(entry.createdAt)}`);
+  if (entry.updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatDateTime(entry.updatedAt)}`);
+  }
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+/**
+ * Builds an iCalendar document
+ *
+ * @function toICS
+ * @param {Object} calendar
+ * @param {string} calendar.name - Calendar name shown by the apps
+ * @param {number} [calendar.refreshMinutes] - Suggested refresh interval of a feed
+ * @param {Array<Object>} calendar.entries - Events:
+ *   { uid, start, end?, summary, description?, location?, geo?: [lat, lng],
+ *     categories?, organizer?: { name, email }, url?, status?: 'CONFIRMED' |
+ *     'CANCELLED', sequence?, createdAt?, updatedAt? }
+ * @returns {string} iCalendar text
+ */
+const toICS = ({ name, refreshMinutes, entries }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+
+  if (refreshMinutes) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`);
+    lines.push(`X-PUBLISHED-TTL:PT${refreshMinutes}M`);
+  }
+  entries.forEach((entry) => lines.push(...eventLines(entry)));
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * Sends an iCalendar document
+ * Downloads are attachments; feeds are served inline so that calendar apps
+ * can subscribe to the URL
+ *
+ * @function sendICS
+ * @param {Object} res - Express response object
+ * @param {string|null} filename - Download file name (null for a feed)
+ * @param {string} ics - iCalendar text
+ */
+const sendICS = (res, filename, ics) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  if (filename) {
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  }
+  res.status(200).send(ics);
+};
+
+module.exports = {
+  calendarUid,
+  formatDateTime,
+  toICS,
+  sendICS,
+};
@@ -0,0 +1,224 @@
+/**
+ * @file recurrence.js
+ * @description Expansion of recurring events (RFC 5545 RRULE)
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * A recurring event stores its rule without DTSTART ('FREQ=WEEKLY;BYDAY=SA'):
+ * the event `date` is the first occurrence and `endDate - date` the duration
+ * of every occurrence
+ *
+ * Rules are expanded on the wall clock of EVENT_TIMEZONE, so a service at
+ * 10:00 stays at 10:00 local time across daylight saving changes, then each
+ * occurrence is converted back to UTC. UNTIL is read as local time too
+ *
+ * Only DAILY, WEEKLY, MONTHLY and YEARLY rules are accepted: hourly rules
+ * would expand to thousands of occurrences and make no sense for events
+ *
+ * @example
+ * const { expandSeries } = require('../utils/recurrence');
+ * const occurrences = expandSeries({
+ *   rule: 'FREQ=MONTHLY;BYDAY=1SA',
+ *   start: event.date,
+ *   end: event.endDate,
+ *   timeZone: 'Europe/Rome',
+ *   from: new Date('2026-01-01'),
+ *   to: new Date('2026-12-31'),
+ * }); // [{ start, end }, ...]
+ */
+
+const { RRule } = require('rrule');
+
+/**
+ * Accepted frequencies
+ * @constant
+ */
+const ALLOWED_FREQUENCIES = [
+  RRule.YEARLY,
+  RRule.MONTHLY,
+  RRule.WEEKLY,
+  RRule.DAILY,
+];
+
+/**
+ * Most occurrences returned for one series in one expansion
+ * @constant
+ */
+const MAX_OCCURRENCES = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses a rule, with or without the "RRULE:" prefix
+ *
+ * @private
+ * @param {string} rule
+ * @returns {Object} RRule options (without dtstart)
+ * @throws {Error} When the rule is not valid or not accepted
+ */
+const parseRule = (rule) => {
+  const text = String(rule)
+    .trim()
+    .replace(/^RRULE:/i, '');
+  if (/DTSTART|TZID/i.test(text)) {
+    throw new Error('DTSTART and TZID come from the event, not from the rule');
+  }
+
+  const options = RRule.parseString(text);
+  if (!ALLOWED_FREQUENCIES.includes(options.freq)) {
+    throw new Error('FREQ must be DAILY, WEEKLY, MONTHLY or YEARLY');
+  }
+  if (options.byhour || options.byminute || options.bysecond) {
+    throw new Error('BYHOUR, BYMINUTE and BYSECOND are not supported');
+  }
+  return options;
+};
+
+/**
+ * Tells whether a rule can be stored on an event
+ *
+ * @function isValidRule
+ * @param {string} rule
+ * @returns {boolean}
+ */
+const isValidRule = (rule) => {
+  try {
+    parseRule(rule);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Offset of a time zone from UTC at a given instant, in milliseconds
+ *
+ * @private
+ * @param {number} time - UTC milliseconds
+ * @param {string} timeZone
+ * @returns {number}
+ */
+const zoneOffset = (time, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(new Date(time));
+  const value = Object.fromEntries(parts.map((p) => [p.type, Number(p.value)]));
+  const local = Date.UTC(
+    value.year,
+    value.month - 1,
+    value.day,
+    value.hour,
+    value.minute,
+    value.second,
+  );
+
+  return local - (time - (time % 1000));
+};
+
+/**
+ * UTC instant → "floating" date whose UTC fields are the local wall clock
+ *
+ * @private
+ */
+const toWallClock = (date, timeZone) =>
+  new Date(date.getTime() + zoneOffset(date.getTime(), timeZone));
+
+/**
+ * "Floating" wall-clock date → UTC instant
+ * Two passes settle the offset around daylight saving changes
+ *
+ * @private
+ */
+const fromWallClock = (wall, timeZone) => {
+  const guess = wall.getTime() - zoneOffset(wall.getTime(), timeZone);
+  return new Date(wall.getTime() - zoneOffset(guess, timeZone));
+};
+
+/**
+ * Occurrences of a series that overlap a window
+ *
+ * @function expandSeries
+ * @param {Object} series
+ * @param {string} series.rule - RRULE
+ * @param {Date} series.start - First occurrence (event date)
+ * @param {Date} [series.end] - End of the first occurrence (event endDate)
+ * @param {Array<Date>} [series.exdates] - Starts of removed occurrences
+ * @param {string} series.timeZone - IANA time zone of the wall clock
+ * @param {Date} series.from - Window start
+ * @param {Date} series.to - Window end
+ * @param {number} [series.limit=MAX_OCCURRENCES]
+ * @returns {Array<{ start: Date, end: Date|null }>} Ordered by start
+ */
+const expandSeries = ({
+  rule,
+  start,
+  end,
+  exdates = [],
+  timeZone,
+  from,
+  to,
+  limit = MAX_OCCURRENCES,
+}) => {
+  const duration = end ? end.getTime() - start.getTime() : 0;
+  const excluded = new Set(exdates.map((date) => new Date(date).getTime()));
+  const rrule = new RRule({
+    ...parseRule(rule),
+    dtstart: toWallClock(start, timeZone),
+  });
+
+  // The wall-clock window is widened by a day to cover any UTC offset
+  const after = toWallClock(new Date(from.getTime() - duration), timeZone);
+  const before = toWallClock(to, timeZone);
+  const occurrences = [];
+
+  rrule.between(
+    new Date(after.getTime() - DAY_MS),
+    new Date(before.getTime() + DAY_MS),
+    true,
+    (wall) => {
+      const occurrenceStart = fromWallClock(wall, timeZone);
+      const occurrenceEnd = new Date(occurrenceStart.getTime() + duration);
+
+      if (
+        occurrenceStart <= to &&
+        occurrenceEnd >= from &&
+        !excluded.has(occurrenceStart.getTime())
+      ) {
+        occurrences.push({
+          start: occurrenceStart,
+          end: end ? occurrenceEnd : null,
+        });
+      }
+      return occurrences.length < limit;
+    },
+  );
+
+  return occurrences;
+};
+
+/**
+ * Tells whether a date is the start of an occurrence of the series
+ * (removed occurrences included)
+ *
+ * @function isOccurrence
+ * @param {Object} series - { rule, start, timeZone }
+ * @param {Date} date
+ * @returns {boolean}
+ */
+const isOccurrence = ({ rule, start, timeZone }, date) =>
+  expandSeries({ rule, start, timeZone, from: date, to: date, limit: 1 })
+    .length === 1;
+
+module.exports = {
+  MAX_OCCURRENCES,
+  isValidRule,
+  expandSeries,
+  isOccurrence,
+};
@@ -0,0 +1,79 @@
+/**
+ * @file requestContext.js
+ * @description Per-request context shared across async calls (AsyncLocalStorage)
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Lets code that has no access to `req` (e.g. Mongoose hooks) know which
+ * HTTP request and which authenticated user triggered an operation
+ *
+ * Outside an HTTP request (seed scripts, webhooks replayed by hand, background
+ * jobs) getContext() returns undefined
+ *
+ * @example
+ * // index.js
+ * app.use(requestContext.middleware);
+ *
+ * // anywhere during the request
+ * const ctx = requestContext.getContext();
+ * console.log(ctx.actor, ctx.method, ctx.path);
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Express middleware that opens a new context for each request
+ *
+ * @middleware
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const middleware = (req, res, next) => {
+  const context = {
+    requestId: crypto.randomUUID(),
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    ip: req.ip,
+    actor: null,
+  };
+
+  storage.run(context, () => next());
+};
+
+/**
+ * Returns the context of the current request
+ *
+ * @function getContext
+ * @returns {Object|undefined} { requestId, method, path, ip, actor }
+ */
+const getContext = () => storage.getStore();
+
+/**
+ * Records the authenticated user on the current context
+ * Called by the auth middleware once the token has been verified
+ *
+ * @function setActor
+ * @param {Object} user - User document
+ * @returns {void}
+ */
+const setActor = (user) => {
+  const context = storage.getStore();
+  if (!context || !user) return;
+
+  context.actor = {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+  };
+};
+
+module.exports = {
+  middleware,
+  getContext,
+  setActor,
+};
@@ -0,0 +1,260 @@
+/**
+ * @file sabbath.js
+ * @description Sunset times for the beginning and end of the Sabbath
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * The Sabbath runs from Friday sunset to Saturday sunset. Sunset is computed
+ * with the NOAA sunrise equation (accurate to about one minute at Italian
+ * latitudes, at sea level, with standard refraction), so no external
+ * service is needed. Times are shown in Europe/Rome: Intl applies daylight
+ * saving time for every date
+ *
+ * @example
+ * const { sabbathTimes } = require('../utils/sabbath');
+ * sabbathTimes({ lat: 41.8931, lng: 12.4828, date: '2026-06-17' });
+ * // { friday: { date: '2026-06-19', sunset: Date, time: '20:48' }, saturday: {...} }
+ */
+
+const PDFDocument = require('pdfkit');
+
+/**
+ * Time zone of every time returned here
+ * @constant
+ */
+const SABBATH_TIME_ZONE = 'Europe/Rome';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Julian day of the Unix epoch and of J2000
+ */
+const JD_UNIX_EPOCH = 2440587.5;
+const J2000 = 2451545;
+
+/**
+ * Solar altitude at sunset: refraction (34') and solar radius (16')
+ * @constant
+ */
+const SUNSET_ALTITUDE = -0.833;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+/**
+ * Sunset at a place on a calendar day
+ *
+ * @function sunset
+ * @param {string} day - Local day (YYYY-MM-DD)
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude (east positive)
+ * @returns {Date|null} Instant of sunset, rounded to the minute;
+ *   null when the sun does not set (polar day or night)
+ */
+const sunset = (day, lat, lng) => {
+  const noon = Date.parse(`${day}T12:00:00Z`) / DAY_MS + JD_UNIX_EPOCH;
+  const cycle = Math.round(noon - J2000 - 0.0009 + lng / 360);
+  const meanNoon = J2000 + 0.0009 - lng / 360 + cycle;
+
+  const anomaly = (357.5291 + 0.98560028 * (meanNoon - J2000)) % 360;
+  const m = toRadians(anomaly);
+  const center =
+    1.9148 * Math.sin(m) + 0.02 * Math.sin(2 * m) + 0.0003 * Math.sin(3 * m);
+  const longitude = toRadians((anomaly + center + 180 + 102.9372) % 360);
+  const transit =
+    meanNoon + 0.0053 * Math.sin(m) - 0.0069 * Math.sin(2 * longitude);
+
+  const declination = Math.asin(
+    Math.sin(longitude) * Math.sin(toRadians(23.4397)),
+  );
+  const phi = toRadians(lat);
+  const cosHourAngle =
+    (Math.sin(toRadians(SUNSET_ALTITUDE)) -
+      Math.sin(phi) * Math.sin(declination)) /
+    (Math.cos(phi) * Math.cos(declination));
+  if (Math.abs(cosHourAngle) > 1) return null;
+
+  const set = transit + toDegrees(Math.acos(cosHourAngle)) / 360;
+  const time = (set - JD_UNIX_EPOCH) * DAY_MS;
+
+  return new Date(Math.round(time / MINUTE_MS) * MINUTE_MS);
+};
+
+/**
+ * Local day of a date (YYYY-MM-DD) in Europe/Rome
+ *
+ * @function localDay
+ * @param {Date} date
+ * @returns {string}
+ */
+const localDay = (date) =>
+  new Intl.DateTimeFormat('en-CA', {
+    timeZone: SABBATH_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+
+/**
+ * Local time of a date (HH:MM) in Europe/Rome
+ *
+ * @private
+ * @param {Date} date
+ * @returns {string}
+ */
+const localTime = (date) =>
+  new Intl.DateTimeFormat('it-IT', {
+    timeZone: SABBATH_TIME_ZONE,
+    hour: '2-digit',
+    minute: '2-digit',
+  }).format(date);
+
+/**
+ * Calendar day shifted by a number of days
+ *
+ * @private
+ * @param {string} day - YYYY-MM-DD
+ * @param {number} days
+ * @returns {string}
+ */
+const addDays = (day, days) =>
+  new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+
+/**
+ * Sunset of one day, as returned by the API
+ *
+ * @private
+ */
+const sunsetOf = (day, lat, lng) => {
+  const time = sunset(day, lat, lng);
+  return { date: day, sunset: time, time: time ? localTime(time) : null };
+};
+
+/**
+ * Beginning (Friday sunset) and end (Saturday sunset) of a Sabbath
+ * On a Saturday the current Sabbath is returned, otherwise the next one
+ *
+ * @function sabbathTimes
+ * @param {Object} place
+ * @param {number} place.lat
+ * @param {number} place.lng
+ * @param {string} [place.date] - Local day (YYYY-MM-DD), today by default
+ * @returns {{ friday: Object, saturday: Object }}
+ *   Each { date, sunset: Date|null, time: 'HH:MM'|null }
+ */
+const sabbathTimes = ({ lat, lng, date = localDay(new Date()) }) => {
+  const weekday = new Date(`${date}T12:00:00Z`).getUTCDay();
+  const friday = addDays(date, weekday === 6 ? -1 : (5 - weekday + 7) % 7);
+
+  return {
+    friday: sunsetOf(friday, lat, lng),
+    saturday: sunsetOf(addDays(friday, 1), lat, lng),
+  };
+};
+
+/**
+ * Every Sabbath of a year (one per Saturday of the year; the first Friday
+ * can fall on 31 December of the year before)
+ *
+ * @function sabbathYear
+ * @param {Object} place - { lat, lng }
+ * @param {number} year
+ * @returns {Array<{ friday: Object, saturday: Object }>}
+ */
+const sabbathYear = ({ lat, lng }, year) => {
+  const firstDay = `${year}-01-01`;
+  const weekday = new Date(`${firstDay}T12:00:00Z`).getUTCDay();
+  const sabbaths = [];
+
+  for (
+    let saturday = addDays(firstDay, (6 - weekday + 7) % 7);
+    saturday.startsWith(String(year));
+    saturday = addDays(saturday, 7)
+  ) {
+    sabbaths.push(sabbathTimes({ lat, lng, date: saturday }));
+  }
+  return sabbaths;
+};
+
+/**
+ * Renders the yearly table: one row per Sabbath, two columns per page
+ *
+ * @function renderSabbathYearPDF
+ * @async
+ * @param {Object} data
+ * @param {string} data.title - Place name or coordinates
+ * @param {number} data.year
+ * @param {Array<Object>} data.sabbaths - Output of sabbathYear
+ * @returns {Promise<Buffer>} PDF file
+ */
+const renderSabbathYearPDF = async ({ title, year, sabbaths }) => {
+  const margin = 50;
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin,
+    info: { Title: `Tramonti del sabato ${year} - ${title}` },
+  });
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const dayFormat = new Intl.DateTimeFormat('it-IT', {
+    timeZone: 'UTC',
+    day: 'numeric',
+    month: 'long',
+  });
+  const formatDay = (day) => dayFormat.format(new Date(`${day}T00:00:00Z`));
+  const columnWidth = (doc.page.width - margin * 3) / 2;
+  const rowHeight = 14;
+  const rowsPerColumn = Math.ceil(sabbaths.length / 2);
+
+  doc.font('Helvetica-Bold').fontSize(16);
+  doc.text(`Tramonti del sabato ${year}`, { align: 'center' });
+  doc.font('Helvetica').fontSize(11).fillColor('#555555');
+  doc.text(`${title} - ora di ${SABBATH_TIME_ZONE}`, { align: 'center' });
+  doc.fillColor('#000000').moveDown();
+
+  const top = doc.y;
+  [0, 1].forEach((column) => {
+    const x = margin + column * (columnWidth + margin);
+    const rows = sabbaths.slice(
+      column * rowsPerColumn,
+      (column + 1) * rowsPerColumn,
+    );
+
+    doc.font('Helvetica-Bold').fontSize(9);
+    doc.text('Venerdì', x, top, { width: columnWidth / 2 });
+    doc.text('Sabato', x + columnWidth / 2, top, { width: columnWidth / 2 });
+
+    doc.font('Helvetica').fontSize(9);
+    rows.forEach(({ friday, saturday }, i) => {
+      const y = top + (i + 1) * rowHeight + 4;
+      [friday, saturday].forEach((sabbathDay, j) => {
+        doc.text(
+          `${formatDay(sabbathDay.date)}  ${sabbathDay.time || '-'}`,
+          x + (j * columnWidth) / 2,
+          y,
+          { width: columnWidth / 2, lineBreak: false },
+        );
+      });
+    });
+  });
+
+  doc.end();
+  return done;
+};
+
+module.exports = {
+  SABBATH_TIME_ZONE,
+  sunset,
+  localDay,
+  sabbathTimes,
+  sabbathYear,
+  renderSabbathYearPDF,
+};
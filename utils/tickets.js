@@ -0,0 +1,138 @@
+/**
+ * @file tickets.js
+ * @description Rendering of event entrance tickets (QR code and PDF)
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * The QR code contains the signed ticket token (utils/tokens.js signTicketToken),
+ * which is what POST /api/v1/events/:id/checkin validates at the entrance
+ *
+ * @example
+ * const { renderQR, renderTicketPDF } = require('../utils/tickets');
+ * const png = await renderQR(token, 'png');
+ * const pdf = await renderTicketPDF({ registrazione, event, token });
+ */
+
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+
+/**
+ * QR options: medium error correction survives a creased printout
+ * @constant
+ */
+const QR_OPTIONS = {
+  errorCorrectionLevel: 'M',
+  margin: 2,
+  width: 400,
+};
+
+/**
+ * Content type of each ticket format
+ * @constant
+ */
+const CONTENT_TYPES = {
+  png: 'image/png',
+  svg: 'image/svg+xml',
+  pdf: 'application/pdf',
+};
+
+/**
+ * Renders a ticket token as a QR code
+ *
+ * @function renderQR
+ * @async
+ * @param {string} token - Ticket token
+ * @param {string} format - 'png' | 'svg'
+ * @returns {Promise<Buffer|string>} PNG buffer or SVG markup
+ */
+const renderQR = (token, format) =>
+  format === 'svg'
+    ? QRCode.toString(token, { ...QR_OPTIONS, type: 'svg' })
+    : QRCode.toBuffer(token, { ...QR_OPTIONS, type: 'png' });
+
+/**
+ * Formats a date for the ticket (Italian, Europe/Rome)
+ *
+ * @private
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatDate = (date) =>
+  new Date(date).toLocaleString('it-IT', {
+    timeZone: 'Europe/Rome',
+    dateStyle: 'full',
+    timeStyle: 'short',
+  });
+
+/**
+ * Renders a printable A6 PDF ticket
+ *
+ * @function renderTicketPDF
+ * @async
+ * @param {Object} data
+ * @param {Object} data.registrazione - Conferenza document
+ * @param {Object} data.event - Event document
+ * @param {string} data.token - Ticket token
+ * @returns {Promise<Buffer>} PDF file
+ */
+const renderTicketPDF = async ({ registrazione, event, token }) => {
+  const qr = await renderQR(token, 'png');
+  const doc = new PDFDocument({
+    size: 'A6',
+    margin: 24,
+    info: { Title: `Biglietto - ${event.title}` },
+  });
+
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const width = doc.page.width - 48;
+
+  doc.font('Helvetica-Bold').fontSize(14).text(event.title, { width });
+  doc.moveDown(0.3);
+  doc.font('Helvetica').fontSize(9).text(formatDate(event.date), { width });
+  if (event.location) doc.text(event.location, { width });
+
+  doc.moveDown(0.8);
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(12)
+    .text(`${registrazione.nome} ${registrazione.cognome}`, { width });
+  if (registrazione.alloggio) {
+    doc
+      .font('Helvetica')
+      .fontSize(9)
+      .text(
+        `Alloggio: ${registrazione.alloggio.code}, camera ${registrazione.alloggio.room}`,
+        { width },
+      );
+  }
+
+  const size = 180;
+  doc.image(qr, (doc.page.width - size) / 2, doc.y + 12, {
+    width: size,
+    height: size,
+  });
+
+  doc
+    .font('Helvetica')
+    .fontSize(7)
+    .text(`Iscrizione ${registrazione._id}`, 24, doc.page.height - 24 - 10, {
+      width,
+      align: 'center',
+      lineBreak: false,
+    });
+
+  doc.end();
+  return done;
+};
+
+module.exports = {
+  CONTENT_TYPES,
+  renderQR,
+  renderTicketPDF,
+};
@@ -0,0 +1,133 @@
+/**
+ * @file tokens.js
+ * @description JWT helpers for access, refresh and event ticket tokens
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Access tokens are short-lived and sent as `Authorization: Bearer <token>`
+ * Refresh tokens are long-lived, carry a unique `jti` and are rotated on use
+ * Ticket tokens identify a confirmed registration at the event entrance (QR code):
+ * they are signed with their own secret and do not expire, a cancelled
+ * registration is rejected by the check-in, not by the token
+ *
+ * Secrets and lifetimes come from config.jwt (JWT_* variables, see config/envSchema.js)
+ * and config.events.ticketSecret (TICKET_SECRET)
+ *
+ * @example
+ * const { signAccessToken, verifyAccessToken } = require('./tokens');
+ * const token = signAccessToken(user);
+ * const decoded = verifyAccessToken(token);
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+
+/**
+ * Signs a short-lived access token for a user
+ *
+ * @function signAccessToken
+ * @param {Object} user - User document
+ * @returns {string} Signed JWT
+ */
+const signAccessToken = (user) =>
+  jwt.sign({ id: user._id.toString(), type: 'access' }, config.jwt.secret, {
+    expiresIn: config.jwt.expiresIn,
+  });
+
+/**
+ * Signs a refresh token for a user with a fresh unique identifier
+ *
+ * @function signRefreshToken
+ * @param {Object} user - User document
+ * @returns {{ token: string, jti: string, expiresAt: Date }} Token and its metadata
+ */
+const signRefreshToken = (user) => {
+  const jti = crypto.randomUUID();
+  const token = jwt.sign(
+    { id: user._id.toString(), type: 'refresh' },
+    config.jwt.refreshSecret,
+    { expiresIn: config.jwt.refreshExpiresIn, jwtid: jti },
+  );
+  const { exp } = jwt.decode(token);
+
+  return { token, jti, expiresAt: new Date(exp * 1000) };
+};
+
+/**
+ * Verifies an access token
+ *
+ * @function verifyAccessToken
+ * @param {string} token - JWT from the Authorization header
+ * @returns {Object} Decoded payload
+ * @throws {Error} If the token is invalid, expired or not an access token
+ */
+const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, config.jwt.secret);
+  if (decoded.type !== 'access') {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+  return decoded;
+};
+
+/**
+ * Verifies a refresh token
+ *
+ * @function verifyRefreshToken
+ * @param {string} token - Refresh JWT
+ * @param {Object} [options] - Extra jsonwebtoken verify options (e.g. ignoreExpiration)
+ * @returns {Object} Decoded payload (includes `jti`)
+ * @throws {Error} If the token is invalid, expired or not a refresh token
+ */
+const verifyRefreshToken = (token, options = {}) => {
+  const decoded = jwt.verify(token, config.jwt.refreshSecret, options);
+  if (decoded.type !== 'refresh' || !decoded.jti) {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+  return decoded;
+};
+
+/**
+ * Signs the entrance ticket of a registration
+ *
+ * @function signTicketToken
+ * @param {Object} registrazione - Conferenza document
+ * @returns {string} Signed JWT (content of the QR code)
+ */
+const signTicketToken = (registrazione) =>
+  jwt.sign(
+    {
+      id: registrazione._id.toString(),
+      event: registrazione.event.toString(),
+      type: 'ticket',
+    },
+    config.events.ticketSecret,
+  );
+
+/**
+ * Verifies an entrance ticket
+ * Only the signature is checked: the registration state is checked by the caller
+ *
+ * @function verifyTicketToken
+ * @param {string} token - Ticket JWT read from the QR code
+ * @returns {Object} Decoded payload ({ id, event, type, iat })
+ * @throws {Error} If the token is invalid or not a ticket
+ */
+const verifyTicketToken = (token) => {
+  const decoded = jwt.verify(token, config.events.ticketSecret, {
+    algorithms: ['HS256'],
+  });
+  if (decoded.type !== 'ticket' || !decoded.id || !decoded.event) {
+    throw new jwt.JsonWebTokenError('Invalid token type');
+  }
+  return decoded;
+};
+
+module.exports = {
+  signAccessToken,
+  signRefreshToken,
+  verifyAccessToken,
+  verifyRefreshToken,
+  signTicketToken,
+  verifyTicketToken,
+};
@@ -13,6 +13,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const config = require('../config');
 
 // Create logs directory if it doesn't exist
 const logsDir = path.join(__dirname, '..', 'logs');
@@ -71,7 +72,7 @@ const logTransaction = (logType, data) => {
     fs.appendFileSync(logFilePath, logLine, 'utf8');
 
     // Also log to console in development
-    if (process.env.NODE_ENV === 'development') {
+    if (config.isDevelopment) {
       console.log(`📝 Transaction logged: ${logType}`);
     }
   } catch (error) {
@@ -0,0 +1,129 @@
+/**
+ * @file validationMessages.js
+ * @description Messaggi di validazione localizzati (italiano e inglese)
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Usato da middleware/validate.js: la lingua viene scelta dall'header
+ * Accept-Language, con l'italiano come default
+ *
+ * I segnaposto {nome} vengono sostituiti con i parametri della regola
+ * ({field}, {min}, {max}, {minLength}, {maxLength}, {minItems}, {maxItems}, {values})
+ */
+
+/**
+ * Lingue supportate (la prima è il default)
+ * @constant
+ */
+const SUPPORTED_LANGUAGES = ['it', 'en'];
+
+/**
+ * Lingua usata quando il client non ne richiede una supportata
+ * @constant
+ */
+const DEFAULT_LANGUAGE = SUPPORTED_LANGUAGES[0];
+
+/**
+ * Catalogo dei messaggi per lingua
+ * @constant
+ */
+const MESSAGES = {
+  it: {
+    summary: 'Dati della richiesta non validi',
+    required: 'Il campo {field} è obbligatorio',
+    'type.string': 'Il campo {field} deve essere un testo',
+    'type.number': 'Il campo {field} deve essere un numero',
+    'type.integer': 'Il campo {field} deve essere un numero intero',
+    'type.boolean': 'Il campo {field} deve essere true o false',
+    'type.date': 'Il campo {field} deve essere una data valida',
+    'type.day': 'Il campo {field} deve essere una data valida (AAAA-MM-GG)',
+    'type.email': 'Inserisci un indirizzo email valido',
+    'type.phone': 'Inserisci un numero di telefono valido',
+    'type.url': 'Il campo {field} deve essere un URL http(s) valido',
+    'type.objectId': 'Il campo {field} deve essere un ID valido',
+    'type.youtubeId': 'ID video YouTube non valido (11 caratteri)',
+    'type.array': 'Il campo {field} deve essere una lista',
+    'type.object': 'Il campo {field} deve essere un oggetto',
+    min: 'Il campo {field} deve essere almeno {min}',
+    max: 'Il campo {field} non può superare {max}',
+    minLength: 'Il campo {field} deve contenere almeno {minLength} caratteri',
+    maxLength: 'Il campo {field} non può superare {maxLength} caratteri',
+    minItems: 'Il campo {field} deve contenere almeno {minItems} elementi',
+    maxItems: 'Il campo {field} può contenere al massimo {maxItems} elementi',
+    enum: 'Il campo {field} deve essere uno di: {values}',
+    pattern: 'Il campo {field} non ha un formato valido',
+    noHtml: 'Il campo {field} non può contenere tag HTML',
+  },
+  en: {
+    summary: 'Invalid request data',
+    required: '{field} is required',
+    'type.string': '{field} must be a string',
+    'type.number': '{field} must be a number',
+    'type.integer': '{field} must be an integer',
+    'type.boolean': '{field} must be true or false',
+    'type.date': '{field} must be a valid date',
+    'type.day': '{field} must be a valid date (YYYY-MM-DD)',
+    'type.email': 'Please enter a valid email address',
+    'type.phone': 'Please enter a valid phone number',
+    'type.url': '{field} must be a valid http(s) URL',
+    'type.objectId': '{field} must be a valid ID',
+    'type.youtubeId': 'Invalid YouTube video ID (11 characters)',
+    'type.array': '{field} must be a list',
+    'type.object': '{field} must be an object',
+    min: '{field} must be at least {min}',
+    max: '{field} cannot exceed {max}',
+    minLength: '{field} must be at least {minLength} characters',
+    maxLength: '{field} cannot exceed {maxLength} characters',
+    minItems: '{field} must contain at least {minItems} items',
+    maxItems: '{field} cannot contain more than {maxItems} items',
+    enum: '{field} must be one of: {values}',
+    pattern: '{field} has an invalid format',
+    noHtml: '{field} cannot contain HTML tags',
+  },
+};
+
+/**
+ * Sceglie la lingua dei messaggi in base all'header Accept-Language
+ *
+ * @function resolveLanguage
+ * @param {Object} req - Express request object
+ * @returns {string} Codice lingua supportato ('it' | 'en')
+ *
+ * @example
+ * // Accept-Language: en-US,en;q=0.9
+ * resolveLanguage(req); // 'en'
+ */
+const resolveLanguage = (req) => {
+  if (!req.headers['accept-language']) return DEFAULT_LANGUAGE;
+  return req.acceptsLanguages(...SUPPORTED_LANGUAGES) || DEFAULT_LANGUAGE;
+};
+
+/**
+ * Restituisce un messaggio tradotto con i segnaposto sostituiti
+ *
+ * @function translate
+ * @param {string} lang - Codice lingua
+ * @param {string} key - Chiave del messaggio (es. 'required', 'type.email')
+ * @param {Object} [params={}] - Valori per i segnaposto
+ * @returns {string} Messaggio localizzato
+ *
+ * @example
+ * translate('en', 'maxLength', { field: 'title', maxLength: 200 });
+ * // 'title cannot exceed 200 characters'
+ */
+const translate = (lang, key, params = {}) => {
+  const catalog = MESSAGES[lang] || MESSAGES[DEFAULT_LANGUAGE];
+  const template = catalog[key] || MESSAGES[DEFAULT_LANGUAGE][key] || key;
+
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined ? String(params[name]) : match,
+  );
+};
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  MESSAGES,
+  resolveLanguage,
+  translate,
+};
@@ -0,0 +1,126 @@
+/**
+ * @file xlsx.js
+ * @description Excel (XLSX) generation for organizer exports
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Same column format as utils/csv.js, so one column list serves both exports.
+ * Dates are written as real Excel dates and the header row is frozen and
+ * filterable
+ *
+ * @example
+ * const { toXLSX, sendXLSX } = require('../utils/xlsx');
+ * const buffer = await toXLSX(columns, registrazioni, 'Iscritti');
+ * sendXLSX(res, 'iscritti.xlsx', buffer);
+ */
+
+const ExcelJS = require('exceljs');
+
+/**
+ * Content type of .xlsx files
+ * @constant
+ */
+const XLSX_CONTENT_TYPE =
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Column width bounds (characters)
+ * @constant
+ */
+const MIN_WIDTH = 8;
+const MAX_WIDTH = 50;
+
+/**
+ * Formats one cell: Excel keeps numbers, booleans and dates typed
+ *
+ * @private
+ * @param {*} value
+ * @returns {*}
+ */
+const formatCell = (value) => {
+  if (value === undefined || value === null) return null;
+  if (
+    value instanceof Date ||
+    typeof value === 'number' ||
+    typeof value === 'boolean'
+  ) {
+    return value;
+  }
+  return String(value);
+};
+
+/**
+ * Builds an XLSX workbook with one sheet
+ *
+ * @function toXLSX
+ * @async
+ * @param {Array<Object>} columns - [{ header, value }] where value is a field
+ *   name or a function (row) => value
+ * @param {Array<Object>} rows
+ * @param {string} [sheetName='Export'] - Worksheet name (max 31 characters)
+ * @returns {Promise<Buffer>} XLSX file
+ */
+const toXLSX = async (columns, rows, sheetName = 'Export') => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName.slice(0, 31), {
+    views: [{ state: 'frozen', ySplit: 1 }],
+  });
+
+  sheet.columns = columns.map((column) => ({ header: column.header }));
+  sheet.getRow(1).font = { bold: true };
+
+  rows.forEach((row) => {
+    sheet.addRow(
+      columns.map((column) =>
+        formatCell(
+          typeof column.value === 'function'
+            ? column.value(row)
+            : row[column.value],
+        ),
+      ),
+    );
+  });
+
+  sheet.columns.forEach((column) => {
+    let width = MIN_WIDTH;
+    column.eachCell({ includeEmpty: false }, (cell) => {
+      if (cell.value instanceof Date) {
+        cell.numFmt = 'dd/mm/yyyy hh:mm';
+        width = Math.max(width, 16);
+      } else if (cell.value !== null) {
+        width = Math.max(width, String(cell.value).length + 2);
+      }
+    });
+    column.width = Math.min(width, MAX_WIDTH);
+  });
+
+  if (columns.length > 0) {
+    sheet.autoFilter = {
+      from: { row: 1, column: 1 },
+      to: { row: 1, column: columns.length },
+    };
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+/**
+ * Sends an XLSX file as a download
+ *
+ * @function sendXLSX
+ * @param {Object} res - Express response object
+ * @param {string} filename - Download file name
+ * @param {Buffer} buffer - XLSX file
+ */
+const sendXLSX = (res, filename, buffer) => {
+  res.set({
+    'Content-Type': XLSX_CONTENT_TYPE,
+    'Content-Disposition': `attachment; filename="${filename}"`,
+  });
+  res.status(200).send(buffer);
+};
+
+module.exports = {
+  toXLSX,
+  sendXLSX,
+};
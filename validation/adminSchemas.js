@@ -0,0 +1,43 @@
+/**
+ * @file adminSchemas.js
+ * @description Schemi di validazione per le route /admin (permessi e utenti)
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Vincoli allineati a models/userModel.js
+ */
+
+const { partial } = require('../middleware/validate');
+const { ROLE_NAMES } = require('../config/permissions');
+const { idParams } = require('./common');
+
+/**
+ * Campi modificabili di un account dello staff
+ * @constant
+ */
+const userFields = {
+  name: {
+    type: 'string',
+    required: true,
+    minLength: 2,
+    maxLength: 100,
+    noHtml: true,
+  },
+  email: { type: 'email', required: true },
+  password: { type: 'string', required: true, minLength: 8, maxLength: 200 },
+  role: { type: 'string', required: true, enum: ROLE_NAMES },
+  active: { type: 'boolean' },
+};
+
+module.exports = {
+  getPermissionMatrix: {
+    query: { protectedOnly: { type: 'boolean' } },
+  },
+  getAllUsers: {
+    query: { role: { type: 'string', enum: ROLE_NAMES } },
+  },
+  getUser: { params: idParams },
+  createUser: { body: userFields },
+  updateUser: { params: idParams, body: partial(userFields) },
+  deleteUser: { params: idParams },
+};
@@ -0,0 +1,33 @@
+/**
+ * @file articlesSchemas.js
+ * @description Schemi di validazione per le route /articles
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Vincoli allineati a models/articlesModel.js
+ */
+
+const { partial } = require('../middleware/validate');
+const { idParams, listQuery } = require('./common');
+
+/**
+ * Campi del body di un articolo
+ * @constant
+ */
+const articleFields = {
+  title: { type: 'string', required: true, maxLength: 200, noHtml: true },
+  content: { type: 'string', required: true },
+  author: { type: 'string', required: true, maxLength: 100, noHtml: true },
+  image: { type: 'string' },
+  category: { type: 'string', maxLength: 50, noHtml: true },
+  publishedAt: { type: 'date' },
+};
+
+module.exports = {
+  getAllArticles: { query: listQuery },
+  getArticle: { params: idParams },
+  createArticle: { body: articleFields },
+  updateArticle: { params: idParams, body: partial(articleFields) },
+  deleteArticle: { params: idParams },
+  incrementArticleViews: { params: idParams },
+};
@@ -0,0 +1,25 @@
+/**
+ * @file auditSchemas.js
+ * @description Schemi di validazione per le route /audit
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ */
+
+const { idParams } = require('./common');
+
+module.exports = {
+  getAuditLogs: {
+    query: {
+      entityType: { type: 'string', maxLength: 50 },
+      entityId: { type: 'objectId' },
+      action: { type: 'string', enum: ['create', 'update', 'delete'] },
+      actor: { type: 'string', maxLength: 200 },
+      actorType: { type: 'string', enum: ['user', 'anonymous', 'system'] },
+      from: { type: 'date' },
+      to: { type: 'date' },
+      page: { type: 'integer', min: 1 },
+      limit: { type: 'integer', min: 1, max: 100 },
+    },
+  },
+  getAuditLog: { params: idParams },
+};
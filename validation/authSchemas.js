@@ -0,0 +1,27 @@
+/**
+ * @file authSchemas.js
+ * @description Schemi di validazione per le route /auth
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ */
+
+/**
+ * Refresh token nel body
+ * @constant
+ */
+const refreshTokenRule = { type: 'string', maxLength: 2000 };
+
+module.exports = {
+  login: {
+    body: {
+      email: { type: 'email', required: true },
+      password: { type: 'string', required: true, maxLength: 200 },
+    },
+  },
+  refresh: {
+    body: { refreshToken: { ...refreshTokenRule, required: true } },
+  },
+  logout: {
+    body: { refreshToken: refreshTokenRule },
+  },
+};
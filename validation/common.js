@@ -0,0 +1,57 @@
+/**
+ * @file common.js
+ * @description Regole di validazione condivise tra le risorse
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Usate dagli schemi in validation/<risorsa>Schemas.js
+ * Formato delle regole: vedi middleware/validate.js
+ */
+
+/**
+ * Parametro :id (ObjectId MongoDB)
+ * @constant
+ */
+const idParams = {
+  id: { type: 'objectId', required: true },
+};
+
+/**
+ * Query string delle liste gestite da APIFeatures
+ * @constant
+ */
+const listQuery = {
+  page: { type: 'integer', min: 1 },
+  limit: { type: 'integer', min: 1 },
+  sort: { type: 'string', maxLength: 200 },
+  fields: { type: 'string', maxLength: 200 },
+  cursor: { type: 'string', maxLength: 500 },
+};
+
+/**
+ * Query string con il solo limite di risultati (endpoint "top", "in evidenza"...)
+ * @constant
+ */
+const limitQuery = {
+  limit: { type: 'integer', min: 1, max: 100 },
+};
+
+/**
+ * Lista di tag testuali
+ *
+ * @function tagsRule
+ * @param {number} maxItems - Numero massimo di tag
+ * @returns {Object} Regola per un campo array di stringhe
+ */
+const tagsRule = (maxItems) => ({
+  type: 'array',
+  maxItems,
+  items: { type: 'string', maxLength: 50, noHtml: true },
+});
+
+module.exports = {
+  idParams,
+  listQuery,
+  limitQuery,
+  tagsRule,
+};
@@ -0,0 +1,193 @@
+/**
+ * @file conferenzaSchemas.js
+ * @description Schemi di validazione per le iscrizioni alla conferenza
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Vincoli allineati a models/conferenzaModel.js
+ * L'evento si sceglie solo alla creazione; lo stato cambia solo con
+ * /:id/cancel, /:id/confirm e la gestione della lista d'attesa
+ */
+
+const { partial } = require('../middleware/validate');
+const { idParams, listQuery } = require('./common');
+
+/**
+ * Testo breve del modulo (nomi, luoghi)
+ * @constant
+ */
+const shortText = {
+  type: 'string',
+  required: true,
+  maxLength: 100,
+  noHtml: true,
+};
+
+/**
+ * Elenco di stati separati da virgola (filtro degli export)
+ * @constant
+ */
+const STATUS_LIST_REGEX =
+  /^(confirmed|pending|waitlisted|offered|expired|cancelled)(,(confirmed|pending|waitlisted|offered|expired|cancelled))*$/;
+
+/**
+ * Campi del modulo di iscrizione
+ * @constant
+ */
+const registrationFields = {
+  email: { type: 'email', required: true },
+  nome: { ...shortText, minLength: 2 },
+  cognome: { ...shortText, minLength: 2 },
+  telefono: { type: 'phone', required: true },
+  dataNascita: { type: 'date', required: true },
+  luogoNascita: shortText,
+  sesso: { ...shortText, maxLength: 20 },
+  // Codice del tipo di camera (o 'nessuno') negli eventi con inventario alloggi
+  tipoAlloggio: shortText,
+  famiglia: { type: 'string', maxLength: 100, noHtml: true },
+  chiesa: { type: 'string', maxLength: 100, noHtml: true },
+  citta: { type: 'string', maxLength: 100, noHtml: true },
+  messaggio: { type: 'string', required: true, maxLength: 5000, noHtml: true },
+};
+
+/**
+ * Dati anagrafici di ogni partecipante di un'iscrizione di gruppo
+ * (contatto, alloggio e messaggio sono quelli del capogruppo)
+ * @constant
+ */
+const participantFields = {
+  nome: registrationFields.nome,
+  cognome: registrationFields.cognome,
+  dataNascita: registrationFields.dataNascita,
+  luogoNascita: registrationFields.luogoNascita,
+  sesso: registrationFields.sesso,
+  chiesa: registrationFields.chiesa,
+  citta: registrationFields.citta,
+};
+
+/**
+ * Consensi GDPR inviati con il modulo (privacy obbligatoria, tutore per i minorenni)
+ * @constant
+ */
+const consentRule = {
+  type: 'object',
+  required: true,
+  fields: {
+    privacy: { type: 'boolean', required: true },
+    foto: { type: 'boolean' },
+    tutore: {
+      type: 'object',
+      fields: {
+        nome: { ...shortText, minLength: 2, maxLength: 200 },
+        accepted: { type: 'boolean', required: true },
+      },
+    },
+  },
+};
+
+module.exports = {
+  getAllRegistrations: { query: listQuery },
+  getRegistration: { params: idParams },
+  createRegistration: {
+    body: {
+      event: { type: 'objectId', required: true },
+      ...registrationFields,
+      consensi: consentRule,
+    },
+  },
+  createGroupRegistration: {
+    body: {
+      event: { type: 'objectId', required: true },
+      email: registrationFields.email,
+      telefono: registrationFields.telefono,
+      tipoAlloggio: registrationFields.tipoAlloggio,
+      messaggio: registrationFields.messaggio,
+      famiglia: registrationFields.famiglia,
+      consensi: consentRule,
+      partecipanti: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        maxItems: 20,
+        items: { type: 'object', fields: participantFields },
+      },
+    },
+  },
+  exportRegistrations: {
+    query: {
+      event: { type: 'objectId' },
+      status: { type: 'string', pattern: STATUS_LIST_REGEX },
+      format: { type: 'string', enum: ['csv', 'xlsx', 'badges', 'sheet'] },
+      columns: { type: 'string', maxLength: 500, pattern: /^\w+(,\w+)*$/ },
+    },
+  },
+  getGroup: { params: idParams },
+  cancelGroup: { params: idParams },
+  updateRegistration: {
+    params: idParams,
+    body: {
+      ...partial(registrationFields),
+      ruolo: {
+        type: 'string',
+        enum: [
+          'partecipante',
+          'relatore',
+          'staff',
+          'volontario',
+          'organizzatore',
+        ],
+      },
+    },
+  },
+  confirmRegistration: {
+    params: idParams,
+    body: {
+      token: { type: 'string', required: true, pattern: /^[a-f0-9]{48}$/ },
+    },
+  },
+  linkMember: {
+    params: idParams,
+    body: { member: { type: 'objectId' } },
+  },
+  cancelRegistration: { params: idParams },
+  deleteRegistration: { params: idParams },
+  getEventRegistrations: { params: idParams, query: listQuery },
+  getEventWaitlist: { params: idParams },
+  getRoomingList: {
+    params: idParams,
+    query: { format: { type: 'string', enum: ['json', 'csv'] } },
+  },
+  getTicket: {
+    params: idParams,
+    query: {
+      code: { type: 'string', pattern: /^[a-f0-9]{48}$/ },
+      format: { type: 'string', enum: ['json', 'png', 'svg', 'pdf'] },
+    },
+  },
+  checkIn: {
+    params: idParams,
+    body: {
+      ticket: { type: 'string', required: true, maxLength: 1000 },
+      scannedAt: { type: 'date' },
+    },
+  },
+  getCheckInStats: { params: idParams },
+  assignAccommodation: {
+    params: idParams,
+    body: {
+      code: { type: 'string', maxLength: 100, noHtml: true },
+      room: { type: 'integer', min: 1 },
+    },
+  },
+  reorderEventWaitlist: {
+    params: idParams,
+    body: {
+      order: {
+        type: 'array',
+        required: true,
+        maxItems: 1000,
+        items: { type: 'objectId' },
+      },
+    },
+  },
+};
@@ -0,0 +1,55 @@
+/**
+ * @file contactSchemas.js
+ * @description Schemi di validazione per le route /contact
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Sostituisce validateContactForm (middleware/validateInput.js)
+ * Vincoli allineati a models/contactModel.js
+ */
+
+const { idParams, listQuery } = require('./common');
+
+/**
+ * Campi inviati dal modulo di contatto pubblico
+ * @constant
+ */
+const contactFormFields = {
+  nome: {
+    type: 'string',
+    required: true,
+    minLength: 2,
+    maxLength: 100,
+    noHtml: true,
+  },
+  email: { type: 'email', required: true },
+  telefono: { type: 'phone' },
+  messaggio: {
+    type: 'string',
+    required: true,
+    minLength: 10,
+    maxLength: 5000,
+    noHtml: true,
+  },
+  type: { type: 'string', enum: ['info', 'support', 'feedback', 'other'] },
+};
+
+/**
+ * Campi modificabili dallo staff (gestione del messaggio)
+ * @constant
+ */
+const contactUpdateFields = {
+  status: { type: 'string', enum: ['new', 'read', 'responded', 'archived'] },
+  priority: { type: 'string', enum: ['low', 'normal', 'high', 'urgent'] },
+  type: contactFormFields.type,
+  response: { type: 'string', maxLength: 2000 },
+  respondedBy: { type: 'string', maxLength: 100 },
+};
+
+module.exports = {
+  getAllContacts: { query: listQuery },
+  getContact: { params: idParams },
+  createContact: { body: contactFormFields },
+  updateContact: { params: idParams, body: contactUpdateFields },
+  deleteContact: { params: idParams },
+};
@@ -0,0 +1,90 @@
+/**
+ * @file documentiSchemas.js
+ * @description Schemi di validazione per le route /documenti
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Vincoli allineati a models/documentiModel.js
+ * (trimestre obbligatorio per i lezionari resta nel modello)
+ */
+
+const { partial } = require('../middleware/validate');
+const { idParams, listQuery, limitQuery, tagsRule } = require('./common');
+
+/**
+ * Tipi di documento
+ * @constant
+ */
+const TIPI = [
+  'lezionario',
+  'settimana_preghiera',
+  'guida_studio',
+  'materiale_evangelismo',
+  'rivista',
+  'bollettino',
+  'altro',
+];
+
+/**
+ * Anno di pubblicazione
+ * @constant
+ */
+const annoRule = { type: 'integer', min: 1900, max: 2100 };
+
+/**
+ * Trimestre dei lezionari
+ * @constant
+ */
+const trimestreRule = { type: 'integer', enum: [1, 2, 3, 4] };
+
+/**
+ * Campi del body di un documento
+ * @constant
+ */
+const documentoFields = {
+  titolo: {
+    type: 'string',
+    required: true,
+    minLength: 5,
+    maxLength: 200,
+    noHtml: true,
+  },
+  descrizione: { type: 'string', minLength: 20, maxLength: 1000 },
+  tipo: { type: 'string', required: true, enum: TIPI },
+  anno: { ...annoRule, required: true },
+  trimestre: trimestreRule,
+  lingua: { type: 'string', enum: ['it', 'en', 'es', 'fr', 'de'] },
+  filePath: { type: 'string', required: true },
+  fileUrl: { type: 'url' },
+  fileSize: { type: 'number', min: 0 },
+  pagine: { type: 'integer', min: 1 },
+  copertina: { type: 'string' },
+  tags: tagsRule(10),
+  autore: { type: 'string', maxLength: 100, noHtml: true },
+  editore: { type: 'string', maxLength: 100, noHtml: true },
+  dataPubblicazione: { type: 'date' },
+  versione: { type: 'string', maxLength: 20 },
+  inEvidenza: { type: 'boolean' },
+  status: { type: 'string', enum: ['draft', 'published', 'archived'] },
+  isPublic: { type: 'boolean' },
+};
+
+module.exports = {
+  getAllDocumenti: { query: listQuery },
+  getDocumentiInEvidenza: { query: limitQuery },
+  getDocumentiTopDownloads: { query: limitQuery },
+  getLezionari: {
+    query: { anno: { ...annoRule, required: true }, trimestre: trimestreRule },
+  },
+  getSettimanePreghiera: { query: { anno: { ...annoRule, required: true } } },
+  getDocumentiByTipo: {
+    params: { tipo: { type: 'string', required: true, enum: TIPI } },
+    query: limitQuery,
+  },
+  getDocumento: { params: idParams },
+  createDocumento: { body: documentoFields },
+  updateDocumento: { params: idParams, body: partial(documentoFields) },
+  downloadDocumento: { params: idParams },
+  incrementDocumentoViews: { params: idParams },
+  deleteDocumento: { params: idParams },
+};
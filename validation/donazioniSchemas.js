@@ -0,0 +1,77 @@
+/**
+ * @file donazioniSchemas.js
+ * @description Schemi di validazione per le route /donazioni
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Unica fonte delle regole sui dati di pagamento: usata sia da
+ * donationMiddleware.validatePaymentInput sia dalle route
+ * Vincoli allineati a models/donazioniModel.js
+ */
+
+/**
+ * Categorie di donazione accettate
+ * @constant
+ */
+const CATEGORIES = [
+  'generale',
+  'chiesa',
+  'progetti',
+  'educazione',
+  'carità',
+  'missioni',
+];
+
+/**
+ * Data dei log transazioni (YYYY-MM-DD)
+ * @constant
+ */
+const logDateQuery = {
+  date: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/ },
+};
+
+module.exports = {
+  CATEGORIES,
+
+  createPaymentIntent: {
+    body: {
+      // Euro con massimo 2 decimali; il controller converte in centesimi
+      importo: {
+        type: 'number',
+        required: true,
+        min: 0.01,
+        max: 999999.99,
+      },
+      email: { type: 'email', required: true },
+      nome: {
+        type: 'string',
+        required: true,
+        minLength: 2,
+        maxLength: 100,
+        noHtml: true,
+      },
+      telefono: { type: 'phone' },
+      messaggio: { type: 'string', maxLength: 500, noHtml: true },
+      anonimo: { type: 'boolean' },
+      categoria: { type: 'string', enum: CATEGORIES },
+      ricevuta: { type: 'boolean' },
+    },
+  },
+
+  confirmPayment: {
+    body: {
+      paymentIntentId: {
+        type: 'string',
+        required: true,
+        pattern: /^pi_[A-Za-z0-9]+$/,
+      },
+    },
+  },
+
+  getRecentDonations: {
+    query: { limit: { type: 'integer', min: 1, max: 50 } },
+  },
+
+  getTransactionLogs: { query: logDateQuery },
+  getTransactionStats: { query: logDateQuery },
+};
@@ -0,0 +1,280 @@
+/**
+ * @file eventsSchemas.js
+ * @description Schemi di validazione per le route /events
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Vincoli allineati a models/eventiModel.js
+ * (i controlli tra campi, es. endDate > date, restano nel modello)
+ */
+
+const { partial } = require('../middleware/validate');
+const { idParams, listQuery, tagsRule } = require('./common');
+
+/**
+ * Punto GeoJSON [longitudine, latitudine]
+ * @constant
+ */
+const pointRule = {
+  type: 'object',
+  fields: {
+    type: { type: 'string', enum: ['Point'] },
+    coordinates: {
+      type: 'array',
+      maxItems: 2,
+      items: { type: 'number', min: -180, max: 180 },
+    },
+  },
+};
+
+/**
+ * Quote per fascia d'età, in euro
+ * @constant
+ */
+const feesRule = {
+  type: 'object',
+  fields: {
+    child: { type: 'number', min: 0 },
+    youth: { type: 'number', min: 0 },
+    adult: { type: 'number', min: 0 },
+  },
+};
+
+/**
+ * Iscrizioni a pagamento (quote, early bird, durata del checkout)
+ * @constant
+ */
+const pricingRule = {
+  type: 'object',
+  fields: {
+    requiresPayment: { type: 'boolean' },
+    fees: feesRule,
+    earlyBird: {
+      type: 'object',
+      fields: { until: { type: 'date' }, fees: feesRule },
+    },
+    paymentMinutes: { type: 'integer', min: 31, max: 1440 },
+  },
+};
+
+/**
+ * Ricorrenza di una serie: RRULE senza DTSTART (la data dell'evento è la
+ * prima occorrenza) e date delle occorrenze tolte
+ * Con PATCH la ricorrenza viene sostituita per intero
+ * @constant
+ */
+const recurrenceRule = {
+  type: 'object',
+  fields: {
+    rule: {
+      type: 'string',
+      required: true,
+      maxLength: 500,
+      pattern: /^(RRULE:)?[A-Z]+=[A-Z0-9,+=;:-]+$/i,
+    },
+    exdates: { type: 'array', maxItems: 500, items: { type: 'date' } },
+  },
+};
+
+/**
+ * Periodo delle liste che espandono le serie ricorrenti
+ * @constant
+ */
+const periodQuery = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+};
+
+/**
+ * Parametri di una singola occorrenza (data di inizio originale)
+ * @constant
+ */
+const occurrenceParams = {
+  ...idParams,
+  recurrenceId: { type: 'date', required: true },
+};
+
+/**
+ * Campi del body di un evento
+ * @constant
+ */
+const eventFields = {
+  title: {
+    type: 'string',
+    required: true,
+    minLength: 5,
+    maxLength: 200,
+    noHtml: true,
+  },
+  description: {
+    type: 'string',
+    required: true,
+    minLength: 20,
+    maxLength: 5000,
+  },
+  date: { type: 'date', required: true },
+  endDate: { type: 'date' },
+  registrationDeadline: { type: 'date' },
+  location: { type: 'string', required: true, maxLength: 200, noHtml: true },
+  coordinates: pointRule,
+  image: { type: 'string' },
+  capacity: { type: 'integer', min: 1 },
+  status: {
+    type: 'string',
+    enum: ['scheduled', 'ongoing', 'completed', 'cancelled'],
+  },
+  tags: tagsRule(10),
+  organizer: { type: 'string', maxLength: 100, noHtml: true },
+  contact: { type: 'string', maxLength: 100, noHtml: true },
+  pricing: pricingRule,
+  recurrence: recurrenceRule,
+};
+
+/**
+ * Tipo di alloggio dell'inventario di un evento (`rooms` = numero di camere)
+ * @constant
+ */
+const accommodationRule = {
+  type: 'object',
+  fields: {
+    code: {
+      type: 'string',
+      required: true,
+      maxLength: 50,
+      pattern: /^[a-zA-Z0-9-]+$/,
+    },
+    name: { type: 'string', required: true, maxLength: 100, noHtml: true },
+    kind: { type: 'string', enum: ['dormitory', 'private'] },
+    rooms: { type: 'integer', required: true, min: 0, max: 1000 },
+    bedsPerRoom: { type: 'integer', required: true, min: 1, max: 100 },
+    pricePerNight: { type: 'number', min: 0 },
+  },
+};
+
+/**
+ * Tipi di sessione del programma
+ * @constant
+ */
+const SESSION_KINDS = [
+  'talk',
+  'plenary',
+  'workshop',
+  'worship',
+  'break',
+  'meal',
+  'other',
+];
+
+/**
+ * Campi di una sessione del programma
+ * (fine dopo l'inizio e sale libere restano controlli del modello)
+ * @constant
+ */
+const sessionFields = {
+  title: { type: 'string', required: true, maxLength: 200, noHtml: true },
+  description: { type: 'string', maxLength: 2000, noHtml: true },
+  kind: { type: 'string', enum: SESSION_KINDS },
+  start: { type: 'date', required: true },
+  end: { type: 'date', required: true },
+  room: { type: 'string', maxLength: 100, noHtml: true },
+  speakers: { type: 'array', maxItems: 20, items: { type: 'objectId' } },
+};
+
+/**
+ * Parametri di una singola sessione
+ * @constant
+ */
+const sessionParams = {
+  ...idParams,
+  sessionId: { type: 'objectId', required: true },
+};
+
+/**
+ * Filtri delle ricerche su mappa (periodo, tag, formato di output)
+ * @constant
+ */
+const mapQuery = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  tags: { type: 'string', maxLength: 200 },
+  limit: { type: 'integer', min: 1, max: 200 },
+  format: { type: 'string', enum: ['json', 'geojson'] },
+};
+
+module.exports = {
+  getAllEvents: { query: { ...listQuery, ...periodQuery } },
+  getEvent: { params: idParams },
+  createEvent: { body: eventFields },
+  updateEvent: { params: idParams, body: partial(eventFields) },
+  deleteEvent: { params: idParams },
+  getEventsNear: {
+    query: {
+      ...mapQuery,
+      lat: { type: 'number', required: true, min: -90, max: 90 },
+      lng: { type: 'number', required: true, min: -180, max: 180 },
+      radiusKm: { type: 'number', min: 0.1, max: 500 },
+    },
+  },
+  getEventsWithin: {
+    query: {
+      ...mapQuery,
+      bbox: {
+        type: 'string',
+        required: true,
+        maxLength: 100,
+        pattern: /^-?[\d.]+(,-?[\d.]+){3}$/,
+      },
+    },
+  },
+  getEventsCalendar: {
+    query: {
+      tags: { type: 'string', maxLength: 200 },
+      organizer: { type: 'string', maxLength: 100 },
+      ...periodQuery,
+    },
+  },
+  getEventIcs: { params: idParams, query: periodQuery },
+  getEventOccurrences: { params: idParams, query: periodQuery },
+  updateOccurrence: { params: occurrenceParams, body: partial(eventFields) },
+  deleteOccurrence: { params: occurrenceParams },
+  incrementEventViews: { params: idParams },
+  getEventAgenda: {
+    params: idParams,
+    query: {
+      format: { type: 'string', enum: ['json', 'pdf', 'ics'] },
+      day: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/ },
+      speaker: { type: 'objectId' },
+      room: { type: 'string', maxLength: 100 },
+    },
+  },
+  getAgendaBySpeaker: { params: idParams },
+  setEventAgenda: {
+    params: idParams,
+    body: {
+      sessions: {
+        type: 'array',
+        required: true,
+        maxItems: 300,
+        items: {
+          type: 'object',
+          fields: { _id: { type: 'objectId' }, ...sessionFields },
+        },
+      },
+    },
+  },
+  addSession: { params: idParams, body: sessionFields },
+  updateSession: { params: sessionParams, body: partial(sessionFields) },
+  deleteSession: { params: sessionParams },
+  getEventAccommodations: { params: idParams },
+  setEventAccommodations: {
+    params: idParams,
+    body: {
+      accommodations: {
+        type: 'array',
+        required: true,
+        maxItems: 50,
+        items: accommodationRule,
+      },
+    },
+  },
+};
@@ -0,0 +1,111 @@
+/**
+ * @file libriSchemas.js
+ * @description Schemi di validazione per le route /libri
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Vincoli allineati a models/libriModel.js
+ * (anno/trimestre obbligatori per categoria restano nel modello)
+ */
+
+const { partial } = require('../middleware/validate');
+const { idParams, listQuery, limitQuery, tagsRule } = require('./common');
+
+/**
+ * Categorie dei libri
+ * @constant
+ */
+const CATEGORIES = [
+  'bibbia',
+  'teologia',
+  'storia',
+  'proposta',
+  'salute',
+  'chiesa',
+  'cultura',
+  'educazione',
+  'famiglia',
+  'giovani',
+  'adulti',
+  'bambini',
+  'lezionario',
+  'settimana_preghiera',
+  'altro',
+];
+
+/**
+ * Anno di Lezionari e Settimane di Preghiera
+ * @constant
+ */
+const annoRule = { type: 'integer', min: 2000, max: 2100 };
+
+/**
+ * Trimestre dei Lezionari
+ * @constant
+ */
+const trimestreRule = { type: 'integer', enum: [1, 2, 3, 4] };
+
+/**
+ * Campi del body di un libro
+ * @constant
+ */
+const libroFields = {
+  title: {
+    type: 'string',
+    required: true,
+    minLength: 3,
+    maxLength: 300,
+    noHtml: true,
+  },
+  author: {
+    type: 'string',
+    required: true,
+    minLength: 2,
+    maxLength: 100,
+    noHtml: true,
+  },
+  description: {
+    type: 'string',
+    required: true,
+    minLength: 20,
+    maxLength: 2000,
+  },
+  category: { type: 'string', required: true, enum: CATEGORIES },
+  subcategories: tagsRule(5),
+  tags: tagsRule(15),
+  cover: { type: 'string' },
+  filePath: { type: 'string', required: true },
+  fileUrl: { type: 'url' },
+  fileSize: { type: 'number', min: 0 },
+  language: { type: 'string', enum: ['it', 'en', 'es', 'fr', 'de'] },
+  isbn: { type: 'string', maxLength: 17 },
+  publisher: { type: 'string', maxLength: 100, noHtml: true },
+  publicationDate: { type: 'date' },
+  version: { type: 'string', maxLength: 20 },
+  pages: { type: 'integer', min: 1 },
+  anno: annoRule,
+  trimestre: trimestreRule,
+  rating: { type: 'number', min: 0, max: 5 },
+  featured: { type: 'boolean' },
+  status: { type: 'string', enum: ['draft', 'published', 'archived'] },
+  isPublic: { type: 'boolean' },
+};
+
+module.exports = {
+  getAllLibri: { query: listQuery },
+  getLibriTopDownloads: { query: limitQuery },
+  getLezionari: { query: { anno: annoRule, trimestre: trimestreRule } },
+  getSettimanePreghiera: { query: { anno: annoRule } },
+  searchLibri: {
+    query: { q: { type: 'string', required: true, maxLength: 200 } },
+  },
+  getLibriByCategory: {
+    params: { category: { type: 'string', required: true, enum: CATEGORIES } },
+  },
+  getLibro: { params: idParams },
+  createLibro: { body: libroFields },
+  updateLibro: { params: idParams, body: partial(libroFields) },
+  downloadLibro: { params: idParams },
+  incrementLibroViews: { params: idParams },
+  deleteLibro: { params: idParams },
+};
@@ -0,0 +1,119 @@
+/**
+ * @file memberSchemas.js
+ * @description Schemi di validazione per le route /members
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Vincoli allineati a models/memberModel.js
+ * Il nucleo familiare si cambia solo con /:id/household
+ */
+
+const { partial } = require('../middleware/validate');
+const { idParams, listQuery } = require('./common');
+
+/**
+ * Testo breve (nomi, luoghi)
+ * @constant
+ */
+const shortText = { type: 'string', maxLength: 100, noHtml: true };
+
+/**
+ * Ruoli nella congregazione
+ * @constant
+ */
+const RUOLI = [
+  'membro',
+  'anziano',
+  'diacono',
+  'diaconessa',
+  'pastore',
+  'segretario',
+  'tesoriere',
+  'insegnante',
+];
+
+/**
+ * Stati dell'appartenenza
+ * @constant
+ */
+const STATUSES = ['active', 'inactive', 'transferred', 'deceased', 'removed'];
+
+/**
+ * Posto nel nucleo familiare
+ * @constant
+ */
+const RELAZIONI = ['capofamiglia', 'coniuge', 'figlio', 'genitore', 'altro'];
+
+/**
+ * Campi del body di un membro
+ * @constant
+ */
+const memberFields = {
+  nome: { ...shortText, required: true, minLength: 2 },
+  cognome: { ...shortText, required: true, minLength: 2 },
+  email: { type: 'email' },
+  telefono: { type: 'phone' },
+  dataNascita: { type: 'date' },
+  luogoNascita: shortText,
+  sesso: { type: 'string', enum: ['M', 'F'] },
+  indirizzo: {
+    type: 'object',
+    fields: {
+      via: { ...shortText, maxLength: 200 },
+      cap: { type: 'string', pattern: /^[A-Za-z0-9 -]{3,10}$/ },
+      citta: shortText,
+      provincia: { ...shortText, maxLength: 50 },
+      nazione: shortText,
+    },
+  },
+  congregazione: { ...shortText, required: true, maxLength: 150 },
+  dataBattesimo: { type: 'date' },
+  luogoBattesimo: { ...shortText, maxLength: 150 },
+  dataAdesione: { type: 'date' },
+  ruolo: { type: 'string', enum: RUOLI },
+  status: { type: 'string', enum: STATUSES },
+  trasferitoA: { ...shortText, maxLength: 150 },
+  note: { type: 'string', maxLength: 2000, noHtml: true },
+};
+
+module.exports = {
+  getAllMembers: { query: listQuery },
+  searchMembers: {
+    query: {
+      q: { type: 'string', maxLength: 100 },
+      citta: { type: 'string', maxLength: 100 },
+      congregazione: { type: 'string', maxLength: 150 },
+      status: { type: 'string', enum: STATUSES },
+      limit: { type: 'integer', min: 1, max: 100 },
+    },
+  },
+  lookupMember: {
+    query: {
+      email: { type: 'email' },
+      nome: shortText,
+      cognome: shortText,
+      dataNascita: { type: 'date' },
+      registration: { type: 'objectId' },
+    },
+  },
+  getMember: { params: idParams },
+  createMember: { body: memberFields },
+  updateMember: {
+    params: idParams,
+    body: {
+      ...partial(memberFields),
+      relazione: { type: 'string', enum: RELAZIONI },
+    },
+  },
+  deleteMember: { params: idParams },
+  getHousehold: { params: idParams },
+  joinHousehold: {
+    params: idParams,
+    body: {
+      member: { type: 'objectId', required: true },
+      relazione: { type: 'string', required: true, enum: RELAZIONI },
+    },
+  },
+  leaveHousehold: { params: idParams },
+  getMemberRegistrations: { params: idParams },
+};
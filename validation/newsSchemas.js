@@ -0,0 +1,52 @@
+/**
+ * @file newsSchemas.js
+ * @description Schemi di validazione per le route /news
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Vincoli allineati a models/newsModel.js
+ */
+
+const { partial } = require('../middleware/validate');
+const { idParams, listQuery, tagsRule } = require('./common');
+
+/**
+ * Campi del body di una news
+ * @constant
+ */
+const newsFields = {
+  title: {
+    type: 'string',
+    required: true,
+    minLength: 5,
+    maxLength: 200,
+    noHtml: true,
+  },
+  subtitle: { type: 'string', minLength: 5, maxLength: 500, noHtml: true },
+  content: { type: 'string', required: true, minLength: 20, maxLength: 50000 },
+  author: {
+    type: 'string',
+    required: true,
+    minLength: 2,
+    maxLength: 100,
+    noHtml: true,
+  },
+  category: {
+    type: 'string',
+    enum: ['notizie', 'chiesa', 'comunita', 'spirituale', 'evento', 'generale'],
+  },
+  tags: tagsRule(10),
+  image: { type: 'string' },
+  youtubeId: { type: 'youtubeId' },
+  featured: { type: 'boolean' },
+  status: { type: 'string', enum: ['draft', 'published', 'archived'] },
+  publishedAt: { type: 'date' },
+};
+
+module.exports = {
+  getAllNews: { query: listQuery },
+  getNews: { params: idParams },
+  createNews: { body: newsFields },
+  updateNews: { params: idParams, body: partial(newsFields) },
+  deleteNews: { params: idParams },
+};
@@ -0,0 +1,144 @@
+/**
+ * @file projectPhaseSchemas.js
+ * @description Schemi di validazione per le route /project-phases
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Vincoli allineati a models/projectPhaseModel.js
+ */
+
+const { partial } = require('../middleware/validate');
+const { idParams, listQuery } = require('./common');
+
+/**
+ * Parametro :phaseNumber (fasi 1-4)
+ * @constant
+ */
+const phaseNumberParams = {
+  phaseNumber: { type: 'integer', required: true, min: 1, max: 4 },
+};
+
+/**
+ * Testo libero breve (titoli, nomi)
+ * @constant
+ */
+const text = { type: 'string', maxLength: 200, noHtml: true };
+
+/**
+ * Campi di un media della fase
+ * @constant
+ */
+const mediaFields = {
+  type: {
+    type: 'string',
+    required: true,
+    enum: ['image', 'video', 'document'],
+  },
+  url: { type: 'string', required: true },
+  title: text,
+  description: { type: 'string', maxLength: 2000 },
+  order: { type: 'integer', min: 0 },
+};
+
+/**
+ * Lista di oggetti con le regole indicate
+ *
+ * @private
+ * @param {Object} fields - Regole dei campi di ogni elemento
+ * @returns {Object} Regola array
+ */
+const listOf = (fields) => ({
+  type: 'array',
+  items: { type: 'object', fields },
+});
+
+/**
+ * Campi del body di una fase
+ * @constant
+ */
+const phaseFields = {
+  phaseNumber: { type: 'integer', required: true, min: 1, max: 4 },
+  title: { ...text, required: true },
+  description: { type: 'string', required: true, maxLength: 2000 },
+  status: {
+    type: 'string',
+    enum: ['Completato', 'In corso', 'In pianificazione', 'In attesa'],
+  },
+  percentage: { type: 'number', min: 0, max: 100 },
+  timeline: { ...text, required: true },
+  details: { type: 'array', items: { type: 'string', maxLength: 500 } },
+  fullDescription: { type: 'string', maxLength: 20000 },
+  objectives: listOf({
+    title: text,
+    description: { type: 'string', maxLength: 2000 },
+    completed: { type: 'boolean' },
+  }),
+  media: listOf(mediaFields),
+  gallery: {
+    type: 'object',
+    fields: {
+      coverImage: { type: 'string' },
+      images: listOf({
+        url: { type: 'string' },
+        title: text,
+        description: { type: 'string', maxLength: 2000 },
+        order: { type: 'integer', min: 0 },
+      }),
+    },
+  },
+  mainVideo: {
+    type: 'object',
+    fields: {
+      youtubeId: { type: 'youtubeId' },
+      vimeoId: { type: 'string', pattern: /^\d+$/ },
+      title: text,
+      description: { type: 'string', maxLength: 2000 },
+    },
+  },
+  budget: {
+    type: 'object',
+    fields: {
+      allocated: { type: 'number', min: 0 },
+      spent: { type: 'number', min: 0 },
+      currency: { type: 'string', pattern: /^[A-Z]{3}$/ },
+    },
+  },
+  team: listOf({
+    name: text,
+    role: text,
+    email: { type: 'email' },
+    phone: { type: 'phone' },
+  }),
+  milestones: listOf({
+    name: text,
+    dueDate: { type: 'date' },
+    completed: { type: 'boolean' },
+    completedDate: { type: 'date' },
+  }),
+  challenges: listOf({
+    title: text,
+    description: { type: 'string', maxLength: 2000 },
+    solution: { type: 'string', maxLength: 2000 },
+    resolved: { type: 'boolean' },
+  }),
+  order: { type: 'integer', min: 0 },
+  isPublished: { type: 'boolean' },
+};
+
+module.exports = {
+  getAllPhases: { query: listQuery },
+  getPhaseByNumber: { params: phaseNumberParams },
+  getPhaseMedia: { params: phaseNumberParams },
+  getPhaseMilestones: { params: phaseNumberParams },
+  updatePhaseProgress: {
+    params: phaseNumberParams,
+    body: {
+      percentage: { type: 'number', required: true, min: 0, max: 100 },
+    },
+  },
+  addPhaseMedia: { params: phaseNumberParams, body: mediaFields },
+  getPhaseById: { params: idParams },
+  createPhase: { body: phaseFields },
+  updatePhase: { params: idParams, body: partial(phaseFields) },
+  deletePhase: { params: idParams },
+};
@@ -0,0 +1,42 @@
+/**
+ * @file sabatoSchemas.js
+ * @description Schemi di validazione per le route /sabato
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Il luogo è dato da lat e lng oppure da citta (e provincia per gli
+ * omonimi): quale dei due è presente lo controlla il controller
+ */
+
+/**
+ * Luogo: coordinate o comune
+ * @constant
+ */
+const placeQuery = {
+  lat: { type: 'number', min: -90, max: 90 },
+  lng: { type: 'number', min: -180, max: 180 },
+  citta: { type: 'string', maxLength: 100 },
+  provincia: { type: 'string', pattern: /^[A-Za-z]{2}$/ },
+};
+
+module.exports = {
+  getSabbathTimes: {
+    query: {
+      ...placeQuery,
+      date: { type: 'day' },
+    },
+  },
+  getSabbathYear: {
+    query: {
+      ...placeQuery,
+      year: { type: 'integer', min: 1900, max: 2100 },
+      format: { type: 'string', enum: ['json', 'csv', 'pdf'] },
+    },
+  },
+  searchSabbathPlaces: {
+    query: {
+      q: { type: 'string', required: true, minLength: 2, maxLength: 100 },
+      limit: { type: 'integer', min: 1, max: 50 },
+    },
+  },
+};
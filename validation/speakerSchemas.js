@@ -0,0 +1,34 @@
+/**
+ * @file speakerSchemas.js
+ * @description Schemi di validazione per le route /speakers
+ * @version 1.0
+ * @author SDA Italia Dev Team
+ *
+ * Vincoli allineati a models/speakerModel.js
+ */
+
+const { partial } = require('../middleware/validate');
+const { idParams, listQuery } = require('./common');
+
+/**
+ * Campi del body di un relatore
+ * @constant
+ */
+const speakerFields = {
+  nome: { type: 'string', required: true, maxLength: 100, noHtml: true },
+  cognome: { type: 'string', required: true, maxLength: 100, noHtml: true },
+  titolo: { type: 'string', maxLength: 50, noHtml: true },
+  organizzazione: { type: 'string', maxLength: 150, noHtml: true },
+  bio: { type: 'string', maxLength: 5000, noHtml: true },
+  photo: { type: 'url' },
+  email: { type: 'email' },
+};
+
+module.exports = {
+  getAllSpeakers: { query: listQuery },
+  getSpeaker: { params: idParams },
+  getSpeakerSessions: { params: idParams },
+  createSpeaker: { body: speakerFields },
+  updateSpeaker: { params: idParams, body: partial(speakerFields) },
+  deleteSpeaker: { params: idParams },
+};